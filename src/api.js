@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { generateDocComment } = require('./docgen.js');
+const { generateMissingDocs, findMissingDocs, findItemAt, documentItem, ITEM_KINDS } = require('./bulk_docs.js');
+const { collectErrorTypes } = require('./gen_errors_doc.js');
+const { resolveTemplates } = require('./template.js');
+const { createTextDocument } = require('./utils.js');
+const { readConfigFile, createConfiguration, getGenerationOptions } = require('./config.js');
+
+// Directories never searched for source files: build output and dependencies
+const SKIPPED_DIRECTORIES = ['target', 'node_modules', '.git'];
+
+/**
+ * Reads the options of the functions below from a configuration file, with the defaults of the
+ * VS Code settings for anything the file leaves out (see `readConfigFile`).
+ *
+ * @param {string|null} [configFile=null] - The `.rustdocstring.json` file, or `null` for the defaults.
+ * @param {Object<string, any>} [settings={}] - Settings that take precedence over the file, as returned by `readSettings`.
+ * @returns {Object} The doc generation options, with `commentStyle`, `visibility` (from `bulkVisibility`),
+ *   `kinds` (from `bulkItemKinds`), and the resolved `templates`.
+ * @throws {ConfigError} If the file cannot be read or holds an invalid setting.
+ * @throws {TemplateError} If a template is malformed.
+ */
+function loadOptions(configFile = null, settings = {}) {
+    const config = createConfiguration({ ...(configFile ? readConfigFile(configFile) : {}), ...settings });
+    return {
+        ...getGenerationOptions(config),
+        commentStyle: config.get('commentStyle', 'auto'),
+        visibility: config.get('bulkVisibility', 'public'),
+        kinds: config.get('bulkItemKinds', ITEM_KINDS),
+        templates: resolveTemplates(config.get('templates', {})),
+    };
+}
+
+/**
+ * Adds plain-text doc comments to the undocumented items of a Rust source file, as the
+ * **Document Undocumented Items** commands do.
+ *
+ * ### Example
+ * ```js
+ * const { documentText, loadOptions } = require('rustdocstring/src/api');
+ * const { text, insertions } = documentText(source, { ...loadOptions(), fileName: '/work/my-crate/src/lib.rs' });
+ * ```
+ *
+ * @param {string} text - The file contents.
+ * @param {Object} [options={}] - The options returned by `loadOptions`, or any accepted by `generateMissingDocs`.
+ * @param {string} [options.fileName=''] - The absolute path of the file, to find its crate and module name.
+ * @param {Object<string, Object>} [options.errorTypes={}] - Enums declared in other files, as returned by
+ *   `collectErrorTypes`. Those declared in `text` are always used.
+ * @returns {{ text: string, insertions: { line: number, kind: string, name: string, text: string }[] }} The documented
+ *   text, and the doc comments inserted, as returned by `generateMissingDocs` (empty when nothing was missing).
+ */
+function documentText(text, options = {}) {
+    const document = createTextDocument(text, options.fileName);
+    const insertions = generateMissingDocs(document, withErrorTypes(text, options));
+    return { text: applyInsertions(text, insertions), insertions };
+}
+
+/**
+ * Lists the items of a Rust source file that `documentText` would document, whether or not a doc comment
+ * can be generated for each, as `rustdocstring --check` reports them.
+ *
+ * @param {string} text - The file contents.
+ * @param {Object} [options={}] - The options returned by `loadOptions`; only `visibility`, `kinds`, and `fileName` are read.
+ * @returns {{ line: number, kind: string, name: string }[]} The undocumented items, in source order, with the
+ *   zero-based line their doc comment goes on, as in the insertions (`0` for the `//!` overview of the file).
+ */
+function findMissingDocsInText(text, options = {}) {
+    return findMissingDocs(createTextDocument(text, options.fileName), options).map(item => ({ line: item.insertLine, kind: item.kind, name: item.name }));
+}
+
+/**
+ * Generates the plain-text doc comment of the item containing a line, as the **Generate Rust Doc
+ * Comment** command does (without tab stops), whether or not the item is already documented.
+ *
+ * @param {string} text - The file contents.
+ * @param {number} line - A zero-based line in the item's attributes, signature, or body.
+ * @param {Object} [options={}] - The options accepted by `documentText`.
+ * @returns {{ line: number, kind: string, name: string, text: string }[]} The item's doc comment, followed by those of
+ *   its fields or variants when `memberDocs` is `inline`; empty if the line is outside every item.
+ */
+function documentItemAt(text, line, options = {}) {
+    const document = createTextDocument(text, options.fileName);
+    const item = findItemAt(document, line);
+    return item ? documentItem(document, item, withErrorTypes(text, options)) : [];
+}
+
+/**
+ * Inserts doc comments into text, keeping its line endings.
+ *
+ * @param {string} text - The file contents.
+ * @param {{ line: number, text: string }[]} insertions - Text to insert at the start of each line, as returned by
+ *   `documentText`. Insertions on the same line keep their order.
+ * @returns {string} The text with every insertion applied.
+ */
+function applyInsertions(text, insertions) {
+    if (insertions.length === 0) return text;
+
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const lines = text.split(/(?<=\n)/);
+    return lines.map((line, i) => insertions
+        .filter(insertion => insertion.line === i)
+        .map(insertion => insertion.text.replace(/\r?\n/g, eol))
+        .join('') + line).join('');
+}
+
+/**
+ * Formats the insertions into a file as a unified diff (`diff -u`), for review or `git apply`.
+ *
+ * @param {string} fileName - The path shown in the `---` and `+++` lines (`a/` and `b/` are prefixed).
+ * @param {string} text - The file contents before the insertions.
+ * @param {{ line: number, text: string }[]} insertions - The insertions, as returned by `documentText`.
+ * @param {number} [context=3] - The number of unchanged lines shown around each change.
+ * @returns {string} The diff, or an empty string when there are no insertions.
+ */
+function formatUnifiedDiff(fileName, text, insertions, context = 3) {
+    if (insertions.length === 0) return '';
+
+    const lines = text.split(/\r?\n/);
+    const endsWithNewline = lines.length > 1 && lines[lines.length - 1] === '';
+    if (endsWithNewline) lines.pop();
+
+    // Every line of the new file, marked as added or kept, with its line number in the old file
+    const entries = [];
+    lines.forEach((line, i) => {
+        for (const insertion of insertions.filter(insertion => insertion.line === i)) {
+            for (const added of insertion.text.replace(/\r?\n$/, '').split(/\r?\n/)) entries.push({ added: true, text: added, oldLine: i });
+        }
+        entries.push({ added: false, text: line, oldLine: i });
+    });
+
+    const hunks = [];
+    entries.forEach((entry, i) => {
+        if (!entry.added) return;
+        const last = hunks[hunks.length - 1];
+        if (last && i - last.end <= 2 * context) last.end = i + 1;
+        else hunks.push({ start: i, end: i + 1 });
+    });
+
+    const output = [`--- a/${fileName}`, `+++ b/${fileName}`];
+    for (const hunk of hunks) {
+        const start = Math.max(0, hunk.start - context);
+        const end = Math.min(entries.length, hunk.end + context);
+        const slice = entries.slice(start, end);
+        const oldCount = slice.filter(entry => !entry.added).length;
+        const oldStart = oldCount > 0 ? slice.find(entry => !entry.added).oldLine + 1 : slice[0].oldLine;
+
+        output.push(`@@ -${oldStart},${oldCount} +${start + 1},${slice.length} @@`);
+        for (const entry of slice) {
+            output.push(`${entry.added ? '+' : ' '}${entry.text}`);
+            if (!entry.added && !endsWithNewline && entry.oldLine === lines.length - 1) output.push('\\ No newline at end of file');
+        }
+    }
+    return output.join('\n') + '\n';
+}
+
+/**
+ * Lists the `.rs` files under a directory, as the command line and the language server search a
+ * workspace, skipping `SKIPPED_DIRECTORIES`.
+ *
+ * @param {string} dir - The directory.
+ * @returns {string[]} The paths of the files, joined to `dir`.
+ */
+function listRustFiles(dir) {
+    return listFiles(dir).filter(file => file.endsWith('.rs'));
+}
+
+/**
+ * Lists the files under a directory, skipping `SKIPPED_DIRECTORIES`.
+ */
+function listFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return SKIPPED_DIRECTORIES.includes(entry.name) ? [] : listFiles(entryPath);
+        return entry.isFile() ? [entryPath] : [];
+    });
+}
+
+/**
+ * Adds the enums declared in the text to the error types of the options.
+ */
+function withErrorTypes(text, options) {
+    return { ...options, errorTypes: { ...options.errorTypes, ...collectErrorTypes(text) } };
+}
+
+module.exports = {
+    loadOptions,
+    documentText,
+    findMissingDocsInText,
+    documentItemAt,
+    applyInsertions,
+    formatUnifiedDiff,
+    listRustFiles,
+    listFiles,
+    createTextDocument,
+    generateDocComment,
+    collectErrorTypes,
+    SKIPPED_DIRECTORIES,
+};
@@ -0,0 +1,287 @@
+const {
+    findNextSignatureBlock,
+    findNextFunctionBody,
+    findNextItemAttributes,
+    collectModuleItems,
+    getModuleName,
+    readDocumentTokens,
+    DOCUMENTABLE_KINDS
+} = require('./utils.js');
+const { readMembers, withoutPlainComments } = require('./item_parser.js');
+const { generateDocComment } = require('./docgen.js');
+const { generateModuleDoc } = require('./gen_module_doc.js');
+const { collectConstructors } = require('./gen_struct_doc.js');
+const { docToLines } = require('./doc_update.js');
+const { resolveCommentStyle, formatCommentLines } = require('./comment_style.js');
+const { generateMemberDocs } = require('./member_docs.js');
+const { resolveCrateModule, enterModules } = require('./crate_paths.js');
+
+/**
+ * Every item kind that can be documented in bulk. `module` is the `//!` overview at the top of a file.
+ */
+const ITEM_KINDS = ['function', 'struct', 'enum', 'trait', 'union', 'type', 'const', 'static', 'extern', 'module'];
+
+/**
+ * Visibility filters, from the narrowest to the widest. Each one includes the items of the previous one.
+ */
+const VISIBILITY_FILTERS = ['public', 'crate', 'all'];
+
+/**
+ * Scans a document for the items that can carry a doc comment, and records whether each one
+ * already has one.
+ *
+ * Items are found at the top level of the file, in inline `mod` blocks, inherent `impl` blocks,
+ * `trait` definitions, and `extern` blocks. Items inside function bodies, trait impls, and
+ * `#[cfg(test)]` modules are skipped, and so are items that start on the line of their block's header
+ * or after another item (`extern "C" { fn abs(x: i32) -> i32; }`), since a comment cannot be placed
+ * above them without reformatting. An item is documented when it has a `///` or `/**` comment,
+ * or a `#[doc = "..."]` attribute, above it.
+ *
+ * Items in a trait take the visibility of the trait. Items in an `extern` block and methods in an
+ * `impl` block use their own visibility.
+ *
+ * ### Example
+ * Input:
+ * ```rust
+ * /// Adds two numbers.
+ * pub fn add(a: i32, b: i32) -> i32 { a + b }
+ * #[derive(Debug)]
+ * pub(crate) struct Config { verbose: bool }
+ * ```
+ * Output:
+ * ```text
+ * [{ line: 1, insertLine: 0, endLine: 1, kind: "function", name: "add", visibility: "public", documented: true },
+ *  { line: 3, insertLine: 2, endLine: 3, kind: "struct", name: "Config", visibility: "crate", documented: false }]
+ * ```
+ *
+ * @param {vscode.TextDocument} document - The VSCode text document to scan.
+ * @returns {{ line: number, insertLine: number, endLine: number, kind: string, name: string, visibility: "public"|"crate"|"private",
+ *   documented: boolean, docs: string[], enclosingBlock: string|null, modules: { name: string, visibility: string }[] }[]}
+ *   The items in source order. `line` is the first line of the signature, `insertLine` the line a doc comment goes on
+ *   (above any attributes), `endLine` the last line of the item, `docs` the text of its doc comments followed by its
+ *   `#[doc = "..."]` attributes as written, `enclosingBlock` the header of the block the item is declared in, as returned
+ *   by `findEnclosingBlockHeader`, and `modules` the inline `mod` blocks around it, outermost first, with their written
+ *   visibility (`pub`, `pub(crate)`, or `''`), to pass to `enterModules`.
+ */
+function scanItems(document) {
+    const tokens = withoutPlainComments(readDocumentTokens(document, 0));
+    const items = [];
+    collectItems(readMembers(tokens), null, items);
+    return items;
+}
+
+/**
+ * Finds the innermost documentable item whose attributes, signature, or body contain a line, so a
+ * command can document the item the cursor is in.
+ *
+ * @param {vscode.TextDocument} document - The VSCode text document to scan.
+ * @param {number} line - The zero-based line.
+ * @returns {ReturnType<typeof scanItems>[number]|null} The item, as returned by `scanItems`, or `null` if the line is
+ *   outside every item.
+ */
+function findItemAt(document, line) {
+    const containing = scanItems(document).filter(item => item.insertLine <= line && line <= item.endLine);
+    return containing.reduce((inner, item) => (!inner || item.insertLine >= inner.insertLine ? item : inner), null);
+}
+
+/**
+ * Lists the undocumented items of a document whose visibility passes a filter.
+ *
+ * @param {vscode.TextDocument} document - The VSCode text document to scan.
+ * @param {"public"|"crate"|"all"} [visibility="public"] - Keep `pub` items only, `pub` and restricted `pub(...)`
+ *   items, or every item (see `VISIBILITY_FILTERS`).
+ * @returns {ReturnType<typeof scanItems>} The undocumented items, in source order.
+ */
+function findUndocumentedItems(document, visibility = 'public') {
+    const allowed = { public: ['public'], crate: ['public', 'crate'], all: ['public', 'crate', 'private'] }[visibility] ?? ['public'];
+    return scanItems(document).filter(item => !item.documented && allowed.includes(item.visibility));
+}
+
+/**
+ * Records the documentable items among parsed items, and descends into the blocks whose items are
+ * documented: inline modules (except `#[cfg(test)]` ones), inherent impls, traits, and extern blocks.
+ * Trait impls are skipped since rustdoc shows the trait's docs for their items.
+ *
+ * @param {Object[]} members - Items as returned by `readMembers`.
+ * @param {Object|null} inside - The item whose body holds `members`, or `null` at the top level.
+ * @param {Object[]} items - The list to append the found items to.
+ * @param {{ name: string, visibility: string }[]} [modules=[]] - The inline modules enclosing `members`, outermost first.
+ */
+function collectItems(members, inside, items, modules = []) {
+    // A comment above a line documents the first item on it: members starting on the line of the block header
+    // or of an earlier member cannot get a comment of their own
+    const takenLines = new Set(inside ? [inside.line] : []);
+
+    for (const member of members) {
+        const firstLine = member.attributes[0]?.line ?? member.line;
+        if (DOCUMENTABLE_KINDS.includes(member.kind) && member.name && !takenLines.has(firstLine)) {
+            const docAttributes = member.attributes.filter(attribute => /^#\[doc\s*=/.test(attribute.text)).map(attribute => attribute.text);
+            items.push({
+                line: member.line,
+                insertLine: firstLine,
+                endLine: member.endLine,
+                kind: member.kind,
+                name: member.name,
+                visibility: getVisibility(inside?.kind === 'trait' ? inside.visibility : member.visibility),
+                documented: member.docs.length > 0 || docAttributes.length > 0,
+                docs: [...member.docs, ...docAttributes],
+                enclosingBlock: inside ? `${inside.header} {` : null,
+                modules,
+            });
+        }
+        takenLines.add(firstLine).add(member.endLine);
+
+        const testOnly = member.attributes.some(attribute => attribute.name === 'cfg' && attribute.args === 'test');
+        const documentedBlock = (member.kind === 'mod' && !testOnly)
+            || (member.kind === 'impl' && !member.traitName)
+            || member.kind === 'trait'
+            || member.kind === 'extern';
+        if (documentedBlock) {
+            const enclosing = member.kind === 'mod' ? [...modules, { name: member.name, visibility: member.visibility }] : modules;
+            collectItems(member.members, member, items, enclosing);
+        }
+    }
+}
+
+/**
+ * Generates doc comments for the undocumented items in a document that match the visibility and
+ * kind filters.
+ *
+ * The doc comments are plain text: tab stops are replaced by their placeholder text, since an edit
+ * spanning many items (or files) cannot be expanded as a snippet. A `//!` overview is generated at
+ * the top of the file when `module` is one of the kinds and the file has no inner doc comment.
+ * Comments are written in the style given by `options.commentStyle`, or the one the file already uses.
+ * When `options.memberDocs` is `inline`, the undocumented fields and variants of each struct and enum
+ * documented get a comment of their own (see `generateMemberDocs`).
+ *
+ * @param {vscode.TextDocument} document - The document to document. `fileName` names the module for the `//!` overview.
+ * @param {Object} [options={}] - Doc generation options, as accepted by `generateDocComment`.
+ * @param {"public"|"crate"|"all"} [options.visibility="public"] - Document `pub` items only, `pub` and restricted
+ *   `pub(...)` items, or every item.
+ * @param {string[]} [options.kinds] - The item kinds to document (see `ITEM_KINDS`). Defaults to every kind.
+ * @param {"auto"|"line"|"block"|"attribute"} [options.commentStyle="auto"] - The doc comment style (see `resolveCommentStyle`).
+ * @param {{ name: string, path: string[], reachable: boolean }|null} [options.crate] - The file's module, for the `use`
+ *   line of examples (see `resolveCrateModule`). Defaults to the module found from the document's `fileName`.
+ * @returns {{ line: number, kind: string, name: string, text: string }[]} One insertion per item (and per
+ *   inline field or variant, named `Item::member`), in source order. `text` is the doc comment, ending in a newline, to insert at the start of `line`.
+ */
+function generateMissingDocs(document, options = {}) {
+    const style = resolveCommentStyle(options.commentStyle ?? 'auto', document);
+    const crate = options.crate !== undefined ? options.crate : resolveCrateModule(document.fileName);
+    const insertions = [];
+    // Read once, and only when a struct may need its constructor in an example
+    let constructors;
+
+    for (const item of findMissingDocs(document, options)) {
+        if (item.kind === 'struct' && !constructors) constructors = options.constructors ?? collectConstructors(document.getText());
+        if (item.kind === 'module') {
+            const doc = generateModuleDoc(collectModuleItems(document, -1), getModuleName(document.fileName || 'lib.rs'), options.includeExamples ?? true, { ...options, crate });
+            insertions.push({ line: 0, kind: 'module', name: item.name, text: formatDocComment(doc, '', style, true) });
+        } else {
+            insertions.push(...documentItem(document, item, { ...options, commentStyle: style, crate, constructors }));
+        }
+    }
+
+    return insertions;
+}
+
+/**
+ * Lists what `generateMissingDocs` documents: the `//!` overview of the file when `module` is one of the
+ * kinds and the file has no inner doc comment, then the undocumented items that match the filters.
+ * Unlike the insertions, the list does not depend on whether a doc comment can be generated for each item.
+ *
+ * @param {vscode.TextDocument} document - The document to scan. `fileName` names the module.
+ * @param {{ visibility?: "public"|"crate"|"all", kinds?: string[] }} [options={}] - The filters, as accepted by
+ *   `generateMissingDocs`.
+ * @returns {ReturnType<typeof scanItems>} The items, in source order. The overview is listed as a `module` item
+ *   at line 0, named after the file (`crate` for `lib.rs` and `main.rs`).
+ */
+function findMissingDocs(document, options = {}) {
+    const { visibility = 'public', kinds = ITEM_KINDS } = options;
+    const items = findUndocumentedItems(document, visibility).filter(item => kinds.includes(item.kind));
+
+    if (kinds.includes('module') && !hasInnerDocComment(document)) {
+        const name = getModuleName(document.fileName || 'lib.rs') || 'crate';
+        items.unshift({ line: 0, insertLine: 0, endLine: document.lineCount - 1, kind: 'module', name, visibility: 'public', documented: false, docs: [], enclosingBlock: null, modules: [] });
+    }
+    return items;
+}
+
+/**
+ * Generates the doc comment of one item as plain text, like `generateMissingDocs` does for each item,
+ * whether or not the item is already documented.
+ *
+ * @param {vscode.TextDocument} document - The document containing the item.
+ * @param {ReturnType<typeof scanItems>[number]} item - The item, as returned by `scanItems` or `findItemAt`.
+ * @param {Object} [options={}] - Doc generation options, as accepted by `generateMissingDocs`.
+ * @returns {{ line: number, kind: string, name: string, text: string }[]} The insertion for the item, followed by
+ *   those of its inline fields or variants; empty if the item's signature cannot be read.
+ */
+function documentItem(document, item, options = {}) {
+    const style = resolveCommentStyle(options.commentStyle ?? 'auto', document);
+    const crate = options.crate !== undefined ? options.crate : resolveCrateModule(document.fileName);
+
+    const signature = findNextSignatureBlock(document, item.insertLine - 1);
+    if (!signature) return [];
+
+    const doc = generateDocComment(signature, {
+        ...options,
+        enclosingBlock: item.enclosingBlock,
+        crate: enterModules(crate, item.modules),
+        body: findNextFunctionBody(document, item.insertLine - 1),
+        attributes: findNextItemAttributes(document, item.insertLine - 1),
+        constructors: item.kind === 'struct' ? options.constructors ?? collectConstructors(document.getText()) : undefined,
+    });
+    if (!doc) return [];
+
+    const indent = document.lineAt(item.insertLine).text.match(/^\s*/)[0];
+    const insertions = [{ line: item.insertLine, kind: item.kind, name: item.name, text: formatDocComment(doc, indent, style, false) }];
+
+    if (options.memberDocs === 'inline') {
+        for (const member of generateMemberDocs(document, item.insertLine - 1, { style })) {
+            insertions.push({ ...member, name: `${item.name}::${member.name}` });
+        }
+    }
+    return insertions;
+}
+
+/**
+ * Classifies the visibility of an item.
+ *
+ * @param {string} visibility - The item's visibility, as returned by `parseItem` (`pub`, `pub(crate)`, or `''`).
+ * @returns {"public"|"crate"|"private"} `public` for `pub`, `crate` for restricted visibilities
+ *   (`pub(crate)`, `pub(super)`, `pub(in path)`, ...), `private` otherwise.
+ */
+function getVisibility(visibility) {
+    if (visibility.startsWith('pub(')) return 'crate';
+    if (visibility === 'pub') return 'public';
+    return 'private';
+}
+
+/**
+ * Checks whether a file already has a `//!` inner doc comment or `#![doc = "..."]` attribute.
+ *
+ * @param {vscode.TextDocument} document - The document to check.
+ * @returns {boolean} `true` if the file has an inner doc comment.
+ */
+function hasInnerDocComment(document) {
+    for (let i = 0; i < document.lineCount; i++) {
+        if (/^\s*(?:\/\/!|\/\*!|#!\[\s*doc\b)/.test(document.lineAt(i).text)) return true;
+    }
+    return false;
+}
+
+/**
+ * Formats a generated doc comment as plain comment lines, ready to insert above an item.
+ *
+ * @param {string} doc - A doc comment as returned by `generateDocComment` or `generateModuleDoc`.
+ * @param {string} indent - The indentation of the item.
+ * @param {"line"|"block"|"attribute"} style - The comment style.
+ * @param {boolean} inner - Whether to write an inner (`//!`) doc comment.
+ * @returns {string} The comment lines, each ending in a newline.
+ */
+function formatDocComment(doc, indent, style, inner) {
+    return formatCommentLines(docToLines(doc), style, { indent, inner }).map(line => `${line}\n`).join('');
+}
+
+module.exports = { scanItems, findItemAt, findUndocumentedItems, findMissingDocs, generateMissingDocs, documentItem, ITEM_KINDS, VISIBILITY_FILTERS };
@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+const {
+    loadOptions,
+    documentText,
+    findMissingDocsInText,
+    formatUnifiedDiff,
+    collectErrorTypes,
+    listFiles,
+    listRustFiles,
+    SKIPPED_DIRECTORIES
+} = require('./api.js');
+const { findConfigFile, ConfigError } = require('./config.js');
+const { TemplateError } = require('./template.js');
+const { VISIBILITY_FILTERS } = require('./bulk_docs.js');
+
+const USAGE = `Usage: rustdocstring [options] <file|directory|glob>...
+
+Adds doc comments to the undocumented items of Rust files.
+
+Options:
+  --write                Insert the missing doc comments in place (default).
+  --diff                 Print the missing doc comments as a unified diff instead.
+  --check                List the undocumented items and exit with 1 if there are any.
+  --config <file>        Read the settings from this file instead of the nearest .rustdocstring.json.
+  --visibility <filter>  Document ${VISIBILITY_FILTERS.join(', ')} items (overrides bulkVisibility).
+  -h, --help             Show this help.
+  -v, --version          Show the version.
+
+Directories are searched for .rs files, skipping ${SKIPPED_DIRECTORIES.join(', ')}.
+Quote globs ('src/**/*.rs') so they are matched by rustdocstring rather than the shell.`;
+
+/**
+ * Raised when the command line cannot be parsed.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Runs the `rustdocstring` command line.
+ *
+ * @param {string[]} args - The arguments, without `node` and the script.
+ * @param {Object} [io] - Where to read and write.
+ * @param {string} [io.cwd=process.cwd()] - The directory paths and globs are relative to.
+ * @param {(text: string) => void} [io.stdout] - Writes to standard output.
+ * @param {(text: string) => void} [io.stderr] - Writes to standard error.
+ * @returns {number} The exit code: `0` on success, `1` when `--check` finds undocumented items, `2` on a usage,
+ *   configuration, or file error.
+ */
+function run(args, io = {}) {
+    const {
+        cwd = process.cwd(),
+        stdout = text => process.stdout.write(text),
+        stderr = text => process.stderr.write(text),
+    } = io;
+
+    let command;
+    try {
+        command = parseArgs(args);
+        if (command.help) {
+            stdout(`${USAGE}\n`);
+            return 0;
+        }
+        if (command.version) {
+            stdout(`${version}\n`);
+            return 0;
+        }
+
+        const configFile = command.config ? path.resolve(cwd, command.config) : findConfigFile(cwd);
+        const options = loadOptions(configFile);
+        if (command.visibility) options.visibility = command.visibility;
+
+        const files = expandPatterns(command.patterns, cwd);
+        const texts = new Map(files.map(file => [file, fs.readFileSync(file, 'utf8')]));
+
+        // Like the extension's workspace index, error enums in any file resolve `# Errors` variants in every other
+        const errorTypes = Object.assign({}, ...[...texts.values()].map(text => collectErrorTypes(text)));
+
+        let itemCount = 0;
+        for (const [file, text] of texts) {
+            const relative = path.relative(cwd, file).split(path.sep).join('/');
+            // Checks count undocumented items, not insertions: an item the generators cannot document is still missing a comment
+            if (command.mode === 'check') {
+                const missing = findMissingDocsInText(text, { ...options, fileName: file });
+                for (const item of missing) {
+                    stdout(`${relative}:${item.line + 1}: missing doc comment for ${item.kind} \`${item.name}\`\n`);
+                }
+                itemCount += missing.length;
+                continue;
+            }
+
+            const result = documentText(text, { ...options, fileName: file, errorTypes });
+            if (command.mode === 'diff') {
+                stdout(formatUnifiedDiff(relative, text, result.insertions));
+            } else if (result.insertions.length > 0) {
+                fs.writeFileSync(file, result.text);
+                stderr(`${relative}: documented ${result.insertions.length} item${result.insertions.length === 1 ? '' : 's'}\n`);
+            }
+        }
+
+        if (command.mode === 'check') {
+            stderr(itemCount === 0
+                ? `All items are documented in ${files.length} file${files.length === 1 ? '' : 's'}.\n`
+                : `${itemCount} undocumented item${itemCount === 1 ? '' : 's'} in ${files.length} file${files.length === 1 ? '' : 's'}.\n`);
+            return itemCount === 0 ? 0 : 1;
+        }
+        return 0;
+    } catch (error) {
+        if (!(error instanceof UsageError || error instanceof ConfigError || error instanceof TemplateError || error.code === 'ENOENT')) throw error;
+        stderr(`rustdocstring: ${error.message}\n`);
+        if (error instanceof UsageError) stderr('Run rustdocstring --help for usage.\n');
+        return 2;
+    }
+}
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {string[]} args - The arguments.
+ * @returns {{ mode: "write"|"diff"|"check", config: string|null, visibility: string|null, patterns: string[],
+ *   help: boolean, version: boolean }} The command.
+ * @throws {UsageError} If an option is unknown, misses its value, or conflicts with another.
+ */
+function parseArgs(args) {
+    const command = { mode: null, config: null, visibility: null, patterns: [], help: false, version: false };
+    const setMode = mode => {
+        if (command.mode && command.mode !== mode) throw new UsageError(`--${command.mode} and --${mode} cannot be combined.`);
+        command.mode = mode;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const [arg, inlineValue] = args[i].startsWith('--') ? args[i].split(/=(.*)/s) : [args[i]];
+        const value = () => {
+            if (inlineValue !== undefined) return inlineValue;
+            if (i + 1 >= args.length) throw new UsageError(`${arg} needs a value.`);
+            return args[++i];
+        };
+
+        if (arg === '--write' || arg === '--diff' || arg === '--check') setMode(arg.slice(2));
+        else if (arg === '--config') command.config = value();
+        else if (arg === '--visibility') {
+            command.visibility = value();
+            if (!VISIBILITY_FILTERS.includes(command.visibility)) {
+                throw new UsageError(`--visibility must be one of: ${VISIBILITY_FILTERS.join(', ')}.`);
+            }
+        } else if (arg === '-h' || arg === '--help') command.help = true;
+        else if (arg === '-v' || arg === '--version') command.version = true;
+        else if (arg.startsWith('-')) throw new UsageError(`Unknown option ${arg}.`);
+        else command.patterns.push(arg);
+    }
+
+    command.mode = command.mode || 'write';
+    if (!command.help && !command.version && command.patterns.length === 0) throw new UsageError('No files given.');
+    return command;
+}
+
+/**
+ * Expands files, directories, and globs into the Rust files they name.
+ *
+ * A directory stands for every `.rs` file under it. Globs support `*` and `?` (within a path segment),
+ * `**` (any number of segments), and `{a,b}` alternatives, and are matched against the paths of the files
+ * under the glob's leading directory.
+ *
+ * @param {string[]} patterns - The files, directories, and globs.
+ * @param {string} cwd - The directory relative patterns are resolved from.
+ * @returns {string[]} The absolute paths of the files, sorted and without duplicates.
+ * @throws {UsageError} If a file or directory does not exist, or a glob matches nothing.
+ */
+function expandPatterns(patterns, cwd) {
+    const files = new Set();
+
+    for (const pattern of patterns) {
+        const absolute = path.resolve(cwd, pattern);
+        if (!/[*?{]/.test(pattern)) {
+            if (!fs.existsSync(absolute)) throw new UsageError(`${pattern} does not exist.`);
+            if (fs.statSync(absolute).isDirectory()) listRustFiles(absolute).forEach(file => files.add(file));
+            else files.add(absolute);
+            continue;
+        }
+
+        // Walk from the segments before the first wildcard, and match the rest
+        const segments = absolute.split(path.sep);
+        const firstGlob = segments.findIndex(segment => /[*?{]/.test(segment));
+        const root = segments.slice(0, firstGlob).join(path.sep) || path.sep;
+        const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+
+        const matches = fs.existsSync(root)
+            ? listFiles(root).filter(file => matcher.test(path.relative(root, file).split(path.sep).join('/')))
+            : [];
+        if (matches.length === 0) throw new UsageError(`${pattern} matches no files.`);
+        matches.forEach(file => files.add(file));
+    }
+
+    return [...files].sort();
+}
+
+/**
+ * Converts a glob to a regular expression matching `/`-separated relative paths.
+ *
+ * @param {string} glob - The glob, e.g. `src/**\/*.rs` or `{lib,main}.rs`.
+ * @returns {RegExp} The regular expression.
+ */
+function globToRegExp(glob) {
+    let source = '';
+    let alternatives = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            // `**/` matches zero or more directories, a trailing `**` everything below
+            const slash = glob[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (c === '*') source += '[^/]*';
+        else if (c === '?') source += '[^/]';
+        else if (c === '{') {
+            source += '(?:';
+            alternatives++;
+        } else if (c === '}' && alternatives > 0) {
+            source += ')';
+            alternatives--;
+        } else if (c === ',' && alternatives > 0) source += '|';
+        else source += c.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+    }
+    return new RegExp(`^${source}$`);
+}
+
+if (require.main === module) {
+    // A reader that stops early (`rustdocstring --diff src | head`) closes the pipe: stop without a stack trace
+    process.stdout.on('error', error => {
+        if (error.code !== 'EPIPE') throw error;
+        process.exit();
+    });
+    process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = { run, parseArgs, expandPatterns, globToRegExp, UsageError };
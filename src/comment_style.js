@@ -0,0 +1,191 @@
+/**
+ * The doc comment styles that can be generated: `///` (or `//!`) line comments, `/** *\/` (or `/*! *\/`)
+ * block comments, and `#[doc = "..."]` (or `#![doc = "..."]`) attributes.
+ */
+const COMMENT_STYLES = ['line', 'block', 'attribute'];
+
+// Patterns for the first line of a doc comment in each style, outer or inner
+const STYLE_PATTERNS = {
+    line: /^\s*\/\/[/!](?!\/)/,
+    block: /^\s*\/\*[*!](?![*/])/,
+    attribute: /^\s*#!?\[\s*doc\s*=/,
+};
+
+/**
+ * Recognizes a doc comment being started at the end of a line: `///`, `//!`, `/**`, `/*!`, `#[doc`,
+ * or `#![doc`. The text the editor closes automatically (` *\/`, `]`, or `""`) may follow.
+ *
+ * ### Example
+ * Input:
+ * ```text
+ * "    /** *\/"
+ * ```
+ * Output:
+ * ```text
+ * { style: "block", inner: false, start: 4 }
+ * ```
+ *
+ * @param {string} text - The text of the line.
+ * @returns {{ style: "line"|"block"|"attribute", inner: boolean, start: number }|null} The style that was typed,
+ *   whether it is an inner (`!`) doc comment, and the column the trigger starts at; or `null` if there is none.
+ */
+function matchDocTrigger(text) {
+    const patterns = [
+        ['line', /(?<!\/)\/\/([/!])\s*$/],
+        ['block', /\/\*([*!])(?:\s*\*\/)?\s*$/],
+        ['attribute', /#(!?)\[\s*doc(?:\s*=\s*(?:""?)?)?\]?\s*$/],
+    ];
+
+    for (const [style, pattern] of patterns) {
+        const match = text.match(pattern);
+        if (match) return { style, inner: match[1] === '!', start: match.index };
+    }
+    return null;
+}
+
+/**
+ * Infers the doc comment style a document already uses, by counting its doc comments in each style.
+ * Consecutive `///` lines or `#[doc]` attributes count as one comment. Ties go to `line`.
+ *
+ * @param {vscode.TextDocument} document - The document to inspect.
+ * @returns {"line"|"block"|"attribute"|null} The most used style, or `null` if the document has no doc comments.
+ */
+function detectCommentStyle(document) {
+    const counts = { line: 0, block: 0, attribute: 0 };
+    let previous = null;
+
+    for (let i = 0; i < document.lineCount; i++) {
+        const style = COMMENT_STYLES.find(s => STYLE_PATTERNS[s].test(document.lineAt(i).text)) || null;
+        if (style && (style !== previous || style === 'block')) counts[style]++;
+        previous = style;
+    }
+
+    const best = COMMENT_STYLES.reduce((a, b) => (counts[b] > counts[a] ? b : a));
+    return counts[best] > 0 ? best : null;
+}
+
+/**
+ * Resolves the `rustdocstring.commentStyle` setting for a document: an explicit style is used as is,
+ * and `auto` follows the style the document already uses, falling back to `line`.
+ *
+ * @param {string} setting - The setting value: `auto`, `line`, `block`, or `attribute`.
+ * @param {vscode.TextDocument} document - The document the comment is written in.
+ * @returns {"line"|"block"|"attribute"} The style to write.
+ */
+function resolveCommentStyle(setting, document) {
+    if (COMMENT_STYLES.includes(setting)) return setting;
+    return detectCommentStyle(document) || 'line';
+}
+
+/**
+ * Splits a generated doc comment (first line unprefixed, following lines prefixed with `///` or `//!`)
+ * into its text lines. Tab stops are kept.
+ *
+ * @param {string} doc - A doc comment as returned by `generateDocComment` or `generateModuleDoc`.
+ * @returns {string[]} The comment text, one element per line.
+ */
+function splitDocComment(doc) {
+    return doc.split('\n').map((text, i) => (i === 0 ? text.trim() : text.replace(/^\/\/[/!] ?/, '')));
+}
+
+/**
+ * Formats comment text as doc comment lines in a style.
+ *
+ * - `line`: `/// text`, or `//! text` for inner comments.
+ * - `block`: `/**` and `*\/` on their own lines, with ` * text` continuation lines aligned under the first `*`.
+ * - `attribute`: `#[doc = " text"]`, or `#![doc = " text"]`, with `"` and `\` escaped. When `snippet` is set,
+ *   the snippet escapes (`\$`, `\}`, `\\`) in the text are kept working.
+ *
+ * Blank lines carry no trailing whitespace.
+ *
+ * @param {string[]} lines - The comment text, one element per line.
+ * @param {"line"|"block"|"attribute"} style - The comment style.
+ * @param {Object} [options={}] - Formatting options.
+ * @param {string} [options.indent=''] - The indentation of every line.
+ * @param {boolean} [options.inner=false] - Whether to write an inner (`//!`) doc comment.
+ * @param {boolean} [options.snippet=false] - Whether the text is a snippet containing tab stops.
+ * @returns {string[]} The formatted lines.
+ */
+function formatCommentLines(lines, style, options = {}) {
+    const { indent = '', inner = false, snippet = false } = options;
+    const bang = inner ? '!' : '';
+
+    switch (style) {
+        case 'block':
+            return [
+                `${indent}/*${inner ? '!' : '*'}`,
+                ...lines.map(text => (text ? `${indent} * ${text}` : `${indent} *`)),
+                `${indent} */`,
+            ];
+        case 'attribute':
+            return lines.map(text => (text ? `${indent}#${bang}[doc = " ${escapeAttributeText(text, snippet)}"]` : `${indent}#${bang}[doc = ""]`));
+        default: {
+            const prefix = inner ? '//!' : '///';
+            return lines.map(text => (text ? `${indent}${prefix} ${text}` : `${indent}${prefix}`));
+        }
+    }
+}
+
+/**
+ * Reads the text of an existing doc comment, without its comment syntax.
+ *
+ * @param {string[]} lines - The lines of the comment, as written in the document.
+ * @param {"line"|"block"|"attribute"} style - The comment style.
+ * @returns {{ text: string[], offset: number }} The comment text, one element per line, and the index in
+ *   `lines` of the first text line (a `/**` on its own line is not part of the text).
+ */
+function readCommentLines(lines, style) {
+    if (style === 'attribute') {
+        return {
+            text: lines.map(line => {
+                const match = line.match(/#!?\[\s*doc\s*=\s*"((?:\\.|[^"\\])*)"/);
+                return match ? match[1].replace(/\\(.)/g, '$1').replace(/^ /, '') : '';
+            }),
+            offset: 0,
+        };
+    }
+    if (style !== 'block') return { text: lines.map(line => line.replace(/^\s*\/\/[/!] ?/, '')), offset: 0 };
+
+    const text = lines.map(line => line);
+    text[0] = text[0].replace(/^\s*\/\*[*!]\s?/, '');
+    text[text.length - 1] = text[text.length - 1].replace(/\s*\*\/\s*$/, '');
+
+    // Continuation lines lose their leading ` * `, or their common indentation when they have none
+    const starless = text.slice(1).filter(line => line.trim() !== '' && !/^\s*\*/.test(line));
+    const indent = Math.min(...starless.map(line => line.match(/^\s*/)[0].length));
+    for (let i = 1; i < text.length; i++) {
+        text[i] = /^\s*\*/.test(text[i]) ? text[i].replace(/^\s*\* ?/, '') : text[i].slice(Number.isFinite(indent) ? indent : 0);
+    }
+
+    const offset = text[0].trim() === '' && text.length > 1 ? 1 : 0;
+    const end = text.length > 1 && text[text.length - 1].trim() === '' ? text.length - 1 : text.length;
+    return { text: text.slice(offset, end), offset };
+}
+
+/**
+ * Escapes comment text for a `#[doc = "..."]` string literal.
+ *
+ * @param {string} text - The comment text.
+ * @param {boolean} snippet - Whether the text is a snippet, whose `\$`, `\}`, and `\\` escapes must keep working.
+ * @returns {string} The escaped text.
+ */
+function escapeAttributeText(text, snippet) {
+    if (!snippet) return text.replace(/[\\"]/g, '\\$&');
+
+    return text.replace(/\\([\\$}])|\\|"/g, (match, escaped) => {
+        if (match === '"') return '\\"';
+        if (escaped === '$' || escaped === '}') return match;
+        // A backslash in the output becomes `\\` in the string literal, written `\\\\` in the snippet
+        return '\\\\\\\\';
+    });
+}
+
+module.exports = {
+    COMMENT_STYLES,
+    matchDocTrigger,
+    detectCommentStyle,
+    resolveCommentStyle,
+    splitDocComment,
+    formatCommentLines,
+    readCommentLines,
+};
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const { contributes } = require('../package.json');
+const { WORKSPACE_FILE } = require('./template.js');
+
+/**
+ * The prefix of the extension's settings in VS Code.
+ */
+const SETTINGS_PREFIX = 'rustdocstring.';
+
+/**
+ * The schema of every setting, keyed by its name without the prefix, as declared in `package.json`.
+ */
+const SETTINGS = Object.fromEntries(Object.entries(contributes.configuration.properties)
+    .map(([key, schema]) => [key.slice(SETTINGS_PREFIX.length), schema]));
+
+/**
+ * Raised when a configuration file cannot be read or holds an invalid setting.
+ */
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+/**
+ * Reads the settings of a configuration file (`.rustdocstring.json`), for use outside VS Code.
+ *
+ * The file holds the same settings as VS Code, keyed with or without the `rustdocstring.` prefix,
+ * and the `templates` object the extension already reads from it:
+ *
+ * ```json
+ * { "includeExamples": false, "commentStyle": "block", "templates": { "function": "..." } }
+ * ```
+ *
+ * @param {string} filePath - The configuration file.
+ * @returns {Object<string, any>} The settings, keyed without the prefix.
+ * @throws {ConfigError} If the file is not valid JSON, or a setting is unknown or has a value its schema does not allow.
+ */
+function readConfigFile(filePath) {
+    let json;
+    try {
+        json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Could not read ${filePath}: ${error.message}`);
+    }
+    return readSettings(json, filePath);
+}
+
+/**
+ * Validates settings received as JSON, from a configuration file or an editor.
+ *
+ * @param {any} json - The settings object, keyed with or without the `rustdocstring.` prefix.
+ * @param {string} source - Where the settings come from, for error messages.
+ * @returns {Object<string, any>} The settings, keyed without the prefix.
+ * @throws {ConfigError} If `json` is not an object, or a setting is unknown or has a value its schema does not allow.
+ */
+function readSettings(json, source) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        throw new ConfigError(`${source} must contain a JSON object.`);
+    }
+
+    const settings = {};
+    for (const [key, value] of Object.entries(json)) {
+        const name = key.startsWith(SETTINGS_PREFIX) ? key.slice(SETTINGS_PREFIX.length) : key;
+        const schema = SETTINGS[name];
+        if (!schema) throw new ConfigError(`${source}: unknown setting "${key}".`);
+
+        const problem = validateSetting(value, schema);
+        if (problem) throw new ConfigError(`${source}: "${key}" ${problem}.`);
+        settings[name] = value;
+    }
+    return settings;
+}
+
+/**
+ * Finds the configuration file that applies to a directory: the nearest `.rustdocstring.json` in it or above it.
+ *
+ * @param {string} dir - The directory to start from.
+ * @returns {string|null} The path of the file, or `null` if there is none.
+ */
+function findConfigFile(dir) {
+    for (let current = path.resolve(dir); ; current = path.dirname(current)) {
+        const filePath = path.join(current, WORKSPACE_FILE);
+        if (fs.existsSync(filePath)) return filePath;
+        if (path.dirname(current) === current) return null;
+    }
+}
+
+/**
+ * Wraps settings in the `get(key, defaultValue)` interface of a `vscode.WorkspaceConfiguration`, so the
+ * code that reads VS Code settings can read a configuration file too.
+ *
+ * @param {Object<string, any>} [settings={}] - The settings, keyed without the prefix, as returned by `readConfigFile`.
+ * @returns {{ get: (key: string, defaultValue?: any) => any }} The configuration.
+ */
+function createConfiguration(settings = {}) {
+    return {
+        get: (key, defaultValue) => (Object.prototype.hasOwnProperty.call(settings, key) ? settings[key] : defaultValue),
+    };
+}
+
+/**
+ * Reads the doc generation options shared by every command from the configuration.
+ *
+ * @param {{ get: (key: string, defaultValue?: any) => any }} config - The `rustdocstring` configuration, or one
+ *   returned by `createConfiguration`.
+ * @returns {Object} The options accepted by `generateDocComment`, without templates.
+ */
+function getGenerationOptions(config) {
+    return {
+        includeExamples: config.get('includeExamples', true),
+        examplesOnlyForPublicOrExtern: config.get('examplesOnlyForPublicOrExtern', false),
+        includeSafetyDetails: config.get('includeSafetyDetails', false),
+        includeTypeParameters: config.get('includeTypeParameters', false),
+        includePanics: config.get('includePanics', true),
+        memberDocs: config.get('memberDocs', 'list'),
+        exampleFence: config.get('exampleFence', 'auto')
+    };
+}
+
+/**
+ * Checks a setting value against its schema.
+ *
+ * @param {any} value - The value.
+ * @param {Object} schema - The setting's schema from `package.json`.
+ * @returns {string|null} What is wrong with the value, or `null` if it is valid.
+ */
+function validateSetting(value, schema) {
+    const type = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    if (type !== schema.type) return `must be ${schema.type === 'array' ? 'an' : 'a'} ${schema.type}`;
+    if (schema.enum && !schema.enum.includes(value)) return `must be one of: ${schema.enum.join(', ')}`;
+    if (schema.items?.enum) {
+        const unknown = value.find(element => !schema.items.enum.includes(element));
+        if (unknown !== undefined) return `has an unknown value "${unknown}"; expected: ${schema.items.enum.join(', ')}`;
+    }
+    return null;
+}
+
+module.exports = {
+    SETTINGS,
+    ConfigError,
+    readConfigFile,
+    readSettings,
+    findConfigFile,
+    createConfiguration,
+    getGenerationOptions,
+};
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./tokenizer.js');
+const { parseItem, readMembers, withoutPlainComments } = require('./item_parser.js');
+const { findEnclosingBlockHeaders } = require('./utils.js');
+
+// The manifest that marks the root of a Cargo package
+const MANIFEST_FILE = 'Cargo.toml';
+
+// Async runtimes that can run an example, in order of preference
+const ASYNC_RUNTIMES = ['tokio', 'async-std', 'futures'];
+
+/**
+ * Finds the nearest `Cargo.toml` above a source file.
+ *
+ * @param {string} fileName - The absolute path of a `.rs` file.
+ * @returns {string|null} The path of the manifest, or `null` if there is none (or the file is untitled).
+ */
+function findCrateManifest(fileName) {
+    if (!fileName || !path.isAbsolute(fileName)) return null;
+
+    let dir = path.dirname(fileName);
+    for (;;) {
+        const manifest = path.join(dir, MANIFEST_FILE);
+        if (fs.existsSync(manifest)) return manifest;
+
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Reads the library target of a package from the text of its `Cargo.toml`.
+ *
+ * Only the `name` and `path` keys of the `[package]` and `[lib]` tables are read, along with the names of
+ * the `[dependencies]` and `[dev-dependencies]`, which doctests can all use: `tokio = "1"` entries, dotted keys such as
+ * the workspace-inherited `tokio.workspace = true`, and `[dependencies.tokio]` tables, including those of
+ * platform-specific tables such as `[target.'cfg(unix)'.dependencies]`. The crate name is the `[lib]` name when one is given, otherwise the package
+ * name, with `-` replaced by `_` as Cargo does.
+ *
+ * ### Example
+ * Input:
+ * ```toml
+ * [package]
+ * name = "my-crate"
+ *
+ * [dev-dependencies]
+ * tokio = { version = "1", features = ["full"] }
+ * ```
+ * Output:
+ * ```text
+ * { name: "my_crate", path: null, dependencies: ["tokio"] }
+ * ```
+ *
+ * @param {string} text - The manifest text.
+ * @returns {{ name: string, path: string|null, dependencies: string[] }|null} The crate name, the library root given
+ *   by `[lib] path`, and the dependency names, or `null` if the manifest has no package (e.g., a virtual workspace manifest).
+ */
+function readCrateManifest(text) {
+    const tables = {};
+    const dependencies = new Set();
+    let table = null;
+    let inDependencies = false;
+
+    for (const line of text.split(/\r?\n/)) {
+        const header = line.match(/^\s*\[\[?\s*([^[\]]+?)\s*\]\]?\s*(?:#.*)?$/);
+        if (header) {
+            table = header[1];
+            tables[table] = tables[table] || {};
+
+            // `[target.'cfg(unix)'.dependencies]` holds dependencies like `[dependencies]`, and
+            // `[dependencies.tokio]` declares one dependency as a table of its own
+            const keys = (table.match(/"[^"]*"|'[^']*'|[^.]+/g) || []).map(key => key.trim().replace(/^(["'])(.*)\1$/, '$2'));
+            const [parent, dependency] = keys[0] === 'target' ? keys.slice(2) : keys;
+            inDependencies = parent === 'dependencies' || parent === 'dev-dependencies';
+            if (inDependencies && dependency) {
+                dependencies.add(dependency);
+                inDependencies = false;
+            }
+            continue;
+        }
+
+        // `tokio = "1"`, or a dotted key such as `tokio.workspace = true`
+        if (inDependencies) {
+            const dependency = line.match(/^\s*([\w-]+)\s*[.=]/);
+            if (dependency) dependencies.add(dependency[1]);
+            continue;
+        }
+
+        const entry = line.match(/^\s*(name|path)\s*=\s*(?:"([^"]*)"|'([^']*)')/);
+        if (entry && table) tables[table][entry[1]] = entry[2] ?? entry[3];
+    }
+
+    const name = tables.lib?.name || tables.package?.name;
+    if (!name) return null;
+    return { name: name.replace(/-/g, '_'), path: tables.lib?.path || null, dependencies: [...dependencies] };
+}
+
+/**
+ * Works out the crate and module path of a source file, for the `use` line of generated examples.
+ *
+ * The crate is found from the nearest `Cargo.toml` (see `readCrateManifest`), and the module path from
+ * the file's position under the library root's directory (`src/`): `lib.rs` is the crate root, `mod.rs`
+ * takes the name of its directory, and any other file adds its own name. The module is reachable from
+ * outside the crate when the package has a library target, the file is not a binary (`main.rs` or
+ * `bin/`), and each module on the path is declared `pub mod` by its parent file. Re-exports (`pub use`)
+ * and `#[path]` attributes are not followed.
+ *
+ * ### Example
+ * Input:
+ * ```text
+ * "/work/my-crate/src/net/http.rs", where `src/lib.rs` has `pub mod net;` and `src/net.rs` has `pub mod http;`
+ * ```
+ * Output:
+ * ```text
+ * { name: "my_crate", path: ["net", "http"], reachable: true, dependencies: [] }
+ * ```
+ *
+ * @param {string} fileName - The absolute path of a `.rs` file.
+ * @returns {{ name: string, path: string[], reachable: boolean, dependencies: string[] }|null} The crate name, the
+ *   module path, whether the module is public, and the crate's dependencies, or `null` if the file is not part of a
+ *   package's `src/` tree.
+ */
+function resolveCrateModule(fileName) {
+    const manifest = findCrateManifest(fileName);
+    if (!manifest) return null;
+
+    let crate;
+    try {
+        crate = readCrateManifest(fs.readFileSync(manifest, 'utf8'));
+    } catch {
+        return null;
+    }
+    if (!crate) return null;
+
+    const libRoot = path.resolve(path.dirname(manifest), crate.path || path.join('src', 'lib.rs'));
+    const srcDir = path.dirname(libRoot);
+    const relative = path.relative(srcDir, fileName);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+
+    const segments = relative.replace(/\.rs$/, '').split(path.sep);
+    const isBinary = segments[0] === 'bin' || relative === 'main.rs';
+    const isRoot = path.resolve(fileName) === libRoot || isBinary;
+    if (segments[segments.length - 1] === 'mod') segments.pop();
+
+    const modulePath = isRoot ? [] : segments;
+    const reachable = !isBinary && fs.existsSync(libRoot)
+        && modulePath.every((name, i) => readModuleVisibility(findModuleFile(srcDir, libRoot, modulePath.slice(0, i)), name) === 'pub');
+
+    return { name: crate.name, path: modulePath, reachable, dependencies: crate.dependencies };
+}
+
+/**
+ * Finds the file of a module from its path under the library root's directory.
+ *
+ * @param {string} srcDir - The directory of the library root.
+ * @param {string} libRoot - The library root file.
+ * @param {string[]} modulePath - The module path, empty for the crate root.
+ * @returns {string|null} The module's file (`name.rs` or `name/mod.rs`), or `null` if there is none.
+ */
+function findModuleFile(srcDir, libRoot, modulePath) {
+    if (modulePath.length === 0) return libRoot;
+    const candidates = [path.join(srcDir, ...modulePath) + '.rs', path.join(srcDir, ...modulePath, 'mod.rs')];
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Reads the visibility of a `mod name;` (or inline `mod name { ... }`) declaration in a file.
+ *
+ * @param {string|null} fileName - The declaring file.
+ * @param {string} name - The module name.
+ * @returns {string|null} The declaration's visibility (`pub`, `pub(crate)`, or `''`), or `null` if it is not declared.
+ */
+function readModuleVisibility(fileName, name) {
+    if (!fileName) return null;
+
+    try {
+        const members = readMembers(withoutPlainComments(tokenize(fs.readFileSync(fileName, 'utf8'))));
+        return members.find(member => member.kind === 'mod' && member.name === name)?.visibility ?? null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Extends the module of a file with the inline `mod name { ... }` blocks enclosing a line.
+ * The module stays reachable only if each of those blocks is declared `pub mod`.
+ *
+ * @param {{ name: string, path: string[], reachable: boolean, dependencies: string[] }|null} crate - The file's module, as
+ *   returned by `resolveCrateModule`.
+ * @param {vscode.TextDocument} document - The document containing the line.
+ * @param {number} line - The zero-based line.
+ * @returns {{ name: string, path: string[], reachable: boolean, dependencies: string[] }|null} The module the line is in,
+ *   or `null` without a crate.
+ */
+function enterInlineModules(crate, document, line) {
+    if (!crate) return null;
+
+    const modules = findEnclosingBlockHeaders(document, line).map(header => parseItem(header)).filter(item => item?.kind === 'mod');
+    return enterModules(crate, modules);
+}
+
+/**
+ * Extends the module of a file with inline modules already found, like `enterInlineModules` does with
+ * the blocks it reads. Scans that walk the whole file use it to avoid reading the blocks again for each item.
+ *
+ * @param {{ name: string, path: string[], reachable: boolean, dependencies: string[] }|null} crate - The file's module, as
+ *   returned by `resolveCrateModule`.
+ * @param {{ name: string, visibility: string }[]} modules - The enclosing inline modules, outermost first, as listed in
+ *   the `modules` of `scanItems` records.
+ * @returns {{ name: string, path: string[], reachable: boolean, dependencies: string[] }|null} The module, or `null`
+ *   without a crate.
+ */
+function enterModules(crate, modules) {
+    if (!crate) return null;
+
+    return {
+        ...crate,
+        path: [...crate.path, ...modules.map(module => module.name)],
+        reachable: crate.reachable && modules.every(module => module.visibility === 'pub'),
+    };
+}
+
+/**
+ * Works out the `use` path of an item in a generated example, and whether the example must be marked
+ * `ignore` because doctests, which build against the public API, cannot reach the item.
+ *
+ * @param {string|null} name - The name of the item to import, or `null` if it cannot be imported by name.
+ * @param {string} visibility - The item's visibility, as returned by `parseItem`.
+ * @param {{ name: string, path: string[], reachable: boolean }|null} [crate] - The item's module, as returned by `enterInlineModules`.
+ * @returns {{ path: string|null, ignore: boolean }} The import path (e.g., `my_crate::net::Client`), or `null` when
+ *   the crate is not known, and whether to mark the example `ignore`.
+ */
+function resolveExampleImport(name, visibility, crate) {
+    if (!crate || !name) return { path: null, ignore: false };
+    return { path: [crate.name, ...crate.path, name].join('::'), ignore: !crate.reachable || visibility !== 'pub' };
+}
+
+/**
+ * Picks the async runtime a crate's examples can run `async` functions on, from its dependencies:
+ * `tokio`, then `async-std`, then the `futures` executor.
+ *
+ * @param {{ dependencies?: string[] }|null} [crate] - The crate, as returned by `resolveCrateModule`.
+ * @returns {"tokio"|"async-std"|"futures"|null} The runtime, or `null` if the crate depends on none of them.
+ */
+function findAsyncRuntime(crate) {
+    const dependencies = crate?.dependencies || [];
+    return ASYNC_RUNTIMES.find(runtime => dependencies.includes(runtime)) || null;
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    findCrateManifest,
+    readCrateManifest,
+    resolveCrateModule,
+    enterInlineModules,
+    enterModules,
+    resolveExampleImport,
+    findAsyncRuntime,
+};
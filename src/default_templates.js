@@ -0,0 +1,417 @@
+/**
+ * Built-in doc comment templates, one per item kind. See `renderTemplate` in `template.js` for the
+ * template syntax and the README for the values each item kind provides.
+ *
+ * Each template is written one line per array element. Lines that hold nothing but a block tag
+ * (`{{#if ...}}`, `{{/if}}`, ...) are dropped when rendering.
+ */
+
+// Shared by functions, structs, and enums
+const TYPE_PARAMETERS_SECTION = [
+    '{{#if showTypeParams}}',
+    '',
+    '# Type Parameters',
+    '',
+    '{{#each typeParams}}',
+    '{{#if isConst}}',
+    '- `{{name}}` (`const {{bounds}}`) - {{tab "Describe this const parameter."}}',
+    '{{else if isLifetime}}',
+    '- `{{name}}`{{#if bounds}} (`{{bounds}}`){{/if}} - {{tab "Describe this lifetime."}}',
+    '{{else}}',
+    '- `{{name}}`{{#if bounds}} (`{{bounds}}`){{/if}} - {{tab "Describe this type parameter."}}',
+    '{{/if}}',
+    '{{/each}}',
+    '{{/if}}',
+];
+
+// Shared by every item except extern blocks and modules, right below the summary line
+const ATTRIBUTE_NOTES = [
+    '{{#if availability}}',
+    '',
+    '{{availability}}',
+    '{{/if}}',
+    '{{#if mustUse}}',
+    '',
+    '{{tab mustUse}}',
+    '{{/if}}',
+];
+
+// Shared by structs, enums, and unions with a `#[repr(...)]` attribute
+const LAYOUT_SECTION = [
+    '{{#if layout}}',
+    '',
+    '# Layout',
+    '',
+    '{{#each layout}}',
+    '- {{this}}',
+    '{{/each}}',
+    '{{/if}}',
+];
+
+// Shared by every item except extern blocks and modules
+const DEPRECATED_SECTION = [
+    '{{#if deprecated}}',
+    '',
+    '# Deprecated',
+    '',
+    '{{#if deprecated.since}}Since {{deprecated.since}}. {{/if}}{{#if deprecated.note}}{{tab deprecated.note}}{{else}}{{tab "Describe what to use instead."}}{{/if}}',
+    '{{/if}}',
+];
+
+// Shared by every item with an example code block
+const EXAMPLES_SECTION = [
+    '{{#if showExamples}}',
+    '',
+    '# Examples',
+    '',
+    '```{{example.attributes}}',
+    '{{example.code}}',
+    '```',
+    '{{/if}}',
+];
+
+const FUNCTION_TEMPLATE = [
+    '{{tab "Describe this function."}}',
+    ...ATTRIBUTE_NOTES,
+    ...TYPE_PARAMETERS_SECTION,
+    '{{#if params}}',
+    '',
+    '# Arguments',
+    '',
+    '{{#each params}}',
+    '- `{{name}}` (`{{type}}`) - {{tab "Describe this parameter."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if returnType}}',
+    '',
+    '# Returns',
+    '',
+    '{{#if diverges}}',
+    'This function never returns. {{tab "Describe how it diverges (e.g., exits the process or loops forever)."}}',
+    '{{/if}}',
+    '{{#each returns}}',
+    '- {{head}} - {{tab description}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if safety}}',
+    '',
+    '# Safety',
+    '',
+    '{{#if includeSafetyDetails}}',
+    '- **The caller must ensure that:**',
+    '  - Any internal state or memory accessed by this function is in a valid state.',
+    "  - Preconditions specific to this function's logic are satisfied.",
+    '  - This function is only called in the correct program state to avoid UB.',
+    '{{/if}}',
+    '{{#each obligations}}',
+    '- **{{head}}:**',
+    '{{#each requirements}}',
+    '  - {{this}}',
+    '{{/each}}',
+    '{{/each}}',
+    '{{#if unsafe}}',
+    '- **This function is `unsafe` because:**',
+    '  - {{tab "Describe unsafe behavior."}}',
+    '{{/if}}',
+    '{{/if}}',
+    '{{#if fallible}}',
+    '',
+    '# Errors',
+    '',
+    '{{#if errors}}',
+    '{{#each errors}}',
+    '- {{head}} - {{tab description}}',
+    '{{/each}}',
+    '{{else}}',
+    '{{tab "Describe possible errors."}}',
+    '{{/if}}',
+    '{{/if}}',
+    '{{#if panics}}',
+    '',
+    '# Panics',
+    '',
+    '{{#each panics}}',
+    '- {{tab description}}',
+    '{{/each}}',
+    '{{/if}}',
+    ...DEPRECATED_SECTION,
+    ...EXAMPLES_SECTION,
+];
+
+const STRUCT_TEMPLATE = [
+    '{{tab "Describe this struct."}}',
+    ...ATTRIBUTE_NOTES,
+    ...TYPE_PARAMETERS_SECTION,
+    '{{#unless inlineMembers}}',
+    '{{#if fields}}',
+    '',
+    '# Fields',
+    '',
+    '{{#each fields}}',
+    '- `{{name}}` (`{{type}}`) - {{#if tuple}}{{tab "Describe this tuple field."}}{{else}}{{tab "Describe this field."}}{{/if}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{/unless}}',
+    ...LAYOUT_SECTION,
+    ...DEPRECATED_SECTION,
+    ...EXAMPLES_SECTION,
+];
+
+const ENUM_TEMPLATE = [
+    '{{tab "Describe this enum."}}',
+    ...ATTRIBUTE_NOTES,
+    ...TYPE_PARAMETERS_SECTION,
+    '{{#unless inlineMembers}}',
+    '',
+    '# Variants',
+    '',
+    '{{#each variants}}',
+    '- `{{label}}`{{#if discriminant}} (`= {{discriminant}}`){{/if}} - {{#if isDefault}}**Default.** {{/if}}{{tab description}}',
+    '{{/each}}',
+    '{{/unless}}',
+    ...LAYOUT_SECTION,
+    ...DEPRECATED_SECTION,
+    ...EXAMPLES_SECTION,
+];
+
+const TRAIT_TEMPLATE = [
+    '{{tab "Describe this trait."}}',
+    ...ATTRIBUTE_NOTES,
+    '{{#if supertraits}}',
+    '',
+    '# Supertraits',
+    '',
+    '{{#each supertraits}}',
+    '- `{{name}}` - {{tab "Describe why this bound is required."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if associatedTypes}}',
+    '',
+    '# Associated Types',
+    '',
+    '{{#each associatedTypes}}',
+    '- `{{name}}`{{#if bounds}} (`{{bounds}}`){{/if}} - {{tab "Describe this associated type."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if associatedConsts}}',
+    '',
+    '# Associated Constants',
+    '',
+    '{{#each associatedConsts}}',
+    '- `{{name}}` (`{{type}}`) - {{tab "Describe this associated constant."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if requiredMethods}}',
+    '',
+    '# Required Methods',
+    '',
+    '{{#each requiredMethods}}',
+    '- [`{{name}}`]({{path}}) - {{tab "Describe this required method."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if providedMethods}}',
+    '',
+    '# Provided Methods',
+    '',
+    '{{#each providedMethods}}',
+    '- [`{{name}}`]({{path}}) - {{tab "Describe this provided method."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if unsafe}}',
+    '',
+    '# Safety',
+    '',
+    '{{#if includeSafetyDetails}}',
+    '- **Implementors must ensure that:**',
+    '  - Every invariant documented by this trait holds for the implementing type.',
+    '  - The invariants hold for the whole lifetime of every value of the implementing type.',
+    '  - Unsafe code relying on this trait cannot observe a violated invariant.',
+    '{{/if}}',
+    '- **This trait is `unsafe` to implement because:**',
+    '  - {{tab "Describe the invariants implementors must uphold."}}',
+    '{{/if}}',
+    ...DEPRECATED_SECTION,
+    '{{#if showExamples}}',
+    '',
+    '# Implementing',
+    '',
+    '```{{example.attributes}}',
+    '{{example.code}}',
+    '```',
+    '{{/if}}',
+];
+
+const UNION_TEMPLATE = [
+    '{{tab "Describe this union."}}',
+    ...ATTRIBUTE_NOTES,
+    '',
+    '# Fields',
+    '',
+    '{{#each fields}}',
+    '- `{{name}}` (`{{type}}`) - {{tab "Describe this field."}}',
+    '{{/each}}',
+    '',
+    '# Safety',
+    '',
+    '{{#if includeSafetyDetails}}',
+    '- **The caller must ensure that:**',
+    '  - The field being read is the one most recently written, or its type is valid for the stored bytes.',
+    '  - The bytes being read are fully initialized for the field\'s type.',
+    '  - Fields with drop glue are wrapped in `ManuallyDrop` and dropped manually.',
+    '{{/if}}',
+    '- **Reading a field is `unsafe` because:**',
+    '  - The compiler does not track which field is active, so a read may reinterpret the bytes of another field.',
+    '  - {{tab "Describe how callers know which field is active."}}',
+    ...LAYOUT_SECTION,
+    ...DEPRECATED_SECTION,
+    ...EXAMPLES_SECTION,
+];
+
+const TYPE_ALIAS_TEMPLATE = [
+    '{{#if associated}}{{tab "Describe this associated type."}}{{else}}{{tab "Describe this type alias."}}{{/if}}',
+    ...ATTRIBUTE_NOTES,
+    '{{#if aliased}}',
+    '',
+    '# Aliased Type',
+    '',
+    '- `{{aliased}}` - {{tab "Describe the aliased type."}}',
+    '{{/if}}',
+    ...DEPRECATED_SECTION,
+];
+
+const CONST_TEMPLATE = [
+    '{{#if static}}{{tab "Describe this static."}}{{else}}{{tab "Describe this constant."}}{{/if}}',
+    ...ATTRIBUTE_NOTES,
+    '{{#if safety}}',
+    '',
+    '# Safety',
+    '',
+    '{{#if includeSafetyDetails}}',
+    '- **The caller must ensure that:**',
+    '{{#if mut}}',
+    '  - No other thread reads or writes this static for the duration of the access.',
+    '  - No reference to this static outlives the access that created it.',
+    '{{/if}}',
+    '{{#if foreign}}',
+    '  - The foreign definition has exactly the type declared here.',
+    '  - The foreign library has initialized the value before it is read.',
+    '{{/if}}',
+    '{{/if}}',
+    '{{#if mut}}',
+    '- **Accessing this `static mut` is `unsafe` because:**',
+    '  - Unsynchronized reads and writes from multiple threads are a data race, which is undefined behavior.',
+    '{{else}}',
+    '- **Accessing this foreign static is `unsafe` because:**',
+    '  - Its value is defined and may be modified by foreign code the compiler cannot check.',
+    '{{/if}}',
+    '  - {{tab "Describe how accesses are synchronized."}}',
+    '{{/if}}',
+    ...DEPRECATED_SECTION,
+];
+
+const EXTERN_TEMPLATE = [
+    '{{tab "Describe this foreign interface."}}',
+    '{{#if functions}}',
+    '',
+    '# Functions',
+    '',
+    '{{#each functions}}',
+    '- [`{{name}}`] - {{tab "Describe this foreign function."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if statics}}',
+    '',
+    '# Statics',
+    '',
+    '{{#each statics}}',
+    '- [`{{name}}`] (`{{type}}`) - {{tab "Describe this foreign static."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '',
+    '# Safety',
+    '',
+    '{{#if includeSafetyDetails}}',
+    '- **The caller must ensure that:**',
+    '  - Every declaration matches the foreign definition exactly (name, ABI, argument and return types).',
+    '  - The foreign library is linked and initialized before any item is used.',
+    '  - Pointers passed across the boundary satisfy the foreign code\'s validity and ownership rules.',
+    '{{/if}}',
+    '- **Using these `extern "{{abi}}"` items is `unsafe` because:**',
+    '  - The compiler cannot check the declarations against the foreign definitions.',
+    '  - {{tab "Describe the requirements of the foreign library."}}',
+];
+
+const MODULE_TEMPLATE = [
+    '{{#if crate}}{{tab "Describe this crate."}}{{else}}{{tab "Describe this module."}}{{/if}}',
+    '{{#if structs}}',
+    '',
+    '# Structs',
+    '',
+    '{{#each structs}}',
+    '- [`{{name}}`] - {{tab "Describe this struct."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if enums}}',
+    '',
+    '# Enums',
+    '',
+    '{{#each enums}}',
+    '- [`{{name}}`] - {{tab "Describe this enum."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if traits}}',
+    '',
+    '# Traits',
+    '',
+    '{{#each traits}}',
+    '- [`{{name}}`] - {{tab "Describe this trait."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if functions}}',
+    '',
+    '# Functions',
+    '',
+    '{{#each functions}}',
+    '- [`{{name}}`] - {{tab "Describe this function."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if modules}}',
+    '',
+    '# Modules',
+    '',
+    '{{#each modules}}',
+    '- [`{{name}}`] - {{tab "Describe this module."}}',
+    '{{/each}}',
+    '{{/if}}',
+    '{{#if showExamples}}',
+    '',
+    '# Examples',
+    '',
+    '```{{#if ignoreExample}}ignore{{/if}}',
+    '{{#if crate}}',
+    'use {{#if importPath}}{{importPath}}{{else}}{{tab "crate_name"}}{{/if}};',
+    '',
+    '{{tab "// Use the crate here."}}',
+    '{{else}}',
+    'use {{#if importPath}}{{importPath}}{{else}}crate::{{tab moduleName}}{{/if}};',
+    '',
+    '{{tab "// Use the module here."}}',
+    '{{/if}}',
+    '```',
+    '{{/if}}',
+];
+
+const DEFAULT_TEMPLATES = {
+    function: FUNCTION_TEMPLATE.join('\n'),
+    struct: STRUCT_TEMPLATE.join('\n'),
+    enum: ENUM_TEMPLATE.join('\n'),
+    trait: TRAIT_TEMPLATE.join('\n'),
+    union: UNION_TEMPLATE.join('\n'),
+    type: TYPE_ALIAS_TEMPLATE.join('\n'),
+    const: CONST_TEMPLATE.join('\n'),
+    static: CONST_TEMPLATE.join('\n'),
+    extern: EXTERN_TEMPLATE.join('\n'),
+    module: MODULE_TEMPLATE.join('\n'),
+};
+
+module.exports = { DEFAULT_TEMPLATES };
@@ -0,0 +1,108 @@
+const { scanItems } = require('./bulk_docs.js');
+const { resolveCrateModule, enterModules } = require('./crate_paths.js');
+const { getModuleName } = require('./utils.js');
+
+/**
+ * The placeholder text the built-in templates write for the user to replace (`Describe this function.`,
+ * `Describe the return value.`, `Describe when this error occurs.`, ...).
+ */
+const PLACEHOLDER_PATTERN = /\bDescribe (?:this|the|when|why|what|unsafe)\b/;
+
+/**
+ * Measures the documentation coverage of the `pub` items of a document: whether each one has a doc
+ * comment, and whether that comment still holds a generated placeholder.
+ *
+ * Items are found with `scanItems`, so trait members and the items of inline modules, inherent impls,
+ * and `extern` blocks count, while items in trait impls, function bodies, and `#[cfg(test)]` modules do
+ * not. Each item is placed in its module (`crate::net::http`), found like the `use` line of examples.
+ *
+ * ### Example
+ * Input (`src/net.rs` of the `my_crate` package):
+ * ```rust
+ * /// Describe this function.
+ * pub fn connect() {}
+ *
+ * pub fn close() {}
+ * ```
+ * Output:
+ * ```text
+ * { crate: "my_crate", items: [{ name: "connect", status: "placeholder", module: "my_crate::net", ... },
+ *                              { name: "close", status: "undocumented", module: "my_crate::net", ... }] }
+ * ```
+ *
+ * @param {vscode.TextDocument} document - The document to measure. `fileName` locates its crate and module.
+ * @param {{ name: string, path: string[], reachable: boolean, dependencies: string[] }|null} [crate] - The file's module,
+ *   as returned by `resolveCrateModule`. Defaults to the module found from the document's `fileName`.
+ * @returns {{ crate: string|null, items: { line: number, insertLine: number, kind: string, name: string,
+ *   status: "documented"|"placeholder"|"undocumented", module: string }[] }} The crate name (`null` outside a
+ *   package) and the `pub` items in source order. Outside a package, modules are named from the file (`crate::net`).
+ */
+function measureDocCoverage(document, crate) {
+    const fileModule = crate !== undefined ? crate : resolveCrateModule(document.fileName);
+    const fallback = { name: 'crate', path: [getModuleName(document.fileName || 'lib.rs')].filter(Boolean), reachable: true, dependencies: [] };
+
+    const items = scanItems(document).filter(item => item.visibility === 'public').map(item => {
+        const module = enterModules(fileModule || fallback, item.modules);
+        return {
+            line: item.line,
+            insertLine: item.insertLine,
+            kind: item.kind,
+            name: item.name,
+            status: item.documented ? (item.docs.some(doc => PLACEHOLDER_PATTERN.test(doc)) ? 'placeholder' : 'documented') : 'undocumented',
+            module: [module.name, ...module.path].join('::'),
+        };
+    });
+
+    return { crate: fileModule ? fileModule.name : null, items };
+}
+
+/**
+ * Counts the items of each status.
+ *
+ * @param {{ status: string }[]} items - The items, as returned by `measureDocCoverage`.
+ * @returns {{ total: number, documented: number, placeholder: number, undocumented: number, percent: number }} The
+ *   counts, and the percentage of items documented without placeholders, rounded down (`100` when there are none).
+ */
+function summarizeCoverage(items) {
+    const count = status => items.filter(item => item.status === status).length;
+    const documented = count('documented');
+    return {
+        total: items.length,
+        documented,
+        placeholder: count('placeholder'),
+        undocumented: count('undocumented'),
+        percent: items.length === 0 ? 100 : Math.floor((documented * 100) / items.length),
+    };
+}
+
+/**
+ * Groups the coverage of several files by crate, then by module.
+ *
+ * @param {{ uri: any, crate: string|null, items: Object[] }[]} files - The coverage of each file, as returned by
+ *   `measureDocCoverage`, with the file's `uri` (any value identifying it).
+ * @returns {{ name: string, summary: Object, modules: { name: string, uri: any, summary: Object,
+ *   items: Object[] }[] }[]} The crates, sorted by name, with their modules sorted by path. Each item carries the `uri`
+ *   of its file; each module the `uri` of its first file. Files outside a package are grouped under `(no crate)`.
+ */
+function groupCoverage(files) {
+    const crates = new Map();
+
+    for (const file of files) {
+        const crateName = file.crate ?? '(no crate)';
+        if (!crates.has(crateName)) crates.set(crateName, new Map());
+        const modules = crates.get(crateName);
+
+        for (const item of file.items) {
+            if (!modules.has(item.module)) modules.set(item.module, { name: item.module, uri: file.uri, items: [] });
+            modules.get(item.module).items.push({ ...item, uri: file.uri });
+        }
+    }
+
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    return [...crates].map(([name, modules]) => {
+        const moduleList = [...modules.values()].map(module => ({ ...module, summary: summarizeCoverage(module.items) })).sort(byName);
+        return { name, summary: summarizeCoverage(moduleList.flatMap(module => module.items)), modules: moduleList };
+    }).filter(crate => crate.modules.length > 0).sort(byName);
+}
+
+module.exports = { measureDocCoverage, summarizeCoverage, groupCoverage, PLACEHOLDER_PATTERN };
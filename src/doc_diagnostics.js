@@ -0,0 +1,172 @@
+const { scanItems } = require('./bulk_docs.js');
+const { loadDocComment, parseEntries, LIST_SECTIONS } = require('./doc_update.js');
+const { mapTemplateSections } = require('./template.js');
+const { findDocumentedMembers } = require('./member_docs.js');
+const { PLACEHOLDER_PATTERN } = require('./doc_coverage.js');
+
+/**
+ * What each list section documents, used in diagnostic messages.
+ */
+const ENTRY_NOUNS = {
+    'arguments': 'Parameter',
+    'fields': 'Field',
+    'variants': 'Variant',
+    'type parameters': 'Type parameter',
+    'supertraits': 'Supertrait',
+    'associated types': 'Associated type',
+    'associated constants': 'Associated constant',
+    'required methods': 'Required method',
+    'provided methods': 'Provided method',
+    'functions': 'Foreign function',
+    'statics': 'Foreign static',
+};
+
+/**
+ * Sections whose absence is reported when the signature calls for them, with the reason.
+ */
+const REQUIRED_SECTIONS = {
+    'safety': 'is `unsafe`',
+    'errors': 'returns a `Result`',
+    'panics': 'can panic',
+    'deprecated': 'is `#[deprecated]`',
+};
+
+/**
+ * Compares the doc comment of every documented item in a document with the item's signature.
+ *
+ * The following problems are reported:
+ * - `stale-entry`: a documented parameter, field, variant, or member that is no longer in the
+ *   signature. Entries already struck through by **Update Rust Doc Comment** are not reported.
+ * - `undocumented-entry`: a parameter, field, variant, or member missing from its section.
+ * - `type-mismatch`: a documented type (or return type) that differs from the signature.
+ * - `missing-section`: a list section the signature calls for, `# Safety` on `unsafe` items, or
+ *   `# Errors` on functions returning a `Result`, `# Panics` on functions whose body can panic, or
+ *   `# Deprecated` on `#[deprecated]` items. A missing list section is not reported when the comment
+ *   has a written description (`/// Adds two numbers.`), which documents the item in prose.
+ *
+ * Fields and variants with a doc comment of their own count as documented, whatever the
+ * `memberDocs` setting, so they need no entry in `# Fields` or `# Variants`.
+ * - `unexpected-section`: `# Returns` on a function that returns unit.
+ *
+ * Sections are recognized by the part of the item's template they come from, so the checks follow
+ * headings renamed by a custom template (`# Parameters` for `# Arguments`).
+ *
+ * ### Example
+ * Input:
+ * ```rust
+ * /// Adds two numbers.
+ * ///
+ * /// # Arguments
+ * ///
+ * /// - `a` (`u8`) - The first number.
+ * pub fn add(a: u16, b: u16) {}
+ * ```
+ * Output:
+ * ```text
+ * [{ code: "undocumented-entry", section: "arguments", line: 2, ... },
+ *  { code: "type-mismatch", section: "arguments", line: 4, ... }]
+ * ```
+ *
+ * @param {vscode.TextDocument} document - The VSCode text document to check.
+ * @param {Object} [options={}] - Doc generation options, as accepted by `generateDocComment`.
+ * @returns {{ code: string, message: string, line: number, section: string, itemLine: number }[]} The problems, in
+ *   source order. `line` is the zero-based line to report on, `section` the lower-case heading of the section to fix,
+ *   and `itemLine` the first line of the item's signature.
+ */
+function checkDocComments(document, options = {}) {
+    const problems = [];
+
+    for (const item of scanItems(document)) {
+        if (!item.documented) continue;
+
+        const loaded = loadDocComment(document, item.line, { ...options, enclosingBlock: item.enclosingBlock });
+        if (!loaded) continue;
+
+        const { block, existing, fresh } = loaded;
+        const report = (code, message, line, section) => problems.push({ code, message, line, section, itemLine: item.line });
+        const what = `\`${item.name}\``;
+
+        // The built-in section each heading stands for, e.g. `arguments` for a template's `# Parameters`
+        const roles = mapTemplateSections(item.kind, options.templates?.[item.kind]);
+        const role = key => roles[key] ?? key;
+
+        const prose = existing.description.some(line => line.trim() !== '' && !PLACEHOLDER_PATTERN.test(line));
+        const documentedMembers = ['struct', 'enum'].includes(item.kind) ? findDocumentedMembers(document, item.insertLine - 1) : new Set();
+        const isDocumentedMember = (kind, entry) => ['fields', 'variants'].includes(kind) && documentedMembers.has(entry.key);
+
+        for (const freshSection of fresh.sections) {
+            const kind = role(freshSection.key);
+            const section = existing.sections.find(s => s.key === freshSection.key);
+            const headingLine = section ? block.firstLine + section.line : block.firstLine;
+
+            if (!section) {
+                if (LIST_SECTIONS.includes(kind)) {
+                    if (prose || parseEntries(freshSection.body).entries.every(entry => isDocumentedMember(kind, entry))) continue;
+                    report('missing-section', `${what} has no \`${freshSection.heading}\` section.`, headingLine, freshSection.key);
+                } else if (REQUIRED_SECTIONS[kind]) {
+                    report('missing-section', `${what} ${REQUIRED_SECTIONS[kind]} but has no \`${freshSection.heading}\` section.`, headingLine, freshSection.key);
+                }
+                continue;
+            }
+
+            if (LIST_SECTIONS.includes(kind)) {
+                const current = parseEntries(section.body);
+                const next = parseEntries(freshSection.body).entries;
+                const entryLine = entry => block.firstLine + section.bodyLine + entry.index;
+                const noun = ENTRY_NOUNS[kind] || 'Entry';
+
+                for (const entry of next) {
+                    const match = current.entries.find(e => e.key === entry.key);
+                    if (!match && isDocumentedMember(kind, entry)) continue;
+                    if (!match) {
+                        report('undocumented-entry', `${noun} \`${entry.key}\` of ${what} is not documented.`, headingLine, section.key);
+                    } else if (!match.stale && writesType(match) && normalizeHead(match.head) !== normalizeHead(entry.head)) {
+                        report('type-mismatch', `${noun} ${match.head} of ${what} does not match the signature: ${entry.head}.`, entryLine(match), section.key);
+                    }
+                }
+                for (const entry of current.entries) {
+                    if (entry.stale || next.some(e => e.key === entry.key)) continue;
+                    report('stale-entry', `${noun} \`${entry.key}\` is documented but is not in the signature of ${what}.`, entryLine(entry), section.key);
+                }
+            } else if (kind === 'returns') {
+                // Matched by name, or by position for a single entry, as in `updateDocComment`
+                const current = parseEntries(section.body).entries;
+                const next = parseEntries(freshSection.body).entries;
+                for (const entry of current) {
+                    const match = next.find(e => e.key === entry.key) || (current.length === 1 ? next[0] : null);
+                    if (entry.stale || !match || normalizeHead(match.head) === normalizeHead(entry.head)) continue;
+                    const line = block.firstLine + section.bodyLine + entry.index;
+                    report('type-mismatch', `Return type ${entry.head} of ${what} does not match the signature: ${match.head}.`, line, section.key);
+                }
+            }
+        }
+
+        const returns = existing.sections.find(s => role(s.key) === 'returns');
+        if (returns && item.kind === 'function' && !fresh.sections.some(s => role(s.key) === 'returns')) {
+            report('unexpected-section', `${what} returns \`()\` but has a \`${returns.heading}\` section.`, block.firstLine + returns.line, returns.key);
+        }
+    }
+
+    return problems.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Normalizes the whitespace of an entry head so formatting differences are not reported.
+ *
+ * @param {string} head - The entry head, e.g. ``- `map` (`HashMap<K,V>`)``.
+ * @returns {string} The head without whitespace.
+ */
+function normalizeHead(head) {
+    return head.replace(/\s+/g, '');
+}
+
+/**
+ * Checks whether an entry written in a doc comment states a type to compare with the signature: a
+ * ``(`type`)`` after the name, or more than the name in its code (`` `Write(String)` ``). Entries that
+ * only name the item (`` `to` ``) are a common style of their own.
+ */
+function writesType(entry) {
+    return /\(`[^`]*`\)$/.test(entry.head) || entry.head.match(/`([^`]*)`/)[1] !== entry.key;
+}
+
+module.exports = { checkDocComments };
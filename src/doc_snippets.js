@@ -0,0 +1,68 @@
+const {
+    findNextSignatureBlock,
+    findNextFunctionBody,
+    findNextItemAttributes,
+    findEnclosingBlockHeader,
+    collectModuleItems,
+    getModuleName
+} = require('./utils.js');
+const { generateDocComment } = require('./docgen.js');
+const { generateModuleDoc } = require('./gen_module_doc.js');
+const { resolveCrateModule, enterInlineModules } = require('./crate_paths.js');
+const { collectConstructors } = require('./gen_struct_doc.js');
+const { parseItem } = require('./item_parser.js');
+
+/**
+ * Generates the doc comment snippet of the item following a line, reading its signature, body,
+ * attributes, enclosing block, and crate module from the document. The `///` completion, the
+ * **Generate Rust Doc Comment** command, and the language server all insert this snippet.
+ *
+ * @param {vscode.TextDocument} document - The document containing the item.
+ * @param {number} line - The zero-based line above the item (the `///` trigger line, or the line before the item's attributes).
+ * @param {Object} [options={}] - Doc generation options, as accepted by `generateDocComment`, with the `errorTypes`
+ *   and `templates` to use.
+ * @returns {string|null} The doc comment snippet, as returned by `generateDocComment`, or `null` if no item follows.
+ */
+function generateItemDoc(document, line, options = {}) {
+    const signature = findNextSignatureBlock(document, line);
+    if (!signature) return null;
+
+    return generateDocComment(signature, {
+        ...options,
+        body: findNextFunctionBody(document, line),
+        attributes: findNextItemAttributes(document, line),
+        enclosingBlock: findEnclosingBlockHeader(document, line + 1),
+        crate: enterInlineModules(resolveCrateModule(document.fileName), document, line + 1),
+        // Structs with private fields are built in examples through a constructor declared anywhere in the file
+        constructors: parseItem(signature)?.kind === 'struct' ? collectConstructors(document.getText()) : undefined,
+    });
+}
+
+/**
+ * Generates the crate-level or module-level `//!` overview snippet for a trigger line.
+ *
+ * The overview is only offered at the top level of a file or directly inside an inline
+ * `mod name { ... }` block, and never when the trigger line extends an existing inner doc comment.
+ *
+ * @param {vscode.TextDocument} document - The document containing the trigger.
+ * @param {number} line - The zero-based line of the `//!` (or `/*!`, `#![doc`) trigger.
+ * @param {Object} [options={}] - Doc generation options; `includeExamples` and `templates` are used.
+ * @returns {string|null} The overview snippet, as returned by `generateModuleDoc`, or `null` if not applicable.
+ */
+function generateModuleOverview(document, line, options = {}) {
+    const isInnerDoc = (i) => i >= 0 && i < document.lineCount && /^\s*(?:\/\/!|\/\*!|#!\[\s*doc\b)/.test(document.lineAt(i).text);
+    if (isInnerDoc(line - 1) || isInnerDoc(line + 1)) return null;
+
+    // Inline modules take their name from the `mod` header; other enclosing blocks are not modules
+    const enclosingBlock = findEnclosingBlockHeader(document, line);
+    const inlineModule = enclosingBlock?.match(/^(?:pub(?:\s*\([^)]*\))?\s+)?mod\s+(\w+)/);
+    if (enclosingBlock && !inlineModule) return null;
+
+    const moduleName = inlineModule ? inlineModule[1] : getModuleName(document.fileName);
+    return generateModuleDoc(collectModuleItems(document, line), moduleName, options.includeExamples ?? true, {
+        crate: enterInlineModules(resolveCrateModule(document.fileName), document, line),
+        templates: options.templates
+    });
+}
+
+module.exports = { generateItemDoc, generateModuleOverview };
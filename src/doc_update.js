@@ -0,0 +1,492 @@
+const { findNextSignatureBlock, findNextFunctionBody, findNextItemAttributes, findEnclosingBlockHeader } = require('./utils.js');
+const { generateDocComment } = require('./docgen.js');
+const { stripTabStops } = require('./template.js');
+const { splitDocComment, formatCommentLines, readCommentLines } = require('./comment_style.js');
+
+/**
+ * Sections whose presence follows the signature (modifiers, return type, and `#[deprecated]`). They are
+ * added when a fresh parse produces them and removed when it no longer does.
+ */
+const SIGNATURE_SECTIONS = ['safety', 'errors', 'returns', 'deprecated'];
+
+/**
+ * Sections listing one entry per parameter, field, variant, or member. When a fresh parse no longer
+ * produces the section, every existing entry is stale.
+ */
+const LIST_SECTIONS = [
+    'arguments', 'fields', 'variants', 'type parameters', 'supertraits', 'associated types',
+    'associated constants', 'required methods', 'provided methods', 'functions', 'statics',
+];
+
+/**
+ * Sections that are only written when a doc comment is first generated. An update never adds them,
+ * since they may have been removed on purpose.
+ */
+const GENERATE_ONLY_SECTIONS = ['examples', 'implementing'];
+
+/**
+ * Sections whose single existing entry is matched by position when no fresh entry has its name, so
+ * a changed type (or `Option<u8>` split into `Some(u8)` and `None`) keeps its description.
+ */
+const POSITIONAL_SECTIONS = ['returns', 'aliased type'];
+
+// A list entry: ``- `name` (`Type`) - Description``, ``* [`name`](Path): ...``, optionally struck through when stale
+const ENTRY_PATTERN = /^([-*+]) (~~)?((?:\[`[^`]*`\](?:\([^)]*\))?|`[^`]*`)(?:\s*\(`[^`]*`\))?)\2(?:(\s+-|:)\s?(.*))?$/;
+
+/**
+ * Builds an updated doc comment for the item at (or below) a line in a document.
+ *
+ * The existing doc comment above the item (`///`, `/** *\/`, or `#[doc = "..."]`) is parsed into its
+ * description and sections, and merged with a fresh doc comment generated from the item's current
+ * signature, keeping the comment's style:
+ * - Entries for new parameters, fields, variants, and members are inserted with placeholder text.
+ * - Entries no longer in the signature are removed or marked stale (struck through), depending on
+ *   `options.staleEntries`.
+ * - Changed types are updated in place; the written description is kept.
+ * - `# Safety`, `# Errors`, `# Returns`, and `# Deprecated` are added or removed as the signature changes.
+ * - The description, the contents of every other section, and any hand-written section are kept.
+ *
+ * @param {vscode.TextDocument} document - The document containing the item.
+ * @param {number} line - A zero-based line in the existing doc comment, or on the item's signature.
+ * @param {Object} [options={}] - Doc generation options, as accepted by `generateDocComment`.
+ * @param {"mark"|"remove"} [options.staleEntries="mark"] - How entries that are no longer in the signature are handled.
+ * @returns {{ start: number, end: number, text: string }|null} The zero-based, inclusive line range of the
+ *   existing doc comment and its replacement text, or `null` if there is no doc comment or item to update.
+ */
+function updateDocComment(document, line, options = {}) {
+    const loaded = loadDocComment(document, line, options);
+    if (!loaded) return null;
+
+    return formatReplacement(document, loaded.block, mergeDocComment(loaded.existing, loaded.fresh, options));
+}
+
+/**
+ * Builds a doc comment in which a single section is brought in line with the item's signature,
+ * leaving the description and every other section as written.
+ *
+ * The section is merged as `updateDocComment` would merge it: added if the signature now calls for
+ * it, removed if it no longer does, and otherwise updated entry by entry.
+ *
+ * @param {vscode.TextDocument} document - The document containing the item.
+ * @param {number} line - A zero-based line in the existing doc comment, or on the item's signature.
+ * @param {string} key - The lower-case heading of the section to fix, e.g. `arguments`.
+ * @param {Object} [options={}] - Doc generation and merge options, as accepted by `updateDocComment`.
+ * @returns {{ start: number, end: number, text: string }|null} The zero-based, inclusive line range of the
+ *   existing doc comment and its replacement text, or `null` if there is no doc comment or item to update.
+ */
+function updateDocSection(document, line, key, options = {}) {
+    const loaded = loadDocComment(document, line, options);
+    if (!loaded) return null;
+
+    return formatReplacement(document, loaded.block, mergeDocSection(loaded.existing, loaded.fresh, key, options));
+}
+
+/**
+ * Reads the doc comment of the item at a line, and generates a fresh one from the item's
+ * current signature to compare it with.
+ *
+ * @param {vscode.TextDocument} document - The document containing the item.
+ * @param {number} line - A zero-based line in the existing doc comment, or on the item's signature.
+ * @param {Object} [options={}] - Doc generation options, as accepted by `generateDocComment`. When
+ *   `enclosingBlock` is given (`null` at the top level), it is used instead of scanning the document for it.
+ * @returns {{ block: { start: number, end: number }, signature: string, existing: ReturnType<typeof parseDocComment>,
+ *   fresh: ReturnType<typeof parseDocComment> }|null} The doc comment's line range, the item's signature, and
+ *   both parsed doc comments, or `null` if there is no doc comment or item.
+ */
+function loadDocComment(document, line, options = {}) {
+    const block = findDocCommentBlock(document, line);
+    if (!block) return null;
+
+    const signature = findNextSignatureBlock(document, block.end);
+    if (!signature) return null;
+
+    const lines = [];
+    for (let i = block.start; i <= block.end; i++) lines.push(document.lineAt(i).text);
+    const existing = parseDocComment(readCommentLines(lines, block.style).text);
+
+    // Keep a hand-written `# Type Parameters` section up to date even when the setting is off, and an
+    // existing `# Fields` or `# Variants` list even when members are documented inline
+    const hasSection = key => existing.sections.some(s => s.key === key);
+    const fresh = generateDocComment(signature, {
+        ...options,
+        includeTypeParameters: options.includeTypeParameters || hasSection('type parameters'),
+        memberDocs: hasSection('fields') || hasSection('variants') ? 'list' : options.memberDocs,
+        enclosingBlock: options.enclosingBlock !== undefined ? options.enclosingBlock : findEnclosingBlockHeader(document, block.start),
+        body: findNextFunctionBody(document, block.end),
+        attributes: findNextItemAttributes(document, block.end),
+    });
+    if (!fresh) return null;
+
+    return { block, signature, existing, fresh: parseDocComment(docToLines(fresh)) };
+}
+
+/**
+ * Formats merged doc comment text as the replacement for an existing doc comment, in the same style.
+ *
+ * @param {vscode.TextDocument} document - The document containing the block.
+ * @param {{ start: number, end: number, style: "line"|"block"|"attribute" }} block - The zero-based, inclusive
+ *   line range of the comment and its style.
+ * @param {string[]} lines - The doc comment text, one element per line.
+ * @returns {{ start: number, end: number, text: string }} The line range and its replacement text.
+ */
+function formatReplacement(document, block, lines) {
+    const indent = document.lineAt(block.start).text.match(/^\s*/)[0];
+    const text = formatCommentLines(lines, block.style, { indent }).join('\n');
+
+    return { start: block.start, end: block.end, text };
+}
+
+/**
+ * Finds the doc comment that belongs to the item at a line: a run of `///` lines, a `/** *\/` block, or
+ * a run of single-line `#[doc = "..."]` attributes.
+ *
+ * The line may be inside the doc comment itself, or on the item's attributes or signature, in which
+ * case the comment directly above the item is used.
+ *
+ * @param {vscode.TextDocument} document - The document to scan.
+ * @param {number} line - A zero-based line in the doc comment or on the item.
+ * @returns {{ start: number, end: number, style: "line"|"block"|"attribute", firstLine: number }|null} The zero-based,
+ *   inclusive line range of the comment, its style, and the line its text starts on; or `null`.
+ */
+function findDocCommentBlock(document, line) {
+    const text = i => document.lineAt(i).text;
+    const lineStyle = i => {
+        if (i < 0 || i >= document.lineCount) return null;
+        if (/^\s*\/\/\/(?!\/)/.test(text(i))) return 'line';
+        if (/^\s*#\[\s*doc\s*=\s*"(?:\\.|[^"\\])*"\s*\]\s*$/.test(text(i))) return 'attribute';
+        return null;
+    };
+
+    // A `/** *\/` block ending at a line, or enclosing it
+    const blockEndingAt = i => {
+        if (i < 0 || !/\*\/\s*$/.test(text(i))) return null;
+        for (let j = i; j >= 0; j--) {
+            if (/^\s*\/\*\*(?![*/])/.test(text(j))) return { start: j, end: i };
+            if (j < i && /\*\//.test(text(j))) return null;
+        }
+        return null;
+    };
+    const blockAround = i => {
+        for (let j = i; j < document.lineCount; j++) {
+            if (/\*\//.test(text(j))) {
+                const block = blockEndingAt(j);
+                return block && block.start <= i ? block : null;
+            }
+            if (j > i && /^\s*\/\*/.test(text(j))) return null;
+        }
+        return null;
+    };
+    const withFirstLine = (block, style) => {
+        const lines = [];
+        for (let i = block.start; i <= block.end; i++) lines.push(text(i));
+        return { ...block, style, firstLine: block.start + readCommentLines(lines, style).offset };
+    };
+
+    let end = line;
+    if (!lineStyle(line)) {
+        const around = blockAround(line);
+        if (around) return withFirstLine(around, 'block');
+
+        // Walk up over attributes and earlier lines of a multi-line signature
+        end = line - 1;
+        while (end >= 0 && !lineStyle(end)) {
+            const block = blockEndingAt(end);
+            if (block) return withFirstLine(block, 'block');
+
+            const lineText = text(end).replace(/\/\/.*$/, '').trim();
+            if (lineText === '' || /[;}]$/.test(lineText) || (lineText.endsWith('{') && !lineText.startsWith('#'))) return null;
+            end--;
+        }
+        if (end < 0) return null;
+    }
+
+    const style = lineStyle(end);
+    while (lineStyle(end + 1) === style) end++;
+    let start = end;
+    while (lineStyle(start - 1) === style) start--;
+
+    return withFirstLine({ start, end }, style);
+}
+
+/**
+ * Converts a generated doc comment snippet into plain comment text, one element per line.
+ *
+ * @param {string} doc - A doc comment as returned by `generateDocComment`.
+ * @returns {string[]} The comment text without the `///` prefixes and tab stops.
+ */
+function docToLines(doc) {
+    return splitDocComment(stripTabStops(doc));
+}
+
+/**
+ * Parses the text of a doc comment into its description and `#` sections. Headings inside code
+ * blocks (such as hidden `# fn main()` lines in examples) do not start a section.
+ *
+ * @param {string[]} lines - The comment text, without the `///` prefixes.
+ * @returns {{ description: string[], sections: { heading: string, key: string, line: number, bodyLine: number, body: string[] }[] }}
+ *   The description lines and the sections, in order. `key` is the lower-case heading text, `line` the
+ *   index of the heading in `lines`, and `bodyLine` the index of the first line of `body`.
+ */
+function parseDocComment(lines) {
+    const description = [];
+    const sections = [];
+    let inCode = false;
+
+    for (const [index, line] of lines.entries()) {
+        if (/^\s*(```|~~~)/.test(line)) inCode = !inCode;
+
+        const heading = !inCode && line.match(/^#{1,6}\s+(.+?)\s*$/);
+        if (heading) {
+            sections.push({ heading: line.trim(), key: heading[1].toLowerCase(), line: index, body: [] });
+        } else if (sections.length > 0) {
+            sections[sections.length - 1].body.push(line);
+        } else {
+            description.push(line);
+        }
+    }
+
+    // `bodyLine` is the index of the first line of the trimmed body
+    return {
+        description: trimBlankLines(description),
+        sections: sections.map(s => ({ ...s, bodyLine: s.line + 1 + Math.max(s.body.findIndex(l => l.trim() !== ''), 0), body: trimBlankLines(s.body) })),
+    };
+}
+
+/**
+ * Splits a section body into list entries and the text around them. Indented lines directly
+ * below an entry, and any text between two entries, are kept with the entry above.
+ *
+ * @param {string[]} body - The section body.
+ * @returns {{ before: string[], entries: { key: string, head: string, description: string, more: string[], stale: boolean, bullet: string, separator: string, index: number }[], after: string[] }}
+ *   The text before the first entry, the entries, and the text after the last entry. `bullet` is the
+ *   entry's list marker (`-`, `*`, or `+`), `separator` what precedes its description (` -` or `:`),
+ *   and `index` the entry's line in `body`.
+ */
+function parseEntries(body) {
+    const before = [];
+    const entries = [];
+    const after = [];
+
+    for (const [index, line] of body.entries()) {
+        const match = line.match(ENTRY_PATTERN);
+        if (match) {
+            // Text between two entries stays with the entry above it
+            while (after.length > 0 && after[after.length - 1].trim() === '') after.pop();
+            if (entries.length > 0) entries[entries.length - 1].more.push(...after);
+            after.length = 0;
+            entries.push({
+                key: entryKey(match[3]), head: match[3], description: match[5] || '', more: [], stale: !!match[2],
+                bullet: match[1], separator: match[4] === ':' ? ':' : ' -', index,
+            });
+        } else if (entries.length === 0) {
+            before.push(line);
+        } else if (after.length === 0 && /^\s+\S/.test(line)) {
+            entries[entries.length - 1].more.push(line);
+        } else {
+            after.push(line);
+        }
+    }
+
+    return { before: trimBlankLines(before), entries, after: trimBlankLines(after) };
+}
+
+/**
+ * Derives the name an entry is matched by: the leading path (or lifetime) of its first code span,
+ * so `` `Write(String)` `` and `` `Write(String, u8)` `` are the same variant, and `` [`Error::Io`] `` and
+ * `` [`Error::Parse`] `` are not.
+ *
+ * @param {string} head - The entry head, e.g. ``- `count` (`usize`)``.
+ * @returns {string} The key.
+ */
+function entryKey(head) {
+    const code = head.match(/`([^`]*)`/)[1];
+    const identifier = code.match(/^'?\w+(?:::\w+)*/);
+    return identifier ? identifier[0] : code;
+}
+
+/**
+ * Merges an existing doc comment with a freshly generated one.
+ *
+ * @param {ReturnType<typeof parseDocComment>} existing - The parsed existing doc comment.
+ * @param {ReturnType<typeof parseDocComment>} fresh - The parsed fresh doc comment.
+ * @param {Object} [options={}] - Merge options.
+ * @param {"mark"|"remove"} [options.staleEntries="mark"] - How entries that are no longer in the signature are handled.
+ * @returns {string[]} The merged comment text, one element per line.
+ */
+function mergeDocComment(existing, fresh, options = {}) {
+    const freshKeys = fresh.sections.map(s => s.key);
+    const sections = [];
+
+    for (const section of existing.sections) {
+        const freshSection = fresh.sections.find(s => s.key === section.key);
+
+        if (freshSection) {
+            sections.push({ ...section, body: mergeSectionBody(section, freshSection, options) });
+        } else if (SIGNATURE_SECTIONS.includes(section.key)) {
+            continue; // The signature no longer calls for this section
+        } else if (LIST_SECTIONS.includes(section.key) && parseEntries(section.body).entries.length > 0) {
+            const body = mergeSectionBody(section, { ...section, body: [] }, options);
+            if (body.length > 0) sections.push({ ...section, body });
+        } else {
+            sections.push(section);
+        }
+    }
+
+    for (const section of fresh.sections) {
+        if (sections.some(s => s.key === section.key) || GENERATE_ONLY_SECTIONS.includes(section.key)) continue;
+        insertSection(sections, section, freshKeys);
+    }
+
+    return formatSections(existing.description.length > 0 ? existing.description : fresh.description, sections);
+}
+
+/**
+ * Merges a single section of an existing doc comment with a freshly generated one, keeping the
+ * description and every other section as written.
+ *
+ * @param {ReturnType<typeof parseDocComment>} existing - The parsed existing doc comment.
+ * @param {ReturnType<typeof parseDocComment>} fresh - The parsed fresh doc comment.
+ * @param {string} key - The lower-case heading of the section to merge.
+ * @param {Object} [options={}] - Merge options (see `mergeDocComment`).
+ * @returns {string[]} The merged comment text, one element per line.
+ */
+function mergeDocSection(existing, fresh, key, options = {}) {
+    const sections = [...existing.sections];
+    const index = sections.findIndex(s => s.key === key);
+    const freshSection = fresh.sections.find(s => s.key === key);
+
+    if (index === -1) {
+        if (freshSection) insertSection(sections, freshSection, fresh.sections.map(s => s.key));
+    } else if (!freshSection && SIGNATURE_SECTIONS.includes(key)) {
+        sections.splice(index, 1);
+    } else {
+        const body = mergeSectionBody(sections[index], freshSection ?? { ...sections[index], body: [] }, options);
+        if (body.length > 0 || !LIST_SECTIONS.includes(key)) sections[index] = { ...sections[index], body };
+        else sections.splice(index, 1);
+    }
+
+    return formatSections(existing.description, sections);
+}
+
+/**
+ * Inserts a section after the closest earlier section in the order of the fresh doc comment.
+ *
+ * @param {{ key: string }[]} sections - The sections to insert into, modified in place.
+ * @param {{ key: string }} section - The section to insert.
+ * @param {string[]} freshKeys - The section keys of the fresh doc comment, in order.
+ */
+function insertSection(sections, section, freshKeys) {
+    const order = freshKeys.indexOf(section.key);
+    let index = 0;
+    sections.forEach((s, i) => {
+        const position = freshKeys.indexOf(s.key);
+        if (position !== -1 && position < order) index = i + 1;
+    });
+    sections.splice(index, 0, section);
+}
+
+/**
+ * Joins a description and sections into doc comment text.
+ *
+ * @param {string[]} description - The description lines.
+ * @param {{ heading: string, body: string[] }[]} sections - The sections, in order.
+ * @returns {string[]} The comment text, one element per line.
+ */
+function formatSections(description, sections) {
+    const lines = [...description];
+    for (const section of sections) {
+        lines.push('', section.heading);
+        if (section.body.length > 0) lines.push('', ...section.body);
+    }
+    return lines;
+}
+
+/**
+ * Merges the body of a section that exists in both the existing and the fresh doc comment.
+ *
+ * List entries follow the fresh order and take their name and type from the fresh entry and their
+ * description from the existing one. Other content is kept as written.
+ *
+ * @param {{ key: string, body: string[] }} section - The existing section.
+ * @param {{ key: string, body: string[] }} freshSection - The fresh section.
+ * @param {Object} options - Merge options (see `mergeDocComment`).
+ * @returns {string[]} The merged section body.
+ */
+function mergeSectionBody(section, freshSection, options) {
+    const current = parseEntries(section.body);
+    const next = parseEntries(freshSection.body);
+
+    // Sections without entries on either side (e.g. `# Safety`, `# Errors`) keep the written text
+    if (next.entries.length === 0 && !LIST_SECTIONS.includes(section.key)) return section.body;
+    if (current.entries.length === 0 && section.body.length > 0 && !LIST_SECTIONS.includes(section.key)) return section.body;
+
+    const positional = POSITIONAL_SECTIONS.includes(section.key) && current.entries.length === 1
+        && !next.entries.some(entry => entry.key === current.entries[0].key);
+    const used = new Set();
+    const lines = [...current.before];
+
+    // New entries follow the list marker and separator already written in the section
+    const { bullet, separator } = current.entries[0] ?? next.entries[0] ?? {};
+
+    for (const [i, entry] of next.entries.entries()) {
+        const match = positional ? current.entries[i] : current.entries.find(e => e.key === entry.key && !used.has(e));
+        if (match) {
+            used.add(match);
+            lines.push(formatEntry(entry.head, match.description || entry.description, bullet, separator), ...match.more);
+        } else {
+            lines.push(formatEntry(entry.head, entry.description, bullet, separator));
+        }
+    }
+
+    // Entries that are no longer in the signature
+    if (options.staleEntries !== 'remove') {
+        for (const entry of current.entries.filter(e => !used.has(e))) {
+            lines.push(formatEntry(`~~${entry.head}~~`, entry.description, bullet, separator), ...entry.more);
+        }
+    }
+
+    if (lines.length === current.before.length) return []; // Every entry was removed
+    if (current.after.length > 0) lines.push('', ...current.after);
+    return lines;
+}
+
+/**
+ * Formats a list entry line.
+ *
+ * @param {string} head - The entry head, e.g. ``- `count` (`usize`)`` without the leading `- `.
+ * @param {string} description - The entry description.
+ * @param {string} [bullet="-"] - The list marker.
+ * @param {string} [separator=" -"] - What precedes the description (` -` or `:`).
+ * @returns {string} The entry line.
+ */
+function formatEntry(head, description, bullet = '-', separator = ' -') {
+    return description ? `${bullet} ${head}${separator} ${description}` : `${bullet} ${head}`;
+}
+
+/**
+ * Removes leading and trailing blank lines.
+ *
+ * @param {string[]} lines - The lines to trim.
+ * @returns {string[]} The trimmed lines.
+ */
+function trimBlankLines(lines) {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && lines[start].trim() === '') start++;
+    while (end > start && lines[end - 1].trim() === '') end--;
+    return lines.slice(start, end);
+}
+
+module.exports = {
+    updateDocComment,
+    updateDocSection,
+    loadDocComment,
+    findDocCommentBlock,
+    parseDocComment,
+    parseEntries,
+    mergeDocComment,
+    mergeDocSection,
+    docToLines,
+    SIGNATURE_SECTIONS,
+    LIST_SECTIONS,
+};
@@ -1,16 +1,39 @@
 const { generateFunctionDoc } = require('./gen_fn_doc.js');
 const { generateStructDoc } = require('./gen_struct_doc.js');
 const { generateEnumDoc } = require('./gen_enum_doc.js');
+const { generateTraitDoc } = require('./gen_trait_doc.js');
+const { generateUnionDoc } = require('./gen_union_doc.js');
+const { generateTypeAliasDoc } = require('./gen_type_doc.js');
+const { generateConstDoc } = require('./gen_const_doc.js');
+const { generateExternBlockDoc } = require('./gen_extern_doc.js');
+const { parseItem } = require('./item_parser.js');
+const { DOCUMENTABLE_KINDS } = require('./utils.js');
 
 /**
  * Dispatcher for generating Rust doc comments based on the type of code item.
- * Supports functions, structs, enums, and traits. Delegates to specialized handlers.
+ * Supports functions, structs, enums, traits, unions, type aliases, consts, statics,
+ * and `extern` blocks. Delegates to specialized handlers.
  *
  * @param {string} line - The normalized line of Rust code (a signature).
  * @param {Object} options - Configuration options for doc generation.
  * @param {boolean} [options.includeExamples=true] - Whether to include the `# Examples` section.
  * @param {boolean} [options.examplesOnlyForPublicOrExtern=false] - Whether to include examples only for `pub` or `extern` items.
  * @param {boolean} [options.includeSafetyDetails=false] - Whether to include extended safety guidance in the `# Safety` section.
+ * @param {boolean} [options.includeTypeParameters=false] - Whether to include the `# Type Parameters` section for generic functions, structs, and enums.
+ * @param {boolean} [options.includePanics=true] - Whether to include the `# Panics` section for functions whose body can panic.
+ * @param {"auto"|"normal"|"no_run"|"ignore"|"should_panic"} [options.exampleFence="auto"] - The code block attributes of
+ *   examples: `auto` marks `unsafe` and runtime-less `async` examples `no_run`, the others replace them (see `applyFenceSetting`).
+ * @param {{ name: string, path: string[], reachable: boolean, dependencies: string[] }|null} [options.crate] - The module the
+ *   item is declared in (see `enterInlineModules`), for the `use` line and async runtime of examples.
+ * @param {"list"|"inline"} [options.memberDocs="list"] - Whether struct fields and enum variants are listed in the header comment or documented inline.
+ * @param {string|null} [options.body=null] - The body of a function, scanned for panic sites and errors.
+ * @param {Object[]} [options.attributes] - The item's attributes, as returned by `findNextItemAttributes`, for signatures
+ *   read without them. Defaults to the attributes in the signature text.
+ * @param {Object<string, Object>} [options.errorTypes={}] - Enums a function's error type may resolve to, as returned by `collectErrorTypes`.
+ * @param {Object<string, Object[]>} [options.constructors={}] - The `pub fn new` of each type, as returned by `collectConstructors`,
+ *   to build structs with private fields in examples.
+ * @param {string|null} [options.enclosingBlock=null] - The header of the block enclosing the item (e.g., `extern "C" {`).
+ * @param {Object<string, string>} [options.templates={}] - User templates keyed by item kind, as returned by `resolveTemplates`.
  * @returns {string|null} - The formatted doc comment, or null if unsupported.
  */
 function generateDocComment(line, options) {
@@ -25,15 +48,22 @@ function generateDocComment(line, options) {
 
     switch (itemType) {
         case 'function':
-            return generateFunctionDoc(line, includeExamples, examplesOnlyForPublicOrExtern, includeSafetyDetails);
+            return generateFunctionDoc(line, includeExamples, examplesOnlyForPublicOrExtern, includeSafetyDetails, { ...options, includePanics: options.includePanics ?? true });
         case 'struct':
-            return generateStructDoc(line, includeExamples, examplesOnlyForPublicOrExtern);
+            return generateStructDoc(line, includeExamples, examplesOnlyForPublicOrExtern, options);
         case 'enum':
-            return generateEnumDoc(line, includeExamples, examplesOnlyForPublicOrExtern);
-        // case 'trait': // TODO
-        //     return generateTraitDoc(line, includeExamples);
-        // case 'union': // TODO
-        //     return generateUnionDoc(line, includeExamples);
+            return generateEnumDoc(line, includeExamples, examplesOnlyForPublicOrExtern, options);
+        case 'trait':
+            return generateTraitDoc(line, includeExamples, examplesOnlyForPublicOrExtern, includeSafetyDetails, options);
+        case 'union':
+            return generateUnionDoc(line, includeExamples, examplesOnlyForPublicOrExtern, includeSafetyDetails, options);
+        case 'type':
+            return generateTypeAliasDoc(line, options);
+        case 'const':
+        case 'static':
+            return generateConstDoc(line, includeSafetyDetails, options);
+        case 'extern':
+            return generateExternBlockDoc(line, includeSafetyDetails, options);
         default:
             return null;
     }
@@ -42,16 +72,17 @@ function generateDocComment(line, options) {
 /**
  * Determines the type of Rust item from a signature line.
  *
+ * The line is read with `parseItem`, so items that contain other items (a trait with `fn` members,
+ * an `extern` block) are classified by their own keyword, and leading attributes are skipped.
+ * `const fn` is a function, while `const NAME: T` is a constant. Partially typed signatures are
+ * classified as soon as the item keyword and name are present.
+ *
  * @param {string} line - A line of Rust code.
- * @returns {"function"|"struct"|"enum"|null} - The detected item type.
+ * @returns {"function"|"struct"|"enum"|"trait"|"union"|"type"|"const"|"static"|"extern"|null} - The detected item type.
  */
 function getRustItemType(line) {
-    if (/fn\s+\w+\s*[(<]/.test(line)) return 'function';
-    if (/struct\s+\w+/.test(line)) return 'struct';
-    if (/enum\s+\w+/.test(line)) return 'enum';
-    // if (/trait\s+\w+/.test(line)) return 'trait'; // TODO
-    // if (/union\s+\w+/.test(line)) return 'union'; // TODO
-    return null;
+    const kind = parseItem(line)?.kind;
+    return DOCUMENTABLE_KINDS.includes(kind) ? kind : null;
 }
 
-module.exports = { generateDocComment };
\ No newline at end of file
+module.exports = { generateDocComment, getRustItemType };
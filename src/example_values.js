@@ -0,0 +1,157 @@
+const { tokenize, tokensToText } = require('./tokenizer.js');
+const { findClose, splitTopLevel } = require('./item_parser.js');
+
+/**
+ * Constructors for well-known standard library types, keyed by the last path segment.
+ * Non-prelude types use their full `std` path so examples compile without extra imports.
+ * `$0` is replaced by the synthesized value of the first generic argument.
+ */
+const KNOWN_TYPES = {
+    String: 'String::from("example")',
+    Vec: 'vec![]',
+    Option: 'None',
+    Box: 'Box::new($0)',
+    Rc: 'std::rc::Rc::new($0)',
+    Arc: 'std::sync::Arc::new($0)',
+    Cell: 'std::cell::Cell::new($0)',
+    RefCell: 'std::cell::RefCell::new($0)',
+    Mutex: 'std::sync::Mutex::new($0)',
+    RwLock: 'std::sync::RwLock::new($0)',
+    HashMap: 'std::collections::HashMap::new()',
+    HashSet: 'std::collections::HashSet::new()',
+    BTreeMap: 'std::collections::BTreeMap::new()',
+    BTreeSet: 'std::collections::BTreeSet::new()',
+    VecDeque: 'std::collections::VecDeque::new()',
+    BinaryHeap: 'std::collections::BinaryHeap::new()',
+    LinkedList: 'std::collections::LinkedList::new()',
+    PathBuf: 'std::path::PathBuf::from("example")',
+    OsString: 'std::ffi::OsString::from("example")',
+    CString: 'std::ffi::CString::new("example").unwrap()',
+    Duration: 'std::time::Duration::from_secs(1)',
+    PhantomData: 'std::marker::PhantomData',
+};
+
+/**
+ * Synthesizes an example Rust expression for a type, for use in generated example code.
+ *
+ * Primitives map to literals (`u32` → `0`, `bool` → `false`), string types to string literals
+ * (`&str` → `"example"`, `String` → `String::from("example")`), collections to empty
+ * constructors (`Vec<T>` → `vec![]`), `Option` to `None`, and references, tuples, arrays, boxes,
+ * and closures are built recursively from their parts. Generic parameters and unknown types fall
+ * back to `Default::default()`.
+ *
+ * ### Example
+ * ```text
+ * synthesizeExampleValue("&mut Vec<u8>")            // "&mut vec![]"
+ * synthesizeExampleValue("(u8, &str)")              // "(0, \"example\")"
+ * synthesizeExampleValue("impl Fn(u8) -> bool")     // "|_| false"
+ * ```
+ *
+ * @param {string} type - A Rust type as written in a signature.
+ * @returns {string} An expression of that type (or one that coerces to it).
+ */
+function synthesizeExampleValue(type) {
+    const text = (type || '').trim().replace(/^dyn\s+/, '');
+
+    // References and slices
+    const refMatch = text.match(/^&\s*(?:'\w+\s+)?(mut\s+)?(.+)$/);
+    if (refMatch) {
+        const [, mutability, inner] = refMatch;
+        const target = inner.trim();
+        if (target === 'str') return '"example"';
+        if (/^(?:std::path::)?Path$/.test(target)) return 'std::path::Path::new("example")';
+        if (/^(?:std::ffi::)?OsStr$/.test(target)) return 'std::ffi::OsStr::new("example")';
+        if (/^(?:std::ffi::|core::ffi::)?CStr$/.test(target)) return 'c"example"';
+        if (/^\[[^;]*\]$/.test(target)) return mutability ? '&mut []' : '&[]';
+        return `${mutability ? '&mut ' : '&'}${synthesizeExampleValue(target)}`;
+    }
+
+    // Raw pointers
+    if (/^\*const\b/.test(text)) return 'std::ptr::null()';
+    if (/^\*mut\b/.test(text)) return 'std::ptr::null_mut()';
+
+    // Primitives
+    if (/^(?:u8|u16|u32|u64|u128|usize|i8|i16|i32|i64|i128|isize)$/.test(text)) return '0';
+    if (/^(?:f32|f64)$/.test(text)) return '0.0';
+    if (text === 'bool') return 'false';
+    if (text === 'char') return "'a'";
+    if (text === 'str') return '"example"';
+    if (text === '()' || text === '') return '()';
+
+    // Tuples and arrays
+    if (text.startsWith('(') && text.endsWith(')')) {
+        const parts = splitTopLevel(tokenize(text.slice(1, -1)), ',').map(tokensToText).filter(Boolean);
+        const values = parts.map(synthesizeExampleValue);
+        return parts.length === 1 ? `(${values[0]},)` : `(${values.join(', ')})`;
+    }
+    const arrayMatch = text.match(/^\[(.+);\s*(.+)\]$/);
+    if (arrayMatch) return `[${synthesizeExampleValue(arrayMatch[1])}; ${arrayMatch[2].trim()}]`;
+
+    // Closures and function pointers: `impl Fn(A, B) -> R`, `fn(A) -> R`, `Box<dyn FnMut(A)>`
+    const closureMatch = text.match(/^(?:impl\s+)?(?:Fn|FnMut|FnOnce|fn)\s*(\(.*)$/);
+    if (closureMatch) {
+        const tokens = tokenize(closureMatch[1]);
+        const close = findClose(tokens, 0);
+        // The return type follows `->`, up to a `+ Send` bound
+        const returnType = tokens[close + 1]?.value === '->' ? tokensToText(splitTopLevel(tokens.slice(close + 2), '+')[0] || []) : '';
+        const argCount = splitTopLevel(tokens.slice(1, close), ',').length;
+        const params = Array(argCount).fill('_').join(', ');
+        return `|${params}| ${synthesizeExampleValue(returnType || '()')}`;
+    }
+
+    // `impl Trait` arguments with a natural literal
+    if (/^impl\s+(?:Into<String>|AsRef<str>|ToString|Display|Into<Cow<.*>>)$/.test(text)) return '"example"';
+    if (/^impl\s+AsRef<(?:std::path::)?Path>$/.test(text)) return '"example"';
+    if (/^impl\s+(?:IntoIterator)\b/.test(text)) return 'vec![]';
+    if (/^impl\s+Iterator\b/.test(text)) return 'std::iter::empty()';
+    const intoMatch = text.match(/^impl\s+Into<(.+)>$/);
+    if (intoMatch) return synthesizeExampleValue(intoMatch[1]);
+
+    // Paths with optional generic arguments, matched on their last segment
+    const pathMatch = text.match(/^(?:[\w]+::)*(\w+)\s*(?:<(.*)>)?$/);
+    if (pathMatch) {
+        const [, segment, genericArgs] = pathMatch;
+        const args = genericArgs ? splitTopLevel(tokenize(genericArgs), ',').map(tokensToText).filter(Boolean) : [];
+
+        if (segment === 'Result') return `Ok(${synthesizeExampleValue(args[0] || '()')})`;
+        if (KNOWN_TYPES[segment]) {
+            return KNOWN_TYPES[segment].replace('$0', () => synthesizeExampleValue(args[0] || '()'));
+        }
+    }
+
+    // Generic parameters (`T`) and unknown types
+    return 'Default::default()';
+}
+
+/**
+ * Wraps an example value in a numbered snippet tab stop, escaping the characters that
+ * have a special meaning inside snippet placeholders (`$`, `}` and `\`).
+ *
+ * @param {string} value - The placeholder text.
+ * @param {number} tabStop - The tab stop number.
+ * @returns {string} The tab stop, e.g. `${3:vec![]}`.
+ */
+function toTabStop(value, tabStop) {
+    return `\${${tabStop}:${value.replace(/[\\$}]/g, '\\$&')}}`;
+}
+
+/**
+ * The code block attributes an example can be given with the `rustdocstring.exampleFence` setting.
+ * `auto` keeps the attributes chosen for the item, and `normal` gives a plain code block.
+ */
+const EXAMPLE_FENCES = ['auto', 'normal', 'no_run', 'ignore', 'should_panic'];
+
+/**
+ * Applies the `rustdocstring.exampleFence` setting to a generated example. Examples already marked
+ * `ignore` keep it, since they import an item doctests cannot reach and would not compile.
+ *
+ * @param {{ attributes: string, code: string[] }} example - The generated example.
+ * @param {string} [setting='auto'] - The setting value, one of `EXAMPLE_FENCES`.
+ * @returns {{ attributes: string, code: string[] }} The example with its code block attributes.
+ */
+function applyFenceSetting(example, setting = 'auto') {
+    if (example.attributes === 'ignore' || !EXAMPLE_FENCES.includes(setting) || setting === 'auto') return example;
+    return { ...example, attributes: setting === 'normal' ? '' : setting };
+}
+
+module.exports = { synthesizeExampleValue, toTabStop, applyFenceSetting, EXAMPLE_FENCES };
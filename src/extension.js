@@ -1,36 +1,677 @@
 const vscode = require('vscode');
-const { findNextSignatureBlock } = require('./utils');
-const { generateDocComment } = require('./docgen');
+const { generateItemDoc, generateModuleOverview } = require('./doc_snippets');
+const { resolveTemplates, loadWorkspaceTemplates, countTabStops, TemplateError } = require('./template');
+const { updateDocComment, updateDocSection } = require('./doc_update');
+const { checkDocComments } = require('./doc_diagnostics');
+const { generateMissingDocs, findItemAt, findUndocumentedItems, ITEM_KINDS } = require('./bulk_docs');
+const { collectErrorTypes } = require('./gen_errors_doc');
+const { matchDocTrigger, resolveCommentStyle, splitDocComment, formatCommentLines } = require('./comment_style');
+const { generateMemberDocs } = require('./member_docs');
+const { getGenerationOptions } = require('./config');
+const { measureDocCoverage, summarizeCoverage, groupCoverage } = require('./doc_coverage');
+const { createTextDocument } = require('./utils');
+
+// The last template error shown, so the same warning is not repeated on every completion
+let lastTemplateError = null;
+
+// Pending diagnostics refreshes, keyed by document URI, so checks run once typing pauses
+const pendingChecks = new Map();
+
+// Enums declared in the workspace's Rust files, keyed by file URI, for resolving `# Errors` variants
+const workspaceErrorTypes = new Map();
+
+// The doc coverage of the workspace's Rust files, keyed by file URI, for the Rust Docs Coverage view
+const workspaceCoverage = new Map();
+
+// A pending refresh of the Rust Docs Coverage view, so a burst of indexed files redraws it once
+let pendingCoverageRefresh = null;
 
 function activate(context) {
     const provider = vscode.languages.registerCompletionItemProvider('rust', {
         provideCompletionItems(document, position) {
             const line = document.lineAt(position).text;
-            if (!line.trim().endsWith('///')) return;
+            const trigger = matchDocTrigger(line);
+            if (!trigger) return;
 
-			const signature = findNextSignatureBlock(document, position.line);
+            // `///` and `//!` write the configured style; `/**`, `#[doc`, and their inner forms ask for their own
             const config = vscode.workspace.getConfiguration('rustdocstring');
-            const includeExamples = config.get('includeExamples', true);
-            const examplesOnlyForPublicOrExtern = config.get('examplesOnlyForPublicOrExtern', false);
-            const includeSafetyDetails = config.get('includeSafetyDetails', false);
-
-			if (signature) {
-				const doc = generateDocComment(signature, {
-                    includeExamples,
-                    examplesOnlyForPublicOrExtern,
-                    includeSafetyDetails
-                  });
-				if (!doc) return;
-				const item = new vscode.CompletionItem("Generate Rust Doc Comment");
-				item.insertText = new vscode.SnippetString(doc);
-				item.kind = vscode.CompletionItemKind.Snippet;
-
-				return [item];
-			}
-        }
-    }, '/');
-
-    context.subscriptions.push(provider);
+            const style = trigger.style === 'line' ? resolveCommentStyle(config.get('commentStyle', 'auto'), document) : trigger.style;
+            const range = new vscode.Range(position.line, trigger.start, position.line, line.length);
+            if (trigger.inner) return provideModuleDocItems(document, position, style, range);
+
+            const doc = generateItemDoc(document, position.line, getItemDocOptions(document, config));
+            if (!doc) return;
+
+            const item = createDocCompletionItem(document, "Generate Rust Doc Comment", doc, style, false, range);
+            const members = generateInlineMemberDocs(document, position.line, config, style, doc);
+            if (members.length > 0) moveIntoSnippetEdits(item, document, range.start, members);
+            return [item];
+        }
+    }, '/', '!', '*', '"');
+
+    const generateCommand = vscode.commands.registerCommand('rustdocstring.generateDocComment', async (uri, line) => {
+        // CodeLenses pass the item's document and line; the palette, context menu, and keybinding use the cursor
+        const editor = vscode.window.activeTextEditor;
+        const document = uri instanceof vscode.Uri ? await vscode.workspace.openTextDocument(uri) : editor?.document;
+        if (!document || document.languageId !== 'rust') {
+            vscode.window.showInformationMessage('Rust Doc String: Open a Rust file to document.');
+            return;
+        }
+
+        const item = findItemAt(document, typeof line === 'number' ? line : editor?.selection.active.line);
+        if (!item) {
+            vscode.window.showInformationMessage('Rust Doc String: No Rust item found at the cursor.');
+            return;
+        }
+        if (item.documented) {
+            vscode.window.showInformationMessage(`Rust Doc String: \`${item.name}\` already has a doc comment.`);
+            return;
+        }
+
+        const config = vscode.workspace.getConfiguration('rustdocstring', document.uri);
+        const style = resolveCommentStyle(config.get('commentStyle', 'auto'), document);
+        const doc = generateItemDoc(document, item.insertLine - 1, getItemDocOptions(document, config));
+        if (!doc) return;
+
+        const indent = document.lineAt(item.insertLine).text.match(/^\s*/)[0];
+        const header = formatCommentLines(splitDocComment(doc), style, { indent, snippet: true }).join('\n') + '\n';
+        return vscode.commands.executeCommand('rustdocstring.insertDocComments', document.uri, [
+            { line: item.insertLine, character: 0, text: header },
+            ...generateInlineMemberDocs(document, item.insertLine - 1, config, style, doc).map(member => ({ line: member.line, character: 0, text: member.text })),
+        ]);
+    });
+
+    const codeLensChanges = new vscode.EventEmitter();
+    const codeLenses = vscode.languages.registerCodeLensProvider('rust', {
+        onDidChangeCodeLenses: codeLensChanges.event,
+        provideCodeLenses(document) {
+            return provideGenerateCodeLenses(document);
+        }
+    });
+
+    const insertCommand = vscode.commands.registerCommand('rustdocstring.insertDocComments', (uri, insertions) => {
+        // Every snippet is part of one snippet session, so their tab stops are visited in order
+        const edit = new vscode.WorkspaceEdit();
+        edit.set(uri, insertions.map(insertion => vscode.SnippetTextEdit.insert(
+            new vscode.Position(insertion.line, insertion.character), new vscode.SnippetString(insertion.text))));
+        return vscode.workspace.applyEdit(edit);
+    });
+
+    const updateCommand = vscode.commands.registerTextEditorCommand('rustdocstring.updateDocComment', (editor, edit) => {
+        const config = vscode.workspace.getConfiguration('rustdocstring');
+        const update = updateDocComment(editor.document, editor.selection.active.line, {
+            ...getGenerationOptions(config),
+            staleEntries: config.get('staleEntries', 'mark'),
+            errorTypes: getErrorTypes(editor.document),
+            templates: getTemplates(editor.document, config)
+        });
+
+        if (!update) {
+            vscode.window.showInformationMessage('Rust Doc String: No documented Rust item found at the cursor.');
+            return;
+        }
+
+        const range = new vscode.Range(update.start, 0, update.end, editor.document.lineAt(update.end).text.length);
+        edit.replace(range, update.text);
+    });
+
+    const documentFileCommand = vscode.commands.registerCommand('rustdocstring.documentFile', (uri) => {
+        const target = uri instanceof vscode.Uri ? uri : vscode.window.activeTextEditor?.document.uri;
+        if (!target) {
+            vscode.window.showInformationMessage('Rust Doc String: Open a Rust file to document.');
+            return;
+        }
+        return documentUndocumentedItems(async () => [target]);
+    });
+
+    const documentFolderCommand = vscode.commands.registerCommand('rustdocstring.documentFolder', async (uri) => {
+        let folder = uri instanceof vscode.Uri ? uri : null;
+        if (!folder) {
+            const picked = await vscode.window.showOpenDialog({ canSelectFiles: false, canSelectFolders: true, openLabel: 'Document Folder' });
+            if (!picked?.length) return;
+            folder = picked[0];
+        }
+        return documentUndocumentedItems(() => vscode.workspace.findFiles(new vscode.RelativePattern(folder, '**/*.rs'), '**/target/**'));
+    });
+
+    const documentWorkspaceCommand = vscode.commands.registerCommand('rustdocstring.documentWorkspace', () => {
+        return documentUndocumentedItems(() => vscode.workspace.findFiles('**/*.rs', '**/target/**'));
+    });
+
+    const coverageChanges = new vscode.EventEmitter();
+    const coverageView = vscode.window.createTreeView('rustdocstringCoverage', {
+        treeDataProvider: {
+            onDidChangeTreeData: coverageChanges.event,
+            getTreeItem: createCoverageTreeItem,
+            getChildren: getCoverageChildren
+        },
+        showCollapseAll: true
+    });
+
+    const coverageStatus = vscode.window.createStatusBarItem('rustdocstring.coverage', vscode.StatusBarAlignment.Right, 100);
+    coverageStatus.name = 'Rust Docs Coverage';
+    coverageStatus.command = 'rustdocstringCoverage.focus';
+    updateCoverageStatus(coverageStatus, vscode.window.activeTextEditor?.document);
+
+    const refreshCoverageCommand = vscode.commands.registerCommand('rustdocstring.coverage.refresh', async () => {
+        workspaceCoverage.clear();
+        const uris = await vscode.workspace.findFiles('**/*.rs', '**/target/**');
+        await Promise.all(uris.map(uri => indexRustFile(uri, coverageChanges)));
+        updateCoverageStatus(coverageStatus, vscode.window.activeTextEditor?.document);
+    });
+
+    const generateFromCoverageCommand = vscode.commands.registerCommand('rustdocstring.coverage.generateDocComment', async (node) => {
+        // The snippet is inserted in an editor, so the item is shown before it is documented
+        const position = new vscode.Position(node.item.line, 0);
+        await vscode.window.showTextDocument(node.item.uri, { selection: new vscode.Range(position, position) });
+        return vscode.commands.executeCommand('rustdocstring.generateDocComment', node.item.uri, node.item.line);
+    });
+
+    const documentFromCoverageCommand = vscode.commands.registerCommand('rustdocstring.coverage.documentFile', (node) => {
+        return vscode.commands.executeCommand('rustdocstring.documentFile', node.module.uri);
+    });
+
+    const diagnostics = vscode.languages.createDiagnosticCollection('rustdocstring');
+    const scheduleCheck = (document) => {
+        if (document.languageId !== 'rust') return;
+        clearTimeout(pendingChecks.get(document.uri.toString()));
+        pendingChecks.set(document.uri.toString(), setTimeout(() => {
+            pendingChecks.delete(document.uri.toString());
+            refreshDiagnostics(document, diagnostics);
+            // Measured once for both the coverage view and the status bar
+            const indexed = !document.isClosed && vscode.workspace.getWorkspaceFolder(document.uri);
+            const active = document === vscode.window.activeTextEditor?.document;
+            const coverage = indexed || active ? measureDocCoverage(document) : null;
+            if (indexed) {
+                workspaceCoverage.set(document.uri.toString(), { uri: document.uri, ...coverage });
+                scheduleCoverageRefresh(coverageChanges);
+            }
+            if (active) updateCoverageStatus(coverageStatus, document, coverage);
+        }, 500));
+    };
+    vscode.workspace.textDocuments.forEach(scheduleCheck);
+
+    const codeActions = vscode.languages.registerCodeActionsProvider('rust', {
+        provideCodeActions(document, range, context) {
+            return provideDocCommentFixes(document, context.diagnostics);
+        }
+    }, { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] });
+
+    const rustFiles = vscode.workspace.createFileSystemWatcher('**/*.rs');
+    rustFiles.onDidCreate(uri => indexRustFile(uri, coverageChanges));
+    rustFiles.onDidChange(uri => indexRustFile(uri, coverageChanges));
+    rustFiles.onDidDelete(uri => {
+        workspaceErrorTypes.delete(uri.toString());
+        workspaceCoverage.delete(uri.toString());
+        scheduleCoverageRefresh(coverageChanges);
+    });
+    vscode.workspace.findFiles('**/*.rs', '**/target/**').then(uris => uris.forEach(uri => indexRustFile(uri, coverageChanges)));
+
+    context.subscriptions.push(
+        provider, generateCommand, insertCommand, updateCommand, documentFileCommand, documentFolderCommand, documentWorkspaceCommand,
+        diagnostics, codeActions, codeLenses, codeLensChanges, rustFiles,
+        coverageChanges, coverageView, coverageStatus, refreshCoverageCommand, generateFromCoverageCommand, documentFromCoverageCommand,
+        vscode.workspace.onDidOpenTextDocument(scheduleCheck),
+        vscode.workspace.onDidChangeTextDocument(event => scheduleCheck(event.document)),
+        vscode.workspace.onDidCloseTextDocument(document => {
+            diagnostics.delete(document.uri);
+            // Unsaved edits are gone, so the coverage is read from disk again
+            if (document.languageId === 'rust' && document.uri.scheme === 'file') indexRustFile(document.uri, coverageChanges);
+        }),
+        vscode.window.onDidChangeActiveTextEditor(editor => updateCoverageStatus(coverageStatus, editor?.document)),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (!event.affectsConfiguration('rustdocstring')) return;
+            vscode.workspace.textDocuments.forEach(scheduleCheck);
+            codeLensChanges.fire();
+        })
+    );
+}
+
+/**
+ * Reports the doc comments of a document that disagree with their item's signature.
+ *
+ * @param {vscode.TextDocument} document - The Rust document to check.
+ * @param {vscode.DiagnosticCollection} diagnostics - The collection to update.
+ */
+function refreshDiagnostics(document, diagnostics) {
+    const config = vscode.workspace.getConfiguration('rustdocstring', document.uri);
+    if (!config.get('diagnostics', true) || document.isClosed) {
+        diagnostics.delete(document.uri);
+        return;
+    }
+
+    const problems = checkDocComments(document, { ...getGenerationOptions(config), templates: getTemplates(document, config) });
+    diagnostics.set(document.uri, problems.map(problem => {
+        const line = document.lineAt(problem.line);
+        const range = new vscode.Range(problem.line, line.firstNonWhitespaceCharacterIndex, problem.line, line.text.length);
+        const diagnostic = new vscode.Diagnostic(range, problem.message, vscode.DiagnosticSeverity.Warning);
+        diagnostic.source = 'rustdocstring';
+        diagnostic.code = problem.code;
+        return diagnostic;
+    }));
+}
+
+/**
+ * Provides a quick fix for each doc comment diagnostic, which brings only the affected section in
+ * line with the signature, and one that updates the whole doc comment.
+ *
+ * @param {vscode.TextDocument} document - The document the code actions were requested in.
+ * @param {readonly vscode.Diagnostic[]} diagnostics - The diagnostics in the requested range.
+ * @returns {vscode.CodeAction[]} The quick fixes.
+ */
+function provideDocCommentFixes(document, diagnostics) {
+    const ours = diagnostics.filter(diagnostic => diagnostic.source === 'rustdocstring');
+    if (ours.length === 0) return [];
+
+    const config = vscode.workspace.getConfiguration('rustdocstring', document.uri);
+    const options = {
+        ...getGenerationOptions(config),
+        staleEntries: config.get('staleEntries', 'mark'),
+        errorTypes: getErrorTypes(document),
+        templates: getTemplates(document, config)
+    };
+
+    // Diagnostics only carry a range and code, so the problems are found again to learn their section
+    const problems = checkDocComments(document, options);
+    const actions = [];
+    const itemLines = new Set();
+
+    for (const diagnostic of ours) {
+        const problem = problems.find(p => p.line === diagnostic.range.start.line && p.code === diagnostic.code);
+        if (!problem) continue;
+
+        const heading = `\`# ${problem.section.replace(/\b\w/g, c => c.toUpperCase())}\``;
+        const title = problem.code === 'missing-section' ? `Add ${heading} section`
+            : problem.code === 'unexpected-section' ? `Remove ${heading} section`
+            : `Update ${heading} section`;
+        const fix = createFix(document, title, updateDocSection(document, problem.itemLine, problem.section, options), diagnostic);
+        if (fix) {
+            fix.isPreferred = true;
+            actions.push(fix);
+        }
+
+        if (!itemLines.has(problem.itemLine)) {
+            itemLines.add(problem.itemLine);
+            const full = createFix(document, 'Update Rust Doc Comment', updateDocComment(document, problem.itemLine, options), diagnostic);
+            if (full) actions.push(full);
+        }
+    }
+
+    return actions;
+}
+
+/**
+ * Wraps a doc comment replacement in a quick fix.
+ *
+ * @param {vscode.TextDocument} document - The document to edit.
+ * @param {string} title - The title of the quick fix.
+ * @param {{ start: number, end: number, text: string }|null} update - The replacement, as returned by `updateDocComment`.
+ * @param {vscode.Diagnostic} diagnostic - The diagnostic the quick fix resolves.
+ * @returns {vscode.CodeAction|null} The quick fix, or `null` if there is no replacement.
+ */
+function createFix(document, title, update, diagnostic) {
+    if (!update) return null;
+
+    const action = new vscode.CodeAction(title, vscode.CodeActionKind.QuickFix);
+    action.edit = new vscode.WorkspaceEdit();
+    action.edit.replace(document.uri, new vscode.Range(update.start, 0, update.end, document.lineAt(update.end).text.length), update.text);
+    action.diagnostics = [diagnostic];
+    return action;
+}
+
+/**
+ * Generates doc comments for the undocumented items in a set of Rust files and applies them as a
+ * single workspace edit, shown in the refactor preview first so items can be left out.
+ *
+ * The visibility and item kinds to document are picked by the user, starting from the
+ * `rustdocstring.bulkVisibility` and `rustdocstring.bulkItemKinds` settings.
+ *
+ * @param {() => Thenable<vscode.Uri[]>} findFiles - Resolves the files to document.
+ * @returns {Promise<void>}
+ */
+async function documentUndocumentedItems(findFiles) {
+    const config = vscode.workspace.getConfiguration('rustdocstring');
+    const filters = await pickBulkFilters(config);
+    if (!filters) return;
+
+    const edit = new vscode.WorkspaceEdit();
+    let itemCount = 0;
+
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Rust Doc String: Generating doc comments',
+        cancellable: true
+    }, async (progress, token) => {
+        const uris = await findFiles();
+        for (const uri of uris) {
+            if (token.isCancellationRequested) return;
+            progress.report({ message: vscode.workspace.asRelativePath(uri), increment: 100 / uris.length });
+
+            const document = await vscode.workspace.openTextDocument(uri);
+            const insertions = generateMissingDocs(document, {
+                ...getGenerationOptions(config),
+                ...filters,
+                commentStyle: config.get('commentStyle', 'auto'),
+                errorTypes: getErrorTypes(document),
+                templates: getTemplates(document, config)
+            });
+
+            for (const insertion of insertions) {
+                edit.insert(uri, new vscode.Position(insertion.line, 0), insertion.text, {
+                    label: `Document ${insertion.kind} ${insertion.name}`,
+                    description: vscode.workspace.asRelativePath(uri),
+                    needsConfirmation: true
+                });
+            }
+            itemCount += insertions.length;
+        }
+    });
+
+    if (itemCount === 0) {
+        vscode.window.showInformationMessage('Rust Doc String: No undocumented items found.');
+        return;
+    }
+
+    await vscode.workspace.applyEdit(edit);
+}
+
+/**
+ * Asks for the visibility and the item kinds to document in bulk.
+ *
+ * @param {vscode.WorkspaceConfiguration} config - The `rustdocstring` configuration.
+ * @returns {Promise<{ visibility: string, kinds: string[] }|undefined>} The filters, or `undefined` if cancelled.
+ */
+async function pickBulkFilters(config) {
+    const defaultVisibility = config.get('bulkVisibility', 'public');
+    const visibilityItems = [
+        { label: 'Public', description: '`pub` items', visibility: 'public' },
+        { label: 'Crate', description: '`pub` and `pub(crate)`, `pub(super)`, ... items', visibility: 'crate' },
+        { label: 'All', description: 'Every item, including private ones', visibility: 'all' },
+    ];
+    visibilityItems.sort((a, b) => (b.visibility === defaultVisibility) - (a.visibility === defaultVisibility));
+
+    const visibility = await vscode.window.showQuickPick(visibilityItems, { placeHolder: 'Which items should be documented?' });
+    if (!visibility) return;
+
+    const defaultKinds = config.get('bulkItemKinds', ITEM_KINDS);
+    const kindItems = ITEM_KINDS.map(kind => ({
+        label: kind,
+        description: kind === 'module' ? '`//!` overview at the top of each file' : undefined,
+        picked: defaultKinds.includes(kind)
+    }));
+
+    const kinds = await vscode.window.showQuickPick(kindItems, { canPickMany: true, placeHolder: 'Which item kinds should be documented?' });
+    if (!kinds?.length) return;
+
+    return { visibility: visibility.visibility, kinds: kinds.map(item => item.label) };
+}
+
+/**
+ * Reads the options `generateItemDoc` needs from the configuration, with the document's error types and templates.
+ *
+ * @param {vscode.TextDocument} document - The document containing the item.
+ * @param {vscode.WorkspaceConfiguration} config - The `rustdocstring` configuration.
+ * @returns {Object} The doc generation options.
+ */
+function getItemDocOptions(document, config) {
+    return { ...getGenerationOptions(config), errorTypes: getErrorTypes(document), templates: getTemplates(document, config) };
+}
+
+/**
+ * Generates the comments of the undocumented fields or variants of the item following a line, when
+ * `rustdocstring.memberDocs` is `inline`, numbering their tab stops after those of the item's comment.
+ *
+ * @param {vscode.TextDocument} document - The document containing the item.
+ * @param {number} line - The zero-based line above the item.
+ * @param {vscode.WorkspaceConfiguration} config - The `rustdocstring` configuration.
+ * @param {"line"|"block"|"attribute"} style - The comment style.
+ * @param {string} doc - The item's doc comment snippet, as returned by `generateItemDoc`.
+ * @returns {{ line: number, text: string }[]} The member comments, as returned by `generateMemberDocs`.
+ */
+function generateInlineMemberDocs(document, line, config, style, doc) {
+    if (config.get('memberDocs', 'list') !== 'inline') return [];
+    return generateMemberDocs(document, line, { style, tabStop: countTabStops(doc) + 1 });
+}
+
+/**
+ * Provides a "Generate Doc Comment" CodeLens above each undocumented item whose visibility passes the
+ * `rustdocstring.codeLens` setting.
+ *
+ * @param {vscode.TextDocument} document - The document the CodeLenses were requested for.
+ * @returns {vscode.CodeLens[]} The CodeLenses, none when the setting is `off`.
+ */
+function provideGenerateCodeLenses(document) {
+    const visibility = vscode.workspace.getConfiguration('rustdocstring', document.uri).get('codeLens', 'public');
+    if (visibility === 'off') return [];
+
+    return findUndocumentedItems(document, visibility).map(item => new vscode.CodeLens(new vscode.Range(item.insertLine, 0, item.insertLine, 0), {
+        title: 'Generate Doc Comment',
+        command: 'rustdocstring.generateDocComment',
+        arguments: [document.uri, item.insertLine]
+    }));
+}
+
+/**
+ * Provides the completion item for a crate-level or module-level `//!` inner doc comment
+ * (see `generateModuleOverview`).
+ *
+ * @param {vscode.TextDocument} document - The document the completion was requested in.
+ * @param {vscode.Position} position - The position of the `//!` (or `/*!`, `#![doc`) trigger.
+ * @param {"line"|"block"|"attribute"} style - The comment style to write.
+ * @param {vscode.Range} range - The trigger text replaced by the comment.
+ * @returns {vscode.CompletionItem[]|undefined} The completion item, or `undefined` if not applicable.
+ */
+function provideModuleDocItems(document, position, style, range) {
+    const config = vscode.workspace.getConfiguration('rustdocstring');
+    const doc = generateModuleOverview(document, position.line, {
+        includeExamples: config.get('includeExamples', true),
+        templates: getTemplates(document, config)
+    });
+    if (!doc) return;
+
+    return [createDocCompletionItem(document, "Generate Rust Module Doc Comment", doc, style, true, range)];
+}
+
+/**
+ * Creates the completion item that replaces a doc comment trigger with a generated doc comment.
+ *
+ * @param {vscode.TextDocument} document - The document the completion was requested in.
+ * @param {string} label - The completion label.
+ * @param {string} doc - The doc comment snippet, as returned by `generateDocComment` or `generateModuleDoc`.
+ * @param {"line"|"block"|"attribute"} style - The comment style to write.
+ * @param {boolean} inner - Whether the comment is an inner (`//!`) doc comment.
+ * @param {vscode.Range} range - The trigger text replaced by the comment.
+ * @returns {vscode.CompletionItem} The completion item.
+ */
+function createDocCompletionItem(document, label, doc, style, inner, range) {
+    const item = new vscode.CompletionItem(label);
+    item.insertText = new vscode.SnippetString(formatCommentLines(splitDocComment(doc), style, { inner, snippet: true }).join('\n'));
+    item.range = range;
+    // The trigger text is replaced, so the item must match it to stay in the list
+    item.filterText = document.getText(range);
+    item.kind = vscode.CompletionItemKind.Snippet;
+    return item;
+}
+
+/**
+ * Turns a doc comment completion into one that also documents fields or variants inline. A completion
+ * can only insert text at the cursor, so the item removes its trigger and runs a command that inserts
+ * the header and every member comment as snippet edits, in one snippet session.
+ *
+ * @param {vscode.CompletionItem} item - The completion item, as returned by `createDocCompletionItem`.
+ * @param {vscode.TextDocument} document - The document the completion was requested in.
+ * @param {vscode.Position} start - The position of the trigger, where the header is inserted.
+ * @param {{ line: number, text: string }[]} members - The member comments, as returned by `generateMemberDocs`.
+ */
+function moveIntoSnippetEdits(item, document, start, members) {
+    const header = /** @type {vscode.SnippetString} */ (item.insertText).value;
+    item.insertText = '';
+    item.command = {
+        command: 'rustdocstring.insertDocComments',
+        title: 'Insert Doc Comments',
+        arguments: [
+            document.uri,
+            [
+                { line: start.line, character: start.character, text: header },
+                ...members.map(member => ({ line: member.line, character: 0, text: member.text })),
+            ],
+        ],
+    };
+}
+
+/**
+ * Loads the user's doc comment templates from the `rustdocstring.templates` setting and from the
+ * `.rustdocstring.json` file in the document's workspace folder.
+ *
+ * A broken template is reported once per distinct error and the built-in templates are used instead.
+ *
+ * @param {vscode.TextDocument} document - The document the completion was requested in.
+ * @param {vscode.WorkspaceConfiguration} config - The `rustdocstring` configuration.
+ * @returns {Object<string, string>} The user templates keyed by item kind.
+ */
+function getTemplates(document, config) {
+    const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+
+    try {
+        const fileTemplates = folder ? loadWorkspaceTemplates(folder.uri.fsPath) : {};
+        return resolveTemplates(config.get('templates', {}), fileTemplates);
+    } catch (error) {
+        if (!(error instanceof TemplateError)) throw error;
+        if (error.message !== lastTemplateError) {
+            lastTemplateError = error.message;
+            vscode.window.showWarningMessage(`Rust Doc String: ${error.message} Using the built-in templates.`);
+        }
+        return {};
+    }
+}
+
+/**
+ * Reads a Rust file on disk into the workspace indexes: its enums, used to resolve error types, and
+ * its doc coverage, shown in the Rust Docs Coverage view. Files that cannot be read are left out.
+ *
+ * @param {vscode.Uri} uri - The Rust file.
+ * @param {vscode.EventEmitter<void>} coverageChanges - Fired, once indexing pauses, to redraw the coverage view.
+ * @returns {Promise<void>}
+ */
+async function indexRustFile(uri, coverageChanges) {
+    if (uri.path.includes('/target/')) return;
+
+    try {
+        const text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+        workspaceErrorTypes.set(uri.toString(), collectErrorTypes(text));
+        workspaceCoverage.set(uri.toString(), { uri, ...measureDocCoverage(createTextDocument(text, uri.fsPath)) });
+    } catch {
+        workspaceErrorTypes.delete(uri.toString());
+        workspaceCoverage.delete(uri.toString());
+    }
+    scheduleCoverageRefresh(coverageChanges);
+}
+
+/**
+ * Redraws the Rust Docs Coverage view once files stop being indexed.
+ *
+ * @param {vscode.EventEmitter<void>} coverageChanges - The view's change event.
+ */
+function scheduleCoverageRefresh(coverageChanges) {
+    clearTimeout(pendingCoverageRefresh);
+    pendingCoverageRefresh = setTimeout(() => coverageChanges.fire(), 300);
+}
+
+/**
+ * Lists the children of a node of the Rust Docs Coverage view: the crates at the root, then their
+ * modules, then the `pub` items of each module.
+ *
+ * @param {{ crate?: Object, module?: Object, item?: Object }} [node] - The node, or `undefined` for the root.
+ * @returns {{ crate?: Object, module?: Object, item?: Object }[]} The child nodes.
+ */
+function getCoverageChildren(node) {
+    if (!node) return groupCoverage([...workspaceCoverage.values()]).map(crate => ({ crate }));
+    if (node.crate) return node.crate.modules.map(module => ({ module }));
+    if (node.module) return node.module.items.map(item => ({ item }));
+    return [];
+}
+
+/**
+ * Renders a node of the Rust Docs Coverage view. Crates and modules show their coverage; items show
+ * their status, and open at their line when clicked.
+ *
+ * @param {{ crate?: Object, module?: Object, item?: Object }} node - The node, as returned by `getCoverageChildren`.
+ * @returns {vscode.TreeItem} The tree item.
+ */
+function createCoverageTreeItem(node) {
+    const group = node.crate || node.module;
+    if (group) {
+        const treeItem = new vscode.TreeItem(group.name, node.crate ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed);
+        treeItem.description = formatCoverage(group.summary);
+        treeItem.tooltip = describeCoverage(group.summary);
+        treeItem.iconPath = new vscode.ThemeIcon(node.crate ? 'package' : 'symbol-namespace');
+        treeItem.contextValue = node.crate ? 'crate' : 'module';
+        return treeItem;
+    }
+
+    const { item } = node;
+    const status = {
+        documented: { icon: 'pass', color: 'testing.iconPassed', label: 'Documented' },
+        placeholder: { icon: 'warning', color: 'list.warningForeground', label: 'Has placeholder text' },
+        undocumented: { icon: 'error', color: 'list.errorForeground', label: 'Undocumented' },
+    }[item.status];
+
+    const treeItem = new vscode.TreeItem(item.name, vscode.TreeItemCollapsibleState.None);
+    treeItem.description = item.kind;
+    treeItem.tooltip = `${status.label}: ${item.kind} ${item.module}::${item.name}`;
+    treeItem.iconPath = new vscode.ThemeIcon(status.icon, new vscode.ThemeColor(status.color));
+    treeItem.contextValue = `item.${item.status}`;
+    treeItem.command = {
+        command: 'vscode.open',
+        title: 'Go to Item',
+        arguments: [item.uri, { selection: new vscode.Range(item.line, 0, item.line, 0) }]
+    };
+    return treeItem;
+}
+
+/**
+ * Shows the doc coverage of a document in the status bar, or hides it for documents with no `pub` items.
+ *
+ * @param {vscode.StatusBarItem} statusBar - The coverage status bar item.
+ * @param {vscode.TextDocument} [document] - The active editor's document.
+ * @param {ReturnType<typeof measureDocCoverage>} [coverage] - The document's coverage, when it was just measured.
+ *   Defaults to measuring it.
+ */
+function updateCoverageStatus(statusBar, document, coverage) {
+    const summary = document?.languageId === 'rust' ? summarizeCoverage((coverage ?? measureDocCoverage(document)).items) : null;
+    if (!summary || summary.total === 0) {
+        statusBar.hide();
+        return;
+    }
+
+    statusBar.text = `$(book) ${summary.percent}% docs`;
+    statusBar.tooltip = `Rust Docs Coverage: ${describeCoverage(summary)}`;
+    statusBar.show();
+}
+
+/**
+ * Formats a coverage summary for a tree node (`75% (3/4)`).
+ */
+function formatCoverage(summary) {
+    return `${summary.percent}% (${summary.documented}/${summary.total})`;
+}
+
+/**
+ * Spells out the counts of a coverage summary.
+ */
+function describeCoverage(summary) {
+    return `${summary.documented} documented, ${summary.placeholder} with placeholders, ${summary.undocumented} undocumented of ${summary.total} pub items`;
+}
+
+/**
+ * Gathers the enums a function's error type may resolve to: those declared anywhere in the
+ * workspace, and those in the document as currently edited (which take precedence).
+ *
+ * @param {vscode.TextDocument} document - The document being documented.
+ * @returns {Object<string, Object>} The enums keyed by name, as returned by `collectErrorTypes`.
+ */
+function getErrorTypes(document) {
+    return Object.assign({}, ...workspaceErrorTypes.values(), collectErrorTypes(document.getText()));
 }
 
 function deactivate() {}
@@ -0,0 +1,181 @@
+const { tokenize } = require('./tokenizer.js');
+const { findClose, splitTopLevel } = require('./item_parser.js');
+
+/**
+ * Integer types an enum's discriminant can be stored as with `#[repr(...)]`.
+ */
+const PRIMITIVE_REPRS = ['u8', 'u16', 'u32', 'u64', 'u128', 'usize', 'i8', 'i16', 'i32', 'i64', 'i128', 'isize'];
+
+/**
+ * Reads the attributes of an item that change what its documentation should say.
+ *
+ * - `#[cfg(feature = "x")]` (also inside `all(...)` or `any(...)`) gives an availability note, as
+ *   rustdoc's `doc_cfg` would show it. Other `cfg` predicates (`unix`, `test`, ...) are not described.
+ * - `#[deprecated]`, `#[deprecated = "note"]`, and `#[deprecated(since = "...", note = "...")]` give a
+ *   `# Deprecated` section.
+ * - `#[must_use]` and `#[must_use = "reason"]` give a usage note to fill in.
+ * - `#[repr(...)]` gives one layout note per representation hint (`C`, `transparent`, `u8`, `packed`, `align(n)`).
+ * - `#[derive(...)]` lists the derived traits, by their last path segment.
+ *
+ * ### Example
+ * Input:
+ * ```rust
+ * #[cfg(feature = "serde")]
+ * #[derive(Debug, Clone)]
+ * #[repr(u8)]
+ * ```
+ * Output (for an enum):
+ * ```text
+ * { availability: "Available on crate feature `serde` only.", deprecated: null, mustUse: null,
+ *   layout: ["`#[repr(u8)]`: the discriminant is stored as a `u8`."], derives: ["Debug", "Clone"] }
+ * ```
+ *
+ * @param {{ name: string, args: string }[]} [attributes=[]] - The item's attributes, as returned by `parseItem`.
+ * @param {string} [kind='function'] - The item kind, which words the notes (`function`, `struct`, `enum`, ...).
+ * @returns {{ availability: string|null, deprecated: { since: string|null, note: string|null }|null, mustUse: string|null,
+ *   layout: string[], derives: string[] }} The values the templates use.
+ */
+function describeAttributes(attributes = [], kind = 'function') {
+    const named = name => attributes.filter(attribute => attribute.name === name);
+
+    const cfgs = named('cfg').map(attribute => readCfgFeatures(readTokens(attribute.args)));
+    const deprecated = named('deprecated')[0];
+    const mustUse = named('must_use')[0];
+
+    return {
+        availability: cfgs.length > 0 && cfgs.every(Boolean) ? describeAvailability(cfgs) : null,
+        deprecated: deprecated ? readDeprecation(deprecated.args) : null,
+        mustUse: mustUse ? describeMustUse(mustUse.args, kind) : null,
+        layout: named('repr').flatMap(attribute => splitTopLevel(readTokens(attribute.args), ',').map(hint => describeRepr(hint, kind)).filter(Boolean)),
+        derives: named('derive').flatMap(attribute => attribute.args.split(',').map(path => path.trim().split('::').pop()).filter(Boolean)),
+    };
+}
+
+/**
+ * Reads the crate features a `cfg` predicate requires: `feature = "x"`, or `all(...)` / `any(...)` of them.
+ *
+ * @param {Object[]} tokens - The predicate tokens.
+ * @returns {{ features: string[], any: boolean }|null} The features and whether any one of them is enough, or
+ *   `null` if the predicate is not only about features or mixes `all` and `any`.
+ */
+function readCfgFeatures(tokens) {
+    if (isWord(tokens[0], 'feature') && is(tokens[1], '=') && tokens[2]?.kind === 'string' && tokens.length === 3) {
+        return { features: [readString(tokens[2].value)], any: false };
+    }
+    if (!isWord(tokens[0], 'all', 'any') || !is(tokens[1], '(') || findClose(tokens, 1) !== tokens.length - 1) return null;
+
+    const any = tokens[0].value === 'any';
+    const parts = splitTopLevel(tokens.slice(2, -1), ',').filter(part => part.length > 0).map(readCfgFeatures);
+    if (parts.length === 0 || parts.some(part => !part || (part.features.length > 1 && part.any !== any))) return null;
+    return { features: parts.flatMap(part => part.features), any };
+}
+
+/**
+ * Words the availability note for the features of one or more `cfg` attributes, which must all hold.
+ *
+ * @param {{ features: string[], any: boolean }[]} cfgs - The features of each attribute.
+ * @returns {string|null} The note, e.g. ``Available on crate features `a` and `b` only.``
+ */
+function describeAvailability(cfgs) {
+    const any = cfgs.length === 1 && cfgs[0].any && cfgs[0].features.length > 1;
+    if (!any && cfgs.some(cfg => cfg.any && cfg.features.length > 1)) return null;
+
+    const features = [...new Set(cfgs.flatMap(cfg => cfg.features))].map(feature => `\`${feature}\``);
+    if (features.length === 1) return `Available on crate feature ${features[0]} only.`;
+    if (any) return `Available on ${features.map(feature => `crate feature ${feature}`).join(' or ')} only.`;
+    return `Available on crate features ${features.slice(0, -1).join(', ')} and ${features[features.length - 1]} only.`;
+}
+
+/**
+ * Reads the version and note of a `#[deprecated]` attribute.
+ *
+ * @param {string} args - The attribute arguments: empty, a string, or `since = "...", note = "..."`.
+ * @returns {{ since: string|null, note: string|null }} The version it was deprecated in and the note, when given.
+ */
+function readDeprecation(args) {
+    const tokens = readTokens(args);
+    if (tokens.length === 1 && tokens[0].kind === 'string') return { since: null, note: readString(tokens[0].value) };
+
+    const deprecation = { since: null, note: null };
+    for (const part of splitTopLevel(tokens, ',')) {
+        if (isWord(part[0], 'since', 'note') && is(part[1], '=') && part[2]?.kind === 'string') {
+            deprecation[part[0].value] = readString(part[2].value);
+        }
+    }
+    return deprecation;
+}
+
+/**
+ * Words the usage note of a `#[must_use]` item, starting from the attribute's reason when it has one.
+ *
+ * @param {string} args - The attribute arguments: empty or the reason string.
+ * @param {string} kind - The item kind.
+ * @returns {string} The note.
+ */
+function describeMustUse(args, kind) {
+    const tokens = readTokens(args);
+    const reason = tokens.length === 1 && tokens[0].kind === 'string' ? readString(tokens[0].value).replace(/\.$/, '') : null;
+    const subject = kind === 'function' ? 'The return value' : 'Values of this type';
+
+    if (reason) return `${subject} must be used: ${reason}.`;
+    return kind === 'function' ? 'Describe why the return value must be used.' : 'Describe why values of this type must be used.';
+}
+
+/**
+ * Describes the layout a `#[repr(...)]` hint gives an item.
+ *
+ * @param {Object[]} hint - The tokens of one hint, e.g. `C` or `align(8)`.
+ * @param {string} kind - The item kind.
+ * @returns {string|null} The layout note, or `null` for hints that do not change the layout (`Rust`).
+ */
+function describeRepr(hint, kind) {
+    const text = hint.map(token => token.value).join('');
+    const attribute = `\`#[repr(${text})]\``;
+    const size = is(hint[1], '(') ? hint.slice(2, -1).map(token => token.value).join('') : null;
+
+    if (text === 'C') {
+        return kind === 'enum'
+            ? `${attribute}: the discriminant has the size of a C enum, so the type can cross an FFI boundary.`
+            : `${attribute}: fields are laid out in declaration order with C alignment and padding, so the type can cross an FFI boundary.`;
+    }
+    if (text === 'transparent') return `${attribute}: has the same layout and ABI as its single non-zero-sized field.`;
+    if (PRIMITIVE_REPRS.includes(text)) return `${attribute}: the discriminant is stored as a \`${text}\`.`;
+    if (isWord(hint[0], 'packed')) {
+        return size
+            ? `${attribute}: fields are aligned to at most ${size} bytes, so references to them may be unaligned.`
+            : `${attribute}: fields are stored without padding, so references to them may be unaligned.`;
+    }
+    if (isWord(hint[0], 'align') && size) return `${attribute}: aligned to at least ${size} bytes.`;
+    return null;
+}
+
+/**
+ * Tokenizes attribute arguments, without comments.
+ */
+function readTokens(args) {
+    return tokenize(args || '').filter(token => token.kind !== 'comment');
+}
+
+/**
+ * Reads the text of a string literal, e.g. `"use \"x\""` or `r#"..."#`.
+ */
+function readString(literal) {
+    if (/^r#*"/.test(literal)) return literal.replace(/^r#*"/, '').replace(/"#*$/, '');
+    return literal.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Checks whether a token is the given punctuation.
+ */
+function is(token, value) {
+    return !!token && token.kind === 'punct' && token.value === value;
+}
+
+/**
+ * Checks whether a token is one of the given identifiers.
+ */
+function isWord(token, ...words) {
+    return !!token && token.kind === 'ident' && words.includes(token.value);
+}
+
+module.exports = { describeAttributes };
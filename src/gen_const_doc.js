@@ -0,0 +1,51 @@
+const { parseItem } = require('./item_parser.js');
+const { renderDocComment } = require('./template.js');
+const { describeAttributes } = require('./gen_attributes_doc.js');
+
+/**
+ * Generates a Rust-style documentation block for a `const` or `static` item.
+ *
+ * The generated doc block includes:
+ * - A general description placeholder.
+ * - A `# Safety` section for `static mut` items, describing the data races that unsynchronized
+ *   access can cause.
+ * - A `# Safety` section for statics declared inside an `extern` block, whose values are owned
+ *   by foreign code.
+ *
+ * The block is rendered from the `const` or `static` template, or from the user's template when one
+ * is configured. Tab stops (`${n:...}`) are inserted for editor snippet expansion.
+ *
+ * @param {string} line - The normalized `const` or `static` declaration, up to its terminating `;`.
+ * @param {boolean} [includeSafetyDetails=false] - Whether to include extended safety guidance in the `# Safety` section.
+ * @param {Object} [options={}] - Additional generation context.
+ * @param {string|null} [options.enclosingBlock] - The header of the block enclosing the item (e.g., `extern "C" {`).
+ * @param {Object[]} [options.attributes] - The item's attributes, when the signature was read without them (see `describeAttributes`).
+ * @param {Object<string, string>} [options.templates] - User templates keyed by item kind.
+ * @returns {string|null} The formatted doc comment block, or `null` if the input is not a valid const or static.
+ */
+function generateConstDoc(line, includeSafetyDetails, options = {}) {
+    const item = parseItem(line);
+    if ((item?.kind !== 'const' && item?.kind !== 'static') || !item.type) return null;
+
+    const keyword = item.kind;
+    const isForeign = parseItem(options.enclosingBlock || '')?.kind === 'extern';
+    const isStaticMut = keyword === 'static' && item.modifiers.mut;
+
+    // Values available to the const and static templates
+    const context = {
+        name: item.name,
+        pub: item.visibility !== '',
+        ...describeAttributes(options.attributes ?? item.attributes, keyword),
+        const: keyword === 'const',
+        static: keyword === 'static',
+        mut: isStaticMut,
+        foreign: isForeign,
+        // Safety section for `static mut` (data races) or foreign statics (unless declared `safe`)
+        safety: isStaticMut || (isForeign && !item.modifiers.safe),
+        includeSafetyDetails: !!includeSafetyDetails,
+    };
+
+    return renderDocComment(keyword, context, options);
+}
+
+module.exports = { generateConstDoc };
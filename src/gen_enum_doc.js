@@ -1,122 +1,153 @@
+const { parseItem } = require('./item_parser.js');
+const { parseGenericParams, describeGenericParams } = require('./gen_generics_doc.js');
+const { synthesizeExampleValue, toTabStop, applyFenceSetting } = require('./example_values.js');
+const { renderDocComment } = require('./template.js');
+const { describeVariant } = require('./gen_errors_doc.js');
+const { describeAttributes } = require('./gen_attributes_doc.js');
+const { resolveExampleImport } = require('./crate_paths.js');
+
+/**
+ * Placeholder descriptions for variants without a doc comment or `#[error("...")]` message, by variant kind.
+ */
+const VARIANT_PLACEHOLDERS = {
+    unit: 'Describe this variant.',
+    tuple: 'Describe this tuple variant.',
+    struct: 'Describe this field variant.',
+};
+
 /**
  * Generates a Rust-style documentation block for an `enum` declaration.
  *
  * The generated block includes:
  * - A general description template.
- * - A `# Variants` section that lists all enum variants with tab stops.
- * - A `# Examples` section that demonstrates pattern matching.
+ * - A `# Type Parameters` section (if enabled) listing lifetimes, type parameters, and const generics.
+ * - A `# Variants` section that lists all enum variants with tab stops, unless variants are
+ *   documented inline (`options.memberDocs` is `inline`, see `generateMemberDocs`).
+ * - Notes, a `# Layout` section, and a `# Deprecated` section for its `cfg`, `must_use`, `repr`, and
+ *   `deprecated` attributes (see `describeAttributes`).
+ * - A `# Examples` section that constructs a variant with synthesized example values and
+ *   demonstrates pattern matching.
  *
- * Supports unit variants, tuple variants, and struct variants.
+ * Supports unit variants, tuple variants, and struct variants. Each variant entry shows its explicit
+ * discriminant (`A = 1`), marks the `#[default]` variant, and starts from the variant's doc comment or
+ * `thiserror` `#[error("...")]` message when it has one. The block is rendered from the `enum`
+ * template, or from the user's template when one is configured.
+ * An enum without variants (`enum Never {}`) gets only the summary line.
  *
  * @param {string} line - The line containing the Rust `enum` declaration with its body.
  * @param {boolean} [includeExamples=true] - Whether to include the `# Examples` section.
  * @param {boolean} [examplesOnlyForPublicOrExtern=false] - If true, include examples only for `pub` or `extern` functions.
+ * @param {Object} [options={}] - Additional generation options.
+ * @param {boolean} [options.includeTypeParameters=false] - Whether to include the `# Type Parameters` section.
+ * @param {"list"|"inline"} [options.memberDocs="list"] - Whether variants are listed in `# Variants` or documented inline.
+ * @param {Object[]} [options.attributes] - The item's attributes, when the signature was read without them (see `describeAttributes`).
+ * @param {{ name: string, path: string[], reachable: boolean }|null} [options.crate] - The module the enum is declared in
+ *   (see `enterInlineModules`), used to import it in the example.
+ * @param {string} [options.exampleFence="auto"] - The code block attributes of the example (see `applyFenceSetting`).
+ * @param {Object<string, string>} [options.templates] - User templates keyed by item kind.
  * @returns {string|null} A formatted doc comment block or null if parsing fails.
  */
-function generateEnumDoc(line, includeExamples, examplesOnlyForPublicOrExtern) {
-    // Check if enum is public or externed.
-    const isPublicOrExtern = /\b(pub(\s*\([^)]*\)|\s+self|\s+super)?|extern(\s*"[^"]*")?)\b/.test(line);
-
-    // Remove trailing comments and trim whitespace
-    line = line.replace(/\/\/.*$/, '').trim();
-
-    // Match the enum name and body
-    const enumMatch = line.match(/enum\s+(\w+)(?:\s*<[^>]+>)?\s*\{([\s\S]+)\}/);
-    if (!enumMatch) return null;
-
-    const name = enumMatch[1];
-    const body = enumMatch[2].trim();
-    let currentTabStop = 2;
-
-    // Documentation start and Variants section
-    const docLines = [` \${1:Describe this enum.}`, ``, `# Variants`, ``];
-
-    const variants = splitEnumVariants(body);
-    const exampleLines = [`match ${name.toLowerCase()} {`];
-
-    // Generate a documentation line and match arm for each variant
-    for (const variant of variants) {
-        const unitMatch = variant.match(/^(\w+)$/);
-        const tupleMatch = variant.match(/^(\w+)\s*\((.+)\)$/);
-        const fieldMatch = variant.match(/^(\w+)\s*\{(.+)\}$/);
-
-        if (unitMatch) {
-            const variantName = unitMatch[1];
-            docLines.push(`- \`${variantName}\` - \${${currentTabStop++}:Describe this variant.}`);
-            exampleLines.push(`    ${name}::${variantName} => handle_unit,`);
-        } else if (tupleMatch) {
-            const variantName = tupleMatch[1];
-            const types = tupleMatch[2].split(',').map(t => t.trim());
-            docLines.push(`- \`${variantName}(${types.join(', ')})\` - \${${currentTabStop++}:Describe this tuple variant.}`);
-            const bindings = types.map((_, i) => `v${i}`).join(', ');
-            exampleLines.push(`    ${name}::${variantName}(${bindings}) => handle_tuple,`);
-        } else if (fieldMatch) {
-            const variantName = fieldMatch[1];
-            const fields = fieldMatch[2].split(',').map(f => f.trim()).filter(Boolean);
-            const fieldNames = fields.map(f => f.split(':')[0].trim());
-            const fieldLine = `- \`${variantName} { ${fieldNames.join(', ')} }\` - \${${currentTabStop++}:Describe this field variant.}`;
-            docLines.push(fieldLine);
-            exampleLines.push(`    ${name}::${variantName} { ${fieldNames.join(', ')} } => handle_fields,`);
-        } else {
-            docLines.push(`- \`${variant}\` - \${${currentTabStop++}:Describe this variant.}`);
-            exampleLines.push(`    ${name}::${variant} => handle_unknown,`);
-        }
-    }
-
-    const defaultVariant = variants[0].split(/[({]/)[0].trim();
-
-    if (includeExamples && (!examplesOnlyForPublicOrExtern || isPublicOrExtern)) {
-        // Examples section
-        docLines.push(``, `# Examples`, ``, '```', `use crate::\${${currentTabStop++}:...};`, ``);
-        docLines.push(`let ${name.toLowerCase()} = ${name}::${defaultVariant};`); // Add function name.
-        docLines.push(...exampleLines);
-        docLines.push('}');
-        docLines.push('```'); // End the example section markdown code block
-    }
-
-    // Format as Rust doc comment block
-    return [docLines[0], ...docLines.slice(1).map(line => `/// ${line}`)].join('\n');
+function generateEnumDoc(line, includeExamples, examplesOnlyForPublicOrExtern, options = {}) {
+    const item = parseItem(line);
+    if (item?.kind !== 'enum' || !item.complete) return null;
+
+    // An enum without variants (`enum Never {}`) has nothing to list or construct: only the summary line
+    if (item.variants.length === 0) return ' ${1:Describe this enum.}';
+
+    // Keep each variant's payload types, used to construct the example value
+    const variants = item.variants.map(variant => {
+        let label = variant.name;
+        if (variant.kind === 'tuple') label = `${variant.name}(${variant.types.join(', ')})`;
+        else if (variant.kind === 'struct') label = `${variant.name} { ${variant.fields.map(f => f.name).join(', ')} }`;
+
+        return {
+            name: variant.name,
+            label,
+            kind: variant.kind,
+            types: variant.types,
+            fields: variant.fields.map(field => ({ name: field.name, type: field.type })),
+            isUnit: variant.kind === 'unit',
+            isTuple: variant.kind === 'tuple',
+            isStruct: variant.kind === 'struct',
+            discriminant: variant.discriminant,
+            isDefault: variant.attributes.some(attribute => attribute.name === 'default'),
+            description: describeVariant(variant) || VARIANT_PLACEHOLDERS[variant.kind],
+        };
+    });
+
+    const typeParams = describeGenericParams(parseGenericParams(item.generics, item.whereClause));
+    const showExamples = includeExamples && (!examplesOnlyForPublicOrExtern || item.visibility !== '');
+    const attributes = describeAttributes(options.attributes ?? item.attributes, 'enum');
+
+    // Values available to the enum template
+    const context = {
+        name: item.name,
+        pub: item.visibility !== '',
+        ...attributes,
+        typeParams,
+        showTypeParams: !!options.includeTypeParameters && typeParams.length > 0,
+        variants,
+        inlineMembers: options.memberDocs === 'inline',
+        showExamples,
+        example: showExamples
+            ? applyFenceSetting(createExampleSection(item.name, variants, attributes.derives, resolveExampleImport(item.name, item.visibility, options.crate)), options.exampleFence)
+            : null,
+    };
+
+    return renderDocComment('enum', context, options);
 }
 
 /**
- * Splits an enum body string into individual variant strings,
- * accounting for nested braces `{}` and parentheses `()`.
+ * Generates the example code for an enum: the first variant is constructed with an example value
+ * synthesized for each payload type, then matched with one arm per variant.
  *
- * This function ensures variants like:
- *   - `A`
- *   - `B(u8)`
- *   - `C { x: u32 }`
- * are split correctly even when commas appear inside tuple or struct bodies.
+ * Derived traits are put to use: `Debug` prints the value, `Clone` with `PartialEq` and `Debug`
+ * compares it with its clone, and `Default` with `PartialEq` and `Debug` shows which unit variant
+ * is the `#[default]` one.
  *
- * @param {string} body - The enum body string, e.g., `"A, B(u8), C { x: u32 }"`.
- * @returns {string[]} An array of cleaned variant strings.
+ * @param {string} name - The name of the enum.
+ * @param {{ name: string, kind: string, types: string[], fields: { name: string, type: string }[], isDefault: boolean }[]} variants - The enum variants.
+ * @param {string[]} [derives=[]] - The traits the enum derives.
+ * @param {{ path: string|null, ignore: boolean }} [imported] - The import path and whether the example cannot run
+ *   (see `resolveExampleImport`). Without a path, the import is a tab stop.
+ * @returns {{ attributes: string, code: string[] }} The code block attributes and the lines of the example code.
  */
-function splitEnumVariants(body) {
-    const variants = [];
-    let current = '';
-    let brace = 0, paren = 0;
+function createExampleSection(name, variants, derives = [], imported = { path: null, ignore: false }) {
+    // Tab stops are renumbered in order of appearance when the template is rendered
+    let currentTabStop = 1;
+    const code = [imported.path ? `use ${imported.path};` : `use crate::\${${currentTabStop++}:...};`, ``];
+
+    const first = variants[0];
+    let constructor = `${name}::${first.name}`;
+    if (first.kind === 'tuple') {
+        const values = first.types.map(type => toTabStop(synthesizeExampleValue(type), currentTabStop++));
+        constructor += `(${values.join(', ')})`;
+    } else if (first.kind === 'struct') {
+        const values = first.fields.map(field => `${field.name}: ${toTabStop(synthesizeExampleValue(field.type), currentTabStop++)}`);
+        constructor += ` { ${values.join(', ')} }`;
+    }
 
-    // If not inside nested structures, use commas to split
-    for (let i = 0; i < body.length; i++) {
-        const char = body[i];
-        if (char === '{') brace++;
-        if (char === '}') brace--;
-        if (char === '(') paren++;
-        if (char === ')') paren--;
+    const binding = name.toLowerCase();
+    const comparable = ['PartialEq', 'Debug'].every(trait => derives.includes(trait));
+    const defaultVariant = variants.find(variant => variant.isDefault && variant.kind === 'unit');
 
-        if (char === ',' && brace === 0 && paren === 0) {
-            variants.push(current.trim());
-            current = '';
+    code.push(`let ${binding} = ${constructor};`);
+    if (derives.includes('Debug')) code.push(`println!("{${binding}:?}");`);
+    if (comparable && derives.includes('Clone')) code.push(`assert_eq!(${binding}.clone(), ${binding});`);
+    if (comparable && derives.includes('Default') && defaultVariant) code.push(`assert_eq!(${name}::default(), ${name}::${defaultVariant.name});`);
+    code.push(`match ${binding} {`);
+    for (const variant of variants) {
+        if (variant.kind === 'tuple') {
+            code.push(`    ${name}::${variant.name}(${variant.types.map(() => '_').join(', ')}) => {}`);
+        } else if (variant.kind === 'struct') {
+            code.push(`    ${name}::${variant.name} { .. } => {}`);
         } else {
-            current += char;
+            code.push(`    ${name}::${variant.name} => {}`);
         }
     }
+    code.push('}');
 
-    if (current.trim()) {
-        variants.push(current.trim());
-    }
-
-    return variants;
+    return { attributes: imported.ignore ? 'ignore' : '', code };
 }
 
-module.exports = { generateEnumDoc };
\ No newline at end of file
+module.exports = { generateEnumDoc, VARIANT_PLACEHOLDERS };
\ No newline at end of file
@@ -0,0 +1,218 @@
+const { tokenize, tokensToText } = require('./tokenizer.js');
+const { readMembers, withoutPlainComments, findClose, splitTopLevel } = require('./item_parser.js');
+const { readReceiver } = require('./gen_panics_doc.js');
+
+/**
+ * Reads the error type of a `Result` return type.
+ *
+ * `Result<T, E>` (also spelled `std::result::Result` or `core::result::Result`) fails with `E`.
+ * Module aliases such as `io::Result<T>`, `fmt::Result`, or `anyhow::Result<T>` fail with the
+ * `Error` type of the same module. A bare `Result<T>` is a crate alias whose error type is unknown.
+ *
+ * ### Example
+ * Input:
+ * ```text
+ * "std::io::Result<Vec<u8>>"
+ * ```
+ * Output:
+ * ```text
+ * { errorType: "std::io::Error" }
+ * ```
+ *
+ * @param {string|null} returnType - The function's return type.
+ * @returns {{ errorType: string|null }|null} The error type (`null` if unknown), or `null` if the type is not a `Result`.
+ */
+function parseResultType(returnType) {
+    const tokens = tokenize(returnType || '').filter(token => token.kind !== 'comment');
+    let i = 0;
+    while (tokens[i]?.kind === 'ident' && is(tokens[i + 1], '::')) i += 2;
+    if (tokens[i]?.kind !== 'ident' || tokens[i].value !== 'Result') return null;
+
+    const modulePath = tokensToText(tokens.slice(0, i));
+    let args = [];
+    if (is(tokens[i + 1], '<')) {
+        const close = findClose(tokens, i + 1);
+        if (close !== tokens.length - 1) return null;
+        args = splitTopLevel(tokens.slice(i + 2, close), ',').filter(part => part.length > 0);
+    } else if (i + 1 !== tokens.length) {
+        return null;
+    }
+
+    if (args.length === 2) return { errorType: tokensToText(args[1]) };
+    if (modulePath && !/^(?:std|core)::result::$/.test(modulePath)) return { errorType: `${modulePath}Error` };
+    return { errorType: null };
+}
+
+/**
+ * Collects the enums declared in a Rust source file, with a description of each variant, so the
+ * error type of a function can be resolved to its variants. Enums inside inline modules are included.
+ *
+ * A variant is described by the first line of its doc comment or, for `thiserror` enums, by its
+ * `#[error("...")]` message.
+ *
+ * ### Example
+ * Input:
+ * ```rust
+ * #[derive(Debug, thiserror::Error)]
+ * pub enum ConfigError {
+ *     #[error("file not found: {0}")]
+ *     NotFound(PathBuf),
+ *     /// The file is not valid TOML.
+ *     Parse(toml::de::Error),
+ * }
+ * ```
+ * Output:
+ * ```text
+ * { ConfigError: { variants: [
+ *     { name: "NotFound", description: "Returned with \"file not found: {0}\"." },
+ *     { name: "Parse", description: "The file is not valid TOML." }
+ * ] } }
+ * ```
+ *
+ * @param {string} text - The source text of a Rust file.
+ * @returns {Object<string, { variants: { name: string, description: string|null }[] }>} The enums, keyed by name.
+ */
+function collectErrorTypes(text) {
+    const errorTypes = {};
+    const collect = members => {
+        for (const item of members) {
+            if (item.kind === 'enum' && item.name && item.complete) {
+                errorTypes[item.name] = { variants: item.variants.map(variant => ({ name: variant.name, description: describeVariant(variant) })) };
+            } else if (item.kind === 'mod') {
+                collect(item.members);
+            }
+        }
+    };
+
+    collect(readMembers(withoutPlainComments(tokenize(text))));
+    return errorTypes;
+}
+
+/**
+ * Finds the failure modes of a function body: the error variants it constructs and the `?`
+ * operators that propagate an error.
+ *
+ * Variants are paths such as `ConfigError::NotFound` inside `Err(...)`, or any path starting with
+ * the error enum's name (so `.ok_or(ConfigError::Missing)` and `.map_err(ConfigError::Io)` count too).
+ *
+ * ### Example
+ * Input:
+ * ```text
+ * "let text = fs::read_to_string(path)?; if text.is_empty() { return Err(ConfigError::Empty); }", "ConfigError"
+ * ```
+ * Output:
+ * ```text
+ * { variants: ["ConfigError::Empty"], propagated: ["fs::read_to_string(path)"] }
+ * ```
+ *
+ * @param {string} body - The function body, with or without its braces.
+ * @param {string|null} [errorName=null] - The name of the error enum, without its module path or generics.
+ * @returns {{ variants: string[], propagated: string[] }} The variant paths and the propagated expressions, in
+ *   source order and without duplicates.
+ */
+function findErrorSites(body, errorName = null) {
+    const tokens = tokenize(body).filter(token => token.kind !== 'comment');
+    const variants = new Set();
+    const propagated = new Set();
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const inErr = isWord(tokens[i - 2], 'Err') && is(tokens[i - 1], '(');
+        const afterPath = is(tokens[i - 1], '::');
+
+        if (token.kind === 'ident' && !afterPath && is(tokens[i + 1], '::') && (inErr || token.value === errorName)) {
+            const path = readPath(tokens, i);
+            if (path.length > 1 && /^[A-Z]/.test(path[path.length - 1])) variants.add(path.join('::'));
+        } else if (is(token, '?') && isExpressionEnd(tokens[i - 1])) {
+            const expression = readReceiver(tokens, i);
+            if (expression) propagated.add(expression);
+        }
+    }
+
+    return { variants: [...variants], propagated: [...propagated] };
+}
+
+/**
+ * Describes the failure modes of a function as the entries of its `# Errors` section.
+ *
+ * Variants constructed in the body are linked (``[`ConfigError::NotFound`]``) and described from the
+ * enum declaration when it is known; each `?` operator gets an entry for the expression it propagates.
+ * Without a body, or when the body shows no failure modes, every variant of the error enum is listed.
+ *
+ * @param {string|null} errorType - The error type, as returned by `parseResultType`.
+ * @param {string|null} body - The function body, if known.
+ * @param {Object<string, { variants: { name: string, description: string|null }[] }>} [errorTypes={}] - Known enums,
+ *   as returned by `collectErrorTypes`.
+ * @returns {{ head: string, link: string|null, expression: string|null, description: string }[]} The entries, in order.
+ */
+function describeErrors(errorType, body, errorTypes = {}) {
+    const typePath = errorType ? errorType.replace(/<.*$/s, '').trim() : null;
+    const errorName = typePath ? typePath.split('::').pop() : null;
+    const known = errorName && Object.prototype.hasOwnProperty.call(errorTypes, errorName) ? errorTypes[errorName] : null;
+    const sites = body ? findErrorSites(body, errorName) : { variants: [], propagated: [] };
+
+    const describeVariant = path => {
+        const [enumName, name] = path.split('::').slice(-2);
+        const variant = known && enumName === errorName ? known.variants.find(v => v.name === name) : null;
+        return { head: `[\`${path}\`]`, link: path, expression: null, description: variant?.description || 'Describe when this error is returned.' };
+    };
+
+    const entries = [
+        ...sites.variants.map(describeVariant),
+        ...sites.propagated.map(expression => ({ head: `\`${expression}?\``, link: null, expression, description: 'Describe when this fails.' })),
+    ];
+    if (entries.length > 0 || !known) return entries;
+
+    return known.variants.map(variant => describeVariant(`${typePath}::${variant.name}`));
+}
+
+/**
+ * Describes an enum variant from its doc comment or its `thiserror` message.
+ *
+ * @param {{ docs: string[], attributes: { name: string, args: string }[] }} variant - The parsed variant.
+ * @returns {string|null} The description, or `null` if the variant has neither.
+ */
+function describeVariant(variant) {
+    const summary = variant.docs.join('\n').split('\n').map(line => line.trim()).find(line => line !== '');
+    if (summary) return summary;
+
+    const message = variant.attributes.find(attribute => attribute.name === 'error' && /^"/.test(attribute.args));
+    return message ? `Returned with ${message.args}.` : null;
+}
+
+/**
+ * Reads a `::`-separated path of identifiers starting at an index, e.g. `ConfigError::NotFound`.
+ *
+ * @param {Object[]} tokens - The body tokens.
+ * @param {number} start - The index of the first identifier.
+ * @returns {string[]} The path segments.
+ */
+function readPath(tokens, start) {
+    const path = [tokens[start].value];
+    for (let i = start + 1; is(tokens[i], '::') && tokens[i + 1]?.kind === 'ident'; i += 2) path.push(tokens[i + 1].value);
+    return path;
+}
+
+/**
+ * Checks whether a `?` after a token is the try operator, rather than a `?Sized` bound.
+ */
+function isExpressionEnd(previous) {
+    if (!previous) return false;
+    return previous.kind === 'ident' || is(previous, ')') || is(previous, ']') || is(previous, '?');
+}
+
+/**
+ * Checks whether a token is the given punctuation.
+ */
+function is(token, value) {
+    return !!token && token.kind === 'punct' && token.value === value;
+}
+
+/**
+ * Checks whether a token is one of the given identifiers.
+ */
+function isWord(token, ...words) {
+    return !!token && token.kind === 'ident' && words.includes(token.value);
+}
+
+module.exports = { parseResultType, collectErrorTypes, findErrorSites, describeErrors, describeVariant };
@@ -0,0 +1,44 @@
+const { parseItem } = require('./item_parser.js');
+const { renderDocComment } = require('./template.js');
+
+/**
+ * Generates a Rust-style documentation block for an `extern "ABI" { ... }` block.
+ *
+ * The generated doc block includes:
+ * - A general description placeholder.
+ * - A `# Functions` section listing every foreign function declared in the block.
+ * - A `# Statics` section listing every foreign static declared in the block.
+ * - A `# Safety` section describing why the foreign declarations are `unsafe` to use.
+ *
+ * Individual foreign functions and statics inside the block are documented separately by
+ * placing the cursor above them; see `generateFunctionDoc` and `generateConstDoc`.
+ *
+ * The block is rendered from the `extern` template, or from the user's template when one is configured.
+ * Tab stops (`${n:...}`) are inserted for editor snippet expansion.
+ *
+ * @param {string} line - The normalized `extern` block, including its full body.
+ * @param {boolean} [includeSafetyDetails=false] - Whether to include extended safety guidance in the `# Safety` section.
+ * @param {Object} [options={}] - Additional generation options.
+ * @param {Object<string, string>} [options.templates] - User templates keyed by item kind.
+ * @returns {string|null} The formatted doc comment block, or `null` if the input is not a valid `extern` block.
+ */
+function generateExternBlockDoc(line, includeSafetyDetails, options = {}) {
+    const item = parseItem(line);
+    if (item?.kind !== 'extern' || !item.complete) return null;
+
+    const functions = item.members.filter(member => member.kind === 'function');
+    const statics = item.members.filter(member => member.kind === 'static');
+
+    // Values available to the extern block template
+    const context = {
+        abi: item.abi || 'C', // `extern { }` defaults to the C ABI
+        unsafe: item.modifiers.unsafe,
+        functions: functions.map(member => ({ name: member.name })),
+        statics: statics.map(member => ({ name: member.name, type: member.type })),
+        includeSafetyDetails: !!includeSafetyDetails,
+    };
+
+    return renderDocComment('extern', context, options);
+}
+
+module.exports = { generateExternBlockDoc };
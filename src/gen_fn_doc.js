@@ -1,217 +1,272 @@
+const { parseImplHeader } = require('./utils.js');
+const { parseItem } = require('./item_parser.js');
+const { parseGenericParams, describeGenericParams } = require('./gen_generics_doc.js');
+const { synthesizeExampleValue, toTabStop, applyFenceSetting } = require('./example_values.js');
+const { renderDocComment } = require('./template.js');
+const { findPanicSites, describePanicSites } = require('./gen_panics_doc.js');
+const { parseResultType, describeErrors } = require('./gen_errors_doc.js');
+const { describeReturnType } = require('./gen_returns_doc.js');
+const { describeAttributes } = require('./gen_attributes_doc.js');
+const { describeSafetyObligations } = require('./gen_safety_doc.js');
+const { resolveExampleImport, findAsyncRuntime } = require('./crate_paths.js');
+
 /**
  * Generates a Rust-style documentation block for a function signature.
  *
- * This function parses a normalized Rust `fn` line and dynamically creates a formatted doc comment
- * that includes:
+ * This function parses a normalized Rust `fn` line with `parseItem` and dynamically creates a formatted
+ * doc comment that includes:
  * - A general description placeholder
+ * - Generic parameter list (`# Type Parameters`) if enabled, merging bounds from the `where` clause
  * - Parameter list (`# Arguments`) with per-argument placeholders
- * - Return type section (`# Returns`) if applicable
- * - Safety contract (`# Safety`) if the function is marked as `unsafe` or `extern`
- * - Error documentation (`# Errors`) for functions returning `Result<T, E>`
- * - An example usage block with async/unsafe awareness
+ * - Return type section (`# Returns`) if applicable, with `Some`/`None`, `Ok`/`Err`, and tuple elements listed
+ *   separately, the yielded or awaited type of `impl Iterator`/`impl Future`, and a note for `-> !`
+ * - Safety contract (`# Safety`) if the function is marked as `unsafe` or `extern`, with the obligations each raw pointer,
+ *   pointer and length pair, C string, and `&'static` parameter puts on the caller
+ * - Error documentation (`# Errors`) for functions returning `Result<T, E>` (or an alias such as `io::Result<T>`), with
+ *   an entry per error variant constructed and per `?` operator in the body, or per variant of a known error enum
+ * - Panic documentation (`# Panics`) with one entry per panic site found in the body, if enabled
+ * - An example usage block with async/unsafe awareness and hidden `main` scaffolding for `?` and `.await`, importing the function (or the `impl` type of a
+ *   method) by its crate path when `options.crate` is known, and marked `ignore` when the item is not public
+ *
+ * Receivers (`self`, `&self`, `&mut self`, `self: Pin<&mut Self>`, ...) are never listed as arguments.
+ * When the function is a method inside an `impl Type` or `impl Trait for Type` block, `Self` in
+ * parameter and return types is replaced by the concrete type, and the example calls the method on an
+ * instance (`value.len()`) or through the type (`Type::new()`).
  *
- * Tab stops (e.g., `${2:...}`) are included to support editor snippet expansion.
+ * The block is rendered from the `function` template (see `default_templates.js`), or from the user's
+ * template when one is configured. Tab stops (e.g., `${2:...}`) are included to support editor snippet expansion.
  *
  * @param {string} line - The normalized function signature, stripped of leading comments or extra lines.
  * @param {boolean} [includeExamples=true] - Whether to include the `# Examples` section.
  * @param {boolean} [examplesOnlyForPublicOrExtern=false] - If true, include examples only for `pub` or `extern` functions.
  * @param {boolean} [includeSafetyDetails=false] - Whether to include extended safety rationale in the `# Safety` section.
+ * @param {Object} [options={}] - Additional generation context.
+ * @param {string|null} [options.enclosingBlock] - The header of the block enclosing the function (e.g., `extern "C" {` or `impl Foo {`).
+ * @param {boolean} [options.includeTypeParameters=false] - Whether to include the `# Type Parameters` section.
+ * @param {boolean} [options.includePanics=false] - Whether to include the `# Panics` section.
+ * @param {string|null} [options.body] - The function body, scanned for panic sites and errors (see `findNextFunctionBody`).
+ * @param {Object<string, Object>} [options.errorTypes] - Enums the error type may resolve to, as returned by `collectErrorTypes`.
+ * @param {Object[]} [options.attributes] - The item's attributes, when the signature was read without them (see `describeAttributes`).
+ * @param {{ name: string, path: string[], reachable: boolean, dependencies: string[] }|null} [options.crate] - The module the
+ *   function is declared in (see `enterInlineModules`), used to import it in the example and pick an async runtime.
+ * @param {string} [options.exampleFence="auto"] - The code block attributes of the example (see `applyFenceSetting`).
+ * @param {Object<string, string>} [options.templates] - User templates keyed by item kind.
  * @returns {string|null} The formatted Rust doc comment block as a string, or `null` if the input is not a valid function signature.
  */
-function generateFunctionDoc(line, includeExamples, examplesOnlyForPublicOrExtern, includeSafetyDetails) {
-    // Check if function is public or externed.
-    const isPublicOrExtern = /\b(pub(\s*\([^)]*\)|\s+self|\s+super)?|extern(\s*"[^"]*")?)\b/.test(line);
+function generateFunctionDoc(line, includeExamples, examplesOnlyForPublicOrExtern, includeSafetyDetails, options = {}) {
+    const item = parseItem(line);
+    if (item?.kind !== 'function') return null; // Not a function signature
 
-    // Strip pub, pub(crate), pub(in ...), pub(self), pub(super)
-    const cleanLine = line.replace(/pub(\s*\([^)]*\)|\s+self|\s+super)?\s+/, '');
+    // Functions declared inside an `extern` block are foreign functions.
+    const block = parseItem(options.enclosingBlock || '');
+    const isForeign = block?.kind === 'extern';
 
-    // Check for async, unsafe, extern modifiers before `fn`
-    const modifierMatch = cleanLine.match(/\b(async)?\s*(unsafe)?\s*(extern\s*"[^"]*")?\s*fn/);
-    // Bool for determining if function has 'async' modifier
-    const hasAsync = !!modifierMatch?.[1];
-    // Bool for determining if function has 'unsafe' modifier
-    const hasUnsafe = !!modifierMatch?.[2];
-    // Bool for determining if function has 'extern' modifier
-    const hasExtern = !!modifierMatch?.[3];
+    // Functions declared inside an `impl` block are methods or associated functions of that type.
+    const impl = parseImplHeader(options.enclosingBlock || '');
 
-    // Attempt to match a Rust function signature.
-    const fnMatch = cleanLine.match(/fn\s+(\w+)\s*(<[^>]*>)?\s*\(([^)]*)\)\s*(?:->\s*([^;{]+))?/);
-    if (!fnMatch) return null; // If no match, return nothing (unsupported line)
+    // Functions declared inside a `trait` are called on a type implementing it, and are as public as the trait.
+    const enclosingTrait = block?.kind === 'trait' ? block : null;
+    const visibility = enclosingTrait ? enclosingTrait.visibility : item.visibility;
 
-    // Destructure the match results: function name, arguments, and optional return type.
-    const [, name, _generics, args, returnType] = fnMatch;
+    // Check if function is public or externed.
+    const isPublicOrExtern = isForeign || visibility !== '' || item.modifiers.extern;
 
-    // Gets the return type.
-    const cleanedReturn = returnType ? returnType.trim() : null;
-
-    // Sets the tab stop count for the parameter. Description is always 1.
-    let currentTabStop = 2;
-
-    const params = splitFunctionArgs(args).map(p => p.trim()).filter(Boolean).map(param => {
-        const [argName, argType] = param.split(':').map(s => s.trim());
-        return `- \`${argName}\` (\`${argType}\`) - \${${currentTabStop++}:Describe this parameter.}`;
-    });
-
-    // Build the full documentation block line by line.
-    const docLines = [];
-    
-    // Description line.
-    docLines.push(` \${1:Describe this function.}`); // General function description
-
-    // Arguments section (only if there are parameters)
-    if (params.length > 0) {
-        docLines.push(``, `# Arguments`, ``);
-        docLines.push(...params);
-    }
+    const { name, modifiers, receiver } = item;
+    // Foreign functions are unsafe to call unless declared `safe fn`
+    const hasUnsafe = modifiers.unsafe || (isForeign && !modifiers.safe);
+    const hasExtern = modifiers.extern || isForeign;
 
-    // Return section (only if return type exists)
-    if (cleanedReturn) {
-        docLines.push(``, `# Returns`, ``);
-        docLines.push(`- \`${cleanedReturn}\` - \${${currentTabStop++}:Describe the return value.}`);
-    }
+    // Gets the return type.
+    const cleanedReturn = item.returnType ? replaceSelfType(item.returnType, impl) : null;
+    const params = item.params.map(param => ({ name: param.name, type: replaceSelfType(param.type, impl) }));
 
-    // Safety section (only if function has unsafe or extern or both) The section is modified depending on the keyword
-    if (hasUnsafe || hasExtern) {
-        // Check if unsafe and extern
-        docLines.push(``, `# Safety`, ``);
-
-        if (includeSafetyDetails) {
-            docLines.push(`- **The caller must ensure that:**`);
-            docLines.push(`  - Any internal state or memory accessed by this function is in a valid state.`);
-            docLines.push(`  - Preconditions specific to this function's logic are satisfied.`);
-            docLines.push(`  - This function is only called in the correct program state to avoid UB.`);
-        }
-
-        if (hasUnsafe) {
-            // Check if also unsafe
-            docLines.push(`- **This function is \`unsafe\` because:**`);
-            docLines.push(`  - \${${currentTabStop++}:Describe unsafe behavior.}`);
-        }
-    }
+    const typeParams = describeGenericParams(parseGenericParams(item.generics, item.whereClause));
+    const showExamples = includeExamples && (!examplesOnlyForPublicOrExtern || isPublicOrExtern);
+    const result = parseResultType(cleanedReturn);
+    const panics = options.includePanics && options.body ? describePanicSites(findPanicSites(options.body)) : [];
 
-    // Check if rust functions return type is Result
-    const isFallible = /Result\s*<.+>/.test(cleanedReturn || '');
+    // Methods are reached through their type, which is imported when it is a plain name, and trait methods through
+    // the trait, which brings them in scope. Trait impl items are as public as the trait.
+    const importName = impl ? (impl.typePath && !impl.typePath.includes('::') ? impl.typePath : null) : enclosingTrait ? enclosingTrait.name : name;
+    const imported = resolveExampleImport(importName, impl?.traitName ? 'pub' : visibility, options.crate);
 
-    // Errors section
-    if (isFallible) {
-        docLines.push(``, `# Errors`, ``);
-        docLines.push(`\${${currentTabStop++}:Describe possible errors.}`);
-    }
+    // Values available to the function template
+    const context = {
+        name,
+        pub: item.visibility !== '',
+        ...describeAttributes(options.attributes ?? item.attributes, 'function'),
+        async: modifiers.async,
+        unsafe: hasUnsafe,
+        extern: hasExtern,
+        const: modifiers.const,
+        method: !!receiver,
+        typeParams,
+        showTypeParams: !!options.includeTypeParameters && typeParams.length > 0,
+        params,
+        returnType: cleanedReturn || '',
+        ...describeReturnType(cleanedReturn),
+        // Safety section (only if function has unsafe or extern or both) The section is modified depending on the keyword
+        safety: hasUnsafe || hasExtern,
+        obligations: hasUnsafe || hasExtern ? describeSafetyObligations(params) : [],
+        includeSafetyDetails: !!includeSafetyDetails,
+        // Check if rust functions return type is Result
+        fallible: !!result,
+        errors: result ? describeErrors(result.errorType, options.body || null, options.errorTypes) : [],
+        panics,
+        showExamples,
+        example: showExamples
+            ? applyFenceSetting(createExampleSection(name, modifiers.async, hasUnsafe, impl, receiver, params.map(p => p.type), {
+                imported,
+                fallible: !!result,
+                runtime: findAsyncRuntime(options.crate),
+                traitName: enclosingTrait?.name ?? null,
+            }), options.exampleFence)
+            : null,
+    };
 
-    if (includeExamples && (!examplesOnlyForPublicOrExtern || isPublicOrExtern)) {
-        // Examples section
-        const { exampleLines, nextTabStop } = createExampleSection(name, currentTabStop, hasAsync, hasUnsafe);
-        docLines.push(...exampleLines); // add example section
-        currentTabStop = nextTabStop; // Update counter
-    }
-
-    // Prefix all lines with Rust doc syntax (`///`) and return as a snippet string
-    return [
-        docLines[0], // First line is already preceded by `///` in the editor, skip it
-        ...docLines.slice(1).map(line => `/// ${line}`)
-    ].join('\n');
+    return renderDocComment('function', context, options);
 }
 
 /**
- * Splits a Rust function's argument list into individual parameters,
- * correctly handling nested generics and parentheses.
- *
- * This function is necessary because Rust function arguments may contain nested
- * angle brackets (e.g., `HashMap<String, Vec<u8>>`) or tuples
- * (e.g., `(i32, f64)`), which would cause a naive `.split(',')` to fail.
- *
- * It performs a linear scan of the argument string, tracking nesting levels of
- * `< >` and `( )`, and only splits on commas that are outside these constructs.
+ * Generates the Rust documentation example code based on the function's modifiers.
  *
- * @param {string} argString - The comma-separated argument list from a Rust function signature.
- * @returns {string[]} - An array of individual argument strings.
- *
- * @example
- * splitFunctionArgs("x: u32, y: HashMap<String, Vec<u8>>")
- * // returns: ["x: u32", "y: HashMap<String, Vec<u8>>"]
- */
-function splitFunctionArgs(argString) {
-    const args = [];
-    let current = '';
-    let angle = 0, paren = 0;
-
-    for (let char of argString) {
-        if (char === '<') angle++;
-        else if (char === '>') angle--;
-        else if (char === '(') paren++;
-        else if (char === ')') paren--;
-
-        if (char === ',' && angle === 0 && paren === 0) {
-            args.push(current.trim());
-            current = '';
-        } else {
-            current += char;
-        }
-    }
-
-    if (current.trim()) args.push(current.trim());
-    return args;
-}
-
-/**
- * Generates the Rust documentation example section based on the function's modifiers.
- *
- * This function builds a `# Examples` section for a Rust doc comment, showing how the function
- * should be used in realistic scenarios, including `async`, `unsafe`, and combined `async unsafe` use.
+ * This function builds the code block for the `# Examples` section of a Rust doc comment, showing how
+ * the function should be used in realistic scenarios, including `async`, `unsafe`, and combined `async unsafe` use.
  *
  * It will:
- * - Wrap `async` functions in an `async` block with `.await`.
+ * - Await `async` functions inside hidden runtime boot code (`#[tokio::main]`, `#[async_std::main]`, or
+ *   `futures::executor::block_on`) when the crate depends on a runtime, or in a bare `async` block otherwise.
  * - Wrap `unsafe` functions in an `unsafe` block with a `SAFETY:` comment.
  * - Combine both properly if the function is `async unsafe`.
+ * - Propagate the error of fallible functions with `?` from a hidden `fn main() -> Result<...>`.
  * - Fallback to a plain call if no modifiers are present.
+ * - Call methods on an instance built from the `impl` type, and associated functions through the type path.
+ *   Functions declared in a trait are called on `MyType`, the implementor of the trait's `# Implementing` example.
+ * - Pass an example value synthesized from each argument type, each as its own tab stop.
+ *
+ * Hidden lines start with `# `, which rustdoc compiles but does not show.
  *
  * @param {string} name - The name of the function (used in the example call).
- * @param {number} currentTabStop - The tab stop counter for snippet placeholders. This will be incremented for crate usage.
  * @param {boolean} hasAsync - Whether the function is marked as `async`.
  * @param {boolean} hasUnsafe - Whether the function is marked as `unsafe`.
- * @returns {{ exampleLines: string[], nextTabStop: number }} An object containing:
- *   - `exampleLines`: The list of formatted doc lines for the example section (including the code block).
- *   - `nextTabStop`: The updated tab stop counter after placeholder usage.
+ * @param {{ typeName: string, typePath: string|null }|null} [impl=null] - The enclosing `impl` block, if any.
+ * @param {{ isMutable: boolean, isPinned: boolean }|null} [receiver=null] - The method receiver, if any.
+ * @param {string[]} [argTypes=[]] - The types of the arguments (excluding the receiver), used to synthesize example values.
+ * @param {Object} [scaffold={}] - How the example is imported and run.
+ * @param {{ path: string|null, ignore: boolean }} [scaffold.imported] - The import path and whether the example cannot
+ *   run (see `resolveExampleImport`). Without a path, the import is a tab stop.
+ * @param {boolean} [scaffold.fallible=false] - Whether the function returns a `Result`.
+ * @param {"tokio"|"async-std"|"futures"|null} [scaffold.runtime=null] - The async runtime to run `async` functions on.
+ * @param {string|null} [scaffold.traitName=null] - The trait the function is declared in, if any.
+ * @returns {{ attributes: string, code: string[] }} An object containing:
+ *   - `attributes`: The code block attributes (`ignore` for items doctests cannot reach, `no_run` for `unsafe`
+ *     functions and for `async` functions without a runtime).
+ *   - `code`: The lines of the example code, with tab stops for the import path and argument values.
  */
-function createExampleSection(name, currentTabStop, hasAsync, hasUnsafe) {
-    const exampleLines = [];
-    exampleLines.push(``, `# Examples`, ``);
+function createExampleSection(name, hasAsync, hasUnsafe, impl = null, receiver = null, argTypes = [], scaffold = {}) {
+    const { imported = { path: null, ignore: false }, fallible = false, runtime = null, traitName = null } = scaffold;
+    // Tab stops are renumbered in order of appearance when the template is rendered
+    let currentTabStop = 1;
+
+    const exampleContent = [imported.path ? `use ${imported.path};` : `use crate::\${${currentTabStop++}:...};`, ``];
+    const body = [];
+
+    // Methods are called on an instance of the impl type (or of a type implementing the trait), associated
+    // functions through the type path
+    if ((impl || traitName) && receiver) {
+        const typePath = impl ? impl.typePath || impl.typeName : 'MyType';
+        const binding = receiver.isMutable || receiver.isPinned ? 'let mut value' : 'let value';
+        const constructor = receiver.isPinned ? `Box::pin(${typePath}::new())` : `${typePath}::new()`;
+        body.push(`${binding} = \${${currentTabStop++}:${constructor}};`);
+        name = receiver.isPinned ? `value.as_mut().${name}` : `value.${name}`;
+    } else if (impl && impl.typePath) {
+        name = `${impl.typePath}::${name}`;
+    } else if (traitName) {
+        name = `\${${currentTabStop++}:MyType}::${name}`;
+    }
 
-    let exampleContent = [];
+    // Build the call with an example value for every argument
+    const exampleArgs = argTypes.map(type => toTabStop(synthesizeExampleValue(type), currentTabStop++));
+    const call = `${name}(${exampleArgs.join(', ')})`;
+
+    // A bare `async` block has no `Result` to propagate errors into
+    const bareAsync = hasAsync && !runtime;
+    const tried = fallible && !bareAsync ? '?' : '';
 
     // Check if async and unsafe
     if (hasAsync && hasUnsafe) {
         // Check if function has both async and unsafe
         // Add the async and unsafe sections for the examples
-        exampleContent.push(`async {`);
-        exampleContent.push(`  // SAFETY: The Caller guarantees all invariants are met.`);
-        exampleContent.push(`  let result = unsafe { ${name}().await };`); // Function name
-        exampleContent.push(`};`);
+        body.push(`// SAFETY: The Caller guarantees all invariants are met.`);
+        body.push(`let result = unsafe { ${call}.await${tried} };`); // Function name
     } else if (hasAsync) {
         // Check if only async
         // Add the async sections for the examples
-        exampleContent.push(`async {`);
-        exampleContent.push(`  let result = ${name}().await;`); // Function name
-        exampleContent.push(`};`);
+        body.push(`let result = ${call}.await${tried};`); // Function name
     } else if (hasUnsafe) {
         // Check if only unsafe
         // Add the unsafe section for the examples
-        exampleContent.push(`// SAFETY: The Caller guarantees all invariants are met.`);
-        exampleContent.push(`unsafe {`);
-        exampleContent.push(`  let _ = ${name}();`); // Function name
-        exampleContent.push(`}`);
+        body.push(`// SAFETY: The Caller guarantees all invariants are met.`);
+        body.push(`unsafe {`);
+        body.push(`  let _ = ${call}${tried};`); // Function name
+        body.push(`}`);
     } else {
         /// Use normal example output
-        exampleContent.push(`let _ = ${name}();`); // Place function name here
+        body.push(`let _ = ${call}${tried};`); // Place function name here
     }
 
-    // Add no_run to the markdown code block if async or unsafe
-    exampleLines.push(hasAsync || hasUnsafe ? '```no_run' : '```');
-    exampleLines.push(`use crate::\${${currentTabStop++}:...};`, ``);
-    exampleLines.push(...exampleContent);
-    exampleLines.push('```'); // Always end the Examples markdown code section
+    if (bareAsync) {
+        // Without a runtime, the receiver is built outside the `async` block and the calls inside it
+        const setup = receiver && (impl || traitName) ? body.splice(0, 1) : [];
+        exampleContent.push(...setup, `async {`, ...body.map(line => `  ${line}`), `};`);
+    } else {
+        exampleContent.push(...wrapInMain(body, hasAsync ? runtime : null, fallible));
+    }
+
+    // Add no_run to the markdown code block if unsafe, or async without a runtime to run it
+    const attributes = imported.ignore ? 'ignore' : hasUnsafe || bareAsync ? 'no_run' : '';
+    return { attributes, code: exampleContent };
+}
+
+/**
+ * Wraps example code in hidden doctest lines that run it: a `main` returning a `Result` for `?` to
+ * propagate into, and the boot code of an async runtime for `.await`. Code that needs neither is
+ * returned as is, since rustdoc wraps it in a plain `main`.
+ *
+ * @param {string[]} body - The example code.
+ * @param {"tokio"|"async-std"|"futures"|null} runtime - The async runtime, or `null` for synchronous code.
+ * @param {boolean} fallible - Whether the code uses `?`.
+ * @returns {string[]} The wrapped code.
+ */
+function wrapInMain(body, runtime, fallible) {
+    const result = 'Result<(), Box<dyn std::error::Error>>';
+    const returns = fallible ? ` -> ${result}` : '';
+    const ok = fallible ? ['# Ok(())'] : [];
+
+    switch (runtime) {
+        case 'tokio':
+        case 'async-std':
+            return [`# #[${runtime.replace('-', '_')}::main]`, `# async fn main()${returns} {`, ...body, ...ok, '# }'];
+        case 'futures':
+            return fallible
+                ? [`# fn main()${returns} {`, '# futures::executor::block_on(async {', ...body, `# Ok::<(), Box<dyn std::error::Error>>(())`, '# })', '# }']
+                : ['# futures::executor::block_on(async {', ...body, '# });'];
+        default:
+            return fallible ? [`# fn main()${returns} {`, ...body, ...ok, '# }'] : body;
+    }
+}
 
-    return { exampleLines, nextTabStop: currentTabStop };
+/**
+ * Replaces `Self` in a type with the concrete type of the enclosing `impl` block.
+ * Associated paths such as `Self::Item` are left untouched.
+ *
+ * @param {string} type - The type to rewrite.
+ * @param {{ typeName: string }|null} impl - The enclosing `impl` block, if any.
+ * @returns {string} The rewritten type.
+ */
+function replaceSelfType(type, impl) {
+    if (!impl) return type;
+    return type.replace(/\bSelf\b(?!\s*::)/g, impl.typeName);
 }
 
 module.exports = { generateFunctionDoc };
\ No newline at end of file
@@ -0,0 +1,96 @@
+const { tokenize, tokensToText } = require('./tokenizer.js');
+const { splitTopLevel } = require('./item_parser.js');
+
+/**
+ * Parses a generic parameter list and an optional `where` clause into a list of parameters.
+ *
+ * Lifetimes, type parameters, and const generics are returned in declaration order. Bounds declared
+ * inline (`<T: Clone>`) and in the `where` clause (`where T: Send`) are merged into a single bound
+ * list per parameter. Predicates whose left-hand side is not a declared parameter
+ * (e.g., `Vec<T>: Debug`) are ignored. Defaults (`T = u8`) are dropped.
+ *
+ * ### Example
+ * Input:
+ * ```text
+ * generics: "<'a, T: Into<Vec<u8>>, const N: usize>", whereClause: "T: Send + 'a"
+ * ```
+ * Output:
+ * ```text
+ * [
+ *   { kind: "lifetime", name: "'a", bounds: "" },
+ *   { kind: "type", name: "T", bounds: "Into<Vec<u8>> + Send + 'a" },
+ *   { kind: "const", name: "N", bounds: "usize" }
+ * ]
+ * ```
+ *
+ * @param {string} generics - The generic parameter list including its angle brackets, or an empty string.
+ * @param {string} [whereClause=''] - The `where` clause without the `where` keyword, or an empty string.
+ * @returns {{ kind: "lifetime"|"type"|"const", name: string, bounds: string }[]} The parsed parameters.
+ */
+function parseGenericParams(generics, whereClause = '') {
+    const inner = generics ? generics.trim().slice(1, -1) : '';
+    const params = [];
+
+    for (const param of splitTopLevel(tokenize(inner), ',').map(tokensToText).filter(Boolean)) {
+        const constMatch = param.match(/^const\s+(\w+)\s*:\s*(.+)$/);
+        if (constMatch) {
+            const type = tokensToText(splitTopLevel(tokenize(constMatch[2]), '=')[0] || []); // Drop `= DEFAULT`
+            params.push({ kind: 'const', name: constMatch[1], bounds: type });
+            continue;
+        }
+
+        const [name, bounds] = splitPredicate(tokensToText(splitTopLevel(tokenize(param), '=')[0] || [])); // Drop `= Default`
+        params.push({ kind: name.startsWith("'") ? 'lifetime' : 'type', name, bounds });
+    }
+
+    // Merge bounds from the where clause into the matching parameter
+    for (const predicate of splitTopLevel(tokenize(whereClause || ''), ',').map(tokensToText).filter(Boolean)) {
+        const [target, bounds] = splitPredicate(predicate.replace(/^for\s*<[^>]*>\s*/, '')); // Drop higher-ranked `for<'a>`
+        const param = params.find(p => p.kind !== 'const' && p.name === target);
+        if (param && bounds) {
+            param.bounds = param.bounds ? `${param.bounds} + ${bounds}` : bounds;
+        }
+    }
+
+    return params;
+}
+
+/**
+ * Adds the flags the `# Type Parameters` template section branches on (`isLifetime`, `isType`,
+ * `isConst`) to a list of generic parameters.
+ *
+ * @param {{ kind: string, name: string, bounds: string }[]} params - Parameters as returned by `parseGenericParams`.
+ * @returns {{ kind: string, name: string, bounds: string, isLifetime: boolean, isType: boolean, isConst: boolean }[]}
+ *   The parameters with their kind flags.
+ */
+function describeGenericParams(params) {
+    return params.map(param => ({
+        ...param,
+        isLifetime: param.kind === 'lifetime',
+        isType: param.kind === 'type',
+        isConst: param.kind === 'const',
+    }));
+}
+
+/**
+ * Splits a bound predicate such as `T: Clone + Send` on its first top-level single `:`,
+ * leaving path separators (`::`) intact.
+ *
+ * @param {string} predicate - The predicate text.
+ * @returns {[string, string]} The trimmed left-hand side and bounds (empty if there are no bounds).
+ */
+function splitPredicate(predicate) {
+    let depth = 0;
+    for (let i = 0; i < predicate.length; i++) {
+        const char = predicate[i];
+        if ('<([{'.includes(char)) depth++;
+        else if (')]}'.includes(char)) depth--;
+        else if (char === '>' && predicate[i - 1] !== '-') depth--;
+        else if (char === ':' && depth === 0 && predicate[i + 1] !== ':' && predicate[i - 1] !== ':') {
+            return [predicate.slice(0, i).trim(), predicate.slice(i + 1).trim()];
+        }
+    }
+    return [predicate.trim(), ''];
+}
+
+module.exports = { parseGenericParams, describeGenericParams };
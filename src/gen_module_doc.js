@@ -0,0 +1,46 @@
+const { renderDocComment } = require('./template.js');
+
+/**
+ * Generates a Rust-style inner documentation block (`//!`) for a crate or module.
+ *
+ * The generated block includes:
+ * - A general description placeholder.
+ * - One section per kind of public item (`# Structs`, `# Enums`, `# Traits`, `# Functions`,
+ *   `# Modules`), each listing the items with an intra-doc link and a one-line placeholder.
+ * - A starter `# Examples` section that imports the module, by its crate path when `options.crate` is known
+ *   and marked `ignore` when the module is not public.
+ *
+ * The block is rendered from the `module` template, or from the user's template when one is configured.
+ * Tab stops (`${n:...}`) are inserted for editor snippet expansion.
+ *
+ * @param {{ kind: string, name: string }[]} items - The public items declared in the module, as returned by `collectModuleItems`.
+ * @param {string|null} moduleName - The module name, or `null` for the crate root (`lib.rs` or `main.rs`).
+ * @param {boolean} [includeExamples=true] - Whether to include the `# Examples` section.
+ * @param {Object} [options={}] - Additional generation options.
+ * @param {{ name: string, path: string[], reachable: boolean }|null} [options.crate] - The module's crate path (see `enterInlineModules`).
+ * @param {Object<string, string>} [options.templates] - User templates keyed by item kind.
+ * @returns {string} The formatted inner doc comment block.
+ */
+function generateModuleDoc(items, moduleName, includeExamples, options = {}) {
+    const itemsOfKind = kind => items.filter(item => item.kind === kind).map(item => ({ name: item.name }));
+
+    // Values available to the module template. The crate root is imported by crate name, modules through their path.
+    const crate = options.crate || null;
+    const context = {
+        crate: !moduleName,
+        moduleName: moduleName || '',
+        importPath: crate ? [crate.name, ...crate.path].join('::') : '',
+        ignoreExample: !!crate && !crate.reachable,
+        structs: itemsOfKind('struct'),
+        enums: itemsOfKind('enum'),
+        traits: itemsOfKind('trait'),
+        functions: itemsOfKind('fn'),
+        modules: itemsOfKind('mod'),
+        showExamples: !!includeExamples,
+    };
+
+    // Format as Rust inner doc comment block
+    return renderDocComment('module', context, options, '//!');
+}
+
+module.exports = { generateModuleDoc };
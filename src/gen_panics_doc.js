@@ -0,0 +1,245 @@
+const { tokenize, tokensToText } = require('./tokenizer.js');
+const { findClose, splitTopLevel } = require('./item_parser.js');
+
+/**
+ * Macros that always panic when reached, or panic when their assertion fails.
+ */
+const PANIC_MACROS = ['panic', 'unreachable', 'todo', 'unimplemented', 'assert', 'assert_eq', 'assert_ne'];
+
+/**
+ * Keywords that can come right before a `[` that is not an index (`let [a, b] = ...`, `&mut [u8]`).
+ */
+const NON_INDEX_KEYWORDS = [
+    'let', 'mut', 'ref', 'in', 'return', 'break', 'continue', 'yield', 'else', 'match', 'if', 'while',
+    'for', 'loop', 'move', 'dyn', 'impl', 'as', 'where', 'unsafe', 'async', 'const', 'static', 'type', 'fn',
+];
+
+/**
+ * Finds the places in a function body that can panic.
+ *
+ * Tokens are scanned (so literals and comments are ignored) for:
+ * - `panic!`, `unreachable!`, `todo!`, and `unimplemented!`, with their message when it is a string literal.
+ * - `assert!`, `assert_eq!`, and `assert_ne!`, with their condition and message. `debug_assert!` is
+ *   skipped since it does not panic in release builds.
+ * - `.unwrap()` and `.expect("...")` calls, with the expression they are called on.
+ * - Indexing (`items[i]`, `self.buf[..n]`), with the indexed expression and the index. Full-range
+ *   indexing (`v[..]`) cannot panic and is skipped.
+ *
+ * Sites that read the same are reported once.
+ *
+ * ### Example
+ * Input:
+ * ```text
+ * "let port = config.port.expect(\"port is set\"); assert!(port > 0); buf[port]"
+ * ```
+ * Output:
+ * ```text
+ * [
+ *   { kind: "expect", target: "config.port", message: "\"port is set\"", condition: null, index: null },
+ *   { kind: "assert", target: null, message: null, condition: "port > 0", index: null },
+ *   { kind: "index", target: "buf", message: null, condition: null, index: "port" }
+ * ]
+ * ```
+ *
+ * @param {string} body - The function body, with or without its braces.
+ * @returns {{ kind: "panic"|"unreachable"|"todo"|"unimplemented"|"assert"|"assert_eq"|"assert_ne"|"unwrap"|"expect"|"index",
+ *   target: string|null, message: string|null, condition: string|null, index: string|null }[]} The panic sites,
+ *   in source order. `message` keeps its quotes, `condition` is the asserted expression (`a == b` for `assert_eq!`).
+ */
+function findPanicSites(body) {
+    const tokens = tokenize(body).filter(token => token.kind !== 'comment');
+    const sites = [];
+    const site = (kind, fields) => ({ kind, target: null, message: null, condition: null, index: null, ...fields });
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (token.kind === 'ident' && PANIC_MACROS.includes(token.value) && is(tokens[i + 1], '!') && isOpening(tokens[i + 2])) {
+            const close = findClose(tokens, i + 2);
+            const args = splitTopLevel(tokens.slice(i + 3, close), ',').map(tokensToText);
+            sites.push(describeMacro(token.value, args));
+        } else if (is(token, '.') && isWord(tokens[i + 1], 'unwrap', 'expect') && is(tokens[i + 2], '(')) {
+            const close = findClose(tokens, i + 2);
+            const args = tokens.slice(i + 3, close);
+            const message = tokens[i + 1].value === 'expect' && args.length === 1 && args[0].kind === 'string' ? args[0].value : null;
+            sites.push(site(tokens[i + 1].value, { target: readReceiver(tokens, i), message }));
+        } else if (is(token, '[') && isIndexed(tokens[i - 1])) {
+            const close = findClose(tokens, i);
+            const index = tokensToText(tokens.slice(i + 1, close));
+            if (index !== '..') sites.push(site('index', { target: readReceiver(tokens, i), index }));
+        }
+    }
+
+    const seen = new Set();
+    return sites.filter(found => {
+        const key = JSON.stringify(found);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Describes each panic site as the placeholder text of a `# Panics` bullet, pre-filled with the
+ * site's message, condition, or expression.
+ *
+ * @param {ReturnType<typeof findPanicSites>} sites - Panic sites as returned by `findPanicSites`.
+ * @returns {{ kind: string, description: string }[]} One entry per site, in the same order.
+ */
+function describePanicSites(sites) {
+    return sites.map(found => {
+        const withMessage = found.message ? ` with ${found.message}` : '';
+        let description;
+        switch (found.kind) {
+            case 'panic':
+                description = found.message ? `Panics with ${found.message}.` : 'Describe when this panics.';
+                break;
+            case 'unreachable':
+                description = `Panics${withMessage} if code marked unreachable is reached.`;
+                break;
+            case 'todo':
+            case 'unimplemented':
+                description = `Panics${withMessage} because this is not implemented yet.`;
+                break;
+            case 'assert':
+            case 'assert_eq':
+            case 'assert_ne':
+                description = `Panics${withMessage} unless \`${found.condition}\`.`;
+                break;
+            case 'unwrap':
+            case 'expect':
+                description = `Panics${withMessage} if \`${found.target}\` is \`None\` or \`Err\`.`;
+                break;
+            default:
+                description = `Panics if \`${found.index}\` is out of bounds for \`${found.target}\`.`;
+        }
+        return { kind: found.kind, description };
+    });
+}
+
+/**
+ * Reads the message and condition of a panicking macro call from its arguments.
+ *
+ * @param {string} name - The macro name, e.g. `assert_eq`.
+ * @param {string[]} args - The macro arguments, split on top-level commas.
+ * @returns {ReturnType<typeof findPanicSites>[number]} The panic site.
+ */
+function describeMacro(name, args) {
+    const operator = { assert_eq: '==', assert_ne: '!=' }[name];
+    const conditionCount = name === 'assert' ? 1 : operator ? 2 : 0;
+    const message = args[conditionCount] && /^"/.test(args[conditionCount]) ? args[conditionCount] : null;
+
+    let condition = null;
+    if (name === 'assert') condition = args[0] || null;
+    else if (operator && args.length >= 2) condition = `${args[0]} ${operator} ${args[1]}`;
+
+    return { kind: name, target: null, message, condition, index: null };
+}
+
+/**
+ * Reads the expression a method is called on, or that is indexed, by walking back from the `.` or
+ * `[` over paths, field accesses, calls, indexing, turbofish generics, and `?`.
+ *
+ * @param {Object[]} tokens - The body tokens.
+ * @param {number} end - The index of the `.` or `[` after the expression.
+ * @returns {string} The expression, e.g. `self.map.get(&key)`.
+ */
+function readReceiver(tokens, end) {
+    let start = end;
+    let j = end - 1;
+
+    while (j >= 0) {
+        const token = tokens[j];
+        if (is(token, ')') || is(token, ']')) {
+            j = findOpen(tokens, j);
+            start = j;
+            j--;
+        } else if (is(token, '?')) {
+            start = j;
+            j--;
+        } else if (is(token, '>')) {
+            // Turbofish generics, e.g. `text.parse::<u8>()`
+            const open = findOpenAngle(tokens, j);
+            if (open < 1 || !is(tokens[open - 1], '::')) break;
+            start = open - 1;
+            j = open - 2;
+        } else if (['ident', 'number', 'string'].includes(token.kind) && !NON_INDEX_KEYWORDS.includes(token.value)) {
+            start = j;
+            j--;
+            if (!is(tokens[j], '.') && !is(tokens[j], '::')) break;
+            j--;
+        } else {
+            break;
+        }
+    }
+
+    // Method chains split over lines read as one expression
+    return tokensToText(tokens.slice(start, end)).replace(/\s+(?=[.?])/g, '');
+}
+
+/**
+ * Finds the opening bracket matching the `)` or `]` at an index, walking backward.
+ *
+ * @param {Object[]} tokens - The body tokens.
+ * @param {number} close - The index of the closing bracket.
+ * @returns {number} The index of the opening bracket, or `0` if it is missing.
+ */
+function findOpen(tokens, close) {
+    let depth = 0;
+    for (let i = close; i >= 0; i--) {
+        if (is(tokens[i], ')') || is(tokens[i], ']') || is(tokens[i], '}')) depth++;
+        else if (is(tokens[i], '(') || is(tokens[i], '[') || is(tokens[i], '{')) depth--;
+        if (depth === 0) return i;
+    }
+    return 0;
+}
+
+/**
+ * Finds the `<` matching the `>` at an index, walking backward.
+ *
+ * @param {Object[]} tokens - The body tokens.
+ * @param {number} close - The index of the closing angle bracket.
+ * @returns {number} The index of the `<`, or `-1` if it is missing.
+ */
+function findOpenAngle(tokens, close) {
+    let depth = 0;
+    for (let i = close; i >= 0; i--) {
+        if (is(tokens[i], '>')) depth++;
+        else if (is(tokens[i], '<')) depth--;
+        if (depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * Checks whether a `[` after a token indexes an expression, rather than opening an array literal,
+ * a slice type, a pattern, or an attribute.
+ */
+function isIndexed(previous) {
+    if (!previous) return false;
+    if (previous.kind === 'ident') return !NON_INDEX_KEYWORDS.includes(previous.value);
+    return is(previous, ')') || is(previous, ']') || is(previous, '?');
+}
+
+/**
+ * Checks whether a token opens a macro's arguments.
+ */
+function isOpening(token) {
+    return is(token, '(') || is(token, '[') || is(token, '{');
+}
+
+/**
+ * Checks whether a token is the given punctuation.
+ */
+function is(token, value) {
+    return !!token && token.kind === 'punct' && token.value === value;
+}
+
+/**
+ * Checks whether a token is one of the given identifiers.
+ */
+function isWord(token, ...words) {
+    return !!token && token.kind === 'ident' && words.includes(token.value);
+}
+
+module.exports = { findPanicSites, describePanicSites, readReceiver };
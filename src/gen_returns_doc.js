@@ -0,0 +1,141 @@
+const { tokenize, tokensToText } = require('./tokenizer.js');
+const { findClose, splitTopLevel } = require('./item_parser.js');
+const { parseResultType } = require('./gen_errors_doc.js');
+
+/**
+ * Traits whose `Item` associated type is what an iterator yields.
+ */
+const ITERATOR_TRAITS = ['Iterator', 'IntoIterator', 'DoubleEndedIterator', 'ExactSizeIterator', 'FusedIterator'];
+
+/**
+ * Breaks a return type down into the entries of a `# Returns` section.
+ *
+ * - `Option<T>` has a `Some(T)` and a `None` entry.
+ * - `Result<T, E>` (and aliases such as `io::Result<T>`) has an `Ok(T)` and an `Err(E)` entry.
+ * - A tuple has one entry per element, named by its index (`.0`, `.1`, ...).
+ * - `impl Iterator<Item = X>` and `impl Future<Output = X>` (or their `dyn` forms) have one entry that
+ *   describes the yielded or awaited type.
+ * - `!` has no entries; the function diverges.
+ * - Any other type has a single entry.
+ *
+ * ### Example
+ * Input:
+ * ```text
+ * "Option<(usize, &str)>"
+ * ```
+ * Output:
+ * ```text
+ * { diverges: false, returns: [
+ *     { head: "`Some((usize, &str))`", type: "(usize, &str)", description: "Describe when a value is returned." },
+ *     { head: "`None`", type: null, description: "Describe when no value is returned." }
+ * ] }
+ * ```
+ *
+ * @param {string|null} returnType - The function's return type, or `null`/empty for unit.
+ * @returns {{ diverges: boolean, returns: { head: string, type: string|null, description: string }[] }} Whether the
+ *   function never returns, and the entries with their code-formatted head, the type they describe, and placeholder text.
+ */
+function describeReturnType(returnType) {
+    const text = (returnType || '').trim();
+    if (text === '' || text === '()') return { diverges: false, returns: [] };
+    if (text === '!') return { diverges: true, returns: [] };
+
+    const tokens = tokenize(text).filter(token => token.kind !== 'comment');
+    const entry = (head, type, description) => ({ head: `\`${head}\``, type, description });
+
+    const option = readGenericArguments(tokens, ['Option']);
+    if (option && option.length === 1) {
+        return {
+            diverges: false,
+            returns: [
+                entry(`Some(${option[0]})`, option[0], 'Describe when a value is returned.'),
+                entry('None', null, 'Describe when no value is returned.'),
+            ],
+        };
+    }
+
+    const result = parseResultType(text);
+    if (result) {
+        const okType = readGenericArguments(tokens, ['Result'])?.[0] || '()';
+        return {
+            diverges: false,
+            returns: [
+                entry(`Ok(${okType})`, okType, 'Describe the value returned on success.'),
+                entry(`Err(${result.errorType || '_'})`, result.errorType, 'Returned on failure (see `# Errors`).'),
+            ],
+        };
+    }
+
+    if (is(tokens[0], '(') && findClose(tokens, 0) === tokens.length - 1) {
+        const elements = splitTopLevel(tokens.slice(1, -1), ',').filter(part => part.length > 0).map(tokensToText);
+        return {
+            diverges: false,
+            returns: elements.map((type, index) => ({ head: `\`.${index}\` (\`${type}\`)`, type, description: 'Describe this element.' })),
+        };
+    }
+
+    if (isWord(tokens[0], 'impl') || tokens.some(token => isWord(token, 'dyn'))) {
+        const item = readAssociatedType(tokens, ITERATOR_TRAITS, 'Item');
+        if (item) return { diverges: false, returns: [entry(text, item, `An iterator yielding \`${item}\`.`)] };
+
+        const output = readAssociatedType(tokens, ['Future'], 'Output');
+        if (output) return { diverges: false, returns: [entry(text, output, `A future that resolves to \`${output}\`.`)] };
+    }
+
+    return { diverges: false, returns: [entry(text, text, 'Describe the return value.')] };
+}
+
+/**
+ * Reads the generic arguments of a type that is one of the given paths, e.g. `Option<T>` or
+ * `std::option::Option<T>`.
+ *
+ * @param {Object[]} tokens - The type's tokens.
+ * @param {string[]} names - The accepted last path segments.
+ * @returns {string[]|null} The arguments, or `null` if the type is not one of the paths.
+ */
+function readGenericArguments(tokens, names) {
+    let i = 0;
+    while (tokens[i]?.kind === 'ident' && is(tokens[i + 1], '::')) i += 2;
+    if (!isWord(tokens[i], ...names) || !is(tokens[i + 1], '<')) return null;
+
+    const close = findClose(tokens, i + 1);
+    if (close !== tokens.length - 1) return null;
+    return splitTopLevel(tokens.slice(i + 2, close), ',').filter(part => part.length > 0).map(tokensToText);
+}
+
+/**
+ * Reads an associated type binding such as the `X` of `Iterator<Item = X>` from the first bound
+ * naming one of the given traits.
+ *
+ * @param {Object[]} tokens - The type's tokens.
+ * @param {string[]} traits - The accepted trait names.
+ * @param {string} name - The associated type, e.g. `Item`.
+ * @returns {string|null} The bound type, or `null` if there is none.
+ */
+function readAssociatedType(tokens, traits, name) {
+    for (let i = 0; i < tokens.length; i++) {
+        if (!isWord(tokens[i], ...traits) || !is(tokens[i + 1], '<')) continue;
+
+        const close = findClose(tokens, i + 1);
+        for (const part of splitTopLevel(tokens.slice(i + 2, close), ',')) {
+            if (isWord(part[0], name) && is(part[1], '=')) return tokensToText(part.slice(2));
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks whether a token is the given punctuation.
+ */
+function is(token, value) {
+    return !!token && token.kind === 'punct' && token.value === value;
+}
+
+/**
+ * Checks whether a token is one of the given identifiers.
+ */
+function isWord(token, ...words) {
+    return !!token && token.kind === 'ident' && words.includes(token.value);
+}
+
+module.exports = { describeReturnType };
@@ -0,0 +1,144 @@
+/**
+ * Names of C's `char` type, which `*const c_char` string parameters point to.
+ */
+const C_CHAR = /^(?:(?:std|core|libc)::(?:ffi::|os::raw::)?)?c_char$/;
+
+/**
+ * Integer types a length parameter can have, in Rust or through `libc` / `std::ffi`.
+ */
+const LENGTH_TYPE = /^(?:(?:std|core|libc)::(?:ffi::|os::raw::)?)?(?:usize|isize|u8|u16|u32|u64|i8|i16|i32|i64|size_t|c_int|c_uint|c_long|c_ulong|c_size_t)$/;
+
+/**
+ * Names of parameters that hold the length of the buffer a pointer parameter points to.
+ */
+const LENGTH_NAME = /^(?:len|length|size|count|n|num|capacity|cap)$|_(?:len|length|size|count)$|^(?:n|num)_/;
+
+/**
+ * Lists the obligations the caller of an `unsafe` or `extern` function takes on for each parameter,
+ * following the requirements of `std::ptr::read`, `std::slice::from_raw_parts`, and `CStr::from_ptr`:
+ *
+ * - Raw pointers (`*const T`, `*mut T`) must be non-null, aligned, valid for reads (and writes for
+ *   `*mut T`), and point to a value that stays valid and unaliased for the call. `NonNull<T>` is
+ *   already non-null.
+ * - A pointer followed by a length (`ptr: *const T, len: usize`) is one obligation for the buffer of
+ *   `len` elements.
+ * - `*const c_char` parameters must point to a NUL-terminated string, and `&CStr` parameters must hold
+ *   the text the function expects.
+ * - `&'static` references must live for the rest of the program, since the function may keep them.
+ *
+ * ### Example
+ * Input:
+ * ```text
+ * [{ name: "buf", type: "*const u8" }, { name: "len", type: "usize" }]
+ * ```
+ * Output:
+ * ```text
+ * [{ head: "`buf` and `len`", requirements: ["`buf` must be non-null and aligned for `u8`, even when `len` is `0`.", ...] }]
+ * ```
+ *
+ * @param {{ name: string, type: string }[]} params - The function parameters, without the receiver.
+ * @returns {{ head: string, requirements: string[] }[]} One obligation per parameter (or pointer and length pair)
+ *   that needs one, in parameter order. `head` names the parameters.
+ */
+function describeSafetyObligations(params) {
+    const obligations = [];
+
+    for (let i = 0; i < params.length; i++) {
+        const { name } = params[i];
+        const type = params[i].type.trim();
+        const pointer = readPointer(type);
+        const length = params[i + 1];
+
+        if (pointer && length && LENGTH_TYPE.test(length.type.trim()) && LENGTH_NAME.test(length.name)) {
+            obligations.push({ head: `\`${name}\` and \`${length.name}\``, requirements: describeBuffer(name, length.name, pointer) });
+            i++;
+        } else if (pointer && !pointer.nonNull && !pointer.mutable && C_CHAR.test(pointer.pointee)) {
+            obligations.push({ head: `\`${name}\` (\`${type}\`)`, requirements: describeCString(name) });
+        } else if (pointer) {
+            obligations.push({ head: `\`${name}\` (\`${type}\`)`, requirements: describePointer(name, pointer) });
+        } else if (/^&\s*(?:'\w+\s+)?(?:(?:std|core)::ffi::)?CStr$/.test(type)) {
+            obligations.push({ head: `\`${name}\` (\`${type}\`)`, requirements: [`\`${name}\` must hold text in the encoding the function expects (e.g., UTF-8).`] });
+        } else if (/^&\s*'static\b/.test(type)) {
+            obligations.push({ head: `\`${name}\` (\`${type}\`)`, requirements: describeStaticReference(name, /^&\s*'static\s+mut\b/.test(type)) });
+        }
+    }
+
+    return obligations;
+}
+
+/**
+ * Reads a raw pointer type: `*const T`, `*mut T`, or `NonNull<T>` (with any path prefix).
+ *
+ * @param {string} type - The parameter type.
+ * @returns {{ pointee: string, mutable: boolean, nonNull: boolean }|null} The pointed-to type, whether it can be
+ *   written through, and whether it is already non-null; or `null` if the type is not a raw pointer.
+ */
+function readPointer(type) {
+    const raw = type.match(/^\*\s*(const|mut)\s+(.+)$/);
+    if (raw) return { pointee: raw[2].trim(), mutable: raw[1] === 'mut', nonNull: false };
+
+    const nonNull = type.match(/^(?:(?:std|core)::ptr::)?NonNull\s*<(.+)>$/);
+    if (nonNull) return { pointee: nonNull[1].trim(), mutable: true, nonNull: true };
+    return null;
+}
+
+/**
+ * Describes what a pointer to one value must satisfy.
+ */
+function describePointer(name, { pointee, mutable, nonNull }) {
+    const untyped = /\bc_void$/.test(pointee);
+    const access = mutable ? 'reads and writes' : 'reads';
+    return [
+        ...(nonNull ? [] : [`\`${name}\` must be non-null.`]),
+        ...(untyped ? [] : [`\`${name}\` must be properly aligned for \`${pointee}\`.`]),
+        untyped
+            ? `\`${name}\` must be valid for ${access} of every byte the function accesses.`
+            : `\`${name}\` must be valid for ${access} of one initialized \`${pointee}\`.`,
+        mutable
+            ? 'The pointee must not be read or written through any other pointer or reference for the duration of the call.'
+            : 'The pointee must not be written to for the duration of the call.',
+    ];
+}
+
+/**
+ * Describes what a pointer and the number of elements it points to must satisfy together.
+ */
+function describeBuffer(pointer, length, { pointee, mutable }) {
+    const untyped = /\bc_void$/.test(pointee);
+    const access = mutable ? 'reads and writes' : 'reads';
+    const size = untyped ? `\`${length}\` bytes` : `\`${length} * size_of::<${pointee}>()\` bytes`;
+    return [
+        untyped
+            ? `\`${pointer}\` must be non-null, even when \`${length}\` is \`0\`.`
+            : `\`${pointer}\` must be non-null and aligned for \`${pointee}\`, even when \`${length}\` is \`0\`.`,
+        `\`${pointer}\` must be valid for ${access} of ${size}, all within a single allocation.`,
+        untyped ? `The \`${length}\` bytes must be initialized.` : `The \`${length}\` elements must be initialized.`,
+        `${size} must not exceed \`isize::MAX\`.`,
+        mutable
+            ? 'The buffer must not be read or written through any other pointer or reference for the duration of the call.'
+            : 'The buffer must not be written to for the duration of the call.',
+    ];
+}
+
+/**
+ * Describes what a pointer to a C string must satisfy.
+ */
+function describeCString(name) {
+    return [
+        `\`${name}\` must be non-null.`,
+        `\`${name}\` must point to a NUL-terminated string, valid for reads up to and including the NUL terminator, within a single allocation.`,
+        'The string must not be written to for the duration of the call.',
+    ];
+}
+
+/**
+ * Describes what a `&'static` (or `&'static mut`) reference passed to a function must satisfy.
+ */
+function describeStaticReference(name, mutable) {
+    return [
+        `\`${name}\` must refer to a value that lives for the rest of the program, since the function may keep the reference.`,
+        ...(mutable ? ['The value must not be accessed through any other path once passed, since the function may keep exclusive access to it.'] : []),
+    ];
+}
+
+module.exports = { describeSafetyObligations };
@@ -1,3 +1,11 @@
+const { parseItem, readMembers, withoutPlainComments } = require('./item_parser.js');
+const { tokenize } = require('./tokenizer.js');
+const { parseGenericParams, describeGenericParams } = require('./gen_generics_doc.js');
+const { synthesizeExampleValue, toTabStop, applyFenceSetting } = require('./example_values.js');
+const { renderDocComment } = require('./template.js');
+const { describeAttributes } = require('./gen_attributes_doc.js');
+const { resolveExampleImport } = require('./crate_paths.js');
+
 /**
  * Generates a Rust-style documentation block for a `struct` declaration.
  *
@@ -5,90 +13,170 @@
  * - Field-style structs: `struct Name { field: Type, ... }`
  * - Tuple-style structs: `struct Name(Type, ...)`
  *
- * Unit structs (e.g., `struct X;` or `struct Y {}`) are ignored as they don't require
- * field-level documentation.
+ * Unit structs (e.g., `struct X;` or `struct Y {}`) get only the summary line, as they have no
+ * fields to list or construct.
  *
  * The generated doc block includes:
  * - A general description placeholder.
- * - A `# Fields` section with placeholders for each field.
- * - A `# Examples` section demonstrating how to instantiate the struct.
+ * - A `# Type Parameters` section (if enabled) listing lifetimes, type parameters, and const generics.
+ * - A `# Fields` section with placeholders for each field, unless fields are documented inline
+ *   (`options.memberDocs` is `inline`, see `generateMemberDocs`).
+ * - Notes, a `# Layout` section, and a `# Deprecated` section for its `cfg`, `must_use`, `repr`, and
+ *   `deprecated` attributes (see `describeAttributes`).
+ * - A `# Examples` section demonstrating how to instantiate the struct, with an example value
+ *   synthesized from each field type and the derived traits put to use.
  *
+ * The block is rendered from the `struct` template, or from the user's template when one is configured.
  * Tab stops (`${n:...}`) are inserted for editor snippet expansion.
  *
  * @param {string} line - A string containing the full struct declaration, including its body.
  * @param {boolean} [includeExamples=true] - Whether to include the `# Examples` section.
  * @param {boolean} [examplesOnlyForPublicOrExtern=false] - If true, include examples only for `pub` or `extern` functions.
+ * @param {Object} [options={}] - Additional generation options.
+ * @param {boolean} [options.includeTypeParameters=false] - Whether to include the `# Type Parameters` section.
+ * @param {"list"|"inline"} [options.memberDocs="list"] - Whether fields are listed in `# Fields` or documented inline.
+ * @param {Object[]} [options.attributes] - The item's attributes, when the signature was read without them (see `describeAttributes`).
+ * @param {{ name: string, path: string[], reachable: boolean }|null} [options.crate] - The module the struct is declared in
+ *   (see `enterInlineModules`), used to import it in the example.
+ * @param {string} [options.exampleFence="auto"] - The code block attributes of the example (see `applyFenceSetting`).
+ * @param {Object<string, { name: string, type: string }[]>} [options.constructors={}] - The parameters of the `pub fn new`
+ *   of each type, as returned by `collectConstructors`, to build structs with private fields in the example.
+ * @param {Object<string, string>} [options.templates] - User templates keyed by item kind.
  * @returns {string|null} The formatted doc comment block, or `null` if the input is not a valid documentable struct.
  */
-function generateStructDoc(line, includeExamples, examplesOnlyForPublicOrExtern) {
-    // Check if struct is public or externed.
-    const isPublicOrExtern = /\b(pub(\s*\([^)]*\)|\s+self|\s+super)?|extern(\s*"[^"]*")?)\b/.test(line);
+function generateStructDoc(line, includeExamples, examplesOnlyForPublicOrExtern, options = {}) {
+    const item = parseItem(line);
+    if (item?.kind !== 'struct') return null;
 
-    // Reject unit structs (single struct no fields)
-    if (/struct\s+\w+\s*(;|\{\})/.test(line)) return null; // Struct ends with ';' or '{}'
+    // Reject field structs whose body is not closed yet
+    if (item.shape === 'named' && !item.complete) return null;
 
-     // Remove visibility modifier (pub, pub(...))
-     const cleanLine = line.replace(/pub(\s*\([^)]*\))?\s+/g, '');
+    // Unit structs (`struct X;` or `struct Y {}`) have nothing to list or construct: only the summary line
+    if (item.shape === 'unit' || item.fields.length === 0) return ' ${1:Describe this struct.}';
 
-    // Match struct name and optional body: {}, (), or unit
-    const structMatch = cleanLine.match(/struct\s+(\w+)\s*(\([^)]*\)|\{[\s\S]*\})/);
-    if (!structMatch) return null;
+    const isTuple = item.shape === 'tuple';
+    const fields = item.fields.map(field => ({ name: field.name, type: field.type }));
 
-    const name = structMatch[1];
-    const body = structMatch[2]?.trim() || '';
-    let currentTabStop = 2;
-    const docLines = [` \${1:Describe this struct.}`];
+    const typeParams = describeGenericParams(parseGenericParams(item.generics, item.whereClause));
+    const showExamples = includeExamples && (!examplesOnlyForPublicOrExtern || item.visibility !== '');
+    const attributes = describeAttributes(options.attributes ?? item.attributes, 'struct');
 
-    const fields = [];
+    // Values available to the struct template
+    const context = {
+        name: item.name,
+        pub: item.visibility !== '',
+        ...attributes,
+        tuple: isTuple,
+        typeParams,
+        showTypeParams: !!options.includeTypeParameters && typeParams.length > 0,
+        fields,
+        inlineMembers: options.memberDocs === 'inline',
+        showExamples,
+        example: showExamples
+            ? applyFenceSetting(createExampleSection(item.name, isTuple, fields, attributes.derives, resolveExampleImport(item.name, item.visibility, options.crate), {
+                sealed: item.fields.some(field => field.visibility !== 'pub'),
+                constructor: options.constructors?.[item.name] ?? null,
+            }), options.exampleFence)
+            : null,
+    };
 
-    // Find all fields for the structure can be a Field struct or a Tuple struct -- "struct Temp {" or "struct Temp("
-    if (body.startsWith('{')) {
-        // Field struct
-        const fieldList = body.slice(1, -1).split(',').map(f => f.trim()).filter(Boolean);
-        for (const field of fieldList) {
-            const cleanedField = field.replace(/pub(\s*\([^)]*\))?\s+/, '').trim(); // Remove 'pub' from field
-            const [fieldName, fieldType] = cleanedField.split(':').map(s => s.trim());
-            if (fieldName && fieldType) {
-                fields.push(`- \`${fieldName}\` (\`${fieldType}\`) - \${${currentTabStop++}:Describe this field.}`);
-            }
-        }
-    } else if (body.startsWith('(')) {
-        // Tuple struct
-        const types = body.slice(1, -1).split(',').map(t => t.trim()).filter(Boolean);
-        for (let i = 0; i < types.length; i++) {
-            fields.push(`- \`field_${i}\` (\`${types[i]}\`) - \${${currentTabStop++}:Describe this tuple field.}`);
+    return renderDocComment('struct', context, options);
+}
+
+/**
+ * Generates the example code that instantiates a struct, with an example value synthesized from
+ * each field type.
+ *
+ * Derived traits are put to use: a field struct deriving `Default` sets its first field and takes the
+ * rest from `..Default::default()`, `Debug` prints the value, and `Clone` with `PartialEq` and `Debug`
+ * compares it with its clone.
+ *
+ * Doctests are built outside the crate, where a struct with a private field cannot be written as a
+ * literal: such a struct is built with `Default::default()` when it derives `Default`, or with its
+ * `pub fn new`, and the example is marked `ignore` when it has neither.
+ *
+ * @param {string} name - The name of the struct.
+ * @param {boolean} isTuple - Whether the struct is a tuple struct.
+ * @param {{ name: string, type: string }[]} fields - The struct fields.
+ * @param {string[]} [derives=[]] - The traits the struct derives.
+ * @param {{ path: string|null, ignore: boolean }} [imported] - The import path and whether the example cannot run
+ *   (see `resolveExampleImport`). Without a path, the import is a tab stop.
+ * @param {Object} [construction={}] - How the struct can be built outside its crate.
+ * @param {boolean} [construction.sealed=false] - Whether a field is not `pub`.
+ * @param {{ name: string, type: string }[]|null} [construction.constructor=null] - The parameters of the struct's `pub fn new`, if any.
+ * @returns {{ attributes: string, code: string[] }} The code block attributes and the lines of the example code.
+ */
+function createExampleSection(name, isTuple, fields, derives = [], imported = { path: null, ignore: false }, construction = {}) {
+    const { sealed = false, constructor = null } = construction;
+    // Tab stops are renumbered in order of appearance when the template is rendered
+    let currentTabStop = 1;
+    const code = [imported.path ? `use ${imported.path};` : `use crate::\${${currentTabStop++}:...};`, ``];
+
+    if (sealed && derives.includes('Default')) {
+        code.push(`let s = ${name}::default();`);
+    } else if (sealed && constructor) {
+        const args = constructor.map(param => toTabStop(synthesizeExampleValue(param.type), currentTabStop++)).join(', ');
+        code.push(`let s = ${name}::new(${args});`);
+    } else if (isTuple) {
+        // Tuple-style struct
+        const tupleArgs = fields.map(field => toTabStop(synthesizeExampleValue(field.type), currentTabStop++)).join(', ');
+        code.push(`let s = ${name}(${tupleArgs});`);
+    } else {
+        // Field-style struct
+        // With `Default`, the first field is enough to show how the struct is built
+        const explicit = derives.includes('Default') && fields.length > 1 ? fields.slice(0, 1) : fields;
+        code.push(`let s = ${name} {`);
+        for (const field of explicit) {
+            code.push(`    ${field.name}: ${toTabStop(synthesizeExampleValue(field.type), currentTabStop++)},`);
         }
+        if (explicit.length < fields.length) code.push('    ..Default::default()');
+        code.push(`};`);
     }
 
-    // Struct Fields section
-    if (fields.length > 0) {
-        docLines.push(``, `# Fields`, ``, ...fields);
-    }
+    if (derives.includes('Debug')) code.push('println!("{s:?}");');
+    if (['Clone', 'PartialEq', 'Debug'].every(trait => derives.includes(trait))) code.push('assert_eq!(s.clone(), s);');
 
-    if (includeExamples && (!examplesOnlyForPublicOrExtern || isPublicOrExtern)) {
-        // Examples section
-        docLines.push(``, `# Examples`, ``, '```', `use crate::\${${currentTabStop++}:...};`, ``);
+    // A literal of a struct with private fields only compiles inside its crate
+    const unbuildable = sealed && !derives.includes('Default') && !constructor;
+    return { attributes: imported.ignore || unbuildable ? 'ignore' : '', code };
+}
 
-        if (body.startsWith('{')) {
-            // Field-style struct
-            docLines.push(`let s = ${name} {`);
-            for (const field of fields) {
-                const fieldName = field.match(/`([^`]+)`/)[1]; // extract field name
-                docLines.push(`    ${fieldName}: value,`);
+/**
+ * Collects the public constructors of a file: the parameters of each `pub fn new` declared without a
+ * receiver in an inherent `impl` block, at the top level or in inline modules.
+ *
+ * ### Example
+ * Input:
+ * ```rust
+ * impl<T> Stack<T> {
+ *     pub fn new(capacity: usize) -> Self { ... }
+ * }
+ * ```
+ * Output:
+ * ```text
+ * { Stack: [{ name: "capacity", type: "usize" }] }
+ * ```
+ *
+ * @param {string} text - The source text of a Rust file.
+ * @returns {Object<string, { name: string, type: string }[]>} The constructor parameters, keyed by type name (without
+ *   generic arguments).
+ */
+function collectConstructors(text) {
+    const constructors = {};
+    const collect = members => {
+        for (const item of members) {
+            if (item.kind === 'impl' && !item.traitName) {
+                const typeName = item.typeName.match(/^(?:\w+::)*(\w+)\s*(?:<|$)/)?.[1];
+                const constructor = item.members.find(member => member.kind === 'function' && member.name === 'new' && member.visibility === 'pub' && !member.receiver);
+                if (typeName && constructor) constructors[typeName] = constructor.params.map(param => ({ name: param.name, type: param.type }));
+            } else if (item.kind === 'mod') {
+                collect(item.members);
             }
-            docLines.push(`};`);
-        } else if (body.startsWith('(')) {
-            // Tuple-style struct
-            const types = body.slice(1, -1).split(',').map(t => t.trim()).filter(Boolean);
-            const tupleArgs = types.map(() => `value`).join(', ');
-            docLines.push(`let s = ${name}(${tupleArgs});`);
         }
+    };
 
-        docLines.push('```'); // End the example section markdown code block
-    }
-
-    // Format as Rust doc comment block
-    return [docLines[0], ...docLines.slice(1).map(line => `/// ${line}`)].join('\n');
+    collect(readMembers(withoutPlainComments(tokenize(text))));
+    return constructors;
 }
 
-module.exports = { generateStructDoc };
\ No newline at end of file
+module.exports = { generateStructDoc, collectConstructors };
\ No newline at end of file
@@ -0,0 +1,145 @@
+const { tokenize, tokensToText } = require('./tokenizer.js');
+const { parseItem, splitTopLevel } = require('./item_parser.js');
+const { renderDocComment } = require('./template.js');
+const { describeAttributes } = require('./gen_attributes_doc.js');
+const { resolveExampleImport } = require('./crate_paths.js');
+const { synthesizeExampleValue, toTabStop, applyFenceSetting } = require('./example_values.js');
+
+/**
+ * Generates a Rust-style documentation block for a `trait` declaration.
+ *
+ * This function parses the full trait declaration (header and body) with `parseItem` and creates a
+ * doc comment that includes:
+ * - A general description placeholder
+ * - Supertrait bounds (`# Supertraits`) if the trait has any
+ * - Associated types and constants (`# Associated Types`, `# Associated Constants`)
+ * - Methods without a default body (`# Required Methods`)
+ * - Methods with a default body (`# Provided Methods`)
+ * - Implementor obligations (`# Safety`) if the trait is marked as `unsafe`
+ * - An example (`# Implementing`) that stubs out every required item for a new type
+ *
+ * The block is rendered from the `trait` template, or from the user's template when one is configured.
+ * Tab stops (e.g., `${2:...}`) are included to support editor snippet expansion.
+ *
+ * @param {string} line - The normalized trait declaration, including its full body.
+ * @param {boolean} [includeExamples=true] - Whether to include the `# Implementing` example section.
+ * @param {boolean} [examplesOnlyForPublicOrExtern=false] - If true, include the example only for `pub` traits.
+ * @param {boolean} [includeSafetyDetails=false] - Whether to include extended implementor guidance in the `# Safety` section.
+ * @param {Object} [options={}] - Additional generation options.
+ * @param {Object[]} [options.attributes] - The item's attributes, when the signature was read without them (see `describeAttributes`).
+ * @param {{ name: string, path: string[], reachable: boolean }|null} [options.crate] - The module the trait is declared in
+ *   (see `enterInlineModules`), used to import it in the example.
+ * @param {string} [options.exampleFence="auto"] - The code block attributes of the example (see `applyFenceSetting`).
+ * @param {Object<string, string>} [options.templates] - User templates keyed by item kind.
+ * @returns {string|null} The formatted Rust doc comment block, or `null` if the input is not a valid trait declaration.
+ */
+function generateTraitDoc(line, includeExamples, examplesOnlyForPublicOrExtern, includeSafetyDetails, options = {}) {
+    const item = parseItem(line);
+    if (item?.kind !== 'trait' || !item.complete) return null;
+
+    const { name, members } = item;
+    const hasUnsafe = item.modifiers.unsafe;
+    const isPublic = item.visibility !== '';
+
+    const types = members.filter(member => member.kind === 'type').map(member => ({
+        name: member.name,
+        bounds: member.bounds || null,
+        hasDefault: member.aliased !== null,
+    }));
+    const consts = members.filter(member => member.kind === 'const').map(member => ({
+        name: member.name,
+        type: member.type,
+        hasDefault: member.value !== null,
+    }));
+    const methods = members.filter(member => member.kind === 'function').map(member => ({
+        name: member.name,
+        hasBody: member.hasBody,
+        signature: member.header,
+    }));
+    const requiredMethods = methods.filter(method => !method.hasBody);
+    const providedMethods = methods.filter(method => method.hasBody);
+
+    const showExamples = includeExamples && (!examplesOnlyForPublicOrExtern || isPublic);
+    const toMethod = method => ({ name: method.name, path: `${name}::${method.name}` });
+
+    // Values available to the trait template
+    const context = {
+        name,
+        pub: isPublic,
+        ...describeAttributes(options.attributes ?? item.attributes, 'trait'),
+        unsafe: hasUnsafe,
+        supertraits: item.supertraits.map(supertrait => ({ name: supertrait })),
+        associatedTypes: types.map(type => ({ name: type.name, bounds: type.bounds || '' })),
+        associatedConsts: consts.map(constant => ({ name: constant.name, type: constant.type })),
+        requiredMethods: requiredMethods.map(toMethod),
+        providedMethods: providedMethods.map(toMethod),
+        includeSafetyDetails: !!includeSafetyDetails,
+        showExamples,
+        example: showExamples
+            ? applyFenceSetting(createImplementingSection(name, item.generics, hasUnsafe, types, consts, requiredMethods, resolveExampleImport(name, item.visibility, options.crate)), options.exampleFence)
+            : null,
+    };
+
+    return renderDocComment('trait', context, options);
+}
+
+/**
+ * Builds the code for the `# Implementing` example section of a trait.
+ *
+ * The example declares a placeholder type and implements the trait for it, assigning every
+ * associated type and constant that has no default and stubbing every required method with
+ * `todo!()`. Provided methods are left out since implementors inherit them.
+ *
+ * @param {string} name - The name of the trait.
+ * @param {string} generics - The trait's generic parameter list (e.g., `<T>`), or an empty string.
+ * @param {boolean} hasUnsafe - Whether the trait is an `unsafe trait`.
+ * @param {Array<Object>} types - Parsed associated types.
+ * @param {Array<Object>} consts - Parsed associated constants.
+ * @param {Array<Object>} requiredMethods - Parsed methods without a default body.
+ * @param {{ path: string|null, ignore: boolean }} [imported] - The import path and whether the example cannot run
+ *   (see `resolveExampleImport`). Without a path, the import is a tab stop.
+ * @returns {{ attributes: string, code: string[] }} The code block attributes and the lines of the example code.
+ */
+function createImplementingSection(name, generics, hasUnsafe, types, consts, requiredMethods, imported = { path: null, ignore: false }) {
+    // Tab stops are renumbered in order of appearance when the template is rendered
+    let currentTabStop = 1;
+    const exampleLines = [imported.path ? `use ${imported.path};` : `use crate::\${${currentTabStop++}:...};`, ``];
+    exampleLines.push(`struct MyType;`, ``);
+
+    // Keep only the generic parameter names (drop bounds and defaults), e.g. `<T: Clone, const N: usize>` -> `<T, N>`
+    const paramNames = generics
+        ? splitTopLevel(tokenize(generics.slice(1, -1)), ',')
+            .map(tokensToText)
+            .filter(Boolean)
+            .map(p => p.replace(/^const\s+/, '').split(/[:=]/)[0].trim())
+        : [];
+    const traitPath = paramNames.length > 0 ? `${name}<${paramNames.join(', ')}>` : name;
+    const implBody = [];
+
+    for (const type of types.filter(t => !t.hasDefault)) {
+        implBody.push(`    type ${type.name} = \${${currentTabStop++}:()};`);
+    }
+
+    for (const constant of consts.filter(c => !c.hasDefault)) {
+        implBody.push(`    const ${constant.name}: ${constant.type} = ${toTabStop(synthesizeExampleValue(constant.type), currentTabStop++)};`);
+    }
+
+    for (const method of requiredMethods) {
+        if (implBody.length > 0) implBody.push(``);
+        implBody.push(`    ${method.signature} {`);
+        implBody.push(`        todo!()`);
+        implBody.push(`    }`);
+    }
+
+    if (implBody.length > 0) {
+        exampleLines.push(`${hasUnsafe ? 'unsafe ' : ''}impl ${traitPath} for MyType {`);
+        exampleLines.push(...implBody);
+        exampleLines.push(`}`);
+    } else {
+        exampleLines.push(`${hasUnsafe ? 'unsafe ' : ''}impl ${traitPath} for MyType {}`);
+    }
+
+    return { attributes: imported.ignore ? 'ignore' : '', code: exampleLines };
+}
+
+module.exports = { generateTraitDoc };
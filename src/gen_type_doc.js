@@ -0,0 +1,45 @@
+const { parseItem } = require('./item_parser.js');
+const { renderDocComment } = require('./template.js');
+const { describeAttributes } = require('./gen_attributes_doc.js');
+
+/**
+ * Generates a Rust-style documentation block for a `type` alias.
+ *
+ * The generated doc block includes:
+ * - A general description placeholder.
+ * - An `# Aliased Type` section showing the type the alias expands to.
+ *
+ * Associated types declared in a trait (e.g., `type Item;`) are not aliases: they are described as
+ * associated types, and those without a value get only the description placeholder.
+ *
+ * The block is rendered from the `type` template, or from the user's template when one is configured.
+ * Tab stops (`${n:...}`) are inserted for editor snippet expansion.
+ *
+ * @param {string} line - The normalized type alias declaration, up to its terminating `;`.
+ * @param {Object} [options={}] - Additional generation options.
+ * @param {Object[]} [options.attributes] - The item's attributes, when the signature was read without them (see `describeAttributes`).
+ * @param {string|null} [options.enclosingBlock=null] - The header of the block enclosing the item (e.g., `pub trait Shape {`).
+ * @param {Object<string, string>} [options.templates] - User templates keyed by item kind.
+ * @returns {string|null} The formatted doc comment block, or `null` if the input is not a valid type alias.
+ */
+function generateTypeAliasDoc(line, options = {}) {
+    const item = parseItem(line);
+    if (item?.kind !== 'type') return null;
+
+    // Associated types are declared in a trait, and are as public as the trait
+    const block = parseItem(options.enclosingBlock || '');
+    const enclosingTrait = block?.kind === 'trait' ? block : null;
+
+    // Values available to the type alias template
+    const context = {
+        name: item.name,
+        pub: (enclosingTrait ?? item).visibility !== '',
+        associated: !!enclosingTrait,
+        ...describeAttributes(options.attributes ?? item.attributes, 'type'),
+        aliased: item.aliased || '',
+    };
+
+    return renderDocComment('type', context, options);
+}
+
+module.exports = { generateTypeAliasDoc };
@@ -0,0 +1,82 @@
+const { parseItem } = require('./item_parser.js');
+const { renderDocComment } = require('./template.js');
+const { describeAttributes } = require('./gen_attributes_doc.js');
+const { resolveExampleImport } = require('./crate_paths.js');
+const { synthesizeExampleValue, toTabStop, applyFenceSetting } = require('./example_values.js');
+
+/**
+ * Generates a Rust-style documentation block for a `union` declaration.
+ *
+ * The generated doc block includes:
+ * - A general description placeholder.
+ * - A `# Fields` section with placeholders for each field.
+ * - A `# Safety` section, always present, since reading any union field is `unsafe`.
+ * - A `# Examples` section demonstrating how to write one field and read it back.
+ *
+ * The block is rendered from the `union` template, or from the user's template when one is configured.
+ * Tab stops (`${n:...}`) are inserted for editor snippet expansion.
+ *
+ * @param {string} line - A string containing the full union declaration, including its body.
+ * @param {boolean} [includeExamples=true] - Whether to include the `# Examples` section.
+ * @param {boolean} [examplesOnlyForPublicOrExtern=false] - If true, include examples only for `pub` unions.
+ * @param {boolean} [includeSafetyDetails=false] - Whether to include extended safety guidance in the `# Safety` section.
+ * @param {Object} [options={}] - Additional generation options.
+ * @param {Object[]} [options.attributes] - The item's attributes, when the signature was read without them (see `describeAttributes`).
+ * @param {{ name: string, path: string[], reachable: boolean }|null} [options.crate] - The module the union is declared in
+ *   (see `enterInlineModules`), used to import it in the example.
+ * @param {string} [options.exampleFence="auto"] - The code block attributes of the example (see `applyFenceSetting`).
+ * @param {Object<string, string>} [options.templates] - User templates keyed by item kind.
+ * @returns {string|null} The formatted doc comment block, or `null` if the input is not a valid union.
+ */
+function generateUnionDoc(line, includeExamples, examplesOnlyForPublicOrExtern, includeSafetyDetails, options = {}) {
+    const item = parseItem(line);
+    if (item?.kind !== 'union' || item.shape !== 'named' || !item.complete) return null;
+
+    const fields = item.fields.map(field => ({ name: field.name, type: field.type }));
+
+    // Unions require at least one field
+    if (fields.length === 0) return null;
+
+    const isPublic = item.visibility !== '';
+    const showExamples = includeExamples && (!examplesOnlyForPublicOrExtern || isPublic);
+
+    // Values available to the union template
+    const context = {
+        name: item.name,
+        pub: isPublic,
+        ...describeAttributes(options.attributes ?? item.attributes, 'union'),
+        fields,
+        includeSafetyDetails: !!includeSafetyDetails,
+        showExamples,
+        example: showExamples
+            ? applyFenceSetting(createExampleSection(item.name, fields[0], resolveExampleImport(item.name, item.visibility, options.crate)), options.exampleFence)
+            : null,
+    };
+
+    return renderDocComment('union', context, options);
+}
+
+/**
+ * Generates the example code for a union: one field is written and then read back in an `unsafe` block.
+ *
+ * @param {string} name - The name of the union.
+ * @param {{ name: string, type: string }} first - The field used in the example, written with a value synthesized from its type.
+ * @param {{ path: string|null, ignore: boolean }} [imported] - The import path and whether the example cannot run
+ *   (see `resolveExampleImport`). Without a path, the import is a tab stop.
+ * @returns {{ attributes: string, code: string[] }} The code block attributes and the lines of the example code.
+ */
+function createExampleSection(name, first, imported = { path: null, ignore: false }) {
+    const valueTabStop = imported.path ? 1 : 2;
+    return {
+        attributes: imported.ignore ? 'ignore' : '',
+        code: [
+            imported.path ? `use ${imported.path};` : `use crate::\${1:...};`,
+            ``,
+            `let u = ${name} { ${first.name}: ${toTabStop(synthesizeExampleValue(first.type), valueTabStop)} };`,
+            `// SAFETY: \`${first.name}\` is the field that was most recently written.`,
+            `let ${first.name} = unsafe { u.${first.name} };`,
+        ],
+    };
+}
+
+module.exports = { generateUnionDoc };
@@ -0,0 +1,819 @@
+const { tokenize, tokensToText } = require('./tokenizer.js');
+
+/**
+ * The closing token for each opening bracket.
+ */
+const CLOSERS = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+/**
+ * Parses the first Rust item in a piece of source text (or a token list from `tokenize`).
+ *
+ * The item is returned as a structure every generator consumes, instead of re-parsing the text
+ * with regular expressions:
+ * - `kind`: `function`, `struct`, `enum`, `trait`, `union`, `type`, `const`, `static`, `extern`
+ *   (an `extern` block), `impl`, `mod`, `use`, `extern crate`, or `macro`.
+ * - `name`, `visibility` (`''`, `pub`, `pub(crate)`, `pub(in path)`, ...), `attributes`, `docs`.
+ * - `modifiers`: `default`, `const`, `async`, `unsafe`, `safe`, `auto`, `extern`, `mut`; and `abi`.
+ * - `generics` (with angle brackets) and `whereClause` (without `where`).
+ * - Functions: `receiver`, `params`, `variadic`, `returnType`, `hasBody`.
+ * - Structs and unions: `shape` (`named`, `tuple`, `unit`) and `fields`.
+ * - Enums: `variants`, each with its `kind`, `types`, `fields`, `discriminant`, and attributes.
+ * - Traits: `supertraits` and `members`. Extern blocks, impls, and inline modules also have `members`.
+ * - Type aliases and associated types: `bounds` and `aliased`. Consts and statics: `type` and `value`.
+ * - `header`: the declaration without attributes, body, or terminating `;`.
+ *
+ * Types and expressions are returned as text with normalized whitespace and without comments.
+ * Partially typed items are parsed as far as they go; `complete` is `false` when the text ends
+ * before the item does.
+ *
+ * ### Example
+ * Input:
+ * ```text
+ * #[inline] pub async fn get<'a>(&'a self, key: &str, f: impl Fn(u8) -> u8) -> Option<&'a V> {
+ * ```
+ * Output (abridged):
+ * ```text
+ * { kind: "function", name: "get", visibility: "pub", modifiers: { async: true, ... }, generics: "<'a>",
+ *   receiver: { text: "&'a self", ... }, params: [{ name: "key", type: "&str" }, { name: "f", type: "impl Fn(u8) -> u8" }],
+ *   returnType: "Option<&'a V>", hasBody: true, attributes: [{ name: "inline", args: "", text: "#[inline]" }], ... }
+ * ```
+ *
+ * @param {string|ReturnType<typeof tokenize>} source - The source text, or its tokens.
+ * @returns {Object|null} The parsed item, or `null` if the text does not start with an item.
+ */
+function parseItem(source) {
+    const tokens = typeof source === 'string' ? tokenize(source) : source;
+    return readItem(withoutPlainComments(tokens), 0).item;
+}
+
+/**
+ * Reads the item starting at a token index.
+ *
+ * Outer doc comments and attributes before the item are collected. When the tokens at `start` are
+ * not an item (a statement, an expression, a macro call), the tokens up to the next top-level `;`
+ * or balanced `{ }` are skipped and `item` is `null`.
+ *
+ * @param {ReturnType<typeof tokenize>} tokens - Tokens without plain (non-doc) comments.
+ * @param {number} start - The index of the first token.
+ * @returns {{ item: Object|null, start: number, headerStart: number, bodyStart: number, end: number, complete: boolean }}
+ *   The item; the index of its first token, of its first token after attributes, and of the `{` opening
+ *   its body (`-1` without a body); the index after its last token; and whether the tokens ended first.
+ */
+function readItem(tokens, start) {
+    let i = start;
+    const attributes = [];
+    const docs = [];
+
+    // Outer doc comments and attributes
+    while (i < tokens.length) {
+        if (tokens[i].kind === 'comment') {
+            if (tokens[i].doc === 'outer') docs.push(tokens[i]);
+            i++;
+        } else if (is(tokens[i], '#') && is(tokens[i + 1], '[')) {
+            const close = findClose(tokens, i + 1);
+            attributes.push(describeAttribute(tokens.slice(i, close + 1)));
+            i = close + 1;
+        } else {
+            break;
+        }
+    }
+
+    const headerStart = i;
+    const result = (item, end, bodyStart = -1, complete = end <= tokens.length) => ({
+        item: item && {
+            ...item,
+            attributes,
+            docs: docs.map(docText),
+            startLine: tokens[start]?.line ?? 0,
+            line: tokens[headerStart]?.line ?? 0,
+            endLine: tokens[Math.min(end, tokens.length) - 1]?.endLine ?? 0,
+            complete,
+        },
+        start,
+        headerStart,
+        bodyStart,
+        end: Math.min(end, tokens.length),
+        complete,
+    });
+
+    let visibility = '';
+    if (isWord(tokens[i], 'pub')) {
+        if (is(tokens[i + 1], '(')) {
+            const close = findClose(tokens, i + 1);
+            visibility = tokensToText(tokens.slice(i, close + 1));
+            i = close + 1;
+        } else {
+            visibility = 'pub';
+            i++;
+        }
+    }
+
+    const modifiers = { default: false, const: false, async: false, unsafe: false, safe: false, auto: false, extern: false, mut: false };
+    let abi = null;
+    for (;;) {
+        const word = tokens[i]?.kind === 'ident' ? tokens[i].value : null;
+        const next = tokens[i + 1];
+        if (word === 'const' && isWord(next, 'fn', 'async', 'unsafe', 'extern', 'safe')) modifiers.const = true;
+        else if (word === 'default' && next?.kind === 'ident') modifiers.default = true;
+        else if (word === 'async' && !is(next, '{') && !isWord(next, 'move')) modifiers.async = true;
+        else if (word === 'unsafe' && !is(next, '{')) modifiers.unsafe = true;
+        else if (word === 'safe' && isWord(next, 'fn', 'static')) modifiers.safe = true;
+        else if (word === 'auto' && isWord(next, 'trait')) modifiers.auto = true;
+        else if (word === 'extern') {
+            modifiers.extern = true;
+            if (next?.kind === 'string') {
+                abi = unquote(next.value);
+                i++;
+            }
+        } else break;
+        i++;
+    }
+
+    const base = { name: null, visibility, modifiers, abi, generics: '', whereClause: '' };
+    const keyword = tokens[i]?.kind === 'ident' ? tokens[i].value : null;
+
+    if (modifiers.extern && is(tokens[i], '{')) return readExternBlock(tokens, i, base, headerStart, result);
+    if (modifiers.extern && keyword === 'crate') {
+        const end = findStatementEnd(tokens, i);
+        return result({ ...base, kind: 'extern crate', name: tokens[i + 1]?.value ?? null, header: header(tokens, headerStart, end - 1) }, end);
+    }
+
+    switch (keyword) {
+        case 'fn':
+            return readFunction(tokens, i, base, headerStart, result);
+        case 'struct':
+            return readStruct(tokens, i, base, 'struct', headerStart, result);
+        case 'union':
+            if (tokens[i + 1]?.kind === 'ident') return readStruct(tokens, i, base, 'union', headerStart, result);
+            break;
+        case 'enum':
+            return readEnum(tokens, i, base, headerStart, result);
+        case 'trait':
+            return readTrait(tokens, i, base, headerStart, result);
+        case 'type':
+            return readTypeAlias(tokens, i, base, headerStart, result);
+        case 'const':
+        case 'static':
+            return readConstOrStatic(tokens, i, base, keyword, headerStart, result);
+        case 'impl':
+            return readImpl(tokens, i, base, headerStart, result);
+        case 'mod':
+            return readModule(tokens, i, base, headerStart, result);
+        case 'use': {
+            const end = findStatementEnd(tokens, i);
+            return result({ ...base, kind: 'use', header: header(tokens, headerStart, end - 1) }, end);
+        }
+        case 'macro_rules':
+            if (is(tokens[i + 1], '!')) {
+                const end = findStatementEnd(tokens, i);
+                return result({ ...base, kind: 'macro', name: tokens[i + 2]?.value ?? null, header: header(tokens, headerStart, i + 3) }, end);
+            }
+            break;
+    }
+
+    return result(null, findStatementEnd(tokens, i));
+}
+
+/**
+ * Reads a function after its modifiers: `fn name<G>(params) -> Ret where ... { body }` or `;`.
+ */
+function readFunction(tokens, i, base, headerStart, result) {
+    const name = tokens[i + 1]?.kind === 'ident' ? tokens[i + 1].value : null;
+    if (!name) return result(null, findStatementEnd(tokens, i));
+
+    let j = i + 2;
+    let generics = '';
+    if (is(tokens[j], '<')) {
+        const close = findClose(tokens, j);
+        generics = tokensToText(tokens.slice(j, close + 1));
+        j = close + 1;
+    }
+
+    if (!is(tokens[j], '(')) return result(null, findStatementEnd(tokens, i));
+    const paramsClose = findClose(tokens, j);
+    const params = [];
+    let receiver = null;
+    let variadic = false;
+
+    for (const [index, part] of splitTopLevel(tokens.slice(j + 1, paramsClose), ',').entries()) {
+        const { attributes, rest } = splitAttributes(part);
+        if (rest.length === 0) continue;
+
+        const colon = rest.findIndex(t => is(t, ':'));
+        const pattern = tokensToText(colon === -1 ? rest : rest.slice(0, colon));
+        const type = colon === -1 ? null : tokensToText(rest.slice(colon + 1));
+
+        if (index === 0 && /^(?:&\s*(?:'\w+\s+)?(?:mut\s+)?|mut\s+)?self$/.test(pattern)) {
+            receiver = describeReceiver(pattern, type);
+        } else if (pattern === '...' || type === '...') {
+            variadic = true;
+        } else {
+            params.push({ name: pattern, type: type ?? '', attributes });
+        }
+    }
+
+    j = paramsClose + 1;
+    let returnType = null;
+    if (is(tokens[j], '->')) {
+        const end = findTopLevel(tokens, j + 1, t => is(t, '{') || is(t, ';') || isWord(t, 'where'));
+        returnType = tokensToText(tokens.slice(j + 1, end)) || null;
+        j = end;
+    }
+
+    let whereClause = '';
+    if (isWord(tokens[j], 'where')) {
+        const end = findTopLevel(tokens, j + 1, t => is(t, '{') || is(t, ';'));
+        whereClause = tokensToText(tokens.slice(j + 1, end));
+        j = end;
+    }
+
+    const item = {
+        ...base,
+        kind: 'function',
+        name,
+        generics,
+        whereClause,
+        receiver,
+        params,
+        variadic,
+        returnType,
+        hasBody: is(tokens[j], '{'),
+        header: header(tokens, headerStart, j),
+    };
+
+    if (is(tokens[j], '{')) return result(item, findClose(tokens, j) + 1, j, findClose(tokens, j) < tokens.length);
+    return result(item, is(tokens[j], ';') ? j + 1 : j, -1, j < tokens.length);
+}
+
+/**
+ * Reads a struct or union after its modifiers, with named fields, tuple fields, or no fields.
+ */
+function readStruct(tokens, i, base, kind, headerStart, result) {
+    const name = tokens[i + 1]?.kind === 'ident' ? tokens[i + 1].value : null;
+    if (!name) return result(null, findStatementEnd(tokens, i));
+
+    let j = i + 2;
+    let generics = '';
+    if (is(tokens[j], '<')) {
+        const close = findClose(tokens, j);
+        generics = tokensToText(tokens.slice(j, close + 1));
+        j = close + 1;
+    }
+
+    const item = { ...base, kind, name, generics, shape: 'unit', fields: [] };
+
+    // Tuple structs put the where clause after the fields, named structs before the braces
+    if (is(tokens[j], '(')) {
+        const close = findClose(tokens, j);
+        item.shape = 'tuple';
+        item.fields = splitTopLevel(tokens.slice(j + 1, close), ',').map(readField(true)).filter(Boolean);
+        j = close + 1;
+        if (isWord(tokens[j], 'where')) {
+            const end = findTopLevel(tokens, j + 1, t => is(t, ';'));
+            item.whereClause = tokensToText(tokens.slice(j + 1, end));
+            j = end;
+        }
+        item.header = header(tokens, headerStart, j);
+        return result(item, is(tokens[j], ';') ? j + 1 : j, -1, j < tokens.length);
+    }
+
+    if (isWord(tokens[j], 'where')) {
+        const end = findTopLevel(tokens, j + 1, t => is(t, '{') || is(t, ';'));
+        item.whereClause = tokensToText(tokens.slice(j + 1, end));
+        j = end;
+    }
+    item.header = header(tokens, headerStart, j);
+
+    if (is(tokens[j], '{')) {
+        const close = findClose(tokens, j);
+        item.shape = 'named';
+        item.fields = splitTopLevel(tokens.slice(j + 1, close), ',').map(readField(false)).filter(Boolean);
+        return result(item, close + 1, j, close < tokens.length);
+    }
+
+    return result(item, is(tokens[j], ';') ? j + 1 : j, -1, j < tokens.length);
+}
+
+/**
+ * Reads an enum after its modifiers, including every variant's payload and discriminant.
+ */
+function readEnum(tokens, i, base, headerStart, result) {
+    const name = tokens[i + 1]?.kind === 'ident' ? tokens[i + 1].value : null;
+    if (!name) return result(null, findStatementEnd(tokens, i));
+
+    let j = i + 2;
+    let generics = '';
+    if (is(tokens[j], '<')) {
+        const close = findClose(tokens, j);
+        generics = tokensToText(tokens.slice(j, close + 1));
+        j = close + 1;
+    }
+
+    let whereClause = '';
+    if (isWord(tokens[j], 'where')) {
+        const end = findTopLevel(tokens, j + 1, t => is(t, '{'));
+        whereClause = tokensToText(tokens.slice(j + 1, end));
+        j = end;
+    }
+
+    const item = { ...base, kind: 'enum', name, generics, whereClause, variants: [], header: header(tokens, headerStart, j) };
+    if (!is(tokens[j], '{')) return result(item, findStatementEnd(tokens, j), -1, false);
+
+    const close = findClose(tokens, j);
+    for (const part of splitTopLevel(tokens.slice(j + 1, close), ',')) {
+        const { attributes, docs, rest } = splitAttributes(part);
+        let k = isWord(rest[0], 'pub') ? (is(rest[1], '(') ? findClose(rest, 1) + 1 : 1) : 0;
+        if (rest[k]?.kind !== 'ident') continue;
+
+        const variant = { name: rest[k].value, kind: 'unit', types: [], fields: [], discriminant: null, attributes, docs: docs.map(docText), line: rest[k].line };
+        k++;
+        if (is(rest[k], '(')) {
+            const end = findClose(rest, k);
+            variant.kind = 'tuple';
+            variant.types = splitTopLevel(rest.slice(k + 1, end), ',').map(readField(true)).filter(Boolean).map(field => field.type);
+            k = end + 1;
+        } else if (is(rest[k], '{')) {
+            const end = findClose(rest, k);
+            variant.kind = 'struct';
+            variant.fields = splitTopLevel(rest.slice(k + 1, end), ',').map(readField(false)).filter(Boolean);
+            k = end + 1;
+        }
+        if (is(rest[k], '=')) variant.discriminant = tokensToText(rest.slice(k + 1));
+        item.variants.push(variant);
+    }
+
+    return result(item, close + 1, j, close < tokens.length);
+}
+
+/**
+ * Reads a trait after its modifiers: supertraits, where clause, and every member in its body.
+ */
+function readTrait(tokens, i, base, headerStart, result) {
+    const name = tokens[i + 1]?.kind === 'ident' ? tokens[i + 1].value : null;
+    if (!name) return result(null, findStatementEnd(tokens, i));
+
+    let j = i + 2;
+    let generics = '';
+    if (is(tokens[j], '<')) {
+        const close = findClose(tokens, j);
+        generics = tokensToText(tokens.slice(j, close + 1));
+        j = close + 1;
+    }
+
+    let supertraits = [];
+    if (is(tokens[j], ':')) {
+        const end = findTopLevel(tokens, j + 1, t => is(t, '{') || is(t, ';') || isWord(t, 'where'));
+        supertraits = splitTopLevel(tokens.slice(j + 1, end), '+').map(tokensToText).filter(Boolean);
+        j = end;
+    }
+
+    let whereClause = '';
+    if (isWord(tokens[j], 'where')) {
+        const end = findTopLevel(tokens, j + 1, t => is(t, '{') || is(t, ';'));
+        whereClause = tokensToText(tokens.slice(j + 1, end));
+        j = end;
+    }
+
+    const item = { ...base, kind: 'trait', name, generics, supertraits, whereClause, members: [], header: header(tokens, headerStart, j) };
+    if (!is(tokens[j], '{')) return result(item, is(tokens[j], ';') ? j + 1 : j, -1, j < tokens.length);
+
+    const close = findClose(tokens, j);
+    item.members = readMembers(tokens.slice(j + 1, close));
+    return result(item, close + 1, j, close < tokens.length);
+}
+
+/**
+ * Reads a type alias or associated type: `type Name<G>: Bounds where ... = Aliased;`.
+ */
+function readTypeAlias(tokens, i, base, headerStart, result) {
+    const name = tokens[i + 1]?.kind === 'ident' ? tokens[i + 1].value : null;
+    if (!name) return result(null, findStatementEnd(tokens, i));
+
+    let j = i + 2;
+    let generics = '';
+    if (is(tokens[j], '<')) {
+        const close = findClose(tokens, j);
+        generics = tokensToText(tokens.slice(j, close + 1));
+        j = close + 1;
+    }
+
+    let bounds = '';
+    if (is(tokens[j], ':')) {
+        const end = findTopLevel(tokens, j + 1, t => is(t, '=') || is(t, ';') || isWord(t, 'where'));
+        bounds = tokensToText(tokens.slice(j + 1, end));
+        j = end;
+    }
+
+    let whereClause = '';
+    if (isWord(tokens[j], 'where')) {
+        const end = findTopLevel(tokens, j + 1, t => is(t, '=') || is(t, ';'));
+        whereClause = tokensToText(tokens.slice(j + 1, end));
+        j = end;
+    }
+
+    let aliased = null;
+    if (is(tokens[j], '=')) {
+        const end = findTopLevel(tokens, j + 1, t => is(t, ';') || isWord(t, 'where'));
+        aliased = tokensToText(tokens.slice(j + 1, end)) || null;
+        j = end;
+        // Where clauses may also follow the aliased type
+        if (isWord(tokens[j], 'where')) {
+            const whereEnd = findTopLevel(tokens, j + 1, t => is(t, ';'));
+            whereClause = tokensToText(tokens.slice(j + 1, whereEnd));
+            j = whereEnd;
+        }
+    }
+
+    const item = { ...base, kind: 'type', name, generics, bounds, whereClause, aliased, header: header(tokens, headerStart, j) };
+    return result(item, is(tokens[j], ';') ? j + 1 : j, -1, j < tokens.length);
+}
+
+/**
+ * Reads a `const` or `static` item: `const NAME: Type = value;` or `static mut NAME: Type = value;`.
+ */
+function readConstOrStatic(tokens, i, base, keyword, headerStart, result) {
+    let j = i + 1;
+    const modifiers = { ...base.modifiers };
+    if (keyword === 'static' && isWord(tokens[j], 'mut')) {
+        modifiers.mut = true;
+        j++;
+    }
+
+    const name = tokens[j]?.kind === 'ident' ? tokens[j].value : null;
+    if (!name) return result(null, findStatementEnd(tokens, i));
+    j++;
+
+    let type = null;
+    if (is(tokens[j], ':')) {
+        const end = findTopLevel(tokens, j + 1, t => is(t, '=') || is(t, ';'));
+        type = tokensToText(tokens.slice(j + 1, end)) || null;
+        j = end;
+    }
+
+    let value = null;
+    if (is(tokens[j], '=')) {
+        const end = findTopLevel(tokens, j + 1, t => is(t, ';'));
+        value = tokensToText(tokens.slice(j + 1, end)) || null;
+        j = end;
+    }
+
+    const item = { ...base, kind: keyword, name, modifiers, type, value, header: header(tokens, headerStart, j) };
+    return result(item, is(tokens[j], ';') ? j + 1 : j, -1, j < tokens.length);
+}
+
+/**
+ * Reads an `extern "ABI" { ... }` block and the foreign items declared in it.
+ */
+function readExternBlock(tokens, j, base, headerStart, result) {
+    const close = findClose(tokens, j);
+    const item = {
+        ...base,
+        kind: 'extern',
+        name: base.abi === null ? 'extern' : `extern "${base.abi}"`,
+        members: readMembers(tokens.slice(j + 1, close)),
+        header: header(tokens, headerStart, j),
+    };
+    return result(item, close + 1, j, close < tokens.length);
+}
+
+/**
+ * Reads an `impl` block: the implemented trait (if any), the self type, and the members.
+ */
+function readImpl(tokens, i, base, headerStart, result) {
+    let j = i + 1;
+    let generics = '';
+    if (is(tokens[j], '<')) {
+        const close = findClose(tokens, j);
+        generics = tokensToText(tokens.slice(j, close + 1));
+        j = close + 1;
+    }
+
+    const end = findTopLevel(tokens, j, t => is(t, '{') || is(t, ';') || isWord(t, 'where'));
+    const target = tokens.slice(j, end);
+    const forIndex = target.findIndex(t => isWord(t, 'for'));
+    const negative = is(target[0], '!');
+    const traitName = forIndex > 0 ? tokensToText(target.slice(negative ? 1 : 0, forIndex)) : null;
+    const typeName = tokensToText(forIndex > 0 ? target.slice(forIndex + 1) : target);
+    j = end;
+
+    let whereClause = '';
+    if (isWord(tokens[j], 'where')) {
+        const whereEnd = findTopLevel(tokens, j + 1, t => is(t, '{') || is(t, ';'));
+        whereClause = tokensToText(tokens.slice(j + 1, whereEnd));
+        j = whereEnd;
+    }
+
+    const item = { ...base, kind: 'impl', name: typeName, generics, whereClause, traitName, typeName, negative, members: [], header: header(tokens, headerStart, j) };
+    if (!is(tokens[j], '{')) return result(item, is(tokens[j], ';') ? j + 1 : j, -1, j < tokens.length);
+
+    const close = findClose(tokens, j);
+    item.members = readMembers(tokens.slice(j + 1, close));
+    return result(item, close + 1, j, close < tokens.length);
+}
+
+/**
+ * Reads a module declaration (`mod name;`) or an inline module with its members.
+ */
+function readModule(tokens, i, base, headerStart, result) {
+    const name = tokens[i + 1]?.kind === 'ident' ? tokens[i + 1].value : null;
+    const item = { ...base, kind: 'mod', name, members: [], header: header(tokens, headerStart, i + 2) };
+    if (!is(tokens[i + 2], '{')) return result(item, is(tokens[i + 2], ';') ? i + 3 : i + 2, -1, i + 2 < tokens.length);
+
+    const close = findClose(tokens, i + 2);
+    item.members = readMembers(tokens.slice(i + 3, close));
+    return result(item, close + 1, i + 2, close < tokens.length);
+}
+
+/**
+ * Reads every item in the body of a block (trait, impl, extern block, or module). Inner attributes
+ * and doc comments, macro calls, and anything else that is not an item are skipped.
+ *
+ * @param {ReturnType<typeof tokenize>} tokens - The tokens between the braces.
+ * @returns {Object[]} The items, in order.
+ */
+function readMembers(tokens) {
+    const members = [];
+    let i = 0;
+
+    while (i < tokens.length) {
+        if (tokens[i].kind === 'comment' && tokens[i].doc !== 'outer') {
+            i++;
+        } else if (is(tokens[i], '#') && is(tokens[i + 1], '!') && is(tokens[i + 2], '[')) {
+            i = findClose(tokens, i + 2) + 1;
+        } else if (is(tokens[i], ';')) {
+            i++;
+        } else {
+            const read = readItem(tokens, i);
+            if (read.item) members.push(read.item);
+            i = Math.max(read.end, i + 1);
+        }
+    }
+
+    return members;
+}
+
+/**
+ * Returns a field reader for the parts of a field list split on commas.
+ *
+ * @param {boolean} tuple - Whether the fields are tuple fields (types only).
+ * @returns {(part: Object[], index: number) => { name: string, type: string, visibility: string, attributes: Object[], docs: string[], line: number }|null}
+ *   The reader; it returns `null` for empty parts such as a trailing comma.
+ */
+function readField(tuple) {
+    return (part, index) => {
+        const { attributes, docs, rest } = splitAttributes(part);
+        if (rest.length === 0) return null;
+
+        let k = 0;
+        let visibility = '';
+        if (isWord(rest[0], 'pub')) {
+            k = is(rest[1], '(') ? findClose(rest, 1) + 1 : 1;
+            visibility = tokensToText(rest.slice(0, k));
+        }
+
+        const line = rest[k]?.line ?? rest[0].line;
+        if (tuple) return { name: `field_${index}`, type: tokensToText(rest.slice(k)), visibility, attributes, docs: docs.map(docText), line };
+
+        const colon = rest.findIndex((t, n) => n >= k && is(t, ':'));
+        if (colon === -1) return null;
+        const name = tokensToText(rest.slice(k, colon));
+        const type = tokensToText(rest.slice(colon + 1));
+        return name && type ? { name, type, visibility, attributes, docs: docs.map(docText), line } : null;
+    };
+}
+
+/**
+ * Separates the leading doc comments and attributes of a field, variant, or parameter from the rest.
+ *
+ * @param {Object[]} tokens - The tokens of the field, variant, or parameter.
+ * @returns {{ attributes: Object[], docs: Object[], rest: Object[] }} The attributes, doc comment tokens, and remaining tokens.
+ */
+function splitAttributes(tokens) {
+    const attributes = [];
+    const docs = [];
+    let i = 0;
+
+    while (i < tokens.length) {
+        if (tokens[i].kind === 'comment') {
+            if (tokens[i].doc === 'outer') docs.push(tokens[i]);
+            i++;
+        } else if (is(tokens[i], '#') && is(tokens[i + 1], '[')) {
+            const close = findClose(tokens, i + 1);
+            attributes.push(describeAttribute(tokens.slice(i, close + 1)));
+            i = close + 1;
+        } else {
+            break;
+        }
+    }
+
+    return { attributes, docs, rest: tokens.slice(i).filter(t => t.kind !== 'comment') };
+}
+
+/**
+ * Describes an attribute such as `#[derive(Debug, Clone)]` or `#[doc = "text"]`.
+ *
+ * @param {Object[]} tokens - The tokens of the attribute, from `#` to `]`.
+ * @returns {{ name: string, args: string, text: string, line: number }} The attribute path (`derive`, `serde`,
+ *   `cfg_attr`, `doc`, ...), its arguments without the surrounding parentheses (or the value after `=`), its full
+ *   text, and the line it starts on.
+ */
+function describeAttribute(tokens) {
+    const inner = tokens.slice(2, -1);
+    const pathEnd = inner.findIndex(t => t.kind === 'punct' && t.value !== '::');
+    const path = pathEnd === -1 ? inner : inner.slice(0, pathEnd);
+    const rest = pathEnd === -1 ? [] : inner.slice(pathEnd);
+
+    let args = '';
+    if (is(rest[0], '(') || is(rest[0], '[') || is(rest[0], '{')) args = tokensToText(rest.slice(1, findClose(rest, 0)));
+    else if (is(rest[0], '=')) args = tokensToText(rest.slice(1));
+
+    return { name: tokensToText(path), args, text: tokensToText(tokens), line: tokens[0].line };
+}
+
+/**
+ * Describes a method receiver such as `&'a mut self` or `self: Pin<&mut Self>`.
+ *
+ * @param {string} pattern - The receiver pattern.
+ * @param {string|null} type - The explicit receiver type, if any.
+ * @returns {{ text: string, type: string|null, isReference: boolean, isMutable: boolean, isPinned: boolean }} The receiver.
+ */
+function describeReceiver(pattern, type) {
+    return {
+        text: type ? `${pattern}: ${type}` : pattern,
+        type,
+        isReference: pattern.startsWith('&') || /^&/.test(type || ''),
+        isMutable: /^&\s*(?:'\w+\s+)?mut\b/.test(pattern) || /&\s*(?:'\w+\s+)?mut\s+Self\b/.test(type || ''),
+        isPinned: /\bPin\s*</.test(type || ''),
+    };
+}
+
+/**
+ * Finds the index of the token that closes the bracket at `open`.
+ *
+ * Angle brackets are only counted outside braces, so comparisons inside const generic expressions
+ * (`{ N > 3 }`) do not unbalance them. `->` and `=>` are single tokens and never close an angle bracket.
+ *
+ * @param {Object[]} tokens - The tokens.
+ * @param {number} open - The index of the opening `(`, `[`, `{`, or `<`.
+ * @returns {number} The index of the closing token, or `tokens.length` if it is missing.
+ */
+function findClose(tokens, open) {
+    if (is(tokens[open], '<') && !opensAngle(tokens, open)) return open;
+
+    const stack = [];
+    for (let i = open; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.kind !== 'punct') continue;
+
+        const top = stack[stack.length - 1];
+        if (CLOSERS[token.value] && (token.value !== '<' || (top !== '}' && opensAngle(tokens, i)))) {
+            stack.push(CLOSERS[token.value]);
+        } else if (token.value === top) {
+            stack.pop();
+            if (stack.length === 0) return i;
+        } else if (token.value === ';' || (token.value !== '>' && Object.values(CLOSERS).includes(token.value))) {
+            // An angle bracket still open here was a comparison, not a bracket
+            while (stack[stack.length - 1] === '>') stack.pop();
+            if (stack.length === 0) return open;
+            if (token.value === stack[stack.length - 1]) {
+                stack.pop();
+                if (stack.length === 0) return i;
+            }
+        }
+    }
+
+    while (stack[stack.length - 1] === '>') stack.pop();
+    return stack.length === 0 ? open : tokens.length;
+}
+
+/**
+ * Checks whether the `<` at an index can open generic arguments, rather than start a comparison
+ * or a shift (`x < 3`, `1 << 4`, `a <= b`).
+ *
+ * @param {Object[]} tokens - The tokens.
+ * @param {number} index - The index of the `<` token.
+ * @returns {boolean} Whether the `<` can be an angle bracket.
+ */
+function opensAngle(tokens, index) {
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    if (previous && ['number', 'string', 'char'].includes(previous.kind)) return false;
+    if (is(previous, '<') && previous.end === tokens[index].start) return false;
+    return !((is(next, '<') || is(next, '=')) && next.start === tokens[index].end);
+}
+
+/**
+ * Finds the first token at the top level (outside any brackets) from `start` that matches a predicate.
+ *
+ * @param {Object[]} tokens - The tokens.
+ * @param {number} start - The index to start at.
+ * @param {(token: Object) => boolean} predicate - The stop condition.
+ * @returns {number} The index of the matching token, or `tokens.length` if there is none.
+ */
+function findTopLevel(tokens, start, predicate) {
+    for (let i = start; i < tokens.length; i++) {
+        if (predicate(tokens[i])) return i;
+        if (tokens[i].kind === 'punct' && CLOSERS[tokens[i].value]) i = findClose(tokens, i);
+    }
+    return tokens.length;
+}
+
+/**
+ * Returns the index after the end of a statement: its top-level `;`, or the `}` of a top-level block
+ * that is not followed by `;`.
+ *
+ * @param {Object[]} tokens - The tokens.
+ * @param {number} start - The index of the statement's first token.
+ * @returns {number} The index after the statement.
+ */
+function findStatementEnd(tokens, start) {
+    for (let i = start; i < tokens.length; i++) {
+        if (is(tokens[i], ';')) return i + 1;
+        if (is(tokens[i], '}')) return i; // The end of the enclosing block
+        if (tokens[i].kind === 'punct' && CLOSERS[tokens[i].value] && tokens[i].value !== '<') {
+            const close = findClose(tokens, i);
+            if (tokens[i].value === '{') return is(tokens[close + 1], ';') ? close + 2 : close + 1;
+            i = close;
+        }
+    }
+    return tokens.length;
+}
+
+/**
+ * Splits tokens on a separator at the top level, ignoring separators inside brackets.
+ *
+ * @param {Object[]} tokens - The tokens to split.
+ * @param {string} separator - The separator token value, e.g. `,` or `+`.
+ * @returns {Object[][]} The parts, without empty trailing parts.
+ */
+function splitTopLevel(tokens, separator) {
+    const parts = [];
+    let current = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        if (is(tokens[i], separator)) {
+            parts.push(current);
+            current = [];
+        } else if (tokens[i].kind === 'punct' && CLOSERS[tokens[i].value]) {
+            const close = Math.min(findClose(tokens, i), tokens.length - 1);
+            current.push(...tokens.slice(i, close + 1));
+            i = close;
+        } else {
+            current.push(tokens[i]);
+        }
+    }
+
+    if (current.some(t => t.kind !== 'comment')) parts.push(current);
+    return parts;
+}
+
+/**
+ * Joins the tokens of an item's declaration, from after its attributes up to (not including) `end`.
+ */
+function header(tokens, headerStart, end) {
+    return tokensToText(tokens.slice(headerStart, Math.min(end, tokens.length)));
+}
+
+/**
+ * Removes comments that are not doc comments, which can appear anywhere and carry no meaning.
+ *
+ * @param {Object[]} tokens - The tokens.
+ * @returns {Object[]} The tokens without plain comments.
+ */
+function withoutPlainComments(tokens) {
+    return tokens.filter(t => t.kind !== 'comment' || t.doc === 'outer');
+}
+
+/**
+ * Extracts the text of an outer doc comment token.
+ *
+ * @param {{ value: string }} token - A `///` or `/** ... *\/` comment token.
+ * @returns {string} The comment text without its markers.
+ */
+function docText(token) {
+    if (token.value.startsWith('///')) return token.value.replace(/^\/\/\/ ?/, '');
+    return token.value.replace(/^\/\*\*\s?/, '').replace(/\s*\*\/$/, '').split('\n').map(line => line.replace(/^\s*\* ?/, '')).join('\n');
+}
+
+/**
+ * Checks whether a token is the given punctuation.
+ */
+function is(token, value) {
+    return !!token && token.kind === 'punct' && token.value === value;
+}
+
+/**
+ * Checks whether a token is one of the given identifiers or keywords.
+ */
+function isWord(token, ...words) {
+    return !!token && token.kind === 'ident' && words.includes(token.value);
+}
+
+/**
+ * Removes the quotes (and any raw string prefix) from a string literal.
+ */
+function unquote(literal) {
+    return literal.replace(/^[bcr]*#*"/, '').replace(/"#*$/, '');
+}
+
+module.exports = { parseItem, readItem, readMembers, withoutPlainComments, findClose, splitTopLevel };
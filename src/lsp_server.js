@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { version } = require('../package.json');
+const { matchDocTrigger, resolveCommentStyle, splitDocComment, formatCommentLines } = require('./comment_style.js');
+const { generateItemDoc, generateModuleOverview } = require('./doc_snippets.js');
+const { findItemAt, documentItem, generateMissingDocs } = require('./bulk_docs.js');
+const { generateMemberDocs } = require('./member_docs.js');
+const { collectErrorTypes } = require('./gen_errors_doc.js');
+const { loadOptions, listRustFiles } = require('./api.js');
+const { findConfigFile, readSettings, ConfigError } = require('./config.js');
+const { TemplateError } = require('./template.js');
+const { createTextDocument } = require('./utils.js');
+
+/**
+ * The command that documents every undocumented item of a file, or of the whole workspace.
+ */
+const DOCUMENT_ALL_COMMAND = 'rustdocstring.documentAll';
+
+/**
+ * JSON-RPC and LSP error codes.
+ */
+const ErrorCodes = {
+    ParseError: -32700,
+    InvalidRequest: -32600,
+    MethodNotFound: -32601,
+    InvalidParams: -32602,
+    InternalError: -32603,
+    ServerNotInitialized: -32002,
+};
+
+// LSP enum values used in responses
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+const COMPLETION_ITEM_KIND_SNIPPET = 15;
+const INSERT_TEXT_FORMAT_SNIPPET = 2;
+const INSERT_TEXT_MODE_ADJUST_INDENTATION = 2;
+const MESSAGE_TYPE_ERROR = 1;
+const MESSAGE_TYPE_WARNING = 2;
+
+/**
+ * Raised by a request handler to answer with a JSON-RPC error instead of a result.
+ */
+class ResponseError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ResponseError';
+        this.code = code;
+    }
+}
+
+/**
+ * Creates a reader for the base protocol: messages framed by a `Content-Length` header, as sent over stdio.
+ *
+ * ### Example
+ * Input (in chunks of any size):
+ * ```text
+ * Content-Length: 40\r\n\r\n{"jsonrpc":"2.0","id":1,"method":"shutdown"}
+ * ```
+ *
+ * @param {(message: Object) => void} onMessage - Called with each parsed message, in order.
+ * @param {(error: Error) => void} onError - Called for a malformed header or a body that is not JSON.
+ * @returns {(chunk: Buffer) => void} Feeds received bytes to the reader.
+ */
+function createMessageReader(onMessage, onError) {
+    let buffer = Buffer.alloc(0);
+
+    return (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        for (;;) {
+            const headerEnd = buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) return;
+
+            const header = buffer.subarray(0, headerEnd).toString('ascii');
+            const length = header.match(/^content-length:\s*(\d+)\s*$/im);
+            if (!length) {
+                buffer = buffer.subarray(headerEnd + 4);
+                onError(new Error(`Missing Content-Length header: ${header}`));
+                continue;
+            }
+
+            const end = headerEnd + 4 + Number(length[1]);
+            if (buffer.length < end) return;
+
+            const body = buffer.subarray(headerEnd + 4, end).toString('utf8');
+            buffer = buffer.subarray(end);
+            try {
+                onMessage(JSON.parse(body));
+            } catch (error) {
+                onError(error);
+            }
+        }
+    };
+}
+
+/**
+ * Frames a message for the base protocol.
+ *
+ * @param {Object} message - The JSON-RPC message.
+ * @returns {string} The header and the JSON body.
+ */
+function formatMessage(message) {
+    const body = JSON.stringify(message);
+    return `Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`;
+}
+
+/**
+ * Runs the language server over a pair of streams, usually stdin and stdout.
+ *
+ * The server keeps the open documents in full sync and offers:
+ * - Completion of the `///`, `//!`, `/**`, and `#[doc` triggers, with the same snippet as the VS Code
+ *   extension. Inline field and variant comments come as additional plain-text edits.
+ * - A "Generate Rust Doc Comment" refactor code action for the undocumented item at the cursor, and a
+ *   source action that runs `rustdocstring.documentAll` on the file.
+ * - The `rustdocstring.documentAll` command, which documents every undocumented item of the file given
+ *   as its argument (or of every `.rs` file in the workspace) through `workspace/applyEdit`.
+ *
+ * Settings come from the `.rustdocstring.json` file of the workspace root, overridden by the
+ * `initializationOptions` and by `workspace/didChangeConfiguration` (either `{ rustdocstring: {...} }`
+ * or the settings themselves), all validated against the VS Code settings.
+ *
+ * @param {NodeJS.ReadableStream} input - The stream the client writes to.
+ * @param {NodeJS.WritableStream} output - The stream the client reads from.
+ * @returns {Promise<number>} Resolves with the exit code once the client sends `exit` (`0` after a `shutdown`
+ *   request, `1` otherwise) or closes the input.
+ */
+function startServer(input, output) {
+    const documents = new Map();
+    const workspaceErrorTypes = new Map();
+    const pendingRequests = new Map();
+    let rootPaths = [];
+    let settings = {};
+    let options = loadOptions();
+    let initialized = false;
+    let shuttingDown = false;
+    let nextRequestId = 1;
+
+    const send = message => output.write(formatMessage({ jsonrpc: '2.0', ...message }));
+    const notify = (method, params) => send({ method, params });
+    const request = (method, params) => new Promise((resolve, reject) => {
+        const id = nextRequestId++;
+        pendingRequests.set(id, { resolve, reject });
+        send({ id, method, params });
+    });
+
+    const handlers = {
+        initialize(params) {
+            rootPaths = (params.workspaceFolders?.map(folder => folder.uri) || [params.rootUri].filter(Boolean))
+                .filter(uri => uri.startsWith('file:')).map(uri => fileURLToPath(uri));
+            if (params.initializationOptions) settings = readClientSettings(params.initializationOptions);
+            options = readOptions();
+            initialized = true;
+
+            return {
+                capabilities: {
+                    textDocumentSync: TEXT_DOCUMENT_SYNC_FULL,
+                    completionProvider: { triggerCharacters: ['/', '!', '*', '"'] },
+                    codeActionProvider: { codeActionKinds: ['refactor.rewrite', 'source'] },
+                    executeCommandProvider: { commands: [DOCUMENT_ALL_COMMAND] },
+                },
+                serverInfo: { name: 'rustdocstring', version },
+            };
+        },
+
+        initialized() {
+            for (const file of rootPaths.flatMap(root => listRustFiles(root))) indexErrorTypes(file, readFile(file));
+        },
+
+        shutdown() {
+            shuttingDown = true;
+            return null;
+        },
+
+        'workspace/didChangeConfiguration'(params) {
+            settings = readClientSettings(params.settings?.rustdocstring ?? params.settings ?? {});
+            options = readOptions();
+        },
+
+        'textDocument/didOpen'(params) {
+            documents.set(params.textDocument.uri, params.textDocument.text);
+            indexErrorTypes(params.textDocument.uri, params.textDocument.text);
+        },
+
+        'textDocument/didChange'(params) {
+            // Full sync: the last change holds the whole text
+            const change = params.contentChanges[params.contentChanges.length - 1];
+            if (change) documents.set(params.textDocument.uri, change.text);
+        },
+
+        'textDocument/didSave'(params) {
+            indexErrorTypes(params.textDocument.uri, documents.get(params.textDocument.uri));
+        },
+
+        'textDocument/didClose'(params) {
+            documents.delete(params.textDocument.uri);
+        },
+
+        'textDocument/completion'(params) {
+            const document = getDocument(params.textDocument.uri);
+            const { line, character } = params.position;
+            if (line >= document.lineCount) return [];
+
+            // The trigger ends the line, possibly followed by the text the client closed it with (` */`, `]`)
+            const text = document.lineAt(line).text;
+            const trigger = matchDocTrigger(text);
+            if (!trigger || character < trigger.start) return [];
+
+            const style = trigger.style === 'line' ? resolveCommentStyle(options.commentStyle, document) : trigger.style;
+            const generationOptions = { ...options, errorTypes: getErrorTypes(document) };
+            const doc = trigger.inner ? generateModuleOverview(document, line, generationOptions) : generateItemDoc(document, line, generationOptions);
+            if (!doc) return [];
+
+            const members = !trigger.inner && options.memberDocs === 'inline' ? generateMemberDocs(document, line, { style }) : [];
+            const range = { start: { line, character: trigger.start }, end: { line, character: text.length } };
+            return [{
+                label: trigger.inner ? 'Generate Rust Module Doc Comment' : 'Generate Rust Doc Comment',
+                kind: COMPLETION_ITEM_KIND_SNIPPET,
+                filterText: text.slice(trigger.start),
+                insertTextFormat: INSERT_TEXT_FORMAT_SNIPPET,
+                insertTextMode: INSERT_TEXT_MODE_ADJUST_INDENTATION,
+                textEdit: { range, newText: formatCommentLines(splitDocComment(doc), style, { inner: trigger.inner, snippet: true }).join('\n') },
+                additionalTextEdits: members.map(member => insertAt(member.line, member.text)),
+            }];
+        },
+
+        'textDocument/codeAction'(params) {
+            const uri = params.textDocument.uri;
+            const document = getDocument(uri);
+            const only = params.context?.only;
+            const wants = kind => !only || only.some(requested => kind === requested || kind.startsWith(`${requested}.`));
+            const actions = [];
+
+            const item = findItemAt(document, params.range.start.line);
+            if (item && !item.documented && wants('refactor.rewrite')) {
+                const insertions = documentItem(document, item, { ...options, errorTypes: getErrorTypes(document) });
+                if (insertions.length > 0) {
+                    actions.push({
+                        title: 'Generate Rust Doc Comment',
+                        kind: 'refactor.rewrite',
+                        edit: { changes: { [uri]: insertions.map(insertion => insertAt(insertion.line, insertion.text, document)) } },
+                    });
+                }
+            }
+            if (wants('source')) {
+                actions.push({
+                    title: 'Document Undocumented Items in File',
+                    kind: 'source',
+                    command: { title: 'Document Undocumented Items in File', command: DOCUMENT_ALL_COMMAND, arguments: [uri] },
+                });
+            }
+            return actions;
+        },
+
+        async 'workspace/executeCommand'(params) {
+            if (params.command !== DOCUMENT_ALL_COMMAND) throw new ResponseError(ErrorCodes.InvalidParams, `Unknown command ${params.command}.`);
+
+            const uris = params.arguments?.length > 0
+                ? [params.arguments[0]]
+                : rootPaths.flatMap(root => listRustFiles(root)).map(file => pathToFileURL(file).toString());
+
+            const changes = {};
+            let itemCount = 0;
+            for (const uri of uris) {
+                const document = getDocument(uri);
+                const insertions = generateMissingDocs(document, { ...options, errorTypes: getErrorTypes(document) });
+                if (insertions.length === 0) continue;
+
+                changes[uri] = insertions.map(insertion => insertAt(insertion.line, insertion.text, document));
+                itemCount += insertions.length;
+            }
+            if (itemCount === 0) return { applied: false, itemCount };
+
+            const result = await request('workspace/applyEdit', { label: 'Document undocumented items', edit: { changes } });
+            return { applied: !!result?.applied, itemCount };
+        },
+    };
+
+    /**
+     * Reads the merged settings into the options of the generators, keeping the previous options on error.
+     */
+    function readOptions() {
+        try {
+            const configFile = rootPaths.length > 0 ? findConfigFile(rootPaths[0]) : null;
+            return loadOptions(configFile, settings);
+        } catch (error) {
+            if (!(error instanceof ConfigError || error instanceof TemplateError)) throw error;
+            notify('window/showMessage', { type: MESSAGE_TYPE_WARNING, message: `Rust Doc String: ${error.message}` });
+            return options;
+        }
+    }
+
+    /**
+     * Validates the settings sent by the client, reporting invalid ones.
+     */
+    function readClientSettings(json) {
+        try {
+            return readSettings(json, 'Client settings');
+        } catch (error) {
+            if (!(error instanceof ConfigError)) throw error;
+            notify('window/showMessage', { type: MESSAGE_TYPE_WARNING, message: `Rust Doc String: ${error.message}` });
+            return settings;
+        }
+    }
+
+    /**
+     * Reads an open document, or a file from disk, as a text document.
+     */
+    function getDocument(uri) {
+        const fileName = uri.startsWith('file:') ? fileURLToPath(uri) : '';
+        const text = documents.has(uri) ? documents.get(uri) : readFile(fileName);
+        if (text === null) throw new ResponseError(ErrorCodes.InvalidParams, `Unknown document ${uri}.`);
+        return createTextDocument(text, fileName);
+    }
+
+    /**
+     * Gathers the enums a function's error type may resolve to, with the document's own taking precedence.
+     */
+    function getErrorTypes(document) {
+        return Object.assign({}, ...workspaceErrorTypes.values(), collectErrorTypes(document.getText()));
+    }
+
+    /**
+     * Records the enums declared in a file (given by URI or path), for resolving error types in every other.
+     */
+    function indexErrorTypes(key, text) {
+        const uri = key.startsWith('file:') ? key : pathToFileURL(key).toString();
+        if (text !== null && text !== undefined) workspaceErrorTypes.set(uri, collectErrorTypes(text));
+    }
+
+    /**
+     * Dispatches a message from the client: a response to one of our requests, a request, or a notification.
+     */
+    async function handle(message) {
+        // A response to one of our requests
+        if (message.id !== undefined && !message.method) {
+            const pending = pendingRequests.get(message.id);
+            pendingRequests.delete(message.id);
+            if (message.error) pending?.reject(new Error(message.error.message));
+            else pending?.resolve(message.result);
+            return;
+        }
+
+        const isRequest = message.id !== undefined;
+        const handler = Object.prototype.hasOwnProperty.call(handlers, message.method) ? handlers[message.method] : null;
+        try {
+            if (!initialized && message.method !== 'initialize') {
+                if (isRequest) throw new ResponseError(ErrorCodes.ServerNotInitialized, 'The server is not initialized.');
+                return;
+            }
+            if (!handler) {
+                if (isRequest) throw new ResponseError(ErrorCodes.MethodNotFound, `Unhandled method ${message.method}.`);
+                return;
+            }
+
+            const result = await handler(message.params || {});
+            if (isRequest) send({ id: message.id, result: result === undefined ? null : result });
+        } catch (error) {
+            if (!isRequest) {
+                notify('window/logMessage', { type: MESSAGE_TYPE_ERROR, message: `Rust Doc String: ${message.method} failed: ${error.message}` });
+                return;
+            }
+            const code = error instanceof ResponseError ? error.code : ErrorCodes.InternalError;
+            send({ id: message.id, error: { code, message: error.message } });
+        }
+    }
+
+    return new Promise(resolve => {
+        const read = createMessageReader(message => {
+            if (message.method === 'exit') {
+                resolve(shuttingDown ? 0 : 1);
+                return;
+            }
+            handle(message);
+        }, error => send({ id: null, error: { code: ErrorCodes.ParseError, message: error.message } }));
+
+        input.on('data', read);
+        input.on('end', () => resolve(1));
+    });
+}
+
+/**
+ * Builds the text edit that inserts text at the start of a line, in the document's line endings.
+ *
+ * @param {number} line - The zero-based line.
+ * @param {string} text - The text, with `\n` line endings.
+ * @param {{ getText: () => string }} [document] - The document, whose `\r\n` line endings are kept.
+ * @returns {{ range: Object, newText: string }} The LSP text edit.
+ */
+function insertAt(line, text, document) {
+    const eol = document?.getText().includes('\r\n') ? '\r\n' : '\n';
+    const position = { line, character: 0 };
+    return { range: { start: position, end: position }, newText: text.replace(/\r?\n/g, eol) };
+}
+
+/**
+ * Reads a file, or returns `null` if it cannot be read.
+ */
+function readFile(fileName) {
+    try {
+        return fileName ? fs.readFileSync(fileName, 'utf8') : null;
+    } catch {
+        return null;
+    }
+}
+
+if (require.main === module) {
+    startServer(process.stdin, process.stdout).then(code => process.exit(code));
+}
+
+module.exports = { startServer, createMessageReader, formatMessage, DOCUMENT_ALL_COMMAND };
@@ -0,0 +1,109 @@
+const { readNextItem } = require('./utils.js');
+const { formatCommentLines } = require('./comment_style.js');
+const { describeVariant } = require('./gen_errors_doc.js');
+const { VARIANT_PLACEHOLDERS } = require('./gen_enum_doc.js');
+const { toTabStop } = require('./example_values.js');
+
+/**
+ * Generates a one-line doc comment above each undocumented field of a struct, or each undocumented
+ * variant of an enum, for the `inline` member docs mode (`rustdocstring.memberDocs`).
+ *
+ * Members that already have a doc comment or a `#[doc = "..."]` attribute are left alone, and so are
+ * members that share a line with the item header or another member (`struct Point { x: f64, y: f64 }`),
+ * since a comment cannot be placed above them without reformatting the item.
+ *
+ * Each comment is placed above the member's attributes and indented like the member. In the `block`
+ * style a member gets a single-line `/** ... *\/` comment.
+ *
+ * ### Example
+ * Input:
+ * ```rust
+ * pub struct Config {
+ *     /// Whether to log every request.
+ *     pub verbose: bool,
+ *     #[serde(default)]
+ *     pub retries: u8,
+ * }
+ * ```
+ * Output (with `tabStop: 4`):
+ * ```text
+ * [{ line: 3, kind: "field", name: "retries", text: "    /// ${4:Describe this field.}\n" }]
+ * ```
+ *
+ * @param {vscode.TextDocument} document - The document containing the item.
+ * @param {number} startLine - The zero-based line above the item (its doc comment trigger line).
+ * @param {Object} [options={}] - Formatting options.
+ * @param {"line"|"block"|"attribute"} [options.style="line"] - The comment style.
+ * @param {number|null} [options.tabStop=null] - The number of the first tab stop. Placeholders are plain text when `null`.
+ * @returns {{ line: number, kind: "field"|"variant", name: string, text: string }[]} One insertion per member, in
+ *   source order. `text` is the doc comment, ending in a newline, to insert at the start of `line`.
+ */
+function generateMemberDocs(document, startLine, options = {}) {
+    const { style = 'line', tabStop = null } = options;
+    const { item, members } = readMembers(document, startLine);
+    if (members.length === 0) return [];
+
+    // Members sharing a line with the header or with each other cannot get a comment of their own
+    const firstLines = members.map(member => member.attributes[0]?.line ?? member.line);
+    const shared = line => line === item.line || firstLines.filter(other => other === line).length > 1;
+
+    const insertions = [];
+    members.forEach((member, index) => {
+        if (isDocumented(member) || shared(firstLines[index])) return;
+
+        const indent = document.lineAt(firstLines[index]).text.match(/^\s*/)[0];
+        const placeholder = tabStop === null ? member.placeholder : toTabStop(member.placeholder, tabStop + insertions.length);
+        const lines = style === 'block'
+            ? [`${indent}/** ${placeholder} */`]
+            : formatCommentLines([placeholder], style, { indent, snippet: tabStop !== null });
+
+        insertions.push({ line: firstLines[index], kind: member.kind, name: member.name, text: `${lines.join('\n')}\n` });
+    });
+
+    return insertions;
+}
+
+/**
+ * Lists the fields of a struct, or the variants of an enum, that have a doc comment or a
+ * `#[doc = "..."]` attribute of their own.
+ *
+ * @param {vscode.TextDocument} document - The document containing the item.
+ * @param {number} startLine - The zero-based line above the item's attributes and signature.
+ * @returns {Set<string>} The names of the documented members, as listed in `# Fields` and `# Variants`.
+ */
+function findDocumentedMembers(document, startLine) {
+    return new Set(readMembers(document, startLine).members.filter(isDocumented).map(member => member.name));
+}
+
+/**
+ * Reads the fields of the struct, or the variants of the enum, following a line.
+ *
+ * @param {vscode.TextDocument} document - The document containing the item.
+ * @param {number} startLine - The zero-based line above the item.
+ * @returns {{ item: Object|null, members: Object[] }} The parsed item, and its members with their `kind` and
+ *   placeholder text. Other items, and items that could not be read completely, have no members.
+ */
+function readMembers(document, startLine) {
+    const next = readNextItem(document, startLine + 1);
+    const item = next?.read.item;
+    if (!item || !next.read.complete) return { item: null, members: [] };
+
+    if (item.kind === 'struct') {
+        const placeholder = item.shape === 'tuple' ? 'Describe this tuple field.' : 'Describe this field.';
+        return { item, members: item.fields.map(field => ({ ...field, kind: 'field', placeholder })) };
+    }
+    if (item.kind === 'enum') {
+        // A `thiserror` message is a better start than the placeholder
+        return { item, members: item.variants.map(variant => ({ ...variant, kind: 'variant', placeholder: describeVariant(variant) || VARIANT_PLACEHOLDERS[variant.kind] })) };
+    }
+    return { item, members: [] };
+}
+
+/**
+ * Checks whether a member has a doc comment or a `#[doc = "..."]` attribute.
+ */
+function isDocumented(member) {
+    return member.docs.length > 0 || member.attributes.some(attribute => /^#\[\s*doc\s*=/.test(attribute.text));
+}
+
+module.exports = { generateMemberDocs, findDocumentedMembers };
@@ -0,0 +1,435 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TEMPLATES } = require('./default_templates.js');
+
+/**
+ * The item kinds a template can be supplied for.
+ */
+const TEMPLATE_KINDS = Object.keys(DEFAULT_TEMPLATES);
+
+/**
+ * The name of the workspace file that templates (and other project settings) are read from.
+ */
+const WORKSPACE_FILE = '.rustdocstring.json';
+
+/**
+ * Raised when a user template cannot be loaded or parsed.
+ */
+class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+    }
+}
+
+// Parsed templates, keyed by their source text
+const compiledTemplates = new Map();
+
+/**
+ * Renders a doc comment template against an item context.
+ *
+ * Templates are plain text with `{{ }}` tags:
+ * - `{{name}}` or `{{example.code}}` inserts a value from the context. Arrays are joined with newlines.
+ * - `{{tab "Describe this."}}` (or `{{tab name}}`) inserts a snippet tab stop with that placeholder text.
+ * - `{{#each params}}...{{/each}}` repeats its body for every item. Inside the loop, names are looked up
+ *   on the item first and then on the enclosing context; `{{this}}`, `{{@index}}`, `{{@first}}`, and
+ *   `{{@last}}` are also available.
+ * - `{{#if async}}...{{else if unsafe}}...{{else}}...{{/if}}` and `{{#unless pub}}...{{/unless}}` render
+ *   conditionally. Empty strings and empty arrays are false.
+ * - `{{! comment }}` is ignored.
+ *
+ * A line containing nothing but a block tag (`{{#if}}`, `{{else}}`, `{{/each}}`, ...) or a comment is
+ * removed entirely, so block tags can sit on their own lines without leaving blank lines behind.
+ * Every tab stop in the output, including those already present in context values, is numbered in
+ * order of appearance starting at 1.
+ *
+ * ### Example
+ * ```text
+ * renderTemplate('{{#each params}}\n- `{{name}}` - {{tab "Describe."}}\n{{/each}}', { params: [{ name: 'a' }, { name: 'b' }] })
+ * // "- `a` - ${1:Describe.}\n- `b` - ${2:Describe.}\n"
+ * ```
+ *
+ * @param {string} template - The template source.
+ * @param {Object} context - The values available to the template.
+ * @returns {string} The rendered text.
+ * @throws {TemplateError} If the template is malformed.
+ */
+function renderTemplate(template, context) {
+    const nodes = compileTemplate(template);
+    const output = renderNodes(nodes, [{ value: context }]);
+
+    // Number every tab stop in order of appearance. Escaped `\${` inside placeholders is left alone.
+    let tabStop = 1;
+    return output.replace(/(?<!\\)\$\{\d+(?=[:}])/g, () => `\${${tabStop++}`);
+}
+
+/**
+ * Renders the template for an item kind and formats it as a doc comment block.
+ *
+ * The user template for the kind (`options.templates[kind]`) is used when present, otherwise the
+ * built-in default. The first line is left unprefixed since the editor already contains the `///`
+ * (or `//!`) that triggered the completion.
+ *
+ * @param {string} kind - The item kind, e.g. `"function"` or `"struct"`.
+ * @param {Object} context - The values available to the template.
+ * @param {Object} [options={}] - Generation options.
+ * @param {Object<string, string>} [options.templates] - User templates keyed by item kind.
+ * @param {string} [prefix='///'] - The comment prefix for every line after the first.
+ * @returns {string} The formatted doc comment block.
+ */
+function renderDocComment(kind, context, options = {}, prefix = '///') {
+    const template = options.templates?.[kind] ?? DEFAULT_TEMPLATES[kind];
+    const lines = renderTemplate(template, context).replace(/\n$/, '').split('\n');
+    return [` ${lines[0]}`, ...lines.slice(1).map(line => `${prefix} ${line}`)].join('\n');
+}
+
+/**
+ * Replaces every snippet tab stop in a doc comment with its placeholder text, producing plain text
+ * that can be inserted without the snippet engine.
+ *
+ * ### Example
+ * ```text
+ * stripTabStops("- `a` - ${2:Describe this parameter.}")   // "- `a` - Describe this parameter."
+ * ```
+ *
+ * @param {string} doc - A doc comment containing tab stops.
+ * @returns {string} The doc comment with plain-text placeholders.
+ */
+function stripTabStops(doc) {
+    return doc
+        .replace(/(?<!\\)\$\{\d+:((?:\\.|[^\\}])*)\}/g, (_, text) => text.replace(/\\([\\$}])/g, '$1'))
+        .replace(/(?<!\\)\$\{\d+\}/g, '');
+}
+
+/**
+ * Counts the snippet tab stops in a doc comment, so further snippets can continue their numbering.
+ *
+ * @param {string} doc - A doc comment containing tab stops numbered from 1.
+ * @returns {number} The number of tab stops.
+ */
+function countTabStops(doc) {
+    return (doc.match(/(?<!\\)\$\{\d+(?=[:}])/g) || []).length;
+}
+
+/**
+ * Merges user templates from settings and from the workspace file into one map keyed by item kind.
+ *
+ * Templates may be written as a single string or as an array of lines. Workspace file templates take
+ * precedence over settings, so a template checked into a project applies to everyone working on it.
+ * Every template is parsed up front so mistakes are reported once, when the templates are loaded.
+ *
+ * @param {Object<string, string|string[]>} [settingTemplates={}] - Templates from the `rustdocstring.templates` setting.
+ * @param {Object<string, string|string[]>} [fileTemplates={}] - Templates from the workspace file.
+ * @returns {Object<string, string>} The merged templates.
+ * @throws {TemplateError} If a template is for an unknown item kind or is malformed.
+ */
+function resolveTemplates(settingTemplates = {}, fileTemplates = {}) {
+    const templates = {};
+
+    for (const source of [settingTemplates || {}, fileTemplates || {}]) {
+        for (const [kind, template] of Object.entries(source)) {
+            if (!TEMPLATE_KINDS.includes(kind)) {
+                throw new TemplateError(`Unknown template kind "${kind}". Expected one of: ${TEMPLATE_KINDS.join(', ')}.`);
+            }
+
+            const text = Array.isArray(template) ? template.join('\n') : template;
+            if (typeof text !== 'string') {
+                throw new TemplateError(`The "${kind}" template must be a string or an array of lines.`);
+            }
+
+            compileTemplate(text);
+            templates[kind] = text;
+        }
+    }
+
+    return templates;
+}
+
+/**
+ * Reads the `templates` object from the workspace file (`.rustdocstring.json`) in a folder.
+ *
+ * @param {string} rootPath - The workspace folder.
+ * @returns {Object<string, string|string[]>} The templates, or an empty object if there is no workspace file.
+ * @throws {TemplateError} If the workspace file is not valid JSON.
+ */
+function loadWorkspaceTemplates(rootPath) {
+    const filePath = path.join(rootPath, WORKSPACE_FILE);
+    if (!fs.existsSync(filePath)) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')).templates || {};
+    } catch (error) {
+        throw new TemplateError(`Could not read ${WORKSPACE_FILE}: ${error.message}`);
+    }
+}
+
+/**
+ * Parses a template into a tree of nodes, caching the result.
+ *
+ * @param {string} template - The template source.
+ * @returns {Object[]} The parsed nodes.
+ * @throws {TemplateError} If a block is not closed, closed twice, or closed by the wrong tag.
+ */
+function compileTemplate(template) {
+    if (compiledTemplates.has(template)) return compiledTemplates.get(template);
+
+    // Drop lines that contain only a block tag or a comment, including their line break
+    const source = template.replace(/^[ \t]*(\{\{\s*(?:[#/!][^}]*|else(?:\s+if\s+[^}]*)?)\}\})[ \t]*(?:\r?\n|$)/gm, '$1');
+
+    const root = { type: 'root', body: [] };
+    const stack = [root];
+    const current = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.elseBody : node.body;
+    };
+
+    const tagPattern = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagPattern.exec(source)) !== null) {
+        if (match.index > lastIndex) current().push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        lastIndex = tagPattern.lastIndex;
+
+        const tag = match[1];
+        const blockMatch = tag.match(/^#(each|if|unless)\s+(\S+)$/);
+        const elseIfMatch = tag.match(/^else\s+if\s+(\S+)$/);
+        const closeMatch = tag.match(/^\/(each|if|unless)$/);
+        const tabMatch = tag.match(/^tab(?:\s+(.+))?$/);
+
+        if (tag.startsWith('!')) {
+            continue;
+        } else if (blockMatch) {
+            const node = { type: blockMatch[1], path: blockMatch[2], body: [], elseBody: [], inElse: false };
+            current().push(node);
+            stack.push(node);
+        } else if (tag === 'else' || elseIfMatch) {
+            const node = stack[stack.length - 1];
+            if (!['if', 'unless'].includes(node.type) || node.inElse) {
+                throw new TemplateError(`Unexpected {{${tag}}} outside of an {{#if}} block.`);
+            }
+            node.inElse = true;
+            if (elseIfMatch) {
+                // `{{else if x}}` opens a nested `if` that is closed by the same `{{/if}}`
+                const chained = { type: 'if', path: elseIfMatch[1], body: [], elseBody: [], inElse: false, chained: true };
+                node.elseBody.push(chained);
+                stack.push(chained);
+            }
+        } else if (closeMatch) {
+            while (stack.length > 1 && stack[stack.length - 1].chained) stack.pop();
+            const node = stack.pop();
+            if (node.type !== closeMatch[1]) {
+                throw new TemplateError(`Unexpected {{/${closeMatch[1]}}}${node.type === 'root' ? '' : ` inside {{#${node.type} ${node.path}}}`}.`);
+            }
+        } else if (tabMatch) {
+            current().push({ type: 'tab', argument: parseArgument(tabMatch[1] || '""') });
+        } else if (/^[@\w.]+$/.test(tag)) {
+            current().push({ type: 'value', path: tag });
+        } else {
+            throw new TemplateError(`Unknown template tag {{${tag}}}.`);
+        }
+    }
+
+    if (lastIndex < source.length) current().push({ type: 'text', value: source.slice(lastIndex) });
+    while (stack.length > 1 && stack[stack.length - 1].chained) stack.pop();
+    if (stack.length > 1) {
+        const node = stack[stack.length - 1];
+        throw new TemplateError(`Missing {{/${node.type}}} for {{#${node.type} ${node.path}}}.`);
+    }
+
+    compiledTemplates.set(template, root.body);
+    return root.body;
+}
+
+/**
+ * Parses the argument of a `{{tab ...}}` tag: a quoted string literal or a context path.
+ *
+ * @param {string} text - The argument text.
+ * @returns {{ literal: string }|{ path: string }} The parsed argument.
+ */
+function parseArgument(text) {
+    const quoted = text.match(/^(["'])((?:\\.|(?!\1).)*)\1$/);
+    if (quoted) return { literal: quoted[2].replace(/\\(.)/g, '$1') };
+    if (/^[@\w.]+$/.test(text)) return { path: text };
+    throw new TemplateError(`Invalid tab stop placeholder "${text}".`);
+}
+
+/**
+ * Renders parsed nodes against a stack of scopes (innermost last).
+ *
+ * @param {Object[]} nodes - The parsed nodes.
+ * @param {{ value: *, meta?: Object }[]} scopes - The scopes used to look up names.
+ * @returns {string} The rendered text.
+ */
+function renderNodes(nodes, scopes) {
+    let output = '';
+
+    for (const node of nodes) {
+        switch (node.type) {
+            case 'text':
+                output += node.value;
+                break;
+            case 'value':
+                output += stringify(lookup(node.path, scopes));
+                break;
+            case 'tab': {
+                const text = 'literal' in node.argument ? node.argument.literal : stringify(lookup(node.argument.path, scopes));
+                output += `\${1:${text.replace(/[\\$}]/g, '\\$&')}}`;
+                break;
+            }
+            case 'if':
+            case 'unless': {
+                const truthy = isTruthy(lookup(node.path, scopes)) === (node.type === 'if');
+                output += renderNodes(truthy ? node.body : node.elseBody, scopes);
+                break;
+            }
+            case 'each': {
+                const items = lookup(node.path, scopes);
+                if (!Array.isArray(items)) break;
+                items.forEach((item, index) => {
+                    const meta = { index, first: index === 0, last: index === items.length - 1 };
+                    output += renderNodes(node.body, [...scopes, { value: item, meta }]);
+                });
+                break;
+            }
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Looks up a dotted name (`example.code`), searching from the innermost scope outwards.
+ * `this` refers to the innermost scope and `@index`, `@first`, `@last` to the innermost loop.
+ *
+ * @param {string} name - The name to look up.
+ * @param {{ value: *, meta?: Object }[]} scopes - The scopes to search.
+ * @returns {*} The value, or `undefined` if it does not exist.
+ */
+function lookup(name, scopes) {
+    if (name.startsWith('@')) {
+        const loop = [...scopes].reverse().find(scope => scope.meta);
+        return loop ? loop.meta[name.slice(1)] : undefined;
+    }
+
+    const [head, ...rest] = name.split('.');
+    let value;
+    if (head === 'this') {
+        value = scopes[scopes.length - 1].value;
+    } else {
+        const scope = [...scopes].reverse().find(s => s.value !== null && typeof s.value === 'object' && head in s.value);
+        value = scope ? scope.value[head] : undefined;
+    }
+
+    for (const key of rest) {
+        value = value === null || value === undefined ? undefined : value[key];
+    }
+    return value;
+}
+
+/**
+ * Converts a context value to text. Arrays become one line per element.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The text.
+ */
+function stringify(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(stringify).join('\n');
+    return String(value);
+}
+
+/**
+ * Identifies each `#` section of a template by the built-in section it stands for, so a section whose
+ * heading was renamed (`# Parameters` for `# Arguments`) is still recognized.
+ *
+ * A heading the built-in template of the kind also has keeps its own name. Any other heading is matched
+ * by the value its section lists (its first `{{#each}}`) or, failing that, the condition it is written
+ * under (`{{#if unsafe}}`), against the sections of the built-in template.
+ *
+ * ### Example
+ * ```text
+ * mapTemplateSections('function', '{{#if params}}\n# Parameters\n{{#each params}}\n* `{{name}}`\n{{/each}}\n{{/if}}')
+ * // { parameters: "arguments" }
+ * ```
+ *
+ * @param {string} kind - The item kind, one of `TEMPLATE_KINDS`.
+ * @param {string} [template] - The template source. Defaults to the built-in template of the kind.
+ * @returns {Object<string, string>} The lower-case heading of the matching built-in section, keyed by the
+ *   lower-case heading of each section of the template. Headings that match no built-in section map to themselves.
+ */
+function mapTemplateSections(kind, template = DEFAULT_TEMPLATES[kind]) {
+    const builtIn = findTemplateSections(DEFAULT_TEMPLATES[kind] ?? '');
+    const byValue = new Map();
+    for (const section of builtIn) {
+        for (const value of [section.list, section.condition]) {
+            if (value && !byValue.has(value)) byValue.set(value, section.key);
+        }
+    }
+
+    return Object.fromEntries(findTemplateSections(template ?? '').map(section => [
+        section.key,
+        builtIn.some(b => b.key === section.key) ? section.key : byValue.get(section.list) ?? byValue.get(section.condition) ?? section.key,
+    ]));
+}
+
+/**
+ * Lists the `#` headings of a template with the values that identify their sections.
+ *
+ * @param {string} template - The template source.
+ * @returns {{ key: string, list: string|null, condition: string|null }[]} For each heading, its lower-case text,
+ *   the path of the first `{{#each}}` of its section, and the path of the innermost block it is written in.
+ */
+function findTemplateSections(template) {
+    const sections = [];
+    const blocks = [];
+    let open = null; // The section whose first `{{#each}}` is still to be found
+
+    for (const line of template.split(/\r?\n/)) {
+        const heading = line.match(/^#{1,6}\s+(.+?)\s*$/);
+        if (heading) {
+            open = { key: heading[1].toLowerCase(), list: null, condition: blocks[blocks.length - 1] ?? null, depth: blocks.length };
+            sections.push(open);
+            continue;
+        }
+
+        for (const [, tag] of line.matchAll(/\{\{\s*([\s\S]*?)\s*\}\}/g)) {
+            const block = tag.match(/^#(each|if|unless)\s+(\S+)$/);
+            const elseIf = tag.match(/^else\s+if\s+(\S+)$/);
+            if (block) {
+                if (block[1] === 'each' && open && open.list === null) open.list = block[2];
+                blocks.push(block[2]);
+            } else if (elseIf) {
+                blocks[blocks.length - 1] = elseIf[1];
+            } else if (/^\/(each|if|unless)$/.test(tag)) {
+                blocks.pop();
+                if (open && blocks.length < open.depth) open = null; // The block holding the section closed
+            }
+        }
+    }
+
+    return sections.map(({ key, list, condition }) => ({ key, list, condition }));
+}
+
+/**
+ * Template truthiness: empty strings, empty arrays, `0`, `null`, and `undefined` are false.
+ *
+ * @param {*} value - The value.
+ * @returns {boolean} Whether the value counts as true.
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+module.exports = {
+    renderTemplate,
+    renderDocComment,
+    stripTabStops,
+    countTabStops,
+    resolveTemplates,
+    loadWorkspaceTemplates,
+    TemplateError,
+    mapTemplateSections,
+    TEMPLATE_KINDS,
+    WORKSPACE_FILE,
+};
@@ -1,9 +1,42 @@
 const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
 const { generateDocComment } = require('../docgen');
 const { generateFunctionDoc } = require('../gen_fn_doc');
-const { generateStructDoc } = require('../gen_struct_doc');
+const { generateStructDoc, collectConstructors } = require('../gen_struct_doc');
 const { generateEnumDoc } = require('../gen_enum_doc');
-const { findNextSignatureBlock } = require('../utils');
+const { generateTraitDoc } = require('../gen_trait_doc');
+const { generateUnionDoc } = require('../gen_union_doc');
+const { generateTypeAliasDoc } = require('../gen_type_doc');
+const { generateConstDoc } = require('../gen_const_doc');
+const { generateExternBlockDoc } = require('../gen_extern_doc');
+const { generateModuleDoc } = require('../gen_module_doc');
+const { parseGenericParams } = require('../gen_generics_doc');
+const { findPanicSites, describePanicSites } = require('../gen_panics_doc');
+const { parseResultType, collectErrorTypes, findErrorSites } = require('../gen_errors_doc');
+const { describeReturnType } = require('../gen_returns_doc');
+const { describeAttributes } = require('../gen_attributes_doc');
+const { describeSafetyObligations } = require('../gen_safety_doc');
+const { matchDocTrigger, detectCommentStyle, formatCommentLines, readCommentLines } = require('../comment_style');
+const { generateMemberDocs } = require('../member_docs');
+const { readCrateManifest, resolveCrateModule, enterInlineModules, resolveExampleImport, findAsyncRuntime } = require('../crate_paths');
+const { synthesizeExampleValue, toTabStop } = require('../example_values');
+const { renderTemplate, resolveTemplates, loadWorkspaceTemplates, TemplateError, stripTabStops, countTabStops, mapTemplateSections } = require('../template');
+const { updateDocComment, updateDocSection, findDocCommentBlock, parseDocComment, docToLines } = require('../doc_update');
+const { scanItems, findItemAt, findUndocumentedItems, generateMissingDocs } = require('../bulk_docs');
+const { checkDocComments } = require('../doc_diagnostics');
+const { readConfigFile, findConfigFile, createConfiguration, getGenerationOptions, ConfigError } = require('../config');
+const { loadOptions, documentText, documentItemAt, formatUnifiedDiff } = require('../api');
+const { run, expandPatterns, globToRegExp } = require('../cli');
+const { measureDocCoverage, summarizeCoverage, groupCoverage } = require('../doc_coverage');
+const { findNextSignatureBlock, findNextFunctionBody, findNextItemAttributes, findEnclosingBlockHeader, parseImplHeader, collectModuleItems, getModuleName, createTextDocument } = require('../utils');
+
+// A document holding the given lines, as the scanners and generators read it
+function createMockDocument(lines, fileName) {
+    return createTextDocument(lines.join('\n'), fileName);
+}
 
 describe('generateDocComment()', () => {
     it('generates doc for function', () => {
@@ -42,8 +75,33 @@ describe('generateDocComment()', () => {
         assert.ok(output.includes('`Red`'));
     });
 
+    it('generates doc for trait', () => {
+        const input = 'pub trait Shape { fn area(&self) -> f64; }';
+        const output = generateDocComment(input, {
+            includeExamples: true,
+            examplesOnlyForPublicOrExtern: false,
+            includeSafetyDetails: true
+          });
+        assert.ok(output.includes('# Required Methods'));
+        assert.ok(output.includes('[`area`](Shape::area)'));
+    });
+
+    it('dispatches unions, type aliases, consts, statics and extern blocks', () => {
+        const options = { includeExamples: true, examplesOnlyForPublicOrExtern: false, includeSafetyDetails: false };
+        assert.ok(generateDocComment('pub union IntOrFloat { i: u32, f: f32 }', options).includes('Describe this union'));
+        assert.ok(generateDocComment('pub type Result<T> = std::result::Result<T, Error>;', options).includes('Describe this type alias'));
+        assert.ok(generateDocComment('pub const MAX: usize = 10;', options).includes('Describe this constant'));
+        assert.ok(generateDocComment('static mut COUNTER: u32 = 0;', options).includes('Describe this static'));
+        assert.ok(generateDocComment('extern "C" { fn abs(x: i32) -> i32; }', options).includes('Describe this foreign interface'));
+    });
+
+    it('treats const fn as a function', () => {
+        const output = generateDocComment('pub const fn new() -> Self {', { includeExamples: false });
+        assert.ok(output.includes('Describe this function'));
+    });
+
     it('returns null for unsupported input', () => {
-        assert.strictEqual(generateDocComment('trait SomeTrait {}', {
+        assert.strictEqual(generateDocComment('macro_rules! some_macro { () => {} }', {
             includeExamples: true,
             examplesOnlyForPublicOrExtern: false,
             includeSafetyDetails: true
@@ -61,6 +119,15 @@ describe('generateFunctionDoc()', () => {
         assert.ok(doc.includes('# Errors'));
     });
 
+    it('lists the panic sites of the body in a # Panics section when enabled', () => {
+        const input = 'pub fn first(items: &[u8]) -> u8 {';
+        const body = 'assert!(!items.is_empty()); items[0]';
+        const doc = generateFunctionDoc(input, false, false, false, { includePanics: true, body });
+        assert.ok(doc.includes('/// # Panics\n/// \n/// - ${4:Panics unless `!items.is_empty()`.}\n/// - ${5:Panics if `0` is out of bounds for `items`.}'));
+        assert.ok(!generateFunctionDoc(input, false, false, false, { body }).includes('# Panics'));
+        assert.ok(!generateFunctionDoc(input, false, false, false, { includePanics: true, body: 'items.len() as u8' }).includes('# Panics'));
+    });
+
     it('handles simple function without return', () => {
         const input = 'fn hello(name: &str) {';
         const doc = generateFunctionDoc(input, true, true, true);
@@ -83,9 +150,11 @@ describe('generateFunctionDoc()', () => {
         const output = generateFunctionDoc(input, false, false, false);
         
         assert.ok(output.includes('`w` (`&mut W`)'), 'Missing w parameter with generic type');
-        assert.ok(output.includes('&self'), 'Missing &self parameter');
+        assert.ok(!output.includes('`&self`'), 'Receiver should not be listed as an argument');
+        assert.ok(!output.includes('undefined'), 'Receiver produced a broken argument line');
         assert.ok(output.includes('# Returns'), 'Missing return section');
-        assert.ok(output.includes('`std::fmt::Result`'), 'Missing return type');
+        assert.ok(output.includes('- `Ok(())` - ${3:Describe the value returned on success.}'), 'Missing Ok entry for a result alias');
+        assert.ok(output.includes('- `Err(std::fmt::Error)` - ${4:Returned on failure (see `# Errors`).}'), 'Missing Err entry for a result alias');
     });
 
     it('handles nested generic types in arguments', () => {
@@ -181,12 +250,118 @@ describe('generateFunctionDoc()', () => {
         const doc = generateFunctionDoc(input, true, true, true);
         assert.ok(doc.includes('# Examples'), 'Should include example section for public function');
     });
+
+    it('treats functions inside an extern block as unsafe foreign functions', () => {
+        const input = 'fn strlen(s: *const c_char) -> usize;';
+        const doc = generateFunctionDoc(input, true, true, false, { enclosingBlock: 'extern "C" {' });
+        assert.ok(doc.includes('# Safety'), 'Missing safety section');
+        assert.ok(doc.includes('**This function is `unsafe` because:**'), 'Missing unsafe note');
+        assert.ok(doc.includes('# Examples'), 'Foreign functions should count as extern for examples');
+        assert.ok(doc.includes('unsafe {'), 'Missing unsafe example');
+    });
+
+    it('leaves every receiver form out of the arguments', () => {
+        const receivers = ['self', 'mut self', '&self', '&mut self', "&'a self", "&'a mut self", 'self: Pin<&mut Self>', 'self: Box<Self>'];
+        for (const receiver of receivers) {
+            const doc = generateFunctionDoc(`pub fn run(${receiver}, count: usize) {`, false, false, false, { enclosingBlock: 'impl Task {' });
+            assert.ok(doc.includes('- `count` (`usize`)'), `Missing argument for receiver ${receiver}`);
+            assert.strictEqual((doc.match(/^\/\/\/ - `/gm) || []).length, 1, `Receiver ${receiver} listed as an argument`);
+        }
+    });
+
+    it('omits the arguments section when a method only takes a receiver', () => {
+        const doc = generateFunctionDoc('pub fn len(&self) -> usize {', true, false, false, { enclosingBlock: 'impl Stack {' });
+        assert.ok(!doc.includes('# Arguments'), 'Receiver-only method should not have arguments');
+        assert.ok(doc.includes('let value = ${4:Stack::new()};'), 'Missing instance construction');
+        assert.ok(doc.includes('let _ = value.len();'), 'Missing method call on instance');
+    });
+
+    it('binds the instance mutably for &mut self and pinned receivers', () => {
+        const mutDoc = generateFunctionDoc('pub fn push(&mut self, item: u8) {', true, false, false, { enclosingBlock: 'impl Stack {' });
+        assert.ok(mutDoc.includes('let mut value = ${4:Stack::new()};'), 'Missing mutable binding');
+        assert.ok(mutDoc.includes('value.push(${5:0})'), 'Missing method call');
+
+        const pinDoc = generateFunctionDoc('fn poll_next(self: Pin<&mut Self>) {', true, false, false, { enclosingBlock: 'impl Stream for Ticker {' });
+        assert.ok(pinDoc.includes('let mut value = ${3:Box::pin(Ticker::new())};'), 'Missing pinned binding');
+        assert.ok(pinDoc.includes('value.as_mut().poll_next()'), 'Missing pinned method call');
+    });
+
+    it('calls associated functions through the type and replaces Self', () => {
+        const doc = generateFunctionDoc('pub fn with_capacity(capacity: usize, template: Option<Self>) -> Self {', true, false, false, { enclosingBlock: 'impl<T: Clone> Stack<T> {' });
+        assert.ok(doc.includes('- `template` (`Option<Stack<T>>`)'), 'Self not replaced in parameter type');
+        assert.ok(doc.includes('- `Stack<T>` - '), 'Self not replaced in return type');
+        assert.ok(doc.includes('let _ = Stack::with_capacity(${6:0}, ${7:None});'), 'Missing associated function call');
+    });
+
+    it('calls trait methods on an implementor and imports the trait', () => {
+        const crate = { name: 'my_crate', path: [], reachable: true, dependencies: [] };
+        const method = generateFunctionDoc('fn area(&self) -> f64;', true, false, false, { enclosingBlock: 'pub trait Shape {', crate });
+        assert.ok(method.includes('/// ```\n/// use my_crate::Shape;\n/// \n/// let value = ${3:MyType::new()};\n/// let _ = value.area();'), method);
+        assert.ok(!method.includes('use my_crate::area'));
+
+        const constructor = generateFunctionDoc('fn unit(size: f64) -> Self;', true, false, false, { enclosingBlock: 'pub trait Shape {', crate });
+        assert.ok(constructor.includes('let _ = ${4:MyType}::unit(${5:0.0});'), constructor);
+
+        // Members of a private trait are as private as the trait
+        const hidden = generateFunctionDoc('fn area(&self) -> f64;', true, false, false, { enclosingBlock: 'trait Shape {', crate });
+        assert.ok(hidden.includes('/// ```ignore\n/// use my_crate::Shape;'), hidden);
+        assert.ok(!generateFunctionDoc('fn area(&self) -> f64;', true, true, false, { enclosingBlock: 'trait Shape {', crate }).includes('# Examples'));
+    });
+
+    it('passes a synthesized example value for each argument', () => {
+        const doc = generateFunctionDoc('pub fn send(to: &str, body: String, retries: u8, opts: Option<Config>) -> bool {', true, false, false);
+        assert.ok(doc.includes('let _ = send(${8:"example"}, ${9:String::from("example")}, ${10:0}, ${11:None});'), 'Missing synthesized arguments');
+    });
+
+    it('keeps associated type paths on Self', () => {
+        const doc = generateFunctionDoc('fn next(&mut self) -> Option<Self::Item> {', false, false, false, { enclosingBlock: 'impl Iterator for Counter {' });
+        assert.ok(doc.includes('`Some(Self::Item)`'), 'Associated type path should be kept');
+    });
+
+    it('keeps full paths in argument types', () => {
+        const doc = generateFunctionDoc('fn fmt(&self, f: &mut std::fmt::Formatter<\'_>) -> std::fmt::Result {', false, false, false);
+        assert.ok(doc.includes("- `f` (`&mut std::fmt::Formatter<'_>`)"), 'Argument type truncated at `::`');
+    });
+
+    it('handles nested generic bounds and where clauses', () => {
+        const input = 'pub fn encode<T: Into<Vec<u8>>, W>(value: T, out: &mut W) -> usize where W: std::io::Write {';
+        const doc = generateFunctionDoc(input, false, false, false);
+        assert.ok(doc.includes('- `value` (`T`)'), 'Missing argument after nested generics');
+        assert.ok(doc.includes('- `out` (`&mut W`)'), 'Missing second argument');
+        assert.ok(doc.includes('- `usize` - '), 'Return type should end before the where clause');
+        assert.ok(!doc.includes('# Type Parameters'), 'Type parameters should be off by default');
+    });
+
+    it('handles closure and fn pointer argument types', () => {
+        const input = 'fn apply(f: impl Fn(u8) -> u8, g: fn(u8, u8) -> u8) -> u8 {';
+        const doc = generateFunctionDoc(input, false, false, false);
+        assert.ok(doc.includes('- `f` (`impl Fn(u8) -> u8`)'), 'Missing closure argument');
+        assert.ok(doc.includes('- `g` (`fn(u8, u8) -> u8`)'), 'Missing fn pointer argument');
+    });
+
+    it('includes a type parameters section when enabled', () => {
+        const input = "pub fn split<'a, T: Into<Vec<u8>>, const N: usize>(input: &'a [T; N]) -> Vec<&'a T> where T: Clone {";
+        const doc = generateFunctionDoc(input, false, false, false, { includeTypeParameters: true });
+        assert.ok(doc.includes('# Type Parameters'), 'Missing type parameters section');
+        assert.ok(doc.includes("- `'a` - ${2:Describe this lifetime.}"), 'Missing lifetime');
+        assert.ok(doc.includes('- `T` (`Into<Vec<u8>> + Clone`) - ${3:Describe this type parameter.}'), 'Missing merged type parameter bounds');
+        assert.ok(doc.includes('- `N` (`const usize`) - ${4:Describe this const parameter.}'), 'Missing const generic');
+        assert.ok(doc.indexOf('# Type Parameters') < doc.indexOf('# Arguments'), 'Type parameters should precede arguments');
+        assert.ok(doc.includes("- `input` (`&'a [T; N]`) - ${5:"), 'Argument tab stops should follow type parameters');
+    });
+
+    it('does not mark safe foreign functions as unsafe', () => {
+        const input = 'pub safe fn sqrt(x: f64) -> f64;';
+        const doc = generateFunctionDoc(input, false, false, false, { enclosingBlock: 'unsafe extern "C" {' });
+        assert.ok(!doc.includes('`unsafe` because'), 'Safe foreign function should not be unsafe');
+    });
 });
 
 describe('generateStructDoc()', () => {
-    it('returns null for unit struct', () => {
-        assert.strictEqual(generateStructDoc('struct Empty;', true, true), null);
-        assert.strictEqual(generateStructDoc('struct Nothing {}', true, true), null);
+    it('gives unit structs only a summary line', () => {
+        assert.strictEqual(generateStructDoc('struct Empty;', true, true), ' ${1:Describe this struct.}');
+        assert.strictEqual(generateStructDoc('struct Nothing {}', true, true), ' ${1:Describe this struct.}');
+        assert.strictEqual(generateStructDoc('struct Open {', true, true), null);
     });
 
     it('documents tuple struct', () => {
@@ -197,6 +372,33 @@ describe('generateStructDoc()', () => {
         assert.ok(doc.includes('# Examples'));
     });
 
+    it('documents generic structs with where clauses', () => {
+        const input = 'pub struct Cache<K, V: Clone> where K: Eq + Hash { map: HashMap<K, V> }';
+        const doc = generateStructDoc(input, false, false, { includeTypeParameters: true });
+        assert.ok(doc.includes('- `K` (`Eq + Hash`)'), 'Missing where clause bounds');
+        assert.ok(doc.includes('- `V` (`Clone`)'), 'Missing inline bounds');
+        assert.ok(doc.includes('# Fields'), 'Missing fields section');
+    });
+
+    it('documents generic tuple structs', () => {
+        const input = "pub struct Wrapper<'a, T>(&'a T) where T: Debug;";
+        const doc = generateStructDoc(input, false, false, { includeTypeParameters: true });
+        assert.ok(doc.includes("- `field_0` (`&'a T`)"), 'Missing tuple field');
+        assert.ok(doc.includes('- `T` (`Debug`)'), 'Missing where clause bounds on tuple struct');
+    });
+
+    it('synthesizes example values from field types', () => {
+        const doc = generateStructDoc('pub struct Config { name: String, map: HashMap<String, u32>, path: std::path::PathBuf, flag: bool }', true, false);
+        assert.ok(doc.includes('- `map` (`HashMap<String, u32>`)'), 'Generic field type split on comma');
+        assert.ok(doc.includes('- `path` (`std::path::PathBuf`)'), 'Path field type truncated');
+        assert.ok(doc.includes('    name: ${7:String::from("example")},'), 'Missing string field value');
+        assert.ok(doc.includes('    map: ${8:std::collections::HashMap::new()},'), 'Missing map field value');
+        assert.ok(doc.includes('    flag: ${10:false},'), 'Missing bool field value');
+
+        const tupleDoc = generateStructDoc('pub struct Meters(f64, Vec<u8>);', true, false);
+        assert.ok(tupleDoc.includes('let s = Meters(${5:0.0}, ${6:vec![]});'), 'Missing tuple field values');
+    });
+
 	it('handles struct with many fields', () => {
         const input = `
             pub struct MegaStruct {
@@ -228,11 +430,54 @@ describe('generateEnumDoc()', () => {
         assert.ok(doc.includes('# Examples'));
     });
 
+    it('documents generic enums with nested bounds', () => {
+        const input = 'pub enum Either<L: Into<Vec<u8>>, R> where R: Default { Left(L), Right(R) }';
+        const doc = generateEnumDoc(input, false, false, { includeTypeParameters: true });
+        assert.ok(doc.includes('- `L` (`Into<Vec<u8>>`)'), 'Missing nested bounds');
+        assert.ok(doc.includes('- `R` (`Default`)'), 'Missing where clause bounds');
+        assert.ok(doc.includes('- `Left(L)`'), 'Missing variant');
+    });
+
+    it('constructs the first variant and matches every variant', () => {
+        const doc = generateEnumDoc('pub enum Shape { Circle { radius: f64 }, Rect(u32, u32), Empty }', true, false);
+        assert.ok(doc.includes('let shape = Shape::Circle { radius: ${6:0.0} };'), 'Missing constructed variant');
+        assert.ok(doc.includes('    Shape::Circle { .. } => {}'), 'Missing field variant arm');
+        assert.ok(doc.includes('    Shape::Rect(_, _) => {}'), 'Missing tuple variant arm');
+        assert.ok(doc.includes('    Shape::Empty => {}'), 'Missing unit variant arm');
+        assert.ok(!doc.includes('handle_'), 'Match arms should not call undefined functions');
+    });
+
+    it('shows discriminants, the default variant and error messages', () => {
+        const input = [
+            '#[derive(Debug, Default, thiserror::Error)]',
+            'pub enum Error<E: std::error::Error> {',
+            '    /// The input was empty.',
+            '    #[default]',
+            '    #[serde(rename = "empty")]',
+            '    Empty = 1 << 0,',
+            '    #[error("bad byte {0:#x} at {1}")]',
+            '    Bad(u8, usize) = 2,',
+            '    #[error(transparent)]',
+            '    Other(E),',
+            '}',
+        ].join('\n');
+        const doc = generateEnumDoc(input, false, false);
+        assert.strictEqual(doc.split('\n').filter(line => line.startsWith('/// - ')).join('\n'), [
+            '/// - `Empty` (`= 1 << 0`) - **Default.** ${2:The input was empty.}',
+            '/// - `Bad(u8, usize)` (`= 2`) - ${3:Returned with "bad byte {0:#x\\} at {1\\}".}',
+            '/// - `Other(E)` - ${4:Describe this tuple variant.}',
+        ].join('\n'));
+    });
+
     it('returns null for invalid enum', () => {
         const badEnum = 'enum NotValid';
         assert.strictEqual(generateEnumDoc(badEnum, true, true), null);
     });
 
+    it('gives an enum without variants only a summary line', () => {
+        assert.strictEqual(generateEnumDoc('pub enum Never {}', true, false), ' ${1:Describe this enum.}');
+    });
+
 	it('handles enum with mixed variant types', () => {
 		const input = `
 			enum Message {
@@ -263,14 +508,207 @@ describe('generateEnumDoc()', () => {
     });
 });
 
-describe('findNextSignatureBlock()', () => {
-    function createMockDocument(lines) {
-        return {
-            lineCount: lines.length,
-            lineAt: (i) => ({ text: lines[i] })
-        };
-    }
+describe('generateTraitDoc()', () => {
+    it('separates required and provided methods', () => {
+        const input = `
+            pub trait Greeter {
+                fn name(&self) -> String;
+                fn greet(&self) -> String {
+                    format!("Hello, {}!", self.name())
+                }
+            }
+        `;
+        const doc = generateTraitDoc(input, true, false, false);
+        assert.ok(doc.includes('Describe this trait'), 'Missing main description');
+        assert.ok(doc.includes('# Required Methods'), 'Missing required methods section');
+        assert.ok(doc.includes('- [`name`](Greeter::name)'), 'Missing required method');
+        assert.ok(doc.includes('# Provided Methods'), 'Missing provided methods section');
+        assert.ok(doc.includes('- [`greet`](Greeter::greet)'), 'Missing provided method');
+        assert.ok(doc.indexOf('[`greet`]') > doc.indexOf('# Provided Methods'), 'Provided method listed as required');
+    });
+
+    it('lists associated types, constants and supertraits', () => {
+        const input = 'pub trait Container: Clone + Iterator<Item = u8> { type Key: Eq + Hash; const CAPACITY: usize; const NAME: &str = "x"; fn get(&self, key: &Self::Key) -> Option<u8>; }';
+        const doc = generateTraitDoc(input, true, false, false);
+        assert.ok(doc.includes('# Supertraits'), 'Missing supertraits section');
+        assert.ok(doc.includes('- `Clone`'), 'Missing Clone supertrait');
+        assert.ok(doc.includes('- `Iterator<Item = u8>`'), 'Missing generic supertrait');
+        assert.ok(doc.includes('# Associated Types'), 'Missing associated types section');
+        assert.ok(doc.includes('- `Key` (`Eq + Hash`)'), 'Missing associated type bounds');
+        assert.ok(doc.includes('# Associated Constants'), 'Missing associated constants section');
+        assert.ok(doc.includes('- `CAPACITY` (`usize`)'), 'Missing associated constant');
+    });
+
+    it('stubs every required item in the implementing example', () => {
+        const input = 'pub trait Container { type Key; const CAPACITY: usize; const NAME: &str = "x"; fn get(&self, key: &Self::Key) -> Option<u8>; fn len(&self) -> usize { 0 } }';
+        const doc = generateTraitDoc(input, true, false, false);
+        assert.ok(doc.includes('# Implementing'), 'Missing implementing section');
+        assert.ok(doc.includes('impl Container for MyType {'), 'Missing impl block');
+        assert.ok(doc.includes('type Key = ${'), 'Missing associated type stub');
+        assert.ok(/const CAPACITY: usize = \$\{\d+:0\};/.test(doc), 'Missing associated constant stub');
+        assert.ok(!doc.includes('const NAME'), 'Constant with default should not be stubbed');
+        assert.ok(doc.includes('fn get(&self, key: &Self::Key) -> Option<u8> {'), 'Missing required method stub');
+        assert.ok(!doc.includes('fn len(&self)'), 'Provided method should not be stubbed');
+    });
+
+    it('keeps only generic parameter names in the impl header', () => {
+        const input = 'trait Convert<T: Into<Vec<u8>>, const N: usize> { fn convert(&self) -> [T; N]; }';
+        const doc = generateTraitDoc(input, true, false, false);
+        assert.ok(doc.includes('impl Convert<T, N> for MyType {'), 'Incorrect impl header');
+    });
+
+    it('adds a safety section for unsafe traits', () => {
+        const input = 'pub unsafe trait Zeroable {}';
+        const doc = generateTraitDoc(input, true, false, true);
+        assert.ok(doc.includes('# Safety'), 'Missing safety section');
+        assert.ok(doc.includes('**Implementors must ensure that:**'), 'Missing safety details');
+        assert.ok(doc.includes('Describe the invariants implementors must uphold'), 'Missing implementor placeholder');
+        assert.ok(doc.includes('unsafe impl Zeroable for MyType {}'), 'Missing unsafe impl example');
+    });
+
+    it('respects examplesOnlyForPublicOrExtern = true for private traits', () => {
+        const doc = generateTraitDoc('trait Internal { fn run(&self); }', true, true, false);
+        assert.ok(!doc.includes('# Implementing'), 'Should not include example for private trait');
+    });
+
+    it('returns null for invalid trait', () => {
+        assert.strictEqual(generateTraitDoc('trait NotValid', true, false, false), null);
+    });
+});
+
+describe('generateUnionDoc()', () => {
+    it('lists fields and always includes a safety section', () => {
+        const input = 'pub union Value { int: u64, map: ManuallyDrop<HashMap<String, u8>> }';
+        const doc = generateUnionDoc(input, true, false, false);
+        assert.ok(doc.includes('# Fields'), 'Missing fields section');
+        assert.ok(doc.includes('- `int` (`u64`)'), 'Missing int field');
+        assert.ok(doc.includes('- `map` (`ManuallyDrop<HashMap<String, u8>>`)'), 'Missing nested generic field');
+        assert.ok(doc.includes('# Safety'), 'Missing safety section');
+        assert.ok(doc.includes('**Reading a field is `unsafe` because:**'), 'Missing field read note');
+    });
+
+    it('reads the written field in an unsafe block in the example', () => {
+        const doc = generateUnionDoc('union Bits { raw: u32, float: f32 }', true, false, true);
+        assert.ok(/let u = Bits \{ raw: \$\{\d+:0\} \};/.test(doc), 'Missing union construction');
+        assert.ok(doc.includes('unsafe { u.raw }'), 'Missing unsafe field read');
+        assert.ok(doc.includes('**The caller must ensure that:**'), 'Missing safety details');
+    });
+
+    it('returns null for invalid union', () => {
+        assert.strictEqual(generateUnionDoc('union Empty {}', true, false, false), null);
+        assert.strictEqual(generateUnionDoc('struct NotAUnion { a: u8 }', true, false, false), null);
+    });
+});
+
+describe('generateTypeAliasDoc()', () => {
+    it('shows the aliased type', () => {
+        const doc = generateTypeAliasDoc('pub type Result<T, E = Error> = std::result::Result<T, E>;');
+        assert.ok(doc.includes('Describe this type alias'), 'Missing description');
+        assert.ok(doc.includes('# Aliased Type'), 'Missing aliased type section');
+        assert.ok(doc.includes('- `std::result::Result<T, E>`'), 'Missing aliased type');
+    });
+
+    it('omits the aliased type for associated types without a value', () => {
+        const doc = generateTypeAliasDoc('type Item;');
+        assert.ok(!doc.includes('# Aliased Type'));
+    });
+
+    it('describes associated types of a trait as such', () => {
+        assert.strictEqual(generateTypeAliasDoc('type Output;', { enclosingBlock: 'pub trait Shape {' }), ' ${1:Describe this associated type.}');
+
+        // Bulk generation passes the trait each member is declared in
+        const { text } = documentText('/// Shapes.\npub trait Shape {\n    type Output;\n}\n\npub type Area = f64;\n', { kinds: ['type'] });
+        assert.ok(text.includes('    /// Describe this associated type.\n    type Output;'), text);
+        assert.ok(text.includes('/// Describe this type alias.\n///\n/// # Aliased Type'), text);
+    });
+});
 
+describe('generateConstDoc()', () => {
+    it('documents a constant without a safety section', () => {
+        const doc = generateConstDoc('pub const BUFFER: [u8; 4] = [0; 4];', true);
+        assert.ok(doc.includes('Describe this constant'), 'Missing description');
+        assert.ok(!doc.includes('# Safety'), 'Constant should not have safety section');
+    });
+
+    it('documents a plain static without a safety section', () => {
+        const doc = generateConstDoc('pub static NAME: &str = "x";', true);
+        assert.ok(doc.includes('Describe this static'), 'Missing description');
+        assert.ok(!doc.includes('# Safety'), 'Immutable static should not have safety section');
+    });
+
+    it('adds a data race safety section for static mut', () => {
+        const doc = generateConstDoc('pub(crate) static mut COUNTER: u32 = 0;', true);
+        assert.ok(doc.includes('# Safety'), 'Missing safety section');
+        assert.ok(doc.includes('data race'), 'Missing data race note');
+        assert.ok(doc.includes('No other thread reads or writes this static'), 'Missing safety details');
+    });
+
+    it('adds a safety section for foreign statics', () => {
+        const doc = generateConstDoc('static errno: c_int;', false, { enclosingBlock: 'extern "C" {' });
+        assert.ok(doc.includes('**Accessing this foreign static is `unsafe` because:**'));
+    });
+
+    it('omits the safety section for foreign statics declared safe', () => {
+        const doc = generateConstDoc('pub safe static VERSION: u32;', false, { enclosingBlock: 'unsafe extern "C" {' });
+        assert.ok(!doc.includes('# Safety'));
+    });
+});
+
+describe('generateExternBlockDoc()', () => {
+    it('lists foreign functions and statics', () => {
+        const input = 'extern "C" { #[link_name = "c_abs"] fn abs(input: i32) -> i32; pub fn strlen(s: *const c_char) -> usize; static mut errno: c_int; }';
+        const doc = generateExternBlockDoc(input, false);
+        assert.ok(doc.includes('# Functions'), 'Missing functions section');
+        assert.ok(doc.includes('- [`abs`]'), 'Missing abs function');
+        assert.ok(doc.includes('- [`strlen`]'), 'Missing strlen function');
+        assert.ok(doc.includes('# Statics'), 'Missing statics section');
+        assert.ok(doc.includes('- [`errno`] (`c_int`)'), 'Missing errno static');
+        assert.ok(doc.includes('**Using these `extern "C"` items is `unsafe` because:**'), 'Missing safety note');
+    });
+
+    it('returns null for non-extern input', () => {
+        assert.strictEqual(generateExternBlockDoc('extern "C" fn callback() {', false), null);
+    });
+});
+
+describe('generateModuleDoc()', () => {
+    const items = [
+        { kind: 'struct', name: 'Client' },
+        { kind: 'enum', name: 'Method' },
+        { kind: 'trait', name: 'Handler' },
+        { kind: 'fn', name: 'get' },
+        { kind: 'mod', name: 'headers' },
+    ];
+
+    it('lists public items by kind with intra-doc links', () => {
+        const doc = generateModuleDoc(items, 'http', true);
+        assert.ok(doc.startsWith(' ${1:Describe this module.}'), 'Missing module description');
+        assert.ok(doc.includes('//! # Structs\n//! \n//! - [`Client`] - ${2:Describe this struct.}'), 'Missing structs section');
+        assert.ok(doc.includes('//! - [`Method`] - ${3:Describe this enum.}'), 'Missing enum');
+        assert.ok(doc.includes('//! - [`Handler`] - ${4:Describe this trait.}'), 'Missing trait');
+        assert.ok(doc.includes('//! # Functions'), 'Missing functions section');
+        assert.ok(doc.includes('//! - [`headers`] - ${6:Describe this module.}'), 'Missing submodule');
+        assert.ok(!doc.split('\n').slice(1).some(line => !line.startsWith('//!')), 'Every line should be an inner doc comment');
+    });
+
+    it('imports the module in the example', () => {
+        const doc = generateModuleDoc(items, 'http', true);
+        assert.ok(doc.includes('//! use crate::${7:http};'), 'Missing module import');
+    });
+
+    it('describes the crate and imports it by name at the crate root', () => {
+        const doc = generateModuleDoc([], null, true);
+        assert.ok(doc.includes('Describe this crate.'), 'Missing crate description');
+        assert.ok(doc.includes('//! use ${2:crate_name};'), 'Missing crate import');
+        assert.ok(!doc.includes('# Structs'), 'Empty sections should be omitted');
+    });
+
+    it('respects includeExamples = false', () => {
+        assert.ok(!generateModuleDoc(items, 'http', false).includes('# Examples'));
+    });
+});
+
+describe('findNextSignatureBlock()', () => {
     it('extracts a simple function signature', () => {
         const doc = createMockDocument([
             '///',
@@ -309,6 +747,53 @@ describe('findNextSignatureBlock()', () => {
         assert.ok(result.includes('x: i32'));
     });
 
+    it('collects the full body of a trait', () => {
+        const doc = createMockDocument([
+            '///',
+            'pub unsafe trait Codec: Send {',
+            '    type Output;',
+            '    fn encode(&self) -> Vec<u8>;',
+            '    fn size(&self) -> usize {',
+            '        self.encode().len()',
+            '    }',
+            '}',
+            'pub fn after() {}'
+        ]);
+        // @ts-ignore
+        const result = findNextSignatureBlock(doc, 0);
+        assert.ok(result.startsWith('pub unsafe trait Codec: Send {'));
+        assert.ok(result.includes('fn size(&self) -> usize { self.encode().len() }'));
+        assert.ok(result.endsWith('}'));
+        assert.ok(!result.includes('after'));
+    });
+
+    it('collects an extern block and a foreign function inside it', () => {
+        const doc = createMockDocument([
+            '///',
+            'extern "C" {',
+            '    ///',
+            '    fn abs(input: i32) -> i32;',
+            '    static errno: c_int;',
+            '}'
+        ]);
+        // @ts-ignore
+        assert.strictEqual(findNextSignatureBlock(doc, 0), 'extern "C" { fn abs(input: i32) -> i32; static errno: c_int; }');
+        // @ts-ignore
+        assert.strictEqual(findNextSignatureBlock(doc, 2), 'fn abs(input: i32) -> i32;');
+    });
+
+    it('collects consts, statics and type aliases up to the semicolon', () => {
+        const doc = createMockDocument([
+            '///',
+            'pub static mut TABLE: [u8; 3] = [',
+            '    1, 2, 3,',
+            '];',
+            'fn after() {}'
+        ]);
+        // @ts-ignore
+        assert.strictEqual(findNextSignatureBlock(doc, 0), 'pub static mut TABLE: [u8; 3] = [ 1, 2, 3, ];');
+    });
+
     it('returns null for empty lines', () => {
         const doc = createMockDocument(['']);
         // @ts-ignore
@@ -364,4 +849,1866 @@ describe('findNextSignatureBlock()', () => {
 		const result = findNextSignatureBlock(doc, 1);
 		assert.strictEqual(result, null, 'Should return null inside enum before a variant');
 	});
-});
\ No newline at end of file
+});
+
+describe('findNextFunctionBody()', () => {
+    it('extracts the body of the next function', () => {
+        const doc = createMockDocument([
+            '///',
+            '#[inline]',
+            'pub fn get(&self, i: usize) -> u8 {',
+            '    let s = "}";',
+            '    self.bytes[i]',
+            '}',
+            'fn other() { panic!() }',
+        ]);
+        // @ts-ignore
+        assert.strictEqual(findNextFunctionBody(doc, 0), 'let s = "}"; self.bytes[i]');
+    });
+
+    it('returns null for bodiless functions, unclosed bodies and other items', () => {
+        // @ts-ignore
+        assert.strictEqual(findNextFunctionBody(createMockDocument(['///', 'fn f();']), 0), null);
+        // @ts-ignore
+        assert.strictEqual(findNextFunctionBody(createMockDocument(['///', 'fn f() {', '    x.unwrap()']), 0), null);
+        // @ts-ignore
+        assert.strictEqual(findNextFunctionBody(createMockDocument(['///', 'struct S { a: u8 }']), 0), null);
+    });
+});
+
+describe('findEnclosingBlockHeader()', () => {
+    it('returns null at the top level', () => {
+        const doc = createMockDocument([
+            'fn before() {}',
+            '///',
+            'fn after() {}'
+        ]);
+        // @ts-ignore
+        assert.strictEqual(findEnclosingBlockHeader(doc, 1), null);
+    });
+
+    it('finds the enclosing extern block', () => {
+        const doc = createMockDocument([
+            'extern "C" {',
+            '    fn first();',
+            '    ///',
+            '    fn second();',
+            '}'
+        ]);
+        // @ts-ignore
+        assert.strictEqual(findEnclosingBlockHeader(doc, 2), 'extern "C" {');
+    });
+
+    it('skips balanced blocks and joins multi-line headers', () => {
+        const doc = createMockDocument([
+            'impl<T> Wrapper<T>',
+            'where',
+            '    T: Clone,',
+            '{',
+            '    fn first(&self) {',
+            '        if true { }',
+            '    }',
+            '    ///',
+            '    fn second(&self) {}',
+            '}'
+        ]);
+        // @ts-ignore
+        assert.strictEqual(findEnclosingBlockHeader(doc, 7), 'impl<T> Wrapper<T> where T: Clone, {');
+    });
+});
+
+describe('parseImplHeader()', () => {
+    it('parses inherent impls', () => {
+        assert.deepStrictEqual(parseImplHeader('impl<T> Stack<T> where T: Clone {'), { traitName: null, typeName: 'Stack<T>', typePath: 'Stack' });
+    });
+
+    it('parses trait impls', () => {
+        assert.deepStrictEqual(parseImplHeader('unsafe impl<T: Send> Send for Wrapper<T> {'), { traitName: 'Send', typeName: 'Wrapper<T>', typePath: 'Wrapper' });
+        assert.deepStrictEqual(parseImplHeader('impl From<Vec<u8>> for crate::Buffer {'), { traitName: 'From<Vec<u8>>', typeName: 'crate::Buffer', typePath: 'crate::Buffer' });
+    });
+
+    it('returns no type path for non-path types', () => {
+        assert.deepStrictEqual(parseImplHeader("impl<'a> Reader for &'a [u8] {"), { traitName: 'Reader', typeName: "&'a [u8]", typePath: null });
+    });
+
+    it('returns null for non-impl headers', () => {
+        assert.strictEqual(parseImplHeader('extern "C" {'), null);
+        assert.strictEqual(parseImplHeader(''), null);
+    });
+});
+
+describe('collectModuleItems()', () => {
+    it('collects top-level public items and skips private and nested ones', () => {
+        const doc = createMockDocument([
+            '//!',
+            'pub mod http;',
+            'mod internal;',
+            '#[derive(Debug)]',
+            'pub struct Client {',
+            '    pub inner: Inner,',
+            '}',
+            'pub(crate) fn helper() {}',
+            'impl Client {',
+            '    pub fn new() -> Self { Self { inner: Inner } }',
+            '}',
+            'pub async fn fetch(url: &str) -> String {',
+            '    format!("{{}} {}", url)',
+            '}',
+            'pub unsafe trait Handler {}',
+            'pub enum Method { Get, Post }'
+        ]);
+        // @ts-ignore
+        assert.deepStrictEqual(collectModuleItems(doc, 0), [
+            { kind: 'mod', name: 'http', line: 1 },
+            { kind: 'struct', name: 'Client', line: 4 },
+            { kind: 'fn', name: 'fetch', line: 11 },
+            { kind: 'trait', name: 'Handler', line: 14 },
+            { kind: 'enum', name: 'Method', line: 15 },
+        ]);
+    });
+
+    it('stops at the end of an inline module', () => {
+        const doc = createMockDocument([
+            'pub mod inner {',
+            '    //!',
+            '    pub fn inside() {}',
+            '}',
+            'pub fn outside() {}'
+        ]);
+        // @ts-ignore
+        assert.deepStrictEqual(collectModuleItems(doc, 1), [{ kind: 'fn', name: 'inside', line: 2 }]);
+    });
+});
+
+describe('getModuleName()', () => {
+    it('derives module names from file paths', () => {
+        assert.strictEqual(getModuleName('/crate/src/lib.rs'), null);
+        assert.strictEqual(getModuleName('/crate/src/main.rs'), null);
+        assert.strictEqual(getModuleName('/crate/src/net/mod.rs'), 'net');
+        assert.strictEqual(getModuleName('/crate/src/net/http.rs'), 'http');
+    });
+});
+
+describe('synthesizeExampleValue()', () => {
+    it('maps primitives and strings to literals', () => {
+        assert.strictEqual(synthesizeExampleValue('u64'), '0');
+        assert.strictEqual(synthesizeExampleValue('f32'), '0.0');
+        assert.strictEqual(synthesizeExampleValue('bool'), 'false');
+        assert.strictEqual(synthesizeExampleValue('char'), "'a'");
+        assert.strictEqual(synthesizeExampleValue("&'a str"), '"example"');
+        assert.strictEqual(synthesizeExampleValue('String'), 'String::from("example")');
+    });
+
+    it('builds references, collections and wrappers recursively', () => {
+        assert.strictEqual(synthesizeExampleValue('&mut Vec<u8>'), '&mut vec![]');
+        assert.strictEqual(synthesizeExampleValue('&[u8]'), '&[]');
+        assert.strictEqual(synthesizeExampleValue('Option<u8>'), 'None');
+        assert.strictEqual(synthesizeExampleValue('Result<u8, Error>'), 'Ok(0)');
+        assert.strictEqual(synthesizeExampleValue('Arc<Mutex<bool>>'), 'std::sync::Arc::new(std::sync::Mutex::new(false))');
+        assert.strictEqual(synthesizeExampleValue('HashMap<String, Vec<u8>>'), 'std::collections::HashMap::new()');
+        assert.strictEqual(synthesizeExampleValue('(u8, &str)'), '(0, "example")');
+        assert.strictEqual(synthesizeExampleValue('[u8; 4]'), '[0; 4]');
+    });
+
+    it('synthesizes closures, pointers and impl Trait arguments', () => {
+        assert.strictEqual(synthesizeExampleValue('impl Fn(u8, u8) -> bool'), '|_, _| false');
+        assert.strictEqual(synthesizeExampleValue('fn()'), '|| ()');
+        assert.strictEqual(synthesizeExampleValue('*const u8'), 'std::ptr::null()');
+        assert.strictEqual(synthesizeExampleValue('impl Into<String>'), '"example"');
+        assert.strictEqual(synthesizeExampleValue('impl AsRef<Path>'), '"example"');
+    });
+
+    it('falls back to Default::default() for generic and unknown types', () => {
+        assert.strictEqual(synthesizeExampleValue('T'), 'Default::default()');
+        assert.strictEqual(synthesizeExampleValue('Config'), 'Default::default()');
+    });
+
+    it('escapes snippet syntax when wrapped in a tab stop', () => {
+        assert.strictEqual(toTabStop('vec![]', 3), '${3:vec![]}');
+        assert.strictEqual(toTabStop('S { a: 0 }', 2), '${2:S { a: 0 \\}}');
+    });
+});
+
+describe('renderTemplate()', () => {
+    it('interpolates values and numbers tab stops in order', () => {
+        const out = renderTemplate('{{tab "Describe this."}} {{name}} {{tab \'Second\'}} {{tab name}}', { name: 'run' });
+        assert.strictEqual(out, '${1:Describe this.} run ${2:Second} ${3:run}');
+    });
+
+    it('loops over lists with item and outer scope lookups', () => {
+        const template = '{{#each params}}\n- `{{name}}` of `{{fn}}`{{#unless @last}},{{/unless}}\n{{/each}}';
+        const out = renderTemplate(template, { fn: 'add', params: [{ name: 'a' }, { name: 'b' }] });
+        assert.strictEqual(out, '- `a` of `add`,\n- `b` of `add`\n');
+    });
+
+    it('renders conditionals with else if and drops standalone block tag lines', () => {
+        const template = '{{#if async}}\nasync\n{{else if unsafe}}\nunsafe\n{{else}}\nplain\n{{/if}}\nend';
+        assert.strictEqual(renderTemplate(template, { async: true }), 'async\nend');
+        assert.strictEqual(renderTemplate(template, { unsafe: true }), 'unsafe\nend');
+        assert.strictEqual(renderTemplate(template, { params: [] }), 'plain\nend');
+    });
+
+    it('treats empty lists and strings as false', () => {
+        assert.strictEqual(renderTemplate('{{#if items}}yes{{else}}no{{/if}}', { items: [] }), 'no');
+        assert.strictEqual(renderTemplate('{{#if name}}yes{{else}}no{{/if}}', { name: '' }), 'no');
+    });
+
+    it('renumbers tab stops from context values and escapes placeholder text', () => {
+        const out = renderTemplate('{{tab "a}"}}\n{{code}}', { code: ['let x = ${7:0};', 'f(${9:"\\$"})'] });
+        assert.strictEqual(out, '${1:a\\}}\nlet x = ${2:0};\nf(${3:"\\$"})');
+    });
+
+    it('throws a TemplateError for malformed templates', () => {
+        assert.throws(() => renderTemplate('{{#if a}}unclosed', {}), TemplateError);
+        assert.throws(() => renderTemplate('{{#each a}}x{{/if}}', {}), TemplateError);
+        assert.throws(() => renderTemplate('{{else}}', {}), TemplateError);
+        assert.throws(() => renderTemplate('{{name | upper}}', {}), TemplateError);
+    });
+});
+
+describe('resolveTemplates()', () => {
+    it('joins line arrays and lets workspace file templates win', () => {
+        const templates = resolveTemplates(
+            { function: ['{{tab "From settings."}}', '# Parameters'], struct: 'settings struct' },
+            { struct: 'file struct' }
+        );
+        assert.strictEqual(templates.function, '{{tab "From settings."}}\n# Parameters');
+        assert.strictEqual(templates.struct, 'file struct');
+    });
+
+    it('rejects unknown kinds and malformed templates', () => {
+        assert.throws(() => resolveTemplates({ function_: 'x' }), /Unknown template kind/);
+        assert.throws(() => resolveTemplates({ enum: '{{#each variants}}' }), TemplateError);
+    });
+
+    it('reads templates from the workspace file', () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rustdocstring-'));
+        try {
+            assert.deepStrictEqual(loadWorkspaceTemplates(root), {});
+            fs.writeFileSync(path.join(root, '.rustdocstring.json'), JSON.stringify({ templates: { type: 'alias' } }));
+            assert.deepStrictEqual(loadWorkspaceTemplates(root), { type: 'alias' });
+            fs.writeFileSync(path.join(root, '.rustdocstring.json'), '{ not json');
+            assert.throws(() => loadWorkspaceTemplates(root), TemplateError);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('user templates', () => {
+    it('renders functions with a custom template', () => {
+        const template = [
+            '{{tab "Summary."}}',
+            '{{#if params}}',
+            '',
+            '# Parameters',
+            '',
+            '{{#each params}}',
+            '* {{name}}: {{tab "TODO"}}',
+            '{{/each}}',
+            '{{/if}}',
+            '{{#if async}}',
+            '',
+            'This function is async.',
+            '{{/if}}',
+        ].join('\n');
+        const doc = generateDocComment('pub async fn fetch(url: &str, retries: u8) {', { templates: { function: template } });
+        assert.strictEqual(doc, [
+            ' ${1:Summary.}',
+            '/// ',
+            '/// # Parameters',
+            '/// ',
+            '/// * url: ${2:TODO}',
+            '/// * retries: ${3:TODO}',
+            '/// ',
+            '/// This function is async.',
+        ].join('\n'));
+    });
+
+    it('exposes fields, variants and module items to their templates', () => {
+        const struct = generateDocComment('struct Point { x: f64, y: f64 }', {
+            templates: { struct: '{{#each fields}}{{name}}:{{type}} {{/each}}' },
+        });
+        assert.strictEqual(struct, ' x:f64 y:f64 ');
+
+        const enumDoc = generateDocComment('enum E { A, B(u8), C { x: u8 } }', {
+            templates: { enum: '{{#each variants}}{{name}}={{#if isTuple}}t{{else if isStruct}}s{{else}}u{{/if}} {{/each}}' },
+        });
+        assert.strictEqual(enumDoc, ' A=u B=t C=s ');
+
+        const moduleDoc = generateModuleDoc([{ kind: 'fn', name: 'run' }], null, true, {
+            templates: { module: '{{#if crate}}crate{{/if}}\n{{#each functions}}{{name}}{{/each}}' },
+        });
+        assert.strictEqual(moduleDoc, ' crate\n//! run');
+    });
+
+    it('identifies renamed sections by what they list or the condition they are written under', () => {
+        const template = [
+            '{{#if params}}', '# Parameters', '{{#each params}}', '* `{{name}}`', '{{/each}}', '{{/if}}',
+            '{{#if fallible}}', '# Failures', '{{tab "Describe."}}', '{{/if}}',
+            '{{#if unsafe}}', '# Safety', '{{/if}}',
+            '# Notes',
+        ].join('\n');
+        assert.deepStrictEqual(mapTemplateSections('function', template), {
+            parameters: 'arguments', failures: 'errors', safety: 'safety', notes: 'notes',
+        });
+        assert.strictEqual(mapTemplateSections('enum')['variants'], 'variants');
+    });
+});
+
+describe('comment styles', () => {
+    it('recognizes doc comment triggers with auto-closed text', () => {
+        assert.deepStrictEqual(matchDocTrigger('    ///'), { style: 'line', inner: false, start: 4 });
+        assert.deepStrictEqual(matchDocTrigger('//!'), { style: 'line', inner: true, start: 0 });
+        assert.deepStrictEqual(matchDocTrigger('    /** */'), { style: 'block', inner: false, start: 4 });
+        assert.deepStrictEqual(matchDocTrigger('/*!'), { style: 'block', inner: true, start: 0 });
+        assert.deepStrictEqual(matchDocTrigger('#[doc = ""]'), { style: 'attribute', inner: false, start: 0 });
+        assert.deepStrictEqual(matchDocTrigger('#![doc'), { style: 'attribute', inner: true, start: 0 });
+        assert.strictEqual(matchDocTrigger('////'), null);
+        assert.strictEqual(matchDocTrigger('#[doc = "Written."]'), null);
+        assert.strictEqual(matchDocTrigger('#[doc(hidden)]'), null);
+    });
+
+    it('infers the style a file already uses', () => {
+        const lines = [
+            '#[doc = " A."]', '#[doc = " B."]', 'struct A;',
+            '/**', ' * C.', ' */', 'struct C;',
+            '/** D. */', 'struct D;',
+        ];
+        // @ts-ignore
+        assert.strictEqual(detectCommentStyle(createMockDocument(lines)), 'block');
+        // @ts-ignore
+        assert.strictEqual(detectCommentStyle(createMockDocument(['/// A.', '#[doc = " B."]', 'struct A;'])), 'line');
+        // @ts-ignore
+        assert.strictEqual(detectCommentStyle(createMockDocument(['fn main() {}'])), null);
+    });
+
+    it('formats block comments and escaped doc attributes', () => {
+        const lines = ['Describe this.', '', '- `s` - Defaults to "a\\b".'];
+        assert.deepStrictEqual(formatCommentLines(lines, 'block', { indent: '    ' }), [
+            '    /**', '     * Describe this.', '     *', '     * - `s` - Defaults to "a\\b".', '     */',
+        ]);
+        assert.deepStrictEqual(formatCommentLines(lines, 'attribute', { inner: true }), [
+            '#![doc = " Describe this."]', '#![doc = ""]', '#![doc = " - `s` - Defaults to \\"a\\\\b\\"."]',
+        ]);
+        // Snippet escapes keep working inside the string literal
+        assert.deepStrictEqual(formatCommentLines(['${1:Cost in \\$ \\}}'], 'attribute', { snippet: true }), ['#[doc = " ${1:Cost in \\$ \\}}"]']);
+    });
+
+    it('reads the text of existing block and attribute comments', () => {
+        assert.deepStrictEqual(readCommentLines(['    /**', '     * Sends.', '     *', '     *     indented', '     */'], 'block'), {
+            text: ['Sends.', '', '    indented'], offset: 1,
+        });
+        assert.deepStrictEqual(readCommentLines(['/** One line. */'], 'block'), { text: ['One line.'], offset: 0 });
+        assert.deepStrictEqual(readCommentLines(['#[doc = " Say \\"hi\\"."]', '#[doc = ""]'], 'attribute'), { text: ['Say "hi".', ''], offset: 0 });
+    });
+
+    it('updates block and attribute comments in their own style', () => {
+        const block = createMockDocument(['    /**', '     * Sends.', '     */', '    #[inline]', '    pub fn send(to: &str) {']);
+        // @ts-ignore
+        const update = updateDocComment(block, 1, { includeExamples: false });
+        assert.deepStrictEqual([update.start, update.end], [0, 2]);
+        assert.strictEqual(update.text, ['    /**', '     * Sends.', '     *', '     * # Arguments', '     *', '     * - `to` (`&str`) - Describe this parameter.', '     */'].join('\n'));
+
+        const attribute = createMockDocument(['#[doc = " Sends."]', '#[derive(Debug)]', 'pub struct Mail(u8);']);
+        // @ts-ignore
+        const attributeUpdate = updateDocComment(attribute, 2, { includeExamples: false });
+        assert.deepStrictEqual([attributeUpdate.start, attributeUpdate.end], [0, 0]);
+        assert.ok(attributeUpdate.text.startsWith('#[doc = " Sends."]\n#[doc = ""]\n#[doc = " # Fields"]'), attributeUpdate.text);
+    });
+
+    it('reports diagnostics on the lines of a block comment', () => {
+        const lines = ['/**', ' * Adds.', ' *', ' * # Arguments', ' *', ' * - `a` (`u8`) - A.', ' */', 'pub fn add(a: u16) {}'];
+        // @ts-ignore
+        const problems = checkDocComments(createMockDocument(lines), { includeExamples: false });
+        assert.deepStrictEqual(problems.map(p => [p.code, p.line]), [['type-mismatch', 5]]);
+    });
+});
+
+describe('updateDocComment()', () => {
+    const documented = [
+        '    /// Sends a message.',
+        '    ///',
+        '    /// # Arguments',
+        '    ///',
+        '    /// - `to` (`&str`) - The recipient.',
+        '    /// - `body` (`String`) - The message body.',
+        '    ///   Must not be empty.',
+        '    ///',
+        '    /// # Returns',
+        '    ///',
+        '    /// - `bool` - Whether the message was delivered.',
+        '    ///',
+        '    /// # Examples',
+        '    ///',
+        '    /// ```',
+        '    /// # fn main() {}',
+        '    /// send("bob", String::new());',
+        '    /// ```',
+    ];
+
+    it('adds new parameters, updates types and keeps descriptions', () => {
+        const doc = createMockDocument([
+            ...documented,
+            '    pub fn send(to: &str, body: &[u8], retries: u8) -> Result<bool, Error> {',
+        ]);
+        // @ts-ignore
+        const update = updateDocComment(doc, 18);
+        assert.strictEqual(update.start, 0);
+        assert.strictEqual(update.end, 17);
+        assert.strictEqual(update.text, [
+            '    /// Sends a message.',
+            '    ///',
+            '    /// # Arguments',
+            '    ///',
+            '    /// - `to` (`&str`) - The recipient.',
+            '    /// - `body` (`&[u8]`) - The message body.',
+            '    ///   Must not be empty.',
+            '    /// - `retries` (`u8`) - Describe this parameter.',
+            '    ///',
+            '    /// # Returns',
+            '    ///',
+            '    /// - `Ok(bool)` - Whether the message was delivered.',
+            '    /// - `Err(Error)` - Returned on failure (see `# Errors`).',
+            '    ///',
+            '    /// # Errors',
+            '    ///',
+            '    /// Describe possible errors.',
+            '    ///',
+            '    /// # Examples',
+            '    ///',
+            '    /// ```',
+            '    /// # fn main() {}',
+            '    /// send("bob", String::new());',
+            '    /// ```',
+        ].join('\n'));
+    });
+
+    it('marks or removes stale entries and drops sections the signature no longer needs', () => {
+        const doc = createMockDocument([...documented, '    pub fn send(to: &str) {']);
+        // @ts-ignore
+        const marked = updateDocComment(doc, 3).text;
+        assert.ok(marked.includes('/// - ~~`body` (`String`)~~ - The message body.\n    ///   Must not be empty.'), 'Stale entry not marked');
+        assert.ok(!marked.includes('# Returns'), 'Returns section should be removed');
+
+        // @ts-ignore
+        const removed = updateDocComment(doc, 3, { staleEntries: 'remove' }).text;
+        assert.ok(!removed.includes('body'), 'Stale entry not removed');
+        assert.ok(removed.includes('/// - `to` (`&str`) - The recipient.'), 'Kept entry lost');
+    });
+
+    it('reads entries written with `*` and `+` bullets and keeps the written marker', () => {
+        for (const bullet of ['*', '+']) {
+            const doc = createMockDocument([
+                '/// Adds.',
+                '///',
+                '/// # Arguments',
+                '///',
+                `/// ${bullet} \`a\` - The first.`,
+                `/// ${bullet} \`b\` - The second.`,
+                'pub fn add(a: i32, c: i32) {',
+            ]);
+            // @ts-ignore
+            const removed = updateDocComment(doc, 6, { staleEntries: 'remove', includeExamples: false }).text;
+            assert.strictEqual(removed, [
+                '/// Adds.',
+                '///',
+                '/// # Arguments',
+                '///',
+                `/// ${bullet} \`a\` (\`i32\`) - The first.`,
+                `/// ${bullet} \`c\` (\`i32\`) - Describe this parameter.`,
+            ].join('\n'));
+
+            // @ts-ignore
+            const marked = updateDocComment(doc, 6, { includeExamples: false }).text;
+            assert.ok(marked.includes(`/// ${bullet} ~~\`b\`~~ - The second.`), marked);
+        }
+    });
+
+    it('adds a safety section when a function becomes unsafe and keeps hand-written sections', () => {
+        const doc = createMockDocument([
+            '/// Frees the buffer.',
+            '///',
+            '/// # Notes',
+            '///',
+            '/// Written by hand.',
+            '#[inline]',
+            'pub unsafe fn free(ptr: *mut u8) {',
+        ]);
+        // @ts-ignore
+        const text = updateDocComment(doc, 6).text;
+        assert.ok(text.startsWith('/// Frees the buffer.\n///\n/// # Arguments'), 'Description lost');
+        assert.ok(text.endsWith('/// # Notes\n///\n/// Written by hand.'), 'Hand-written section lost');
+        assert.ok(text.includes('/// # Arguments\n///\n/// - `ptr` (`*mut u8`) - Describe this parameter.'), 'Missing new arguments section');
+        assert.ok(text.includes('/// # Safety\n///\n/// - **`ptr` (`*mut u8`):**\n///   - `ptr` must be non-null.'), 'Missing safety section');
+        assert.ok(text.includes('/// - **This function is `unsafe` because:**\n///   - Describe unsafe behavior.'), 'Missing unsafe reason');
+        assert.ok(!text.includes('# Examples'), 'Examples should not be added on update');
+    });
+
+    it('matches variants by name and un-marks entries that come back', () => {
+        const doc = createMockDocument([
+            '/// A shape.',
+            '///',
+            '/// # Variants',
+            '///',
+            '/// - `Circle(f32)` - A circle.',
+            '/// - ~~`Square`~~ - A square.',
+            'enum Shape { Circle(f64), Square, Line { from: u8, to: u8 } }',
+        ]);
+        // @ts-ignore
+        const text = updateDocComment(doc, 0).text;
+        assert.ok(text.includes('/// - `Circle(f64)` - A circle.\n/// - `Square` - A square.\n/// - `Line { from, to }` - Describe this field variant.'), 'Variants not merged');
+    });
+
+    it('returns null when there is no doc comment above the item', () => {
+        const doc = createMockDocument(['fn before() {}', '', 'fn after() {}']);
+        // @ts-ignore
+        assert.strictEqual(updateDocComment(doc, 2), null);
+        // @ts-ignore
+        assert.strictEqual(findDocCommentBlock(doc, 0), null);
+    });
+
+    it('ignores headings inside code blocks', () => {
+        const parsed = parseDocComment(['Text.', '', '# Examples', '', '```', '# use std::io;', '```']);
+        assert.deepStrictEqual(parsed.sections.map(s => s.key), ['examples']);
+        assert.strictEqual(stripTabStops('- ${2:a \\} b} ${3}'), '- a } b ');
+    });
+});
+
+describe('parseGenericParams()', () => {
+    it('reads brackets and separators inside literals as part of the parameter', () => {
+        assert.deepStrictEqual(parseGenericParams("<const SEP: char = ',', T: Clone>", "T: PartialEq<[u8; '('.len_utf8()]>"), [
+            { kind: 'const', name: 'SEP', bounds: 'char' },
+            { kind: 'type', name: 'T', bounds: "Clone + PartialEq<[u8; '('.len_utf8()]>" },
+        ]);
+
+        const trait = generateTraitDoc("pub trait Split<const OPEN: char = '(', T> { fn split(&self); }", true, false, false);
+        assert.ok(trait.includes('impl Split<OPEN, T> for MyType {'), trait);
+        assert.strictEqual(synthesizeExampleValue('impl Fn(&str, (u8, char)) -> Result<u8, E> + Send'), '|_, _| Ok(0)');
+    });
+
+    it('parses lifetimes, type parameters and const generics', () => {
+        assert.deepStrictEqual(parseGenericParams("<'a: 'b, T: Iterator<Item = u8> = Empty, const N: usize = 4>"), [
+            { kind: 'lifetime', name: "'a", bounds: "'b" },
+            { kind: 'type', name: 'T', bounds: 'Iterator<Item = u8>' },
+            { kind: 'const', name: 'N', bounds: 'usize' },
+        ]);
+    });
+
+    it('merges where clause bounds and ignores other predicates', () => {
+        assert.deepStrictEqual(parseGenericParams('<F, T>', "for<'x> F: Fn(&'x T) -> bool, T: Clone, Vec<T>: Debug, T: Send"), [
+            { kind: 'type', name: 'F', bounds: "Fn(&'x T) -> bool" },
+            { kind: 'type', name: 'T', bounds: 'Clone + Send' },
+        ]);
+    });
+
+    it('returns an empty list for non-generic items', () => {
+        assert.deepStrictEqual(parseGenericParams(''), []);
+    });
+});
+
+describe('describeReturnType()', () => {
+    const heads = type => describeReturnType(type).returns.map(entry => entry.head);
+
+    it('splits options, results and tuples into their cases and elements', () => {
+        assert.deepStrictEqual(heads('Option<(usize, &str)>'), ['`Some((usize, &str))`', '`None`']);
+        assert.deepStrictEqual(heads('Result<Vec<u8>, ParseError>'), ['`Ok(Vec<u8>)`', '`Err(ParseError)`']);
+        assert.deepStrictEqual(heads('io::Result<()>'), ['`Ok(())`', '`Err(io::Error)`']);
+        assert.deepStrictEqual(heads('Result<Config>'), ['`Ok(Config)`', '`Err(_)`']);
+        assert.deepStrictEqual(heads('(u8, HashMap<K, V>)'), ['`.0` (`u8`)', '`.1` (`HashMap<K, V>`)']);
+    });
+
+    it('describes the yielded and awaited types of iterators and futures', () => {
+        assert.deepStrictEqual(describeReturnType("impl Iterator<Item = &'a str> + '_").returns, [
+            { head: "`impl Iterator<Item = &'a str> + '_`", type: "&'a str", description: "An iterator yielding `&'a str`." },
+        ]);
+        assert.deepStrictEqual(describeReturnType('Pin<Box<dyn Future<Output = Result<u8, E>> + Send>>').returns[0].description,
+            'A future that resolves to `Result<u8, E>`.');
+    });
+
+    it('marks diverging functions and keeps other types whole', () => {
+        assert.deepStrictEqual(describeReturnType('!'), { diverges: true, returns: [] });
+        assert.deepStrictEqual(describeReturnType(''), { diverges: false, returns: [] });
+        assert.deepStrictEqual(heads('Option<u8>::Item'), ['`Option<u8>::Item`']);
+        assert.deepStrictEqual(heads('Vec<Option<u8>>'), ['`Vec<Option<u8>>`']);
+    });
+
+    it('renders the cases as separate entries and a note for never-returning functions', () => {
+        const doc = generateFunctionDoc('pub fn find(&self, key: &str) -> Option<&V> {', false, false, false);
+        assert.ok(doc.includes('/// - `Some(&V)` - ${3:Describe when a value is returned.}\n/// - `None` - ${4:Describe when no value is returned.}'), doc);
+
+        const exit = generateFunctionDoc('pub fn fail(code: i32) -> ! {', false, false, false);
+        assert.ok(exit.includes('/// # Returns\n/// \n/// This function never returns. ${3:Describe how it diverges'), exit);
+    });
+});
+
+describe('attribute-aware sections', () => {
+    // The attributes of the item in a source snippet
+    function attributes(source) {
+        // @ts-ignore
+        return findNextItemAttributes(createMockDocument(['', ...source.split('\n')]), 0);
+    }
+
+    it('reads the attributes the signature leaves out', () => {
+        const lines = ['', '#[inline]', '#[cfg(feature = "std")]', 'pub fn f() {}'];
+        // @ts-ignore
+        assert.deepStrictEqual(findNextItemAttributes(createMockDocument(lines), 0).map(a => [a.name, a.args, a.line]), [
+            ['inline', '', 1], ['cfg', 'feature = "std"', 2],
+        ]);
+        // @ts-ignore
+        assert.deepStrictEqual(findNextItemAttributes(createMockDocument(['', '', 'fn f() {}']), 0), []);
+    });
+
+    it('describes cfg features, deprecation, must_use, repr and derives', () => {
+        const described = describeAttributes(attributes([
+            '#[cfg(all(feature = "std", feature = "serde"))]',
+            '#[deprecated(since = "1.2.0", note = "use `Frame` instead")]',
+            '#[must_use = "a header does nothing unless written"]',
+            '#[repr(C, align(8))]',
+            '#[derive(Debug, serde::Serialize)]',
+            'pub struct Header { len: u32 }',
+        ].join('\n')), 'struct');
+        assert.deepStrictEqual(described, {
+            availability: 'Available on crate features `std` and `serde` only.',
+            deprecated: { since: '1.2.0', note: 'use `Frame` instead' },
+            mustUse: 'Values of this type must be used: a header does nothing unless written.',
+            layout: [
+                '`#[repr(C)]`: fields are laid out in declaration order with C alignment and padding, so the type can cross an FFI boundary.',
+                '`#[repr(align(8))]`: aligned to at least 8 bytes.',
+            ],
+            derives: ['Debug', 'Serialize'],
+        });
+
+        const other = describeAttributes(attributes('#[cfg(any(feature = "a", feature = "b"))]\n#[deprecated = "gone"]\n#[must_use]\nfn f() {}'));
+        assert.strictEqual(other.availability, 'Available on crate feature `a` or crate feature `b` only.');
+        assert.deepStrictEqual(other.deprecated, { since: null, note: 'gone' });
+        assert.strictEqual(other.mustUse, 'Describe why the return value must be used.');
+        assert.strictEqual(describeAttributes(attributes('#[cfg(all(unix, feature = "a"))]\nfn f() {}')).availability, null);
+        assert.deepStrictEqual(describeAttributes(attributes('#[repr(u8)]\nenum E { A }'), 'enum').layout, ['`#[repr(u8)]`: the discriminant is stored as a `u8`.']);
+    });
+
+    it('adds notes and sections to the generated doc comment', () => {
+        const signature = 'pub fn parse(text: &str) -> u8 {';
+        const doc = generateDocComment(signature, {
+            includeExamples: false,
+            attributes: attributes('#[cfg(feature = "std")]\n#[must_use]\n#[deprecated(since = "2.0.0")]\npub fn parse() {}'),
+        });
+        assert.strictEqual(doc, [
+            ' ${1:Describe this function.}',
+            '/// ',
+            '/// Available on crate feature `std` only.',
+            '/// ',
+            '/// ${2:Describe why the return value must be used.}',
+            '/// ',
+            '/// # Arguments',
+            '/// ',
+            '/// - `text` (`&str`) - ${3:Describe this parameter.}',
+            '/// ',
+            '/// # Returns',
+            '/// ',
+            '/// - `u8` - ${4:Describe the return value.}',
+            '/// ',
+            '/// # Deprecated',
+            '/// ',
+            '/// Since 2.0.0. ${5:Describe what to use instead.}',
+        ].join('\n'));
+    });
+
+    it('puts derived traits to use in examples and notes the layout', () => {
+        const struct = generateStructDoc('#[derive(Debug, Clone, PartialEq, Default)]\n#[repr(C)]\npub struct Point { pub x: f64, pub y: f64 }', true, false);
+        assert.ok(struct.includes('/// # Layout\n/// \n/// - `#[repr(C)]`: fields are laid out'), struct);
+        assert.ok(struct.includes('/// let s = Point {\n///     x: ${5:0.0},\n///     ..Default::default()\n/// };\n/// println!("{s:?}");\n/// assert_eq!(s.clone(), s);'), struct);
+
+        const enumDoc = generateEnumDoc('#[derive(Debug, PartialEq, Default)]\nenum Mode { Fast(u8), #[default] Slow }', true, false);
+        assert.ok(enumDoc.includes('/// let mode = Mode::Fast(${5:0});\n/// println!("{mode:?}");\n/// assert_eq!(Mode::default(), Mode::Slow);\n/// match mode {'), enumDoc);
+        assert.ok(!enumDoc.includes('clone()'));
+    });
+
+    it('builds structs with private fields through Default or new, or marks the example ignore', () => {
+        const crate = { name: 'my_crate', path: [], reachable: true, dependencies: [] };
+        const sealed = generateStructDoc('pub struct Stack { items: Vec<u8>, pub limit: usize }', true, false, { crate });
+        assert.ok(sealed.includes('/// ```ignore\n/// use my_crate::Stack;\n/// \n/// let s = Stack {'), sealed);
+
+        const defaulted = generateStructDoc('#[derive(Default)]\npub struct Stack { items: Vec<u8> }', true, false, { crate });
+        assert.ok(defaulted.includes('/// ```\n/// use my_crate::Stack;\n/// \n/// let s = Stack::default();\n/// ```'), defaulted);
+
+        const constructors = collectConstructors('impl<T> Stack<T> {\n    pub fn new(capacity: usize) -> Self { todo!() }\n}\nimpl Other { fn new() -> Self { Other } }\nimpl Default for Queue { fn new() {} }');
+        assert.deepStrictEqual(constructors, { Stack: [{ name: 'capacity', type: 'usize' }] });
+        const built = generateStructDoc('pub struct Stack<T>(Vec<T>);', true, false, { crate, constructors });
+        assert.ok(built.includes('/// ```\n/// use my_crate::Stack;\n/// \n/// let s = Stack::new(${3:0});\n/// ```'), built);
+
+        // Bulk generation finds the constructor in the same file
+        const { text } = documentText('pub struct Queue { items: Vec<u8> }\n\nimpl Queue {\n    /// Creates a queue.\n    pub fn new() -> Self { todo!() }\n}\n', { kinds: ['struct'] });
+        assert.ok(text.includes('/// let s = Queue::new();\n/// ```\npub struct Queue'), text);
+    });
+
+    it('adds and removes the deprecated section on update, and reports it missing', () => {
+        const lines = ['/// Parses.', '#[deprecated = "use `parse_v2`"]', 'pub fn parse() {}'];
+        // @ts-ignore
+        assert.strictEqual(updateDocComment(createMockDocument(lines), 0, { includeExamples: false }).text,
+            '/// Parses.\n///\n/// # Deprecated\n///\n/// use `parse_v2`');
+        // @ts-ignore
+        assert.deepStrictEqual(checkDocComments(createMockDocument(lines), { includeExamples: false }).map(p => [p.code, p.section]), [['missing-section', 'deprecated']]);
+
+        const undeprecated = ['/// Parses.', '///', '/// # Deprecated', '///', '/// Use `parse_v2`.', 'pub fn parse() {}'];
+        // @ts-ignore
+        assert.strictEqual(updateDocComment(createMockDocument(undeprecated), 0, { includeExamples: false }).text, '/// Parses.');
+    });
+});
+
+describe('describeSafetyObligations()', () => {
+    it('describes raw pointers by mutability', () => {
+        assert.deepStrictEqual(describeSafetyObligations([{ name: 'out', type: '*mut Header' }, { name: 'flags', type: 'u32' }]), [{
+            head: '`out` (`*mut Header`)',
+            requirements: [
+                '`out` must be non-null.',
+                '`out` must be properly aligned for `Header`.',
+                '`out` must be valid for reads and writes of one initialized `Header`.',
+                'The pointee must not be read or written through any other pointer or reference for the duration of the call.',
+            ],
+        }]);
+
+        const [nonNull, voidPointer] = describeSafetyObligations([{ name: 'node', type: 'NonNull<Node>' }, { name: 'ctx', type: '*const c_void' }]);
+        assert.ok(!nonNull.requirements.some(r => r.includes('non-null')), 'NonNull is already non-null');
+        assert.deepStrictEqual(voidPointer.requirements, [
+            '`ctx` must be non-null.',
+            '`ctx` must be valid for reads of every byte the function accesses.',
+            'The pointee must not be written to for the duration of the call.',
+        ]);
+    });
+
+    it('pairs a pointer with the length after it', () => {
+        assert.deepStrictEqual(describeSafetyObligations([{ name: 'data', type: '*const u16' }, { name: 'data_len', type: 'libc::size_t' }]), [{
+            head: '`data` and `data_len`',
+            requirements: [
+                '`data` must be non-null and aligned for `u16`, even when `data_len` is `0`.',
+                '`data` must be valid for reads of `data_len * size_of::<u16>()` bytes, all within a single allocation.',
+                'The `data_len` elements must be initialized.',
+                '`data_len * size_of::<u16>()` bytes must not exceed `isize::MAX`.',
+                'The buffer must not be written to for the duration of the call.',
+            ],
+        }]);
+
+        // An integer that is not named like a length is a separate argument
+        const heads = describeSafetyObligations([{ name: 'ptr', type: '*mut u8' }, { name: 'flags', type: 'usize' }]).map(o => o.head);
+        assert.deepStrictEqual(heads, ['`ptr` (`*mut u8`)']);
+    });
+
+    it('describes C strings and static references', () => {
+        const obligations = describeSafetyObligations([
+            { name: 'name', type: '*const std::ffi::c_char' },
+            { name: 'label', type: '&CStr' },
+            { name: 'state', type: "&'static mut State" },
+            { name: 'text', type: '&str' },
+        ]);
+        assert.deepStrictEqual(obligations.map(o => o.head), ['`name` (`*const std::ffi::c_char`)', '`label` (`&CStr`)', "`state` (`&'static mut State`)"]);
+        assert.ok(obligations[0].requirements[1].startsWith('`name` must point to a NUL-terminated string'));
+        assert.strictEqual(obligations[2].requirements.length, 2);
+    });
+
+    it('adds the obligations to the safety section of unsafe and extern functions', () => {
+        const doc = generateFunctionDoc('pub unsafe fn read(src: *const u8) -> u8 {', false, false, false);
+        assert.ok(doc.includes([
+            '/// # Safety',
+            '/// ',
+            '/// - **`src` (`*const u8`):**',
+            '///   - `src` must be non-null.',
+        ].join('\n')), doc);
+        assert.ok(doc.includes('///   - The pointee must not be written to for the duration of the call.\n/// - **This function is `unsafe` because:**'));
+
+        const foreign = generateFunctionDoc('fn strlen(s: *const c_char) -> usize;', false, false, false, { enclosingBlock: 'extern "C" {' });
+        assert.ok(foreign.includes('/// - **`s` (`*const c_char`):**'));
+
+        const safe = generateFunctionDoc('pub fn first(ptr: *const u8) -> u8 {', false, false, false);
+        assert.ok(!safe.includes('# Safety'), 'Safe functions have no safety section');
+    });
+});
+
+describe('findPanicSites()', () => {
+    const descriptions = body => describePanicSites(findPanicSites(body)).map(site => site.description);
+
+    it('describes macros, unwraps, expects and indexing with their message or condition', () => {
+        const body = [
+            'let port = config.port.expect("port is set");',
+            'assert!(port > 0, "port must be positive");',
+            'assert_eq!(buf.len(), 4);',
+            'let first = self.items.get(0).unwrap();',
+            'if port == 1 { unreachable!() }',
+            'todo!("pooling")',
+            'buf[port] + rows[i][j]',
+        ].join('\n');
+        assert.deepStrictEqual(descriptions(body), [
+            'Panics with "port is set" if `config.port` is `None` or `Err`.',
+            'Panics with "port must be positive" unless `port > 0`.',
+            'Panics unless `buf.len() == 4`.',
+            'Panics if `self.items.get(0)` is `None` or `Err`.',
+            'Panics if code marked unreachable is reached.',
+            'Panics with "pooling" because this is not implemented yet.',
+            'Panics if `port` is out of bounds for `buf`.',
+            'Panics if `i` is out of bounds for `rows`.',
+            'Panics if `j` is out of bounds for `rows[i]`.',
+        ]);
+    });
+
+    it('ignores literals, comments, debug assertions, full ranges and non-index brackets', () => {
+        const body = [
+            '// value.unwrap()',
+            'let s = "panic!(\"no\")";',
+            'debug_assert!(ok);',
+            'let [a, b] = pair;',
+            'let all = &v[..];',
+            'let xs: &mut [u8] = &mut [0; 4];',
+            'value.unwrap_or_default()',
+        ].join('\n');
+        assert.deepStrictEqual(findPanicSites(body), []);
+    });
+
+    it('reports a repeated panic site once', () => {
+        assert.deepStrictEqual(descriptions('a.unwrap(); a.unwrap(); panic!(); panic!()'), [
+            'Panics if `a` is `None` or `Err`.',
+            'Describe when this panics.',
+        ]);
+    });
+});
+
+describe('# Errors generation', () => {
+    const errorTypes = collectErrorTypes([
+        'mod error {',
+        '    #[derive(Debug, thiserror::Error)]',
+        '    pub enum ConfigError {',
+        '        #[error("file not found: {0}")]',
+        '        NotFound(PathBuf),',
+        '        /// The file is not valid TOML.',
+        '        #[error(transparent)]',
+        '        Parse(#[from] toml::de::Error),',
+        '        Empty,',
+        '    }',
+        '}',
+    ].join('\n'));
+
+    it('reads the error type of results and result aliases', () => {
+        assert.deepStrictEqual(parseResultType('Result<u8, ConfigError>'), { errorType: 'ConfigError' });
+        assert.deepStrictEqual(parseResultType('std::result::Result<(), Box<dyn Error>>'), { errorType: 'Box<dyn Error>' });
+        assert.deepStrictEqual(parseResultType('io::Result<Vec<u8>>'), { errorType: 'io::Error' });
+        assert.deepStrictEqual(parseResultType('anyhow::Result<()>'), { errorType: 'anyhow::Error' });
+        assert.deepStrictEqual(parseResultType('fmt::Result'), { errorType: 'fmt::Error' });
+        assert.deepStrictEqual(parseResultType('Result<Config>'), { errorType: null });
+        assert.strictEqual(parseResultType('Option<Result<u8, E>>'), null);
+        assert.strictEqual(parseResultType('ResultSet'), null);
+    });
+
+    it('collects enum variants with their doc or thiserror message', () => {
+        assert.deepStrictEqual(errorTypes.ConfigError.variants, [
+            { name: 'NotFound', description: 'Returned with "file not found: {0}".' },
+            { name: 'Parse', description: 'The file is not valid TOML.' },
+            { name: 'Empty', description: null },
+        ]);
+    });
+
+    it('finds constructed variants and propagated errors in the body', () => {
+        const body = [
+            'let text = fs::read_to_string(path)?;',
+            'if text.is_empty() { return Err(ConfigError::Empty); }',
+            'let value = text.parse::<u8>().map_err(|_| ConfigError::Parse)?;',
+            'let port = lookup(&text).ok_or(ConfigError::NotFound(path.into()))?;',
+            'Err(other::Failure::Bad { reason })',
+        ].join('\n');
+        assert.deepStrictEqual(findErrorSites(body, 'ConfigError'), {
+            variants: ['ConfigError::Empty', 'ConfigError::Parse', 'ConfigError::NotFound', 'other::Failure::Bad'],
+            propagated: ['fs::read_to_string(path)', 'text.parse::<u8>().map_err(|_| ConfigError::Parse)', 'lookup(&text).ok_or(ConfigError::NotFound(path.into()))'],
+        });
+    });
+
+    it('lists one entry per failure mode of the body', () => {
+        const input = 'pub fn load(path: &Path) -> Result<Config, ConfigError> {';
+        const body = 'let text = fs::read_to_string(path)?; if text.is_empty() { return Err(ConfigError::Empty); } parse(&text)';
+        const doc = generateFunctionDoc(input, false, false, false, { body, errorTypes });
+        assert.ok(doc.includes([
+            '/// # Errors',
+            '/// ',
+            '/// - [`ConfigError::Empty`] - ${5:Describe when this error is returned.}',
+            '/// - `fs::read_to_string(path)?` - ${6:Describe when this fails.}',
+        ].join('\n')), doc);
+    });
+
+    it('keeps written error entries and adds new failure modes on update', () => {
+        const doc = {
+            lineCount: 7,
+            lineAt: (i) => ({ text: [
+                '/// Loads the config.',
+                '///',
+                '/// # Errors',
+                '///',
+                '/// - [`ConfigError::Empty`] - The file is empty.',
+                'pub fn load(text: &str) -> Result<Config, ConfigError> {',
+                '    if text.is_empty() { return Err(ConfigError::Empty); } Err(ConfigError::Parse) }',
+            ][i] })
+        };
+        // @ts-ignore
+        const update = updateDocComment(doc, 0, { includeExamples: false, errorTypes });
+        assert.ok(update.text.includes([
+            '/// - [`ConfigError::Empty`] - The file is empty.',
+            '/// - [`ConfigError::Parse`] - The file is not valid TOML.',
+        ].join('\n')), update.text);
+    });
+
+    it('lists every variant of a known error enum when the body shows no failure modes', () => {
+        const input = 'pub fn load(path: &Path) -> Result<Config, error::ConfigError> {';
+        const doc = generateFunctionDoc(input, false, false, false, { body: 'parse(path)', errorTypes });
+        assert.ok(doc.includes([
+            '/// - [`error::ConfigError::NotFound`] - ${5:Returned with "file not found: {0\\}".}',
+            '/// - [`error::ConfigError::Parse`] - ${6:The file is not valid TOML.}',
+            '/// - [`error::ConfigError::Empty`] - ${7:Describe when this error is returned.}',
+        ].join('\n')), doc);
+    });
+
+    it('keeps the placeholder for unknown error types and documents result aliases', () => {
+        const doc = generateFunctionDoc('fn read(path: &Path) -> io::Result<Vec<u8>> {', false, false, false, { body: 'fs::read(path)' });
+        assert.ok(doc.includes('/// # Errors\n/// \n/// ${5:Describe possible errors.}'), doc);
+    });
+});
+
+describe('generateMemberDocs()', () => {
+    it('documents each undocumented field with its own tab stop', () => {
+        const lines = [
+            '',
+            'pub struct Config {',
+            '    /// Whether to log every request.',
+            '    pub verbose: bool,',
+            '    #[serde(default)]',
+            '    pub retries: u8,',
+            '    #[doc = "The host name."]',
+            '    host: String,',
+            '    port: u16,',
+            '}',
+        ];
+        // @ts-ignore
+        assert.deepStrictEqual(generateMemberDocs(createMockDocument(lines), 0, { tabStop: 3 }), [
+            { line: 4, kind: 'field', name: 'retries', text: '    /// ${3:Describe this field.}\n' },
+            { line: 8, kind: 'field', name: 'port', text: '    /// ${4:Describe this field.}\n' },
+        ]);
+    });
+
+    it('documents enum variants in the requested style, as plain text without a tab stop', () => {
+        const lines = ['', 'enum Shape {', '    Circle(f64),', '    #[default]', '    Dot,', '    Rect { w: f64, h: f64 },', '}'];
+        // @ts-ignore
+        assert.deepStrictEqual(generateMemberDocs(createMockDocument(lines), 0, { style: 'block' }).map(m => m.text), [
+            '    /** Describe this tuple variant. */\n',
+            '    /** Describe this variant. */\n',
+            '    /** Describe this field variant. */\n',
+        ]);
+        // @ts-ignore
+        assert.deepStrictEqual(generateMemberDocs(createMockDocument(lines), 0, { style: 'attribute', tabStop: 1 })[0].text, '    #[doc = " ${1:Describe this tuple variant.}"]\n');
+    });
+
+    it('starts a variant comment from its error message', () => {
+        const lines = ['', 'enum Error {', '    #[error("missing {0}")]', '    Missing(String),', '}'];
+        // @ts-ignore
+        assert.deepStrictEqual(generateMemberDocs(createMockDocument(lines), 0, { tabStop: 2 }).map(m => [m.line, m.text]), [
+            [2, '    /// ${2:Returned with "missing {0\\}".}\n'],
+        ]);
+    });
+
+    it('skips members that share a line and items without members', () => {
+        const lines = ['', 'pub struct Point { pub x: i32, pub y: i32 }', 'pub struct Pair(', '    u8, u8,', ');', 'pub fn f() {}'];
+        // @ts-ignore
+        assert.deepStrictEqual(generateMemberDocs(createMockDocument(lines), 0), []);
+        // @ts-ignore
+        assert.deepStrictEqual(generateMemberDocs(createMockDocument(lines), 1), []);
+        // @ts-ignore
+        assert.deepStrictEqual(generateMemberDocs(createMockDocument(lines), 4), []);
+    });
+
+    it('leaves the member lists out of the header comment in inline mode', () => {
+        const struct = generateStructDoc('pub struct Config {\n    pub verbose: bool,\n}', false, false, { memberDocs: 'inline' });
+        assert.strictEqual(struct, ' ${1:Describe this struct.}');
+        const enumDoc = generateEnumDoc('enum Mode { Fast, Slow }', false, false, { memberDocs: 'inline' });
+        assert.strictEqual(enumDoc, ' ${1:Describe this enum.}');
+        assert.strictEqual(countTabStops(enumDoc), 1);
+    });
+
+    it('keeps an existing member list up to date, and does not add one in inline mode', () => {
+        const listed = ['/// Config.', '///', '/// # Fields', '///', '/// - `verbose` (`bool`) - Logs.', 'pub struct Config {', '    pub verbose: bool,', '    pub retries: u8,', '}'];
+        // @ts-ignore
+        const update = updateDocComment(createMockDocument(listed), 0, { memberDocs: 'inline', includeExamples: false });
+        assert.ok(update.text.includes('/// - `retries` (`u8`) - Describe this field.'), update.text);
+
+        const inline = ['/// Config.', 'pub struct Config {', '    /// Logs.', '    pub verbose: bool,', '}'];
+        // @ts-ignore
+        assert.strictEqual(updateDocComment(createMockDocument(inline), 0, { memberDocs: 'inline', includeExamples: false }).text, '/// Config.');
+        // @ts-ignore
+        assert.deepStrictEqual(checkDocComments(createMockDocument(inline), { memberDocs: 'inline', includeExamples: false }), []);
+    });
+});
+
+describe('crate paths', () => {
+    // Writes a package to a temporary folder, one entry per file
+    function writeCrate(files) {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rustdocstring-'));
+        for (const [name, text] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+            fs.writeFileSync(path.join(root, name), text);
+        }
+        return root;
+    }
+
+    const net = { name: 'my_crate', path: ['net', 'http'], reachable: true };
+
+    it('reads the crate name from the package or the library target', () => {
+        assert.deepStrictEqual(readCrateManifest('[package]\nname = "my-crate" # the package\nversion = "0.1.0"\n\n[dependencies]\nserde = "1"'), { name: 'my_crate', path: null, dependencies: ['serde'] });
+        assert.deepStrictEqual(readCrateManifest('[package]\nname = "my-crate"\n\n[lib]\nname = "core_lib"\npath = "lib/core.rs"'), { name: 'core_lib', path: 'lib/core.rs', dependencies: [] });
+        assert.strictEqual(readCrateManifest('[workspace]\nmembers = ["a", "b"]'), null);
+    });
+
+    it('works out the module path and whether it is public', () => {
+        const root = writeCrate({
+            'Cargo.toml': '[package]\nname = "my-crate"\n',
+            'src/lib.rs': '//! The crate.\npub mod net;\nmod internal;\n',
+            'src/net/mod.rs': '// `mod hidden;` is only a comment\npub mod http;\npub(crate) mod pool;\n',
+            'src/net/http.rs': 'pub struct Client;\n',
+            'src/net/pool.rs': '',
+            'src/internal.rs': '',
+            'src/main.rs': 'fn main() {}\n',
+            'tests/smoke.rs': '',
+        });
+        const file = name => path.join(root, ...name.split('/'));
+        try {
+            assert.deepStrictEqual(resolveCrateModule(file('src/lib.rs')), { name: 'my_crate', path: [], reachable: true, dependencies: [] });
+            assert.deepStrictEqual(resolveCrateModule(file('src/net/mod.rs')), { name: 'my_crate', path: ['net'], reachable: true, dependencies: [] });
+            assert.deepStrictEqual(resolveCrateModule(file('src/net/http.rs')), { ...net, dependencies: [] });
+            assert.deepStrictEqual(resolveCrateModule(file('src/net/pool.rs')), { name: 'my_crate', path: ['net', 'pool'], reachable: false, dependencies: [] });
+            assert.deepStrictEqual(resolveCrateModule(file('src/internal.rs')), { name: 'my_crate', path: ['internal'], reachable: false, dependencies: [] });
+            assert.deepStrictEqual(resolveCrateModule(file('src/main.rs')), { name: 'my_crate', path: [], reachable: false, dependencies: [] });
+            assert.strictEqual(resolveCrateModule(file('tests/smoke.rs')), null);
+            assert.strictEqual(resolveCrateModule('Untitled-1'), null);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    it('adds the inline modules enclosing a line', () => {
+        const lines = [
+            'pub mod outer {',
+            '    mod inner {',
+            '        ///',
+            '        pub fn f() {}',
+            '    }',
+            '    ///',
+            '    pub fn g() {}',
+            '}',
+        ];
+        const doc = createMockDocument(lines);
+        const crate = { name: 'my_crate', path: ['net'], reachable: true };
+        // @ts-ignore
+        assert.deepStrictEqual(enterInlineModules(crate, doc, 2), { name: 'my_crate', path: ['net', 'outer', 'inner'], reachable: false });
+        // @ts-ignore
+        assert.deepStrictEqual(enterInlineModules(crate, doc, 5), { name: 'my_crate', path: ['net', 'outer'], reachable: true });
+        // @ts-ignore
+        assert.strictEqual(enterInlineModules(null, doc, 5), null);
+    });
+
+    it('imports an item by its path and ignores unreachable examples', () => {
+        assert.deepStrictEqual(resolveExampleImport('Client', 'pub', net), { path: 'my_crate::net::http::Client', ignore: false });
+        assert.deepStrictEqual(resolveExampleImport('Client', 'pub(crate)', net), { path: 'my_crate::net::http::Client', ignore: true });
+        assert.deepStrictEqual(resolveExampleImport('Client', 'pub', { ...net, reachable: false }), { path: 'my_crate::net::http::Client', ignore: true });
+        assert.deepStrictEqual(resolveExampleImport('Client', 'pub', null), { path: null, ignore: false });
+    });
+
+    it('writes the import into every example', () => {
+        const struct = generateStructDoc('pub struct Client { pub url: String }', true, false, { crate: net });
+        assert.ok(struct.includes('/// ```\n/// use my_crate::net::http::Client;\n/// \n/// let s = Client {'), struct);
+        assert.ok(!struct.includes('use crate::'));
+
+        const method = generateFunctionDoc('pub fn send(&self, body: &str) {', true, false, false, { enclosingBlock: 'impl Client {', crate: net });
+        assert.ok(method.includes('use my_crate::net::http::Client;\n/// \n/// let value = ${3:Client::new()};\n/// let _ = value.send(${4:"example"});'), method);
+
+        const enumDoc = generateEnumDoc('pub enum Method { Get, Post }', true, false, { crate: net });
+        assert.ok(enumDoc.includes('use my_crate::net::http::Method;'));
+
+        const trait = generateTraitDoc('pub trait Handler { fn handle(&self); }', true, false, false, { crate: net });
+        assert.ok(trait.includes('use my_crate::net::http::Handler;'));
+
+        const union = generateUnionDoc('pub union Bits { int: u32, float: f32 }', true, false, false, { crate: net });
+        assert.ok(union.includes('/// ```\n/// use my_crate::net::http::Bits;'));
+    });
+
+    it('marks examples of private items and modules ignore', () => {
+        const helper = generateFunctionDoc('async fn helper() {', true, false, false, { crate: net });
+        assert.ok(helper.includes('/// ```ignore\n/// use my_crate::net::http::helper;'), helper);
+
+        const struct = generateStructDoc('pub struct Client(u8);', true, false, { crate: { ...net, reachable: false } });
+        assert.ok(struct.includes('/// ```ignore\n'));
+
+        // Only plain `impl` paths can be imported; other methods keep the placeholder
+        const qualified = generateFunctionDoc('pub fn f(&self) {', true, false, false, { enclosingBlock: 'impl super::Client {', crate: net });
+        assert.ok(qualified.includes('/// ```\n/// use crate::${2:...};'), qualified);
+
+        const module = generateModuleDoc([], 'http', true, { crate: { ...net, reachable: false } });
+        assert.ok(module.includes('//! ```ignore\n//! use my_crate::net::http;\n'), module);
+        const root = generateModuleDoc([], null, true, { crate: { name: 'my_crate', path: [], reachable: true } });
+        assert.ok(root.includes('//! ```\n//! use my_crate;\n'), root);
+    });
+
+    it('resolves the crate of a document documented in bulk', () => {
+        const root = writeCrate({
+            'Cargo.toml': '[package]\nname = "shapes"\n',
+            'src/lib.rs': 'pub mod geometry;\n',
+            'src/geometry.rs': 'pub struct Point(f64, f64);\n\npub mod polar {\n    pub struct Angle(f64);\n}\n',
+        });
+        try {
+            const lines = fs.readFileSync(path.join(root, 'src', 'geometry.rs'), 'utf8').split('\n');
+            // @ts-ignore
+            const insertions = generateMissingDocs(createMockDocument(lines, path.join(root, 'src', 'geometry.rs')), { kinds: ['struct', 'module'] });
+            assert.deepStrictEqual(insertions.map(insertion => insertion.text.match(/use ([\w:]+);/)[1]), [
+                'shapes::geometry',
+                'shapes::geometry::Point',
+                'shapes::geometry::polar::Angle',
+            ]);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('doctest scaffolding', () => {
+    const crate = dependencies => ({ name: 'my_crate', path: [], reachable: true, dependencies });
+    const example = doc => doc.slice(doc.indexOf('/// ```'));
+
+    it('reads dependencies and picks an async runtime', () => {
+        const manifest = readCrateManifest('[package]\nname = "x"\n\n[dependencies]\nfutures = "0.3"\n\n[dev-dependencies.tokio]\nversion = "1"\nfeatures = ["full"]');
+        assert.deepStrictEqual(manifest.dependencies, ['futures', 'tokio']);
+        assert.strictEqual(findAsyncRuntime(manifest), 'tokio');
+        assert.strictEqual(findAsyncRuntime(crate(['async-std', 'futures'])), 'async-std');
+        assert.strictEqual(findAsyncRuntime(crate(['serde'])), null);
+        assert.strictEqual(findAsyncRuntime(null), null);
+    });
+
+    it('reads workspace-inherited and platform-specific dependencies', () => {
+        const workspace = readCrateManifest('[package]\nname = "member"\nversion.workspace = true\n\n[dependencies]\ntokio.workspace = true\nserde = { workspace = true }\n');
+        assert.deepStrictEqual(workspace.dependencies, ['tokio', 'serde']);
+        assert.strictEqual(findAsyncRuntime({ dependencies: workspace.dependencies }), 'tokio');
+
+        const targets = readCrateManifest([
+            '[package]', 'name = "x"', '',
+            "[target.'cfg(unix)'.dependencies]", 'async-std = "1"', '',
+            '[target."cfg(windows)".dev-dependencies.futures]', 'version = "0.3"', '',
+            '[target.wasm32-unknown-unknown.build-dependencies]', 'cc = "1"', '',
+            '[[bin]]', 'name = "tool"',
+        ].join('\n'));
+        assert.deepStrictEqual(targets, { name: 'x', path: null, dependencies: ['async-std', 'futures'] });
+    });
+
+    it('propagates errors with ? from a hidden main', () => {
+        const doc = generateFunctionDoc('pub fn parse(s: &str) -> Result<u8, ParseError> {', true, false, false, { crate: crate([]) });
+        assert.strictEqual(example(doc), [
+            '/// ```',
+            '/// use my_crate::parse;',
+            '/// ',
+            '/// # fn main() -> Result<(), Box<dyn std::error::Error>> {',
+            '/// let _ = parse(${6:"example"})?;',
+            '/// # Ok(())',
+            '/// # }',
+            '/// ```',
+        ].join('\n'));
+
+        // The hidden lines are code, not section headings
+        const sections = parseDocComment(docToLines(doc)).sections.map(section => section.key);
+        assert.deepStrictEqual(sections, ['arguments', 'returns', 'errors', 'examples']);
+    });
+
+    it('boots the runtime the crate depends on', () => {
+        const method = generateFunctionDoc('pub async fn fetch(&self) -> io::Result<Vec<u8>> {', true, false, false, { enclosingBlock: 'impl Client {', crate: crate(['tokio']) });
+        assert.ok(example(method).startsWith([
+            '/// ```',
+            '/// use my_crate::Client;',
+            '/// ',
+            '/// # #[tokio::main]',
+            '/// # async fn main() -> Result<(), Box<dyn std::error::Error>> {',
+            '/// let value = ${5:Client::new()};',
+            '/// let result = value.fetch().await?;',
+            '/// # Ok(())',
+            '/// # }',
+        ].join('\n')), method);
+
+        const asyncStd = generateFunctionDoc('pub async fn tick() {', true, false, false, { crate: crate(['async-std']) });
+        assert.ok(example(asyncStd).includes('/// # #[async_std::main]\n/// # async fn main() {\n/// let result = tick().await;\n/// # }'), asyncStd);
+
+        const futures = generateFunctionDoc('pub async fn tick() {', true, false, false, { crate: crate(['futures']) });
+        assert.ok(example(futures).includes('/// # futures::executor::block_on(async {\n/// let result = tick().await;\n/// # });'), futures);
+
+        const fallible = generateFunctionDoc('pub async fn tick() -> Result<(), Error> {', true, false, false, { crate: crate(['futures']) });
+        assert.ok(example(fallible).includes([
+            '/// # fn main() -> Result<(), Box<dyn std::error::Error>> {',
+            '/// # futures::executor::block_on(async {',
+            '/// let result = tick().await?;',
+            '/// # Ok::<(), Box<dyn std::error::Error>>(())',
+            '/// # })',
+            '/// # }',
+        ].join('\n')), fallible);
+    });
+
+    it('keeps a bare async block and no_run without a runtime', () => {
+        const doc = generateFunctionDoc('pub async fn tick() -> Result<(), Error> {', true, false, false, { crate: crate(['serde']) });
+        assert.ok(example(doc).startsWith('/// ```no_run\n/// use my_crate::tick;\n/// \n/// async {\n///   let result = tick().await;\n/// };'), doc);
+
+        const unsafeDoc = generateFunctionDoc('pub async unsafe fn tick() {', true, false, false, { crate: crate(['tokio']) });
+        assert.ok(example(unsafeDoc).startsWith('/// ```no_run\n'), 'Unsafe examples are not run by default');
+        assert.ok(unsafeDoc.includes('/// let result = unsafe { tick().await };'));
+    });
+
+    it('applies the example fence setting', () => {
+        const unsafeDoc = generateFunctionDoc('pub unsafe fn f() {', true, false, false, { exampleFence: 'normal' });
+        assert.ok(example(unsafeDoc).startsWith('/// ```\n'));
+
+        const panics = generateFunctionDoc('pub fn f() {', true, false, false, { exampleFence: 'should_panic' });
+        assert.ok(example(panics).startsWith('/// ```should_panic\n'));
+
+        const struct = generateStructDoc('pub struct Point(pub u8);', true, false, { exampleFence: 'no_run' });
+        assert.ok(example(struct).startsWith('/// ```no_run\n'));
+
+        // Unreachable items cannot compile, whatever the setting
+        const hidden = generateStructDoc('struct Point(u8);', true, false, { crate: crate([]), exampleFence: 'normal' });
+        assert.ok(example(hidden).startsWith('/// ```ignore\n'));
+    });
+});
+
+describe('generateMissingDocs()', () => {
+    const fileName = '/project/src/shapes.rs';
+
+    const source = [
+        '//! Shapes.',
+        'use std::{fmt, io};',
+        '',
+        '/// Already documented.',
+        'pub fn documented() {}',
+        '',
+        '#[derive(Debug,',
+        '    Clone)]',
+        'pub struct Point { pub x: i32, pub y: i32 }',
+        '',
+        'pub(crate) enum Mode { Fast, Slow(u8) }',
+        '',
+        'fn helper(s: &str) -> usize {',
+        '    let open = "{";',
+        '    fn nested() {}',
+        '    s.len()',
+        '}',
+        '',
+        'impl Point {',
+        '    pub fn new(x: i32, y: i32) -> Self { Point { x, y } }',
+        '}',
+        '',
+        'impl fmt::Display for Point {',
+        '    fn fmt(&self, f: &mut fmt::Formatter) -> fmt::Result { Ok(()) }',
+        '}',
+        '',
+        'pub trait Shape {',
+        '    fn area(&self) -> f64;',
+        '}',
+        '',
+        '#[doc = "The maximum."]',
+        'pub const MAX: u32 = 10;',
+        '',
+        '/** Block doc. */',
+        'pub static NAME: &str = "x";',
+        '',
+        '#[cfg(test)]',
+        'mod tests {',
+        '    #[test]',
+        '    fn it_works() {}',
+        '}',
+    ];
+
+    it('finds documentable items and whether they are documented', () => {
+        // @ts-ignore
+        const items = scanItems(createMockDocument(source, fileName));
+        assert.deepStrictEqual(items.map(item => [item.name, item.kind, item.visibility, item.documented]), [
+            ['documented', 'function', 'public', true],
+            ['Point', 'struct', 'public', false],
+            ['Mode', 'enum', 'crate', false],
+            ['helper', 'function', 'private', false],
+            ['new', 'function', 'public', false],
+            ['Shape', 'trait', 'public', false],
+            ['area', 'function', 'public', false],
+            ['MAX', 'const', 'public', true],
+            ['NAME', 'static', 'public', true],
+        ]);
+        assert.strictEqual(items[1].insertLine, 6, 'Doc comment should go above the attributes');
+    });
+
+    it('documents one-line blocks once and skips the members on their line', () => {
+        const options = { visibility: 'all', kinds: ['function', 'trait', 'extern'], includeExamples: false };
+        for (const [text, kind] of [
+            ['extern "C" { pub fn abs(x: i32) -> i32; }', 'extern'],
+            ['pub trait Shape { fn area(&self) -> f64; fn scale(&mut self, by: f64); }', 'trait'],
+        ]) {
+            const first = documentText(text, options);
+            assert.deepStrictEqual(first.insertions.map(i => [i.line, i.kind]), [[0, kind]]);
+            assert.deepStrictEqual(documentText(first.text, options).insertions, [], 'A second run should add nothing');
+            assert.deepStrictEqual(findUndocumentedItems(createMockDocument(first.text.split('\n')), 'all'), []);
+            assert.strictEqual(findItemAt(createMockDocument([text]), 0).kind, kind);
+        }
+
+        // A comment above a line documents the first item on it
+        assert.deepStrictEqual(scanItems(createMockDocument(['pub fn a() {} pub fn b() {}'])).map(item => item.name), ['a']);
+    });
+
+    it('finds the innermost item containing a line', () => {
+        const document = createMockDocument(source, fileName);
+        const nameAt = line => findItemAt(document, line)?.name ?? null;
+        assert.strictEqual(nameAt(6), 'Point', 'Attributes belong to the item');
+        assert.strictEqual(nameAt(8), 'Point');
+        assert.strictEqual(nameAt(14), 'helper', 'Items in function bodies are not documentable');
+        assert.strictEqual(nameAt(16), 'helper');
+        assert.strictEqual(nameAt(19), 'new');
+        assert.strictEqual(nameAt(27), 'area');
+        assert.strictEqual(nameAt(28), 'Shape');
+        assert.strictEqual(nameAt(2), null);
+        assert.strictEqual(nameAt(18), null, 'Impl blocks are not documentable items');
+    });
+
+    it('lists undocumented items by visibility', () => {
+        const names = visibility => findUndocumentedItems(createMockDocument(source, fileName), visibility).map(item => item.name);
+        assert.deepStrictEqual(names('public'), ['Point', 'new', 'Shape', 'area']);
+        assert.deepStrictEqual(names('crate'), ['Point', 'Mode', 'new', 'Shape', 'area']);
+        assert.deepStrictEqual(names(undefined), names('public'));
+    });
+
+    it('filters by visibility', () => {
+        const names = visibility => generateMissingDocs(createMockDocument(source, fileName), { visibility, includeExamples: false }).map(i => i.name);
+        assert.deepStrictEqual(names('public'), ['Point', 'new', 'Shape', 'area']);
+        assert.deepStrictEqual(names('crate'), ['Point', 'Mode', 'new', 'Shape', 'area']);
+        assert.deepStrictEqual(names('all'), ['Point', 'Mode', 'helper', 'new', 'Shape', 'area']);
+    });
+
+    it('filters by item kind', () => {
+        // @ts-ignore
+        const insertions = generateMissingDocs(createMockDocument(source, fileName), { visibility: 'all', kinds: ['struct', 'trait'] });
+        assert.deepStrictEqual(insertions.map(i => i.name), ['Point', 'Shape']);
+    });
+
+    it('generates indented plain-text doc comments without tab stops', () => {
+        // @ts-ignore
+        const insertions = generateMissingDocs(createMockDocument(source, fileName), { kinds: ['function'], includeExamples: false });
+        const method = insertions.find(i => i.name === 'new');
+        assert.strictEqual(method.line, 19);
+        assert.strictEqual(method.text, [
+            '    /// Describe this function.',
+            '    ///',
+            '    /// # Arguments',
+            '    ///',
+            '    /// - `x` (`i32`) - Describe this parameter.',
+            '    /// - `y` (`i32`) - Describe this parameter.',
+            '    ///',
+            '    /// # Returns',
+            '    ///',
+            '    /// - `Point` - Describe the return value.',
+            '',
+        ].join('\n'));
+        assert.ok(!insertions.some(i => i.text.includes('${')), 'Tab stops should be removed');
+    });
+
+    it('documents fields and variants inline', () => {
+        const lines = ['pub enum Mode {', '    Fast,', '    /// Slow down.', '    Slow(u8),', '}'];
+        // @ts-ignore
+        const insertions = generateMissingDocs(createMockDocument(lines, fileName), { kinds: ['enum'], memberDocs: 'inline', includeExamples: false });
+        assert.deepStrictEqual(insertions.map(i => [i.line, i.kind, i.name, i.text]), [
+            [0, 'enum', 'Mode', '/// Describe this enum.\n'],
+            [1, 'variant', 'Mode::Fast', '    /// Describe this variant.\n'],
+        ]);
+    });
+
+    it('writes the configured or inferred comment style', () => {
+        const lines = ['/** A circle. */', 'pub struct Circle { pub r: f64 }', '', 'pub fn area(c: &Circle) -> f64 { 0.0 }'];
+        // @ts-ignore
+        const inferred = generateMissingDocs(createMockDocument(lines, fileName), { kinds: ['function'], includeExamples: false });
+        assert.ok(inferred[0].text.startsWith('/**\n * Describe this function.\n *\n * # Arguments\n'), inferred[0].text);
+        assert.ok(inferred[0].text.endsWith(' */\n'));
+
+        // @ts-ignore
+        const attribute = generateMissingDocs(createMockDocument(lines, fileName), { kinds: ['module'], commentStyle: 'attribute', includeExamples: false });
+        assert.ok(attribute[0].text.startsWith('#![doc = " Describe this module."]\n#![doc = ""]\n'), attribute[0].text);
+    });
+
+    it('adds a module overview to files without one', () => {
+        const lines = ['pub struct Circle { pub r: f64 }', '', 'extern "C" {', '    pub fn abs(x: i32) -> i32;', '}'];
+        // @ts-ignore
+        const insertions = generateMissingDocs(createMockDocument(lines, fileName), { includeExamples: false });
+        assert.deepStrictEqual(insertions.map(i => [i.line, i.kind, i.name]), [
+            [0, 'module', 'shapes'],
+            [0, 'struct', 'Circle'],
+            [3, 'function', 'abs'],
+        ]);
+        assert.ok(insertions[0].text.startsWith('//! Describe this module.\n//!\n//! # Structs\n'), 'Module overview not generated');
+
+        // @ts-ignore
+        const all = generateMissingDocs(createMockDocument(lines, fileName), { visibility: 'all', kinds: ['extern'] });
+        assert.deepStrictEqual(all.map(i => [i.line, i.name]), [[2, 'extern "C"']]);
+        // @ts-ignore
+        assert.ok(!generateMissingDocs(createMockDocument(source, fileName), {}).some(i => i.kind === 'module'), 'Existing overview should be kept');
+    });
+});
+
+describe('command line and library API', () => {
+    function writeFiles(files) {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rustdocstring-'));
+        for (const [name, text] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+            fs.writeFileSync(path.join(root, name), text);
+        }
+        return root;
+    }
+
+    function runCli(args, cwd) {
+        const output = { stdout: '', stderr: '' };
+        const code = run(args, { cwd, stdout: text => { output.stdout += text; }, stderr: text => { output.stderr += text; } });
+        return { code, ...output };
+    }
+
+    it('reads the VS Code settings from a configuration file', () => {
+        const root = writeFiles({
+            '.rustdocstring.json': '{ "includeExamples": false, "rustdocstring.commentStyle": "block", "bulkVisibility": "all" }',
+            'unknown.json': '{ "includeExamplez": true }',
+            'mistyped.json': '{ "includeExamples": "no" }',
+            'bad-kind.json': '{ "bulkItemKinds": ["function", "macro"] }',
+            'src/lib.rs': '',
+        });
+        try {
+            assert.strictEqual(findConfigFile(path.join(root, 'src')), path.join(root, '.rustdocstring.json'));
+            const options = loadOptions(findConfigFile(root));
+            assert.deepStrictEqual([options.includeExamples, options.commentStyle, options.visibility, options.includePanics, options.memberDocs],
+                [false, 'block', 'all', true, 'list']);
+            assert.deepStrictEqual(getGenerationOptions(createConfiguration({ exampleFence: 'no_run' })).exampleFence, 'no_run');
+
+            assert.throws(() => readConfigFile(path.join(root, 'unknown.json')), /unknown setting "includeExamplez"/);
+            assert.throws(() => readConfigFile(path.join(root, 'mistyped.json')), error => error instanceof ConfigError && /must be a boolean/.test(error.message));
+            assert.throws(() => readConfigFile(path.join(root, 'bad-kind.json')), /unknown value "macro"/);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    it('documents plain text and keeps its line endings', () => {
+        const source = 'pub fn one() {}\r\n\r\nfn two() {}\r\n';
+        const { text, insertions } = documentText(source, { includeExamples: false, kinds: ['function'] });
+        assert.deepStrictEqual(insertions.map(insertion => insertion.name), ['one']);
+        assert.strictEqual(text, '/// Describe this function.\r\npub fn one() {}\r\n\r\nfn two() {}\r\n');
+
+        const item = documentItemAt(source, 2, { includeExamples: false });
+        assert.deepStrictEqual(item.map(insertion => [insertion.line, insertion.name, insertion.text]), [[2, 'two', '/// Describe this function.\n']]);
+        assert.deepStrictEqual(documentItemAt(source, 1, {}), []);
+    });
+
+    it('formats insertions as a unified diff', () => {
+        const source = 'pub fn one() {}\n\nfn two() {}\n';
+        const { insertions } = documentText(source, { includeExamples: false });
+        assert.strictEqual(formatUnifiedDiff('src/lib.rs', source, insertions), [
+            '--- a/src/lib.rs',
+            '+++ b/src/lib.rs',
+            '@@ -1,3 +1,9 @@',
+            '+//! Describe this crate.',
+            '+//!',
+            '+//! # Functions',
+            '+//!',
+            '+//! - [`one`] - Describe this function.',
+            '+/// Describe this function.',
+            ' pub fn one() {}',
+            ' ',
+            ' fn two() {}',
+            '',
+        ].join('\n'));
+
+        const lines = ['pub fn a() {}', ...Array(10).fill('// filler'), 'pub fn b() {}'].join('\n');
+        const diff = formatUnifiedDiff('x.rs', lines, documentText(lines, { includeExamples: false, kinds: ['function'] }).insertions);
+        assert.deepStrictEqual(diff.split('\n').filter(line => line.startsWith('@@')), ['@@ -1,3 +1,4 @@', '@@ -9,4 +10,5 @@']);
+        assert.ok(diff.endsWith(' pub fn b() {}\n\\ No newline at end of file\n'), diff);
+    });
+
+    it('expands files, directories, and globs', () => {
+        const root = writeFiles({ 'src/lib.rs': '', 'src/net/http.rs': '', 'src/notes.txt': '', 'target/debug/build.rs': '', 'benches/run.rs': '' });
+        try {
+            const relative = patterns => expandPatterns(patterns, root).map(file => path.relative(root, file).split(path.sep).join('/'));
+            assert.deepStrictEqual(relative(['.']), ['benches/run.rs', 'src/lib.rs', 'src/net/http.rs']);
+            assert.deepStrictEqual(relative(['src/**/*.rs']), ['src/lib.rs', 'src/net/http.rs']);
+            assert.deepStrictEqual(relative(['{src,benches}/*.rs', 'src/lib.rs']), ['benches/run.rs', 'src/lib.rs']);
+            assert.throws(() => expandPatterns(['missing.rs'], root), /does not exist/);
+            assert.throws(() => expandPatterns(['src/*.toml'], root), /matches no files/);
+            assert.ok(globToRegExp('a,b/?.rs').test('a,b/x.rs'), 'Commas outside braces are literal');
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    it('checks, diffs, and writes missing docs from the command line', () => {
+        const root = writeFiles({
+            'Cargo.toml': '[package]\nname = "demo-crate"\n',
+            '.rustdocstring.json': '{ "includeExamples": false, "bulkItemKinds": ["function", "struct"] }',
+            'src/lib.rs': '//! Demo.\n\npub fn add(a: i32) -> i32 { a }\n\nfn helper() {}\n',
+        });
+        const lib = path.join(root, 'src', 'lib.rs');
+        try {
+            const check = runCli(['--check', 'src'], root);
+            assert.strictEqual(check.code, 1);
+            assert.strictEqual(check.stdout, 'src/lib.rs:3: missing doc comment for function `add`\n');
+            assert.strictEqual(check.stderr, '1 undocumented item in 1 file.\n');
+            assert.strictEqual(runCli(['--check', '--visibility', 'all', 'src'], root).stdout.split('\n').length, 3);
+
+            const diff = runCli(['--diff', 'src/*.rs'], root);
+            assert.strictEqual(diff.code, 0);
+            assert.ok(diff.stdout.startsWith('--- a/src/lib.rs\n+++ b/src/lib.rs\n@@ -1,5 +1,14 @@\n'), diff.stdout);
+            assert.ok(!fs.readFileSync(lib, 'utf8').includes('///'), 'A diff must not write the file');
+
+            const write = runCli(['src/lib.rs'], root);
+            assert.deepStrictEqual([write.code, write.stderr], [0, 'src/lib.rs: documented 1 item\n']);
+            assert.ok(fs.readFileSync(lib, 'utf8').includes('/// Describe this function.\n///\n/// # Arguments\n'));
+            assert.strictEqual(runCli(['--check', 'src'], root).code, 0);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    it('checks items no doc comment can be generated for', () => {
+        const root = writeFiles({
+            'Cargo.toml': '[package]\nname = "demo-crate"\n',
+            'src/lib.rs': '//! Demo.\n\npub struct Marker;\n\npub struct Empty {}\n\npub enum Never {}\n',
+            'src/open.rs': '//! Unfinished.\n\npub struct Open {\n    a: u8,\n',
+        });
+        try {
+            const check = runCli(['--check', 'src'], root);
+            assert.strictEqual(check.code, 1);
+            assert.strictEqual(check.stdout, [
+                'src/lib.rs:3: missing doc comment for struct `Marker`',
+                'src/lib.rs:5: missing doc comment for struct `Empty`',
+                'src/lib.rs:7: missing doc comment for enum `Never`',
+                'src/open.rs:3: missing doc comment for struct `Open`',
+                '',
+            ].join('\n'));
+
+            // Unit structs and empty enums get a summary line; a struct whose body is not closed is still reported
+            assert.strictEqual(runCli(['src/*.rs'], root).stderr, 'src/lib.rs: documented 3 items\n');
+            assert.strictEqual(runCli(['--check', 'src'], root).stdout, 'src/open.rs:3: missing doc comment for struct `Open`\n');
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    it('stops quietly when the reader closes the output early', async function () {
+        this.timeout(10000);
+        // Enough output to fill the pipe, so writes are still pending when it closes
+        const functions = Array.from({ length: 1000 }, (_, i) => `pub fn item_${i}(a: i32) -> i32 { a }\n`).join('');
+        const root = writeFiles({ 'src/lib.rs': functions });
+        try {
+            // Like `rustdocstring --diff src | head`: the pipe closes after the first chunk
+            const cli = spawn(process.execPath, [path.join(__dirname, '..', 'cli.js'), '--diff', 'src'], { cwd: root });
+            let stderr = '';
+            cli.stderr.on('data', chunk => { stderr += chunk; });
+            cli.stdout.once('data', () => cli.stdout.destroy());
+            const code = await new Promise(resolve => cli.on('close', resolve));
+            assert.deepStrictEqual([code, stderr], [0, '']);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    it('reports usage and configuration errors', () => {
+        const root = writeFiles({ 'bad.json': '{ "commentStyle": "fancy" }', 'lib.rs': 'pub fn a() {}\n' });
+        try {
+            assert.deepStrictEqual(runCli(['--check', '--diff', 'lib.rs'], root).code, 2);
+            assert.ok(/Unknown option --fast/.test(runCli(['--fast', 'lib.rs'], root).stderr));
+            assert.ok(/No files given/.test(runCli([], root).stderr));
+            assert.ok(/--visibility must be one of/.test(runCli(['--visibility=pub', 'lib.rs'], root).stderr));
+            const config = runCli(['--config', 'bad.json', '--check', 'lib.rs'], root);
+            assert.deepStrictEqual([config.code, /"commentStyle" must be one of: auto, line, block, attribute/.test(config.stderr)], [2, true]);
+            assert.strictEqual(runCli(['--help'], root).code, 0);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('checkDocComments()', () => {
+    const source = [
+        '/// Adds two numbers.',
+        '///',
+        '/// # Arguments',
+        '///',
+        '/// - `a` (`u8`) - The first number.',
+        '/// - `c` (`u8`) - Removed.',
+        '/// - ~~`d` (`u8`)~~ - Already marked.',
+        '///',
+        '/// # Returns',
+        '///',
+        '/// - `u8` - The sum.',
+        'pub fn add(a: u16, b: u16) {}',
+        '',
+        '/// Reads a byte.',
+        'pub unsafe fn read(p: *const u8) -> Result<u8, Error> { todo!() }',
+        '',
+        '/// A shape.',
+        '///',
+        '/// # Variants',
+        '///',
+        '/// - `Circle(f64)` - A circle.',
+        'pub enum Shape { Circle(f32), Square }',
+        '',
+        'pub fn undocumented(x: u8) {}',
+    ];
+    const options = { includeExamples: false };
+
+    it('reports stale, undocumented and mistyped entries and unexpected sections', () => {
+        // @ts-ignore
+        const problems = checkDocComments(createMockDocument(source), options);
+        assert.deepStrictEqual(problems.filter(p => p.itemLine === 11).map(p => [p.code, p.line, p.section]), [
+            ['undocumented-entry', 2, 'arguments'],
+            ['type-mismatch', 4, 'arguments'],
+            ['stale-entry', 5, 'arguments'],
+            ['unexpected-section', 8, 'returns'],
+        ]);
+        assert.strictEqual(problems[0].message, 'Parameter `b` of `add` is not documented.');
+        assert.strictEqual(problems[1].message, 'Parameter `a` (`u8`) of `add` does not match the signature: `a` (`u16`).');
+    });
+
+    it('compares types only for entries that write one', () => {
+        const lines = [
+            '/// Sends a message.',
+            '///',
+            '/// # Arguments',
+            '///',
+            '/// * `to` - The recipient.',
+            '/// * `body`: The text.',
+            '/// * `retries` (`u8`) - How often to retry.',
+            'pub fn send(to: &str, body: String, retries: u32) {}',
+            '',
+            '/// An event.',
+            '///',
+            '/// # Variants',
+            '///',
+            '/// - `Key` - A key press.',
+            '/// - `Move(i32)` - A move.',
+            'pub enum Event { Key(char), Move(i64) }',
+        ];
+        // @ts-ignore
+        const problems = checkDocComments(createMockDocument(lines), options);
+        assert.deepStrictEqual(problems.map(p => [p.code, p.line]), [['type-mismatch', 6], ['type-mismatch', 14]]);
+    });
+
+    it('reports missing safety and errors sections, and mistyped variants', () => {
+        // @ts-ignore
+        const problems = checkDocComments(createMockDocument(source), options);
+        assert.deepStrictEqual(problems.filter(p => p.itemLine !== 11).map(p => [p.code, p.line, p.section]), [
+            ['missing-section', 13, 'safety'],
+            ['missing-section', 13, 'errors'],
+            ['missing-section', 13, 'panics'],
+            ['undocumented-entry', 18, 'variants'],
+            ['type-mismatch', 20, 'variants'],
+        ]);
+        assert.ok(problems.some(p => p.message === '`read` is `unsafe` but has no `# Safety` section.'));
+        assert.ok(!problems.some(p => p.itemLine === 23), 'Undocumented items should not be reported');
+    });
+
+    it('reports a return entry that no longer matches the decomposed return type', () => {
+        const lines = ['/// Finds a value.', '///', '/// # Returns', '///', '/// - `Option<u8>` - The value.', 'pub fn find() -> Option<u16> {}'];
+        // @ts-ignore
+        const problems = checkDocComments(createMockDocument(lines), options);
+        assert.deepStrictEqual(problems.map(p => [p.code, p.line, p.message]), [
+            ['type-mismatch', 4, 'Return type `Option<u8>` of `find` does not match the signature: `Some(u16)`.'],
+        ]);
+    });
+
+    it('takes prose and member doc comments as documentation', () => {
+        const lines = [
+            '/// Adds two numbers.',
+            'pub fn add(a: u8, b: u8) -> u8 { a + b }',
+            '',
+            '/// Describe this function.',
+            'pub fn sub(a: u8, b: u8) -> u8 { a - b }',
+            '',
+            '/// A point.',
+            'pub struct Point {',
+            '    /// Across.',
+            '    pub x: f64,',
+            '    /// Down.',
+            '    pub y: f64,',
+            '}',
+            '',
+            '/// Describe this enum.',
+            '///',
+            '/// # Variants',
+            '///',
+            '/// - `A` - The first.',
+            'pub enum E {',
+            '    A,',
+            '    /// The second.',
+            '    B,',
+            '    C,',
+            '}',
+        ];
+        for (const memberDocs of ['list', 'inline']) {
+            // @ts-ignore
+            const problems = checkDocComments(createMockDocument(lines), { ...options, memberDocs });
+            assert.deepStrictEqual(problems.map(p => [p.code, p.line, p.section]), [
+                ['missing-section', 3, 'arguments'],
+                ['undocumented-entry', 16, 'variants'],
+            ], memberDocs);
+        }
+    });
+
+    it('follows sections renamed by a custom template', () => {
+        const templates = {
+            function: [
+                '{{tab "Describe this function."}}', '{{#if params}}', '', '# Parameters', '',
+                '{{#each params}}', '* `{{name}}`: {{tab "Describe this parameter."}}', '{{/each}}', '{{/if}}',
+            ].join('\n'),
+        };
+        const lines = ['/// Adds.', '///', '/// # Parameters', '///', '/// * `a`: The first.', '/// * `c`: Gone.', 'pub fn add(a: u8, b: u8) {}'];
+        // @ts-ignore
+        const problems = checkDocComments(createMockDocument(lines), { ...options, templates });
+        assert.deepStrictEqual(problems.map(p => [p.code, p.line, p.section, p.message]), [
+            ['undocumented-entry', 2, 'parameters', 'Parameter `b` of `add` is not documented.'],
+            ['stale-entry', 5, 'parameters', 'Parameter `c` is documented but is not in the signature of `add`.'],
+        ]);
+
+        // The quick fix merges the section in the template's format
+        // @ts-ignore
+        const fixed = updateDocSection(createMockDocument(lines), 2, 'parameters', { ...options, templates, staleEntries: 'remove' });
+        assert.strictEqual(fixed.text, ['/// Adds.', '///', '/// # Parameters', '///', '/// * `a`: The first.', '/// * `b`: Describe this parameter.'].join('\n'));
+    });
+
+    it('reads entries written with `*` and `+` bullets', () => {
+        const lines = ['/// Adds.', '///', '/// # Arguments', '///', '/// * `a` (`u8`) - A.', '/// + `c` (`u8`) - Gone.', 'pub fn add(a: u8, b: u8) {}'];
+        // @ts-ignore
+        const problems = checkDocComments(createMockDocument(lines), options);
+        assert.deepStrictEqual(problems.map(p => [p.code, p.line, p.message]), [
+            ['undocumented-entry', 2, 'Parameter `b` of `add` is not documented.'],
+            ['stale-entry', 5, 'Parameter `c` is documented but is not in the signature of `add`.'],
+        ]);
+    });
+
+    it('reports a missing panics section when enabled', () => {
+        // @ts-ignore
+        const problems = checkDocComments(createMockDocument(source), { ...options, includePanics: true });
+        assert.deepStrictEqual(problems.filter(p => p.section === 'panics').map(p => [p.code, p.line, p.itemLine]), [
+            ['missing-section', 13, 14],
+        ]);
+        assert.strictEqual(problems.find(p => p.section === 'panics').message, '`read` can panic but has no `# Panics` section.');
+    });
+
+    it('fixes only the affected section', () => {
+        const doc = createMockDocument(source);
+        // @ts-ignore
+        const args = updateDocSection(doc, 2, 'arguments', options);
+        assert.strictEqual(args.start, 0);
+        assert.strictEqual(args.end, 10);
+        assert.ok(args.text.includes('/// - `a` (`u16`) - The first number.\n/// - `b` (`u16`) - Describe this parameter.\n/// - ~~`c` (`u8`)~~ - Removed.'), 'Arguments not merged');
+        assert.ok(args.text.endsWith('/// # Returns\n///\n/// - `u8` - The sum.'), 'Other sections should be kept');
+
+        // @ts-ignore
+        const returns = updateDocSection(doc, 8, 'returns', options);
+        assert.ok(!returns.text.includes('# Returns') && returns.text.includes('`c` (`u8`)'), 'Only the returns section should be removed');
+
+        // @ts-ignore
+        const safety = updateDocSection(doc, 13, 'safety', options);
+        assert.strictEqual(safety.text, [
+            '/// Reads a byte.',
+            '///',
+            '/// # Safety',
+            '///',
+            '/// - **`p` (`*const u8`):**',
+            '///   - `p` must be non-null.',
+            '///   - `p` must be properly aligned for `u8`.',
+            '///   - `p` must be valid for reads of one initialized `u8`.',
+            '///   - The pointee must not be written to for the duration of the call.',
+            '/// - **This function is `unsafe` because:**',
+            '///   - Describe unsafe behavior.',
+        ].join('\n'));
+    });
+});
+
+describe('documentation coverage', () => {
+    const source = [
+        '/// Connects.',
+        'pub fn connect() {}',
+        '',
+        '/// Describe this function.',
+        '///',
+        '/// # Returns',
+        'pub fn close() -> bool { true }',
+        '',
+        'pub struct Socket;',
+        'fn private() {}',
+        '',
+        'pub mod http {',
+        '    #[doc = "Sends."]',
+        '    pub fn send() {}',
+        '}',
+    ].join('\n');
+
+    it('reports the status and module of each pub item', () => {
+        const { crate, items } = measureDocCoverage(createTextDocument(source, '/nowhere/net.rs'), null);
+        assert.strictEqual(crate, null);
+        assert.deepStrictEqual(items.map(item => [item.name, item.status, item.module]), [
+            ['connect', 'documented', 'crate::net'],
+            ['close', 'placeholder', 'crate::net'],
+            ['Socket', 'undocumented', 'crate::net'],
+            ['send', 'documented', 'crate::net::http'],
+        ]);
+        assert.deepStrictEqual(summarizeCoverage(items), { total: 4, documented: 2, placeholder: 1, undocumented: 1, percent: 50 });
+        assert.strictEqual(summarizeCoverage([]).percent, 100);
+    });
+
+    it('reads each line once, whatever the number of items', () => {
+        const lines = [
+            ...Array.from({ length: 200 }, (_, i) => [`/// Item ${i}.`, `pub fn item_${i}() {}`]).flat(),
+            '/** Describe this struct. */',
+            'pub struct Draft;',
+            '#[doc = "Describe this constant."]',
+            'pub const LIMIT: u8 = 1;',
+            'pub mod outer {',
+            '    mod inner {',
+            '        pub fn deep() {}',
+            '    }',
+            '}',
+        ];
+        const document = createMockDocument(lines, '/nowhere/net.rs');
+        let reads = 0;
+        const lineAt = document.lineAt;
+        document.lineAt = i => (reads++, lineAt(i));
+
+        const { items } = measureDocCoverage(document, null);
+        assert.strictEqual(reads, lines.length);
+        assert.deepStrictEqual(items.slice(-3).map(item => [item.name, item.status, item.module]), [
+            ['Draft', 'placeholder', 'crate::net'],
+            ['LIMIT', 'placeholder', 'crate::net'],
+            ['deep', 'undocumented', 'crate::net::outer::inner'],
+        ]);
+    });
+
+    it('groups files by crate and module', () => {
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'rustdocstring-'));
+        try {
+            fs.mkdirSync(path.join(root, 'src'));
+            fs.writeFileSync(path.join(root, 'Cargo.toml'), '[package]\nname = "net-kit"\n');
+            const files = {
+                'src/lib.rs': '/// Root.\npub fn root() {}\npub mod net;\n',
+                'src/net.rs': source,
+            };
+            const coverage = Object.entries(files).map(([name, text]) => ({
+                uri: name,
+                ...measureDocCoverage(createTextDocument(text, path.join(root, name))),
+            }));
+
+            const [crate, ...others] = groupCoverage(coverage);
+            assert.strictEqual(others.length, 0);
+            assert.strictEqual(crate.name, 'net_kit');
+            assert.deepStrictEqual(crate.summary, { total: 5, documented: 3, placeholder: 1, undocumented: 1, percent: 60 });
+            assert.deepStrictEqual(crate.modules.map(module => [module.name, module.uri, module.summary.percent, module.items.length]), [
+                ['net_kit', 'src/lib.rs', 100, 1],
+                ['net_kit::net', 'src/net.rs', 33, 3],
+                ['net_kit::net::http', 'src/net.rs', 100, 1],
+            ]);
+            assert.strictEqual(crate.modules[2].items[0].uri, 'src/net.rs');
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+});
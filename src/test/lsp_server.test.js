@@ -0,0 +1,181 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { pathToFileURL } = require('url');
+const { createMessageReader, formatMessage, DOCUMENT_ALL_COMMAND } = require('../lsp_server');
+
+/**
+ * Starts the server as a child process and talks to it over stdio, answering its `workspace/applyEdit`
+ * requests by recording the edits.
+ */
+function startClient() {
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'lsp_server.js'), '--stdio'], { stdio: ['pipe', 'pipe', 'inherit'] });
+    const waiting = new Map();
+    const notifications = [];
+    const appliedEdits = [];
+    let nextId = 1;
+
+    const send = message => server.stdin.write(formatMessage({ jsonrpc: '2.0', ...message }));
+    server.stdout.on('data', createMessageReader(message => {
+        if (message.method === 'workspace/applyEdit') {
+            appliedEdits.push(message.params.edit);
+            send({ id: message.id, result: { applied: true } });
+        } else if (message.method) {
+            notifications.push(message);
+        } else {
+            waiting.get(message.id)?.(message);
+            waiting.delete(message.id);
+        }
+    }, error => { throw error; }));
+
+    return {
+        notifications,
+        appliedEdits,
+        exited: new Promise(resolve => server.on('exit', code => resolve(code))),
+        notify: (method, params) => send({ method, params }),
+        request: (method, params) => new Promise(resolve => {
+            const id = nextId++;
+            waiting.set(id, resolve);
+            send({ id, method, params });
+        }),
+        kill: () => server.kill(),
+    };
+}
+
+describe('language server', function () {
+    this.timeout(10000);
+
+    let root;
+    let client;
+    const source = [
+        'pub fn add(a: i32, b: i32) -> i32 {',
+        '    a + b',
+        '}',
+        '',
+        '/// Documented.',
+        'pub struct Done;',
+        '',
+        'pub struct Point { pub x: i32 }',
+    ];
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'rustdocstring-lsp-'));
+        fs.mkdirSync(path.join(root, 'src'));
+        fs.writeFileSync(path.join(root, 'Cargo.toml'), '[package]\nname = "geo-kit"\n');
+        fs.writeFileSync(path.join(root, '.rustdocstring.json'), '{ "includeExamples": false, "bulkItemKinds": ["function", "struct"] }');
+        fs.writeFileSync(path.join(root, 'src', 'lib.rs'), source.join('\n'));
+        fs.writeFileSync(path.join(root, 'src', 'other.rs'), 'pub fn other() {}\n');
+        client = startClient();
+    });
+
+    afterEach(() => {
+        client.kill();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const libUri = () => pathToFileURL(path.join(root, 'src', 'lib.rs')).toString();
+
+    async function initialize(initializationOptions) {
+        const response = await client.request('initialize', { processId: null, rootUri: pathToFileURL(root).toString(), capabilities: {}, initializationOptions });
+        client.notify('initialized', {});
+        return response;
+    }
+
+    function open(lines) {
+        client.notify('textDocument/didOpen', { textDocument: { uri: libUri(), languageId: 'rust', version: 1, text: lines.join('\n') } });
+    }
+
+    it('frames messages split across chunks', () => {
+        const messages = [];
+        const read = createMessageReader(message => messages.push(message), error => { throw error; });
+        const framed = Buffer.from(formatMessage({ id: 1, method: 'a' }) + formatMessage({ id: 2, params: { text: 'é' } }));
+        for (let i = 0; i < framed.length; i += 7) read(framed.subarray(i, i + 7));
+        assert.deepStrictEqual(messages, [{ id: 1, method: 'a' }, { id: 2, params: { text: 'é' } }]);
+    });
+
+    it('initializes, shuts down, and exits with 0', async () => {
+        assert.strictEqual((await client.request('textDocument/completion', {})).error.code, -32002);
+
+        const { result } = await initialize();
+        assert.strictEqual(result.capabilities.textDocumentSync, 1);
+        assert.deepStrictEqual(result.capabilities.executeCommandProvider.commands, [DOCUMENT_ALL_COMMAND]);
+        assert.strictEqual((await client.request('textDocument/hover', {})).error.code, -32601);
+
+        assert.strictEqual((await client.request('shutdown')).result, null);
+        client.notify('exit');
+        assert.strictEqual(await client.exited, 0);
+    });
+
+    it('completes /// with the doc comment snippet', async () => {
+        await initialize();
+        open(['///', ...source]);
+
+        const { result } = await client.request('textDocument/completion', { textDocument: { uri: libUri() }, position: { line: 0, character: 3 } });
+        assert.strictEqual(result.length, 1);
+        assert.strictEqual(result[0].label, 'Generate Rust Doc Comment');
+        assert.strictEqual(result[0].insertTextFormat, 2);
+        assert.deepStrictEqual(result[0].textEdit.range, { start: { line: 0, character: 0 }, end: { line: 0, character: 3 } });
+        assert.ok(result[0].textEdit.newText.startsWith('/// ${1:Describe this function.}\n///\n/// # Arguments\n'), result[0].textEdit.newText);
+
+        // Edits reach the server, and lines without a trigger get nothing
+        client.notify('textDocument/didChange', { textDocument: { uri: libUri(), version: 2 }, contentChanges: [{ text: ['//! ', ...source].join('\n') }] });
+        const inner = await client.request('textDocument/completion', { textDocument: { uri: libUri() }, position: { line: 0, character: 3 } });
+        assert.ok(inner.result[0].textEdit.newText.startsWith('//! ${1:Describe this crate.}'), inner.result[0].textEdit.newText);
+        const none = await client.request('textDocument/completion', { textDocument: { uri: libUri() }, position: { line: 1, character: 3 } });
+        assert.deepStrictEqual(none.result, []);
+    });
+
+    it('sends inline member comments as additional edits, following the client settings', async () => {
+        await initialize({ commentStyle: 'line', memberDocs: 'inline' });
+        open([...source.slice(0, 7), '///', 'pub struct Point {', '    pub x: i32,', '}']);
+
+        const { result } = await client.request('textDocument/completion', { textDocument: { uri: libUri() }, position: { line: 7, character: 3 } });
+        assert.deepStrictEqual(result[0].additionalTextEdits, [
+            { range: { start: { line: 9, character: 0 }, end: { line: 9, character: 0 } }, newText: '    /// Describe this field.\n' },
+        ]);
+
+        client.notify('workspace/didChangeConfiguration', { settings: { rustdocstring: { memberDocs: 'sideways' } } });
+        const warning = await new Promise(resolve => setTimeout(() => resolve(client.notifications.find(n => n.method === 'window/showMessage')), 200));
+        assert.ok(/"memberDocs" must be one of: list, inline/.test(warning.params.message), JSON.stringify(client.notifications));
+    });
+
+    it('offers a generate doc code action for the undocumented item at the cursor', async () => {
+        await initialize();
+        open(source);
+
+        const actionsAt = async line => (await client.request('textDocument/codeAction', {
+            textDocument: { uri: libUri() },
+            range: { start: { line, character: 0 }, end: { line, character: 0 } },
+            context: { diagnostics: [], only: ['refactor'] },
+        })).result;
+
+        const [action] = await actionsAt(1);
+        assert.strictEqual(action.title, 'Generate Rust Doc Comment');
+        const [edit] = action.edit.changes[libUri()];
+        assert.deepStrictEqual(edit.range.start, { line: 0, character: 0 });
+        assert.ok(edit.newText.startsWith('/// Describe this function.\n///\n/// # Arguments\n'), edit.newText);
+
+        assert.deepStrictEqual(await actionsAt(5), [], 'Documented items have no action');
+    });
+
+    it('documents every undocumented item in a file or the workspace', async () => {
+        await initialize();
+        open(source);
+
+        const file = await client.request('workspace/executeCommand', { command: DOCUMENT_ALL_COMMAND, arguments: [libUri()] });
+        assert.deepStrictEqual(file.result, { applied: true, itemCount: 2 });
+        assert.deepStrictEqual(client.appliedEdits[0].changes[libUri()].map(edit => [edit.range.start.line, edit.newText.split('\n')[0]]), [
+            [0, '/// Describe this function.'],
+            [7, '/// Describe this struct.'],
+        ]);
+
+        const workspace = await client.request('workspace/executeCommand', { command: DOCUMENT_ALL_COMMAND, arguments: [] });
+        assert.deepStrictEqual(workspace.result, { applied: true, itemCount: 3 });
+        assert.deepStrictEqual(Object.keys(client.appliedEdits[1].changes).map(uri => path.basename(uri)), ['lib.rs', 'other.rs']);
+
+        const unknown = await client.request('workspace/executeCommand', { command: 'rustdocstring.nope' });
+        assert.strictEqual(unknown.error.code, -32602);
+    });
+});
@@ -0,0 +1,332 @@
+const assert = require('assert');
+const { tokenize, tokensToText } = require('../tokenizer');
+const { parseItem, readItem, withoutPlainComments } = require('../item_parser');
+const { findNextSignatureBlock, findEnclosingBlockHeader, collectModuleItems } = require('../utils');
+const { getRustItemType, generateDocComment } = require('../docgen');
+const { scanItems } = require('../bulk_docs');
+
+/**
+ * Checks that every key of `expected` matches `actual`, recursing into objects and arrays, so each
+ * corpus entry only lists the parts of the parsed item it is about.
+ */
+function assertMatches(actual, expected, path = 'item') {
+    if (expected === null || typeof expected !== 'object') {
+        assert.deepStrictEqual(actual, expected, `${path}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        return;
+    }
+    assert.ok(actual !== null && typeof actual === 'object', `${path}: expected an object, got ${JSON.stringify(actual)}`);
+    if (Array.isArray(expected)) {
+        assert.strictEqual(actual.length, expected.length, `${path}: expected ${expected.length} entries, got ${JSON.stringify(actual)}`);
+    }
+    for (const key of Object.keys(expected)) assertMatches(actual[key], expected[key], `${path}.${key}`);
+}
+
+describe('tokenize()', () => {
+    const values = text => tokenize(text).map(token => token.value);
+
+    it('keeps brackets inside string, raw string and char literals', () => {
+        assert.deepStrictEqual(values('f("}", r#"a"{b"#, \'{\', b\'"\', \'\\\'\')'), ['f', '(', '"}"', ',', 'r#"a"{b"#', ',', "'{'", ',', 'b\'"\'', ',', "'\\''", ')']);
+        assert.deepStrictEqual(values('br##"x"#y"## c"nul" b"\\"}"'), ['br##"x"#y"##', 'c"nul"', 'b"\\"}"']);
+    });
+
+    it('tells lifetimes and labels from char literals', () => {
+        const tokens = tokenize("fn f<'a>(x: &'a str) { 'outer: loop {} let c = 'a'; let u = '\\u{1F600}'; }");
+        assert.deepStrictEqual(tokens.filter(t => t.kind === 'lifetime').map(t => t.value), ["'a", "'a", "'outer"]);
+        assert.deepStrictEqual(tokens.filter(t => t.kind === 'char').map(t => t.value), ["'a'", "'\\u{1F600}'"]);
+    });
+
+    it('reads nested block comments and classifies doc comments', () => {
+        const tokens = tokenize('/* a /* b */ c */ x /// outer\n//! inner\n/** block */ /*! inner block */ /**/ //// plain');
+        assert.deepStrictEqual(tokens.map(t => [t.kind, t.doc ?? null]), [
+            ['comment', null], ['ident', null], ['comment', 'outer'], ['comment', 'inner'],
+            ['comment', 'outer'], ['comment', 'inner'], ['comment', null], ['comment', null],
+        ]);
+    });
+
+    it('splits numbers, ranges, raw identifiers and multi-character punctuation', () => {
+        assert.deepStrictEqual(values('0..10 x.0.1 1_000u64 1.5e3f32 0x7f r#type a::b -> => ..= ...'), [
+            '0', '..', '10', 'x', '.', '0.1', '1_000u64', '1.5e3f32', '0x7f', 'r#type', 'a', '::', 'b', '->', '=>', '..=', '...',
+        ]);
+        assert.deepStrictEqual(values('Vec<Vec<u8>>='), ['Vec', '<', 'Vec', '<', 'u8', '>', '>', '=']);
+    });
+
+    it('tracks lines and survives unterminated literals', () => {
+        const tokens = tokenize('a\n"multi\nline"\nb');
+        assert.deepStrictEqual(tokens.map(t => [t.line, t.endLine]), [[0, 0], [1, 2], [3, 3]]);
+        assert.deepStrictEqual(values('f("open'), ['f', '(', '"open']);
+        assert.deepStrictEqual(values('x /* open'), ['x', '/* open']);
+    });
+
+    it('joins tokens with normalized spacing and without comments', () => {
+        assert.strictEqual(tokensToText(tokenize('fn  f( a :u8 , /* c */ b:&mut\n\tT )')), 'fn f( a :u8 , b:&mut T )');
+    });
+});
+
+describe('parseItem() corpus', () => {
+    const corpus = [
+        // Functions
+        ['plain function', 'fn add(a: i32, b: i32) -> i32 { a + b }',
+            { kind: 'function', name: 'add', visibility: '', params: [{ name: 'a', type: 'i32' }, { name: 'b', type: 'i32' }], returnType: 'i32', hasBody: true }],
+        ['restricted visibility', 'pub(in crate::net) fn f() {}', { visibility: 'pub(in crate::net)', returnType: null }],
+        ['pub(super) and pub(self)', 'pub(super) fn f(); ', { visibility: 'pub(super)', hasBody: false }],
+        ['every function modifier', 'pub const async unsafe extern "C" fn f() {}',
+            { modifiers: { const: true, async: true, unsafe: true, extern: true, safe: false }, abi: 'C' }],
+        ['raw string ABI', 'extern r"system" fn f() {}', { abi: 'system', modifiers: { extern: true } }],
+        ['default fn in specialization', 'default fn f(&self) {}', { kind: 'function', modifiers: { default: true } }],
+        ['safe fn in an extern block', 'pub safe fn sqrt(x: f64) -> f64;', { modifiers: { safe: true }, hasBody: false }],
+        ['const fn is a function', 'pub const fn new() -> Self { Self }', { kind: 'function', modifiers: { const: true } }],
+        ['nested generics', 'fn f<T: Into<Vec<u8>>, U>(t: T) -> HashMap<String, Vec<U>> {}',
+            { generics: '<T: Into<Vec<u8>>, U>', params: [{ name: 't', type: 'T' }], returnType: 'HashMap<String, Vec<U>>' }],
+        ['closing >> of nested generics', 'fn f(v: Vec<Vec<u8>>, w: u8) {}', { params: [{ type: 'Vec<Vec<u8>>' }, { name: 'w' }] }],
+        ['impl Fn argument with arrow', 'fn apply(f: impl Fn(u8, u8) -> u8, x: u8) -> u8 {}',
+            { params: [{ name: 'f', type: 'impl Fn(u8, u8) -> u8' }, { name: 'x', type: 'u8' }] }],
+        ['function pointer argument', 'fn cb(f: fn(i32) -> i32, g: extern "C" fn()) {}',
+            { params: [{ name: 'f', type: 'fn(i32) -> i32' }, { name: 'g', type: 'extern "C" fn()' }] }],
+        ['dyn trait object with lifetime', "fn f(e: Box<dyn Error + Send + Sync + 'static>) {}", { params: [{ type: "Box<dyn Error + Send + Sync + 'static>" }] }],
+        ['tuple and array arguments', 'fn f(pair: (u8, (u16, u32)), buf: [u8; 4], s: &[&str]) {}',
+            { params: [{ name: 'pair', type: '(u8, (u16, u32))' }, { name: 'buf', type: '[u8; 4]' }, { name: 's', type: '&[&str]' }] }],
+        ['destructuring patterns', 'fn f((a, b): (u8, u8), Point { x, y }: Point, mut n: u8, _: u8) {}',
+            { params: [{ name: '(a, b)', type: '(u8, u8)' }, { name: 'Point { x, y }', type: 'Point' }, { name: 'mut n' }, { name: '_' }] }],
+        ['parameter attributes', 'fn f(#[allow(unused)] a: u8, #[cfg(x)] b: u8) {}',
+            { params: [{ name: 'a', attributes: [{ name: 'allow', args: 'unused' }] }, { name: 'b', attributes: [{ name: 'cfg' }] }] }],
+        ['comments inside a signature', 'fn f(/* first */ a: u8, // the second\n b: u8 /* } */) -> u8 // done\n{',
+            { params: [{ name: 'a' }, { name: 'b', type: 'u8' }], returnType: 'u8', hasBody: true }],
+        ['string default with a brace', 'fn f(s: &str) -> &str { "}" }', { hasBody: true, complete: true }],
+        ['where clause', 'fn f<T>(t: T) -> T where T: Clone + Debug, for<\'a> &\'a T: Into<u8> {',
+            { whereClause: "T: Clone + Debug, for<'a> &'a T: Into<u8>", returnType: 'T' }],
+        ['where clause without return type', 'fn f<T>(t: T) where T: Copy;', { whereClause: 'T: Copy', returnType: null, hasBody: false }],
+        ['const generics with defaults and braces', 'fn f<const N: usize = { 2 > 1 } , T>(a: [T; N]) {}',
+            { generics: '<const N: usize = { 2 > 1 } , T>', params: [{ type: '[T; N]' }] }],
+        ['higher-ranked closure bound', "fn f<F>(f: F) where F: for<'a> Fn(&'a str) -> &'a str {}", { whereClause: "F: for<'a> Fn(&'a str) -> &'a str" }],
+        ['impl Trait return', 'fn iter(&self) -> impl Iterator<Item = &u8> + \'_ {', { returnType: "impl Iterator<Item = &u8> + '_" }],
+        ['never return type', 'pub fn fail(msg: &str) -> ! {', { returnType: '!' }],
+        ['unit return type', 'fn f() -> () {}', { returnType: '()' }],
+        ['qualified path types', 'fn f(x: <T as Trait>::Output) -> <I as IntoIterator>::Item {}',
+            { params: [{ type: '<T as Trait>::Output' }], returnType: '<I as IntoIterator>::Item' }],
+        ['raw identifiers', 'fn r#match(r#type: u8) -> r#fn {}', { name: 'r#match', params: [{ name: 'r#type' }], returnType: 'r#fn' }],
+        ['unicode identifiers', 'fn größe(länge: u8) {}', { name: 'größe', params: [{ name: 'länge' }] }],
+        ['C variadic', 'pub unsafe extern "C" fn printf(fmt: *const c_char, ...) -> c_int;',
+            { params: [{ name: 'fmt', type: '*const c_char' }], variadic: true, returnType: 'c_int' }],
+        ['named C variadic', 'unsafe extern "C" fn f(n: i32, mut args: ...) {}', { params: [{ name: 'n' }], variadic: true }],
+        ['trailing comma across lines', 'pub fn example(\n    arg1: i32,\n    arg2: String,\n) -> Result<(), Box<dyn Error>> {',
+            { params: [{ name: 'arg1' }, { name: 'arg2' }], returnType: 'Result<(), Box<dyn Error>>' }],
+        ['lifetimes and bounds', "fn longest<'a, 'b: 'a>(x: &'a str, y: &'b str) -> &'a str {", { generics: "<'a, 'b: 'a>", params: [{ type: "&'a str" }, { type: "&'b str" }] }],
+        ['attributes and doc comments before the item', '/// Docs.\n#[inline(always)]\n#[cfg_attr(feature = "x", must_use = "why")]\npub fn f() {}',
+            { docs: ['Docs.'], attributes: [{ name: 'inline', args: 'always' }, { name: 'cfg_attr', args: 'feature = "x", must_use = "why"' }], line: 3, startLine: 0 }],
+        ['block doc comment', '/**\n * Block docs.\n */\nfn f() {}', { docs: ['Block docs.'], line: 3 }],
+        ['partial signature', 'pub fn partial(a: u8,', { kind: 'function', params: [{ name: 'a' }], complete: false }],
+
+        // Receivers
+        ['shared receiver', 'fn len(&self) -> usize', { receiver: { text: '&self', isReference: true, isMutable: false }, params: [] }],
+        ['mutable receiver with lifetime', "fn f(&'a mut self, x: u8)", { receiver: { text: "&'a mut self", isMutable: true }, params: [{ name: 'x' }] }],
+        ['owned mutable receiver', 'fn into(mut self) -> Self', { receiver: { text: 'mut self', isReference: false, isMutable: false } }],
+        ['typed receivers', 'fn poll(self: Pin<&mut Self>, cx: &mut Context<\'_>) -> Poll<()>',
+            { receiver: { type: 'Pin<&mut Self>', isPinned: true, isMutable: true }, params: [{ name: 'cx' }] }],
+        ['boxed receiver', 'fn f(self: Box<Self>)', { receiver: { type: 'Box<Self>', isPinned: false }, params: [] }],
+        ['self is only a receiver first', 'fn f(a: u8, self_: u8)', { receiver: null, params: [{ name: 'a' }, { name: 'self_' }] }],
+
+        // Structs and unions
+        ['named struct', 'pub struct Point { pub x: i32, pub(crate) y: i32, z: i32 }',
+            { kind: 'struct', shape: 'named', fields: [{ name: 'x', visibility: 'pub' }, { name: 'y', visibility: 'pub(crate)' }, { name: 'z', visibility: '' }] }],
+        ['tuple struct with where clause', 'pub struct Wrapper<T>(pub T, PhantomData<*const ()>) where T: Send;',
+            { shape: 'tuple', fields: [{ name: 'field_0', type: 'T' }, { name: 'field_1', type: 'PhantomData<*const ()>' }], whereClause: 'T: Send' }],
+        ['unit struct', 'pub struct Marker;', { shape: 'unit', fields: [], complete: true }],
+        ['empty braces', 'struct Empty {}', { shape: 'named', fields: [] }],
+        ['field attributes and docs', 'struct S {\n    /// The id.\n    #[serde(rename = "ID")]\n    id: u64,\n    // plain comment\n    name: String,\n}',
+            { fields: [{ name: 'id', docs: ['The id.'], attributes: [{ name: 'serde', args: 'rename = "ID"' }] }, { name: 'name', docs: [] }] }],
+        ['fields with nested generics and closures', 'struct S<K, V> where K: Hash { map: HashMap<K, Vec<V>>, f: Box<dyn Fn(K) -> V>, arr: [u8; 32] }',
+            { whereClause: 'K: Hash', fields: [{ type: 'HashMap<K, Vec<V>>' }, { type: 'Box<dyn Fn(K) -> V>' }, { type: '[u8; 32]' }] }],
+        ['const generic struct', 'struct Buf<const N: usize, T = u8>([T; N]);', { generics: '<const N: usize, T = u8>', fields: [{ type: '[T; N]' }] }],
+        ['lifetime struct', "pub struct Parser<'a> { input: &'a str }", { generics: "<'a>", fields: [{ type: "&'a str" }] }],
+        ['union', 'pub union IntOrFloat { i: u32, f: f32 }', { kind: 'union', fields: [{ name: 'i' }, { name: 'f' }] }],
+        ['union is a contextual keyword', 'union::foo();', null],
+
+        // Enums
+        ['enum with every variant kind', 'pub enum Message { Quit, Move { x: i32, y: i32 }, Write(String), Color(u8, u8, u8), }',
+            { kind: 'enum', variants: [
+                { name: 'Quit', kind: 'unit' },
+                { name: 'Move', kind: 'struct', fields: [{ name: 'x' }, { name: 'y' }] },
+                { name: 'Write', kind: 'tuple', types: ['String'] },
+                { name: 'Color', kind: 'tuple', types: ['u8', 'u8', 'u8'] },
+            ] }],
+        ['discriminants with shifts and comparisons', '#[repr(u8)] enum Flags { A = 1 << 0, B = 1 << 1, C = (2 > 1) as u8, D = size_of::<u32>() as u8 }',
+            { variants: [{ name: 'A', discriminant: '1 << 0' }, { name: 'B', discriminant: '1 << 1' }, { name: 'C', discriminant: '(2 > 1) as u8' }, { name: 'D', discriminant: 'size_of::<u32>() as u8' }] }],
+        ['variant attributes and docs', 'enum E {\n    /// The default.\n    #[default]\n    A,\n    #[error("bad: {0}")]\n    B(String),\n}',
+            { variants: [{ name: 'A', docs: ['The default.'], attributes: [{ name: 'default' }] }, { name: 'B', attributes: [{ name: 'error', args: '"bad: {0}"' }] }] }],
+        ['generic enum with where clause', 'pub enum Either<L, R> where L: Debug { Left(L), Right(R) }', { generics: '<L, R>', whereClause: 'L: Debug', variants: [{ name: 'Left' }, { name: 'Right' }] }],
+        ['variant with a tuple of generics', 'enum E { A(HashMap<u8, (u8, u8)>, Vec<u8>) }', { variants: [{ types: ['HashMap<u8, (u8, u8)>', 'Vec<u8>'] }] }],
+
+        // Traits
+        ['trait members', 'pub trait Shape: Debug + Clone { type Out: Sized; const N: usize = 3; fn area(&self) -> f64; fn size(&self) -> usize { 1 } }',
+            { kind: 'trait', supertraits: ['Debug', 'Clone'], members: [
+                { kind: 'type', name: 'Out', bounds: 'Sized', aliased: null },
+                { kind: 'const', name: 'N', type: 'usize', value: '3' },
+                { kind: 'function', name: 'area', hasBody: false, header: 'fn area(&self) -> f64' },
+                { kind: 'function', name: 'size', hasBody: true, header: 'fn size(&self) -> usize' },
+            ] }],
+        ['unsafe auto trait', 'pub unsafe auto trait Marker {}', { modifiers: { unsafe: true, auto: true }, members: [] }],
+        ['generic trait with where clause', 'trait Conv<T>: Sized where T: Copy { fn conv(t: T) -> Self; }', { generics: '<T>', supertraits: ['Sized'], whereClause: 'T: Copy', members: [{ name: 'conv' }] }],
+        ['supertrait with generics and lifetimes', "trait A: Iterator<Item = u8> + for<'a> Fn(&'a u8) + 'static {}", { supertraits: ['Iterator<Item = u8>', "for<'a> Fn(&'a u8)", "'static"] }],
+        ['trait body with braces in strings', 'trait T { fn f(&self) -> &str { "{" } fn g(&self); }', { members: [{ name: 'f', hasBody: true }, { name: 'g', hasBody: false }] }],
+        ['GAT with where clause', "trait L { type Item<'a> where Self: 'a; fn get<'a>(&'a self) -> Self::Item<'a>; }",
+            { members: [{ kind: 'type', name: 'Item', generics: "<'a>", whereClause: "Self: 'a" }, { returnType: "Self::Item<'a>" }] }],
+        ['macro calls in a trait body are skipped', 'trait T { my_macro!(); fn f(&self); }', { members: [{ name: 'f' }] }],
+
+        // Type aliases, consts, statics
+        ['type alias', 'pub type Result<T, E = Error> = std::result::Result<T, E>;', { kind: 'type', generics: '<T, E = Error>', aliased: 'std::result::Result<T, E>' }],
+        ['type alias to a closure', 'type Callback = Box<dyn Fn(&str) -> bool + Send>;', { aliased: 'Box<dyn Fn(&str) -> bool + Send>' }],
+        ['const with a comparison', 'pub const BIG: bool = SIZE > 1 && SIZE < 10;', { kind: 'const', type: 'bool', value: 'SIZE > 1 && SIZE < 10' }],
+        ['const with a string containing a semicolon', 'const S: &str = "a;b";', { value: '"a;b"', complete: true }],
+        ['unnamed const', 'const _: () = assert!(true);', { name: '_', type: '()' }],
+        ['static mut', 'pub static mut COUNTER: AtomicUsize = AtomicUsize::new(0);', { kind: 'static', name: 'COUNTER', modifiers: { mut: true }, type: 'AtomicUsize' }],
+        ['static with a block value', 'static TABLE: [u8; 3] = { let t = [1, 2, 3]; t };', { type: '[u8; 3]', value: '{ let t = [1, 2, 3]; t }', complete: true }],
+
+        // Blocks
+        ['extern block', 'extern "C" { #[link_name = "abs"] fn c_abs(input: i32) -> i32; static mut errno: c_int; pub safe fn f(); }',
+            { kind: 'extern', name: 'extern "C"', abi: 'C', members: [{ name: 'c_abs' }, { kind: 'static', name: 'errno', modifiers: { mut: true } }, { name: 'f', modifiers: { safe: true } }] }],
+        ['unsafe extern block without ABI', 'unsafe extern { fn f(); }', { kind: 'extern', name: 'extern', abi: null, modifiers: { unsafe: true } }],
+        ['trait impl', "impl<'a, T: Clone> From<&'a [T]> for Stack<T> where T: Send { fn from(s: &'a [T]) -> Self { todo!() } }",
+            { kind: 'impl', traitName: "From<&'a [T]>", typeName: 'Stack<T>', whereClause: 'T: Send', members: [{ name: 'from' }] }],
+        ['negative impl', 'impl !Send for Raw {}', { traitName: 'Send', typeName: 'Raw', negative: true }],
+        ['inline module', 'pub mod net { pub fn connect() {} struct Hidden; }', { kind: 'mod', name: 'net', members: [{ name: 'connect' }, { name: 'Hidden' }] }],
+        ['module declaration', '#[cfg(test)] mod tests;', { kind: 'mod', name: 'tests', attributes: [{ name: 'cfg', args: 'test' }] }],
+        ['use declaration', 'pub use crate::{a::B, c::*};', { kind: 'use', visibility: 'pub' }],
+        ['extern crate', 'extern crate alloc;', { kind: 'extern crate', name: 'alloc' }],
+        ['macro_rules', 'macro_rules! square { ($x:expr) => { $x * $x }; }', { kind: 'macro', name: 'square' }],
+
+        // Not items
+        ['let statement', 'let x = 5;', null],
+        ['expression', 'x.0.1 + 2', null],
+        ['unsafe block', 'unsafe { f() }', null],
+        ['async block', 'async move { f().await }', null],
+        ['empty text', '', null],
+    ];
+
+    for (const [title, source, expected] of corpus) {
+        it(title, () => {
+            const item = parseItem(source);
+            if (expected === null) assert.strictEqual(item, null, `expected no item, got ${JSON.stringify(item)}`);
+            else assertMatches(item, expected);
+        });
+    }
+
+    it('reads consecutive items and skips statements between them', () => {
+        const tokens = withoutPlainComments(tokenize('foo!(); fn a() {} // x\nstruct B; let c = 1; enum D { E }'));
+        const kinds = [];
+        for (let i = 0; i < tokens.length;) {
+            const read = readItem(tokens, i);
+            kinds.push(read.item?.kind ?? null);
+            i = Math.max(read.end, i + 1);
+        }
+        assert.deepStrictEqual(kinds, [null, 'function', 'struct', null, 'enum']);
+    });
+});
+
+describe('item parser consumers', () => {
+    function createMockDocument(lines) {
+        return {
+            lineCount: lines.length,
+            lineAt: (i) => ({ text: lines[i] })
+        };
+    }
+
+    it('classifies items with attributes, literals and partial signatures', () => {
+        assert.strictEqual(getRustItemType('#[inline] pub(crate) const unsafe fn f('), 'function');
+        assert.strictEqual(getRustItemType('pub const fn'), null);
+        assert.strictEqual(getRustItemType('impl Foo {'), null);
+        assert.strictEqual(getRustItemType('extern crate alloc;'), null);
+        assert.strictEqual(getRustItemType('unsafe extern "C" {'), 'extern');
+    });
+
+    it('collects signatures whose literals and comments contain brackets', () => {
+        const doc = createMockDocument([
+            '///',
+            '#[doc(alias = "]")]',
+            'pub const OPEN: &str = "{ // not a comment";',
+            '///',
+            'pub fn f(',
+            '    c: char, // a trailing ) comment',
+            ') -> char { \'}\' }',
+            'struct After;',
+        ]);
+        // @ts-ignore
+        assert.strictEqual(findNextSignatureBlock(doc, 0), 'pub const OPEN: &str = "{ // not a comment";');
+        // @ts-ignore
+        assert.strictEqual(findNextSignatureBlock(doc, 3), 'pub fn f( c: char, ) -> char {');
+    });
+
+    it('reads items longer than one chunk of lines', () => {
+        const fields = Array.from({ length: 100 }, (_, i) => `    f${i}: u8,`);
+        const doc = createMockDocument(['///', 'struct Big {', ...fields, '}', 'fn after() {}']);
+        // @ts-ignore
+        const signature = findNextSignatureBlock(doc, 0);
+        assert.ok(signature.startsWith('struct Big { f0: u8,'));
+        assert.ok(signature.endsWith('f99: u8, }'));
+        assert.strictEqual(parseItem(signature).fields.length, 100);
+    });
+
+    it('finds enclosing headers past braces in strings and attributes', () => {
+        const doc = createMockDocument([
+            '#[cfg(unix)]',
+            'impl Foo {',
+            '    const OPEN: &str = "{";',
+            '    fn f() { let c = \'}\'; }',
+            '    ///',
+            '    fn g() {}',
+            '}',
+        ]);
+        // @ts-ignore
+        assert.strictEqual(findEnclosingBlockHeader(doc, 4), 'impl Foo {');
+    });
+
+    it('collects module items across multi-line items and literals', () => {
+        const doc = createMockDocument([
+            '//!',
+            'pub fn open(path: &str) -> Result<(), &\'static str> {',
+            '    let _ = "}";',
+            '    Ok(())',
+            '}',
+            '#[derive(Debug)]',
+            'pub struct Config {',
+            '    pub name: String,',
+            '}',
+            'pub(crate) fn hidden() {}',
+        ]);
+        // @ts-ignore
+        assert.deepStrictEqual(collectModuleItems(doc, 0), [{ kind: 'fn', name: 'open', line: 1 }, { kind: 'struct', name: 'Config', line: 6 }]);
+    });
+
+    it('scans nested items without being misled by literals', () => {
+        const doc = createMockDocument([
+            'const BRACE: char = \'{\';',
+            'pub trait T {',
+            '    /// Docs.',
+            '    fn a(&self) -> &str { "}" }',
+            '}',
+            '#[cfg(test)]',
+            'mod tests {',
+            '    fn helper() {}',
+            '}',
+            'impl Display for X {',
+            '    fn fmt(&self) {}',
+            '}',
+        ]);
+        // @ts-ignore
+        assert.deepStrictEqual(scanItems(doc).map(item => [item.kind, item.name, item.visibility, item.documented]), [
+            ['const', 'BRACE', 'private', false],
+            ['trait', 'T', 'public', false],
+            ['function', 'a', 'public', true],
+        ]);
+    });
+
+    it('generates docs from tricky signatures', () => {
+        const doc = generateDocComment('pub fn f(/* ) */ cb: impl Fn(u8) -> Result<u8, ()>, r#type: &str) -> Result<(), String> {', {});
+        assert.ok(doc.includes('`cb` (`impl Fn(u8) -> Result<u8, ()>`)'));
+        assert.ok(doc.includes('`r#type` (`&str`)'));
+        assert.ok(doc.includes('# Errors'));
+
+        const enumDoc = generateDocComment('#[repr(u8)] pub enum Flags { A = 1 << 0, B = 1 << 1 }', {});
+        assert.ok(enumDoc.includes('`A`'));
+        assert.ok(enumDoc.includes('Flags::B => {}'));
+    });
+});
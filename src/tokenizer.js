@@ -0,0 +1,212 @@
+/**
+ * Punctuation made of several characters that is kept as one token. `<`, `>`, and `=` are always
+ * single tokens, so `Vec<Vec<u8>>` closes with two `>` tokens.
+ */
+const MULTI_CHAR_PUNCTUATION = ['..=', '...', '::', '->', '=>', '..'];
+
+// Sticky patterns, matched at the current offset without copying the rest of the text
+const STRING_PREFIX = /(?:br|cr|b|c|r)(?=#*")|b(?=')/y;
+const IDENTIFIER = /(?:r#)?[A-Za-z_\u0080-\uFFFF][\w\u0080-\uFFFF]*/y;
+const CHAR_LITERAL = /'(?:\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F_]*\}|.)|[^'\\\n])'/y;
+const LIFETIME = /'(?:r#)?[A-Za-z_\u0080-\uFFFF][\w\u0080-\uFFFF]*/y;
+const NUMBER = /[0-9]\w*(?:\.[0-9]\w*)?(?:[eE][+-]?[0-9_]+\w*)?/y;
+const RAW_STRING_HASHES = /#*/y;
+
+/**
+ * Splits Rust source text into tokens.
+ *
+ * Understands everything that can hide brackets, quotes, or comment markers from a naive scan:
+ * - Line comments (`//`, `///`, `//!`) and nested block comments, including `/**` and `/*!` doc comments.
+ * - String literals with escapes, byte and C strings (`b"..."`, `c"..."`), and raw strings with any
+ *   number of hashes (`r#"..."#`, `br##"..."##`).
+ * - Character and byte literals (`'{'`, `'\''`, `b'"'`, `'\u{1F600}'`), told apart from lifetimes
+ *   and labels (`'a`, `'static`, `'outer:`).
+ * - Raw identifiers (`r#type`) and numbers with suffixes (`1_000u64`, `0x7f`, `1.5e3f32`).
+ *
+ * Unterminated strings and comments run to the end of the text rather than throwing, so partially
+ * typed code can still be tokenized.
+ *
+ * ### Example
+ * Input:
+ * ```text
+ * fn f(s: &'a str) -> &str { "}" }
+ * ```
+ * Output (values):
+ * ```text
+ * ["fn", "f", "(", "s", ":", "&", "'a", "str", ")", "->", "&", "str", "{", "\"}\"", "}"]
+ * ```
+ *
+ * @param {string} text - The source text.
+ * @returns {{ kind: "ident"|"lifetime"|"string"|"char"|"number"|"punct"|"comment", value: string, start: number,
+ *   end: number, line: number, endLine: number, doc?: "outer"|"inner"|null }[]} The tokens in order. `start` and
+ *   `end` are offsets into `text`, `line` and `endLine` the zero-based lines the token starts and ends on. Comment
+ *   tokens have a `doc` kind: `outer` for `///` and `/**`, `inner` for `//!` and `/*!`, `null` otherwise.
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    let line = 0;
+
+    const push = (kind, start, extra = {}) => {
+        const value = text.slice(start, i);
+        const newlines = value.split('\n').length - 1;
+        tokens.push({ kind, value, start, end: i, line, endLine: line + newlines, ...extra });
+        line += newlines;
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        const start = i;
+
+        if (char === '\n') {
+            line++;
+            i++;
+        } else if (/\s/.test(char)) {
+            i++;
+        } else if (text.startsWith('//', i)) {
+            const newline = text.indexOf('\n', i);
+            i = newline === -1 ? text.length : newline;
+            const doc = /^\/\/\/(?!\/)/.test(text.slice(start, start + 4)) ? 'outer' : text.startsWith('//!', start) ? 'inner' : null;
+            push('comment', start, { doc });
+        } else if (text.startsWith('/*', i)) {
+            i = skipBlockComment(text, i);
+            const opening = text.slice(start, start + 4);
+            const doc = /^\/\*\*(?![*/])/.test(opening) ? 'outer' : opening.startsWith('/*!') ? 'inner' : null;
+            push('comment', start, { doc });
+        } else if (/[A-Za-z_\u0080-\uFFFF]/.test(char)) {
+            const prefix = matchAt(STRING_PREFIX, text, i);
+            if (prefix && (prefix[0].includes('r'))) {
+                i = skipRawString(text, i + prefix[0].length);
+                push('string', start);
+            } else if (prefix && text[i + prefix[0].length] === '"') {
+                i = skipQuoted(text, i + prefix[0].length, '"');
+                push('string', start);
+            } else if (prefix) {
+                i = skipQuoted(text, i + 1, "'");
+                push('char', start);
+            } else {
+                // Raw identifiers (`r#type`) are a single identifier
+                i += matchAt(IDENTIFIER, text, i)[0].length;
+                push('ident', start);
+            }
+        } else if (char === '"') {
+            i = skipQuoted(text, i, '"');
+            push('string', start);
+        } else if (char === "'") {
+            const charLiteral = matchAt(CHAR_LITERAL, text, i);
+            const lifetime = matchAt(LIFETIME, text, i);
+            if (charLiteral) {
+                i += charLiteral[0].length;
+                push('char', start);
+            } else if (lifetime) {
+                i += lifetime[0].length;
+                push('lifetime', start);
+            } else {
+                i++;
+                push('punct', start);
+            }
+        } else if (/[0-9]/.test(char)) {
+            // A `.` belongs to the number only when a digit follows, so `0..10` and `x.0.1` split correctly
+            i += matchAt(NUMBER, text, i)[0].length;
+            push('number', start);
+        } else {
+            const multi = MULTI_CHAR_PUNCTUATION.find(p => text.startsWith(p, i));
+            i += multi ? multi.length : 1;
+            push('punct', start);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Joins tokens back into source text with normalized spacing: a single space wherever the source
+ * had whitespace or a comment between two tokens, and nothing elsewhere. Comment tokens are dropped.
+ *
+ * @param {ReturnType<typeof tokenize>} tokens - The tokens to join, in source order.
+ * @returns {string} The joined text.
+ */
+function tokensToText(tokens) {
+    let text = '';
+    let previous = null;
+
+    for (const token of tokens) {
+        if (token.kind === 'comment') continue;
+        if (previous && token.start > previous.end) text += ' ';
+        text += token.value;
+        previous = token;
+    }
+
+    return text;
+}
+
+/**
+ * Returns the offset after a (possibly nested) block comment starting at `start`.
+ *
+ * @param {string} text - The source text.
+ * @param {number} start - The offset of the opening `/*`.
+ * @returns {number} The offset after the closing `*\/`, or the end of the text.
+ */
+function skipBlockComment(text, start) {
+    let depth = 0;
+    let i = start;
+    while (i < text.length) {
+        if (text.startsWith('/*', i)) {
+            depth++;
+            i += 2;
+        } else if (text.startsWith('*/', i)) {
+            depth--;
+            i += 2;
+            if (depth === 0) return i;
+        } else {
+            i++;
+        }
+    }
+    return text.length;
+}
+
+/**
+ * Returns the offset after a quoted literal with backslash escapes starting at `start`.
+ *
+ * @param {string} text - The source text.
+ * @param {number} start - The offset of the opening quote.
+ * @param {string} quote - The quote character.
+ * @returns {number} The offset after the closing quote, or the end of the text.
+ */
+function skipQuoted(text, start, quote) {
+    let i = start + 1;
+    while (i < text.length) {
+        if (text[i] === '\\') i += 2;
+        else if (text[i] === quote) return i + 1;
+        else i++;
+    }
+    return text.length;
+}
+
+/**
+ * Returns the offset after a raw string whose hashes or opening quote start at `start`.
+ *
+ * @param {string} text - The source text.
+ * @param {number} start - The offset of the first `#` or the opening quote, after the `r` prefix.
+ * @returns {number} The offset after the closing quote and hashes, or the end of the text.
+ */
+function skipRawString(text, start) {
+    const hashes = matchAt(RAW_STRING_HASHES, text, start)[0];
+    const close = text.indexOf(`"${hashes}`, start + hashes.length + 1);
+    return close === -1 ? text.length : close + 1 + hashes.length;
+}
+
+/**
+ * Matches a sticky pattern at an offset.
+ *
+ * @param {RegExp} pattern - A pattern with the `y` flag.
+ * @param {string} text - The source text.
+ * @param {number} offset - The offset to match at.
+ * @returns {RegExpExecArray|null} The match, or `null`.
+ */
+function matchAt(pattern, text, offset) {
+    pattern.lastIndex = offset;
+    return pattern.exec(text);
+}
+
+module.exports = { tokenize, tokensToText };
@@ -1,19 +1,29 @@
 // @ts-nocheck
+const path = require('path');
+const { tokenize, tokensToText } = require('./tokenizer.js');
+const { parseItem, readItem, readMembers, withoutPlainComments, findClose } = require('./item_parser.js');
+
+// Items that can carry a doc comment, as named by `parseItem`
+const DOCUMENTABLE_KINDS = ['function', 'struct', 'enum', 'trait', 'union', 'type', 'const', 'static', 'extern'];
+
+// Lines tokenized at a time when looking for the end of an item, doubled until the item ends
+const INITIAL_CHUNK_LINES = 32;
+
 /**
  * Scans forward in a VSCode text document from a given line to locate and extract
- * the full signature block of the next Rust item (e.g., function, struct, or enum).
+ * the full signature block of the next Rust item (e.g., function, struct, enum, trait, union,
+ * type alias, const, static, or `extern` block).
  * 
- * Structs and enums return with their full signature and body blocks.
- *
- * This utility supports multi-line declarations and properly handles:
- * - Leading attributes such as `#[derive(...)]`, `#[doc(hidden)]`, etc.
- * - Skipping over blank lines and comments
- * - Bracket/parenthesis balancing for collecting full signatures
+ * Structs, enums, traits, unions, and `extern` blocks return with their full signature and body blocks.
+ * Type aliases, consts, and statics return up to their terminating `;`, and functions up to the
+ * `{` that opens their body (or their terminating `;`).
  *
- * It begins scanning from the line *after* `startLine`, identifies the start of a
- * Rust item using a regular expression, and then collects lines until it reaches
- * the logical end of the signature (e.g., line ending in `{`, `;`, or `=>`), or the
- * closing of a balanced block.
+ * The lines are tokenized and read with `readItem`, so multi-line declarations, leading
+ * attributes such as `#[derive(...)]` or `#[doc(hidden)]`, comments, and brackets or braces
+ * inside string and character literals are all handled. Scanning begins at the line *after*
+ * `startLine`; when that line is blank, a comment, or a closing `}`, or when it does not start
+ * a documentable item (a struct field, a statement in a function body, ...), there is nothing
+ * to document.
  *
  * ### Example
  * Input:
@@ -34,88 +44,292 @@
  * @returns {string|null} A normalized, single-line signature string if found; otherwise, `null`.
  */
 function findNextSignatureBlock(document, startLine) {
-    const totalLines = document.lineCount;
-
-    // Match `pub`, `async`, `unsafe`, `const`, `extern`, then `fn`, `struct`, or `enum`
-    const signatureStartPattern = new RegExp(
-        String.raw`^(?:pub(?:\s*\([^)]*\)|\s+super|\s+self|\s+in\s+[^\s]+)?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?(?:extern\s*(?:"[^"]*")?\s*)?(fn|struct|enum)\s+`
-    );
-
-    let signatureLines = [];
-    let collecting = false;
-    let braceDepth = 0;
-    let parentDepth = 0;
-    let itemType = null;
-    let insideAttribute = false;
-    let bracketBalance = 0;
-
-    for (let i = startLine + 1; i < totalLines; i++) {
-        let line = document.lineAt(i).text.trim();
-
-        // If this line is only closing a block and we’re not collecting yet, exit early
-        if (!collecting && line === '}' && braceDepth === 0 || !collecting && line === '' || !collecting && line.startsWith("//")) {
+    const next = readNextItem(document, startLine + 1);
+    if (!next) return null;
+    const { tokens, read } = next;
+
+    // Functions are cut at the `{` opening their body
+    if (read.item.kind === 'function' && read.bodyStart !== -1) {
+        return tokensToText(tokens.slice(read.headerStart, read.bodyStart + 1));
+    }
+    return tokensToText(tokens.slice(read.headerStart, read.end));
+}
+
+/**
+ * Scans forward in a VSCode text document from a given line and extracts the body of the next
+ * function, for the sections that depend on what the function does (e.g., `# Panics`).
+ *
+ * The item is found as in `findNextSignatureBlock`. Functions without a body, and bodies that
+ * are not closed yet, have nothing to read.
+ *
+ * @param {vscode.TextDocument} document - The VSCode text document to scan.
+ * @param {number} startLine - The zero-based line number to begin scanning from (exclusive).
+ * @returns {string|null} The normalized text between the body's braces, or `null` if there is no function body.
+ */
+function findNextFunctionBody(document, startLine) {
+    const next = readNextItem(document, startLine + 1);
+    if (!next) return null;
+    const { tokens, read } = next;
+
+    if (read.item.kind !== 'function' || read.bodyStart === -1 || !read.complete) return null;
+    return tokensToText(tokens.slice(read.bodyStart + 1, read.end - 1));
+}
+
+/**
+ * Scans forward in a VSCode text document from a given line and reads the attributes of the next
+ * item, which `findNextSignatureBlock` leaves out of the signature (e.g., `#[cfg(feature = "x")]`,
+ * `#[deprecated]`, or `#[derive(Debug)]`).
+ *
+ * @param {vscode.TextDocument} document - The VSCode text document to scan.
+ * @param {number} startLine - The zero-based line number to begin scanning from (exclusive).
+ * @returns {{ name: string, args: string, text: string, line: number }[]} The attributes in source order, as
+ *   returned by `parseItem`; empty if there is no item.
+ */
+function findNextItemAttributes(document, startLine) {
+    const next = readNextItem(document, startLine + 1);
+    return next ? next.read.item.attributes : [];
+}
+
+/**
+ * Reads the documentable item starting at a line, tokenizing a few lines at a time and more only
+ * while the item runs past them.
+ *
+ * @param {vscode.TextDocument} document - The VSCode text document to scan.
+ * @param {number} first - The zero-based line the item starts on.
+ * @returns {{ tokens: Object[], read: ReturnType<typeof readItem> }|null} The tokens read and the item,
+ *   or `null` when the line does not start a documentable item.
+ */
+function readNextItem(document, first) {
+    if (first >= document.lineCount) return null;
+
+    // A blank line, a comment, or the end of a block means no item follows the cursor
+    const firstLine = document.lineAt(first).text.trim();
+    if (firstLine === '' || firstLine === '}' || firstLine.startsWith('//')) return null;
+
+    for (let chunk = INITIAL_CHUNK_LINES; ; chunk *= 2) {
+        const end = Math.min(document.lineCount, first + chunk);
+        const tokens = withoutPlainComments(readDocumentTokens(document, first, end));
+        const read = readItem(tokens, 0);
+        const reachedEnd = end === document.lineCount;
+
+        if (!read.item) {
+            // Attributes may continue past the chunk
+            if (read.headerStart >= tokens.length && !reachedEnd) continue;
             return null;
         }
+        if (!DOCUMENTABLE_KINDS.includes(read.item.kind)) return null;
+        if (read.complete || reachedEnd) return { tokens, read };
+    }
+}
 
-        // Strip comments from line (ignores those inside strings)
-        line = line.replace(/\/\/\/.*|\/\/.*$/, '').trim();
-
-        // Track attribute bracket balance for skipping lines of attributes/decorators
-        if (!collecting) {
-            if (line.trim().startsWith('#[')) {
-                insideAttribute = true; // Set flag for being in attribute/decorator
-            }
-
-            if (insideAttribute) {
-                // Count brackets to detect end of attribute
-                for (const char of line) {
-                    if (char === '[') bracketBalance++;
-                    else if (char === ']') bracketBalance--;
-                }
-
-                if (bracketBalance <= 0) {
-                    insideAttribute = false;
-                    bracketBalance = 0;
-                }
-                continue; // Skip attributes/decorator lines
-            }
-        }
+/**
+ * Scans backward in a VSCode text document from a given line to find the header of the
+ * block (`impl`, `trait`, `extern`, `mod`, ...) that encloses that line.
+ *
+ * The text above `line` is tokenized, so braces inside strings, character literals, and comments
+ * are not counted. The last `{` left unclosed opens the enclosing block; its header runs back to
+ * the end of the previous statement, without the header's attributes. Headers spanning several
+ * lines (e.g., a trailing `where` clause) are joined into one line.
+ *
+ * ### Example
+ * Input (cursor on the `///` line):
+ * ```rust
+ * extern "C" {
+ *     ///
+ *     fn abs(input: i32) -> i32;
+ * }
+ * ```
+ * Output:
+ * ```text
+ * "extern \"C\" {"
+ * ```
+ *
+ * @param {vscode.TextDocument} document - The VSCode text document to scan.
+ * @param {number} line - The zero-based line number whose enclosing block is wanted.
+ * @returns {string|null} The normalized block header ending in `{`, or `null` at the top level.
+ */
+function findEnclosingBlockHeader(document, line) {
+    const headers = findEnclosingBlockHeaders(document, line);
+    return headers.length > 0 ? headers[headers.length - 1] : null;
+}
 
-        const match = signatureStartPattern.exec(line);
-        if (!collecting && match) {
-            itemType = match[1]; // 'fn', 'struct', etc..
-            collecting = true;
-        }
+/**
+ * Finds the headers of every block enclosing a line, as `findEnclosingBlockHeader` reads them.
+ *
+ * ### Example
+ * Input (cursor on the `///` line):
+ * ```rust
+ * pub mod net {
+ *     impl Client {
+ *         ///
+ *         pub fn send(&self) {}
+ *     }
+ * }
+ * ```
+ * Output:
+ * ```text
+ * ["pub mod net {", "impl Client {"]
+ * ```
+ *
+ * @param {vscode.TextDocument} document - The VSCode text document to scan.
+ * @param {number} line - The zero-based line number whose enclosing blocks are wanted.
+ * @returns {string[]} The normalized block headers, outermost first; empty at the top level.
+ */
+function findEnclosingBlockHeaders(document, line) {
+    const tokens = readDocumentTokens(document, 0, line).filter(token => token.kind !== 'comment');
+    const isPunct = (token, values) => !!token && token.kind === 'punct' && values.includes(token.value);
+
+    const unclosed = [];
+    tokens.forEach((token, i) => {
+        if (isPunct(token, ['{'])) unclosed.push(i);
+        else if (isPunct(token, ['}'])) unclosed.pop();
+    });
 
-        if (collecting) {
-            signatureLines.push(line);
-
-            if (itemType === 'fn') {
-                // Stop at function or struct start (`{`, `;`, `=>`)
-                if (line.endsWith('{') || line.endsWith(';') || line.endsWith('=>')) {
-                    break;
-                }
-            } else {
-                // Track braces and parens for body parsing. This is the logic to find the body boundary
-                for (const char of line) {
-                    if (char === '{') braceDepth++;
-                    if (char === '}') braceDepth--;
-                    if (char === '(') parentDepth++;
-                    if (char === ')') parentDepth--;
-                }
-
-                // Stop collecting when body is fully closed or ends with semicolon
-                if ((braceDepth === 0 && parentDepth === 0 && (line.endsWith('}') || line.endsWith(';')))) {
-                    break;
-                }
-            }
+    return unclosed.map(brace => {
+        let start = brace;
+        while (start > 0 && !isPunct(tokens[start - 1], ['{', '}', ';'])) start--;
+
+        // Skip the header's outer and inner attributes
+        while (isPunct(tokens[start], ['#']) && start < brace) {
+            start = findClose(tokens, isPunct(tokens[start + 1], ['!']) ? start + 2 : start + 1) + 1;
         }
+
+        return tokensToText(tokens.slice(start, brace + 1));
+    });
+}
+
+/**
+ * Scans forward in a VSCode text document from a given line and collects the public items
+ * declared directly in the enclosing module (items nested in other blocks are skipped).
+ *
+ * Scanning stops at the end of the document or at the `}` that closes the enclosing block,
+ * so the same function works for file modules (`lib.rs`, `mod.rs`, `foo.rs`) and inline
+ * `mod foo { ... }` blocks. Only items marked plain `pub` are collected; `pub(crate)` and
+ * other restricted visibilities are not part of the module's public API.
+ *
+ * ### Example
+ * Input:
+ * ```rust
+ * //!
+ * pub struct Client;
+ * pub mod http;
+ * fn helper() {}
+ * ```
+ * Output:
+ * ```text
+ * [{ kind: "struct", name: "Client", line: 1 }, { kind: "mod", name: "http", line: 2 }]
+ * ```
+ *
+ * @param {vscode.TextDocument} document - The VSCode text document to scan.
+ * @param {number} startLine - The zero-based line number to begin scanning from (exclusive).
+ * @returns {{ kind: "struct"|"enum"|"trait"|"fn"|"mod", name: string, line: number }[]} The public items, in source order.
+ */
+function collectModuleItems(document, startLine) {
+    const tokens = withoutPlainComments(readDocumentTokens(document, startLine + 1));
+
+    // Stop at the `}` closing an inline module
+    let depth = 0;
+    let end = tokens.length;
+    for (let i = 0; i < tokens.length && end === tokens.length; i++) {
+        if (tokens[i].kind !== 'punct') continue;
+        if (tokens[i].value === '{') depth++;
+        else if (tokens[i].value === '}' && depth-- === 0) end = i;
     }
 
-    // Normalize and return the entire signature block
-    return signatureLines.length > 0
-        ? signatureLines.join(' ').replace(/\s+/g, ' ').trim()
-        : null;
+    return readMembers(tokens.slice(0, end))
+        .filter(item => item.visibility === 'pub' && ['struct', 'enum', 'trait', 'function', 'mod'].includes(item.kind))
+        .map(item => ({ kind: item.kind === 'function' ? 'fn' : item.kind, name: item.name, line: item.line }));
+}
+
+/**
+ * Wraps plain text in the parts of the `vscode.TextDocument` interface that the scanners and
+ * generators read (`fileName`, `lineCount`, `lineAt`, and `getText`), so they work on text read
+ * from disk or received from another editor.
+ *
+ * @param {string} text - The document text. `\n` and `\r\n` line endings are both accepted.
+ * @param {string} [fileName=''] - The absolute path of the document, used to find its crate and module name.
+ * @returns {{ fileName: string, lineCount: number, lineAt: (line: number) => { text: string }, getText: () => string }}
+ *   The document.
+ */
+function createTextDocument(text, fileName = '') {
+    const lines = text.split(/\r?\n/);
+    return {
+        fileName,
+        lineCount: lines.length,
+        lineAt: (line) => ({ text: lines[line] }),
+        getText: () => text,
+    };
+}
+
+/**
+ * Tokenizes a range of lines of a document with `tokenize`.
+ *
+ * @param {vscode.TextDocument} document - The VSCode text document to read.
+ * @param {number} first - The zero-based first line.
+ * @param {number} [end=document.lineCount] - The zero-based line after the last line.
+ * @returns {ReturnType<typeof tokenize>} The tokens, with `line` and `endLine` as document lines.
+ */
+function readDocumentTokens(document, first, end = document.lineCount) {
+    const lines = [];
+    for (let i = Math.max(first, 0); i < end; i++) lines.push(document.lineAt(i).text);
+
+    const offset = Math.max(first, 0);
+    return tokenize(lines.join('\n')).map(token => ({ ...token, line: token.line + offset, endLine: token.endLine + offset }));
+}
+
+/**
+ * Derives the Rust module name from a source file path.
+ *
+ * `lib.rs` and `main.rs` are crate roots and have no module name, `mod.rs` takes the name of
+ * its directory, and any other file takes its own name.
+ *
+ * @param {string} fileName - The absolute or relative path of a `.rs` file.
+ * @returns {string|null} The module name, or `null` for a crate root.
+ */
+function getModuleName(fileName) {
+    const stem = path.basename(fileName, '.rs');
+    if (stem === 'lib' || stem === 'main') return null;
+    if (stem === 'mod') return path.basename(path.dirname(fileName));
+    return stem;
+}
+
+/**
+ * Parses the header of an `impl` block into the implemented type and (optionally) trait.
+ *
+ * ### Example
+ * Input:
+ * ```text
+ * "impl<T: Clone> Iterator for Stack<T> where T: Send {"
+ * ```
+ * Output:
+ * ```text
+ * { traitName: "Iterator", typeName: "Stack<T>", typePath: "Stack" }
+ * ```
+ *
+ * @param {string} header - A normalized block header, as returned by `findEnclosingBlockHeader`.
+ * @returns {{ traitName: string|null, typeName: string, typePath: string|null }|null}
+ *   The parsed header, or `null` if the header is not an `impl` block. `typePath` is the type without
+ *   generic arguments, or `null` when the type is not a plain path (e.g., `&'a str` or `[T]`).
+ */
+function parseImplHeader(header) {
+    const item = parseItem(header);
+    if (item?.kind !== 'impl' || !item.typeName) return null;
+
+    const pathMatch = item.typeName.match(/^(?:\w+::)*\w+(?=\s*(?:<|$))/);
+    return { traitName: item.traitName, typeName: item.typeName, typePath: pathMatch ? pathMatch[0] : null };
 }
 
-module.exports = { findNextSignatureBlock };
\ No newline at end of file
+module.exports = {
+    findNextSignatureBlock,
+    findNextFunctionBody,
+    findNextItemAttributes,
+    readNextItem,
+    findEnclosingBlockHeader,
+    findEnclosingBlockHeaders,
+    collectModuleItems,
+    getModuleName,
+    parseImplHeader,
+    readDocumentTokens,
+    createTextDocument,
+    DOCUMENTABLE_KINDS
+};